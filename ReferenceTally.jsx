@@ -1,528 +1,9321 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { 
-    getFirestore, 
-    doc, 
-    onSnapshot, 
-    collection, 
-    updateDoc, 
-    increment,
-    setDoc,
-    query,
-    where,
-    getDocs,
-    limit,
-    orderBy,
-    startAfter,
-    endBefore,
-    Timestamp,
-    serverTimestamp,
-    runTransaction,
-    setLogLevel
-} from 'firebase/firestore';
-
-// Set logging level for debugging Firebase operations
-setLogLevel('error');
-
-// --- Global Variables (Mandatory for Canvas Environment) ---
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-ref-tally-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-// The current date in YYYY-MM-DD format for use as a document ID
-const getTodayDateId = () => {
-    return new Date().toISOString().slice(0, 10);
-};
-
-// --- Question Categories and Descriptions ---
-const QUESTION_TYPES = [
-    { 
-        id: 'directional', 
-        name: 'Directional', 
-        color: 'bg-indigo-500 hover:bg-indigo-600', 
-        description: 'Asking for physical locations within the building.',
-        example: 'Example: "Where is the printer?" or "Is the bathroom on this floor?"'
-    },
-    { 
-        id: 'quick_fact', 
-        name: 'Quick Fact/Ready Ref.', 
-        color: 'bg-emerald-500 hover:bg-emerald-600', 
-        description: 'Simple questions answerable with a quick search or readily available fact.',
-        example: 'Example: "What year did X author win that award?" or "What is the phone number for the city council?"'
-    },
-    { 
-        id: 'procedural', 
-        name: 'Policy/Procedural', 
-        color: 'bg-rose-500 hover:bg-rose-600', 
-        description: 'Questions about rules, services, or how to use a basic service.',
-        example: 'Example: "How long can I borrow this?" or "Can I reserve a study room?"'
-    },
-    { 
-        id: 'research', 
-        name: 'Research/Complex', 
-        color: 'bg-amber-500 hover:bg-amber-600', 
-        description: 'In-depth assistance requiring search strategy, source evaluation, or specialized tools.',
-        example: 'Example: "I need to find five scholarly articles on climate policy." or "Help me narrow down this topic."'
-    },
-    { 
-        id: 'technology', 
-        name: 'Technology/Equip.', 
-        color: 'bg-sky-500 hover:bg-sky-600', 
-        description: 'Troubleshooting or instruction on public equipment and software.',
-        example: 'Example: "How do I scan this document?" or "My laptop won\'t connect to the Wi-Fi."'
-    },
-];
-
-// Utility function to convert data to CSV string
-const convertToCSV = (data) => {
-    if (data.length === 0) return '';
-    
-    const headers = Object.keys(data[0]);
-    const csvRows = [];
-    
-    // Add headers
-    csvRows.push(headers.join(','));
-    
-    // Add data rows
-    for (const row of data) {
-        const values = headers.map(header => {
-            const value = row[header];
-            // Handle quotes and commas in strings
-            const escaped = ('' + value).replace(/"/g, '""');
-            return `"${escaped}"`;
-        });
-        csvRows.push(values.join(','));
-    }
-    
-    return csvRows.join('\n');
-};
-
-const App = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
-    const [dailyCounts, setDailyCounts] = useState({});
-    const [weeklySummary, setWeeklySummary] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [hoveredType, setHoveredType] = useState(null);
-    const [isPrinting, setIsPrinting] = useState(false); // To hide non-report elements during print
-
-    const TODAY_DATE = getTodayDateId();
-    const DATA_COLLECTION_PATH = `artifacts/${appId}/public/data/daily_ref_counts`;
-
-    // 1. Initialize Firebase and Authentication
-    useEffect(() => {
-        try {
-            const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
-            const authService = getAuth(app);
-            setDb(firestore);
-            setAuth(authService);
-
-            const unsubscribe = onAuthStateChanged(authService, async (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                } else {
-                    // Sign in using the custom token if available, otherwise anonymously
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(authService, initialAuthToken);
-                        setUserId(authService.currentUser?.uid);
-                    } else {
-                        await signInAnonymously(authService);
-                        setUserId(authService.currentUser?.uid || crypto.randomUUID());
-                    }
-                }
-                setIsAuthReady(true);
-                setLoading(false);
-            });
-
-            return () => unsubscribe();
-        } catch (e) {
-            console.error("Firebase initialization failed:", e);
-            setError("Failed to initialize the app. Check console for details.");
-            setLoading(false);
-        }
-    }, []);
-
-    // 2. Real-time Daily Data Listener
-    useEffect(() => {
-        if (!db || !isAuthReady) return;
-
-        const docRef = doc(db, DATA_COLLECTION_PATH, TODAY_DATE);
-
-        const unsubscribe = onSnapshot(docRef, (docSnap) => {
-            if (docSnap.exists()) {
-                // Update daily counts with live data
-                setDailyCounts(docSnap.data());
-            } else {
-                // Document doesn't exist yet, initialize counts to zero
-                setDailyCounts(QUESTION_TYPES.reduce((acc, type) => ({ ...acc, [type.id]: 0 }), {}));
-            }
-        }, (err) => {
-            console.error("Error listening to daily counts:", err);
-            setError("Could not load real-time data.");
-        });
-
-        // Clean up listener on component unmount
-        return () => unsubscribe();
-    }, [db, isAuthReady, TODAY_DATE]);
-
-    // 3. Data Tally Handler
-    const handleCount = async (typeId) => {
-        if (!db) {
-            setError("Database not connected.");
-            return;
-        }
-
-        const docRef = doc(db, DATA_COLLECTION_PATH, TODAY_DATE);
-
-        try {
-            await runTransaction(db, async (transaction) => {
-                const docSnap = await transaction.get(docRef);
-
-                if (!docSnap.exists()) {
-                    // If the document doesn't exist, create it with initial counts
-                    const initialData = QUESTION_TYPES.reduce((acc, type) => ({ ...acc, [type.id]: 0 }), {});
-                    transaction.set(docRef, { 
-                        ...initialData, 
-                        [typeId]: 1,
-                        createdAt: serverTimestamp(),
-                        lastUpdatedBy: userId,
-                        date: TODAY_DATE
-                    });
-                } else {
-                    // Document exists, atomically increment the specific type
-                    transaction.update(docRef, { 
-                        [typeId]: increment(1),
-                        lastUpdatedBy: userId,
-                        updatedAt: serverTimestamp()
-                    });
-                }
-            });
-            // Clear any previous error
-            setError(null);
-        } catch (e) {
-            console.error("Transaction failed:", e);
-            setError("Failed to record count. Please check connection.");
-        }
-    };
-
-    // 4. Weekly Data Aggregation (Fetch on load and when dailyCounts change)
-    const fetchWeeklySummary = async () => {
-        if (!db || !isAuthReady) return;
-
-        setLoading(true);
-        try {
-            const today = new Date();
-            const oneWeekAgo = new Date();
-            // Go back 6 days to include today (7 days total)
-            oneWeekAgo.setDate(today.getDate() - 6); 
-
-            // Format YYYY-MM-DD
-            const oneWeekAgoId = oneWeekAgo.toISOString().slice(0, 10);
-            
-            // Note: Firestore queries are complex for "between dates" by string, 
-            // but for ID-based date strings (YYYY-MM-DD), they work for range.
-            const collectionRef = collection(db, DATA_COLLECTION_PATH);
-            
-            // Query for documents where the ID (date string) is greater than or equal to 7 days ago.
-            // We order by document ID (date string) to get the correct chronological order.
-            const q = query(
-                collectionRef,
-                orderBy('date', 'desc'), // Order by date descending
-                limit(7) // Limit to the last 7 documents (assuming continuous daily logging)
-            );
-
-            const querySnapshot = await getDocs(q);
-            const weeklyData = [];
-            
-            querySnapshot.forEach(doc => {
-                weeklyData.push({
-                    date: doc.id,
-                    ...doc.data()
-                });
-            });
-
-            // Sort ascending to make the report look chronological
-            weeklyData.sort((a, b) => a.date.localeCompare(b.date));
-            setWeeklySummary(weeklyData);
-            setLoading(false);
-
-        } catch (e) {
-            console.error("Error fetching weekly summary:", e);
-            setError("Failed to load weekly report data.");
-            setLoading(false);
-        }
-    };
-
-    // Fetch the weekly data once auth is ready and whenever the current day's data updates
-    useEffect(() => {
-        if (isAuthReady && db) {
-            fetchWeeklySummary();
-        }
-    }, [isAuthReady, db, dailyCounts]); 
-
-    // Calculate total summary for the week
-    const weeklyTotals = useMemo(() => {
-        return weeklySummary.reduce((totals, day) => {
-            QUESTION_TYPES.forEach(type => {
-                const count = day[type.id] || 0;
-                totals[type.id] = (totals[type.id] || 0) + count;
-                totals.grandTotal = (totals.grandTotal || 0) + count;
-            });
-            return totals;
-        }, { grandTotal: 0 });
-    }, [weeklySummary]);
-
-
-    // 5. Reporting and Export Functions
-    const handlePrint = () => {
-        setIsPrinting(true);
-        // Delay print slightly to ensure React re-renders with the printing state
-        setTimeout(() => {
-            window.print();
-            setIsPrinting(false);
-        }, 100);
-    };
-
-    const handleExportCSV = () => {
-        const reportData = weeklySummary.map(day => {
-            const row = { 'Date': day.date };
-            QUESTION_TYPES.forEach(type => {
-                row[type.name] = day[type.id] || 0;
-            });
-            return row;
-        });
-
-        // Add a totals row at the end
-        const totalsRow = { 'Date': 'TOTAL WEEKLY COUNT' };
-        QUESTION_TYPES.forEach(type => {
-            totalsRow[type.name] = weeklyTotals[type.id] || 0;
-        });
-        reportData.push(totalsRow);
-
-        const csvString = convertToCSV(reportData);
-        
-        // Download the CSV file
-        const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement("a");
-        if (link.download !== undefined) {
-            const url = URL.createObjectURL(blob);
-            link.setAttribute("href", url);
-            link.setAttribute("download", `ref_question_log_${TODAY_DATE}.csv`);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-        } else {
-            // Replaced alert with console message as per instructions
-            console.error("Your browser does not support downloading files directly.");
-        }
-    };
-
-    if (loading && !isAuthReady) {
-        return (
-            <div className="flex justify-center items-center h-screen bg-gray-50">
-                <div className="text-xl text-gray-700">Connecting to secure server...</div>
-            </div>
-        );
-    }
-    
-    // UI Rendering
-    return (
-        <div className="min-h-screen bg-gray-50 font-sans p-4 md:p-8" style={{ fontFamily: 'Inter, sans-serif' }}>
-            {/* The main tally controls, hidden during printing */}
-            {!isPrinting && (
-                <div className="max-w-4xl mx-auto">
-                    <header className="text-center mb-8">
-                        <h1 className="text-4xl font-extrabold text-indigo-700 mb-2">Reference Question Tally</h1>
-                        <p className="text-gray-600">
-                            Live count for {TODAY_DATE}. User ID: <code className="text-xs bg-gray-200 p-1 rounded">{userId}</code>
-                        </p>
-                        {error && <p className="mt-4 p-2 bg-red-100 text-red-700 rounded-lg font-medium">{error}</p>}
-                    </header>
-
-                    {/* Question Counting Buttons */}
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-10">
-                        {QUESTION_TYPES.map((type) => (
-                            <button
-                                key={type.id}
-                                className={`
-                                    flex flex-col items-center justify-center p-4 rounded-xl shadow-lg 
-                                    text-white transition-all transform active:scale-[0.98] 
-                                    focus:outline-none focus:ring-4 focus:ring-opacity-50
-                                    ${type.color} focus:ring-indigo-300
-                                    relative overflow-hidden
-                                `}
-                                onClick={() => handleCount(type.id)}
-                                onMouseEnter={() => setHoveredType(type.id)}
-                                onMouseLeave={() => setHoveredType(null)}
-                            >
-                                <span className="text-5xl font-bold mb-1">
-                                    {dailyCounts[type.id] || 0}
-                                </span>
-                                <span className="text-xl font-semibold uppercase tracking-wider">
-                                    {type.name}
-                                </span>
-                                
-                                {/* Hover Description Overlay */}
-                                <div 
-                                    className={`
-                                        absolute inset-0 bg-gray-900 bg-opacity-90 flex flex-col justify-center items-center p-4 rounded-xl 
-                                        transition-opacity duration-300 pointer-events-none 
-                                        ${hoveredType === type.id ? 'opacity-100' : 'opacity-0'}
-                                    `}
-                                >
-                                    <p className="text-sm font-light text-gray-200 text-center mb-2">{type.description}</p>
-                                    <p className="text-xs italic text-gray-400 text-center">{type.example}</p>
-                                </div>
-                            </button>
-                        ))}
-                    </div>
-
-                    {/* Report Controls */}
-                    <div className="flex justify-center space-x-4 mb-8">
-                        <button
-                            onClick={handleExportCSV}
-                            className="flex items-center px-6 py-3 bg-teal-500 text-white font-semibold rounded-lg shadow-md hover:bg-teal-600 transition-colors"
-                        >
-                            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>
-                            Export CSV
-                        </button>
-                        <button
-                            onClick={handlePrint}
-                            className="flex items-center px-6 py-3 bg-gray-700 text-white font-semibold rounded-lg shadow-md hover:bg-gray-800 transition-colors"
-                        >
-                            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 17h2a2 2 0 002-2v-5a2 2 0 00-2-2H5a2 2 0 00-2 2v5a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-2a2 2 0 00-2-2H9a2 2 0 00-2 2v2a2 2 0 002 2zm2-13V7a2 2 0 012-2h2a2 2 0 012 2v3"></path></svg>
-                            Print Report
-                        </button>
-                    </div>
-                </div>
-            )}
-
-            {/* Daily and Weekly Summary Report (Visible always, print-optimized) */}
-            <div className="max-w-4xl mx-auto bg-white p-6 rounded-xl shadow-2xl border border-gray-100 print:shadow-none print:border-0">
-                <h2 className="text-3xl font-bold text-gray-800 border-b pb-3 mb-4 print:text-center print:text-black">
-                    Reference Question Summary Report
-                </h2>
-
-                <div className="mb-6">
-                    <h3 className="text-xl font-semibold text-indigo-600 mb-3">Daily Totals: {TODAY_DATE}</h3>
-                    <div className="grid grid-cols-2 gap-4 text-center">
-                        {QUESTION_TYPES.map(type => (
-                            <div key={`daily-${type.id}`} className="p-3 bg-indigo-50 rounded-lg shadow-sm">
-                                <p className="text-lg font-medium text-gray-700">{type.name}</p>
-                                <p className="text-3xl font-extrabold text-indigo-700">{dailyCounts[type.id] || 0}</p>
-                            </div>
-                        ))}
-                    </div>
-                </div>
-
-                <div className="mb-6">
-                    <h3 className="text-xl font-semibold text-teal-600 mb-3 border-t pt-4">Weekly Aggregation</h3>
-                    <div className="grid grid-cols-2 gap-4">
-                        <div className="col-span-2 md:col-span-1 bg-teal-50 p-4 rounded-lg shadow-sm">
-                             <p className="text-xl font-medium text-gray-700">Grand Total (Last {weeklySummary.length} Days)</p>
-                             <p className="text-4xl font-extrabold text-teal-700">{weeklyTotals.grandTotal}</p>
-                        </div>
-                        <div className="col-span-2 md:col-span-1 bg-teal-50 p-4 rounded-lg shadow-sm">
-                            <p className="text-xl font-medium text-gray-700">Report Period</p>
-                            <p className="text-base font-semibold text-teal-700 mt-2">
-                                {weeklySummary.length > 0 
-                                    ? `${weeklySummary[0].date} to ${weeklySummary[weeklySummary.length - 1].date}`
-                                    : 'No data available'}
-                            </p>
-                        </div>
-                    </div>
-                </div>
-
-                {/* Detailed Weekly Breakdown Table */}
-                <h3 className="text-xl font-semibold text-gray-700 border-t pt-4 mb-3">Day-by-Day Breakdown</h3>
-                <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                        <thead className="bg-gray-50">
-                            <tr>
-                                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                                {QUESTION_TYPES.map(type => (
-                                    <th key={type.id} className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{type.name}</th>
-                                ))}
-                                <th className="px-3 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider bg-gray-100">Daily Total</th>
-                            </tr>
-                        </thead>
-                        <tbody className="bg-white divide-y divide-gray-200">
-                            {weeklySummary.map((day) => {
-                                const dailyTotal = QUESTION_TYPES.reduce((sum, type) => sum + (day[type.id] || 0), 0);
-                                return (
-                                    <tr key={day.date}>
-                                        <td className="px-3 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{day.date}</td>
-                                        {QUESTION_TYPES.map(type => (
-                                            <td key={`${day.date}-${type.id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-gray-500">
-                                                {day[type.id] || 0}
-                                            </td>
-                                        ))}
-                                        <td className="px-3 py-4 whitespace-nowrap text-right text-sm font-bold text-gray-800 bg-gray-50">{dailyTotal}</td>
-                                    </tr>
-                                );
-                            })}
-                            {/* Totals Row */}
-                            <tr className="bg-indigo-50 font-bold border-t-2 border-indigo-200">
-                                <td className="px-3 py-4 whitespace-nowrap text-sm text-gray-900">WEEKLY TOTAL</td>
-                                {QUESTION_TYPES.map(type => (
-                                    <td key={`total-${type.id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800">
-                                        {weeklyTotals[type.id] || 0}
-                                    </td>
-                                ))}
-                                <td className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800 bg-indigo-100">{weeklyTotals.grandTotal}</td>
-                            </tr>
-                        </tbody>
-                    </table>
-                </div>
-            </div>
-
-            {/* Custom Print Styles */}
-            <style>{`
-                /* Hide elements that shouldn't appear in the printed report */
-                @media print {
-                    body {
-                        background-color: #fff !important;
-                    }
-                    /* Hide everything except the main report area */
-                    .min-h-screen > :not(.max-w-4xl) {
-                        display: none;
-                    }
-                    .max-w-4xl {
-                        max-width: none !important; /* Use full width for print */
-                        margin: 0 !important;
-                        padding: 0 !important;
-                        box-shadow: none !important;
-                    }
-                    h2, h3 {
-                        color: #000 !important;
-                    }
-                    .print\\:shadow-none {
-                        box-shadow: none !important;
-                    }
-                    .print\\:border-0 {
-                        border: none !important;
-                    }
-                    .print\\:text-center {
-                        text-align: center !important;
-                    }
-                    table {
-                        border-collapse: collapse;
-                        width: 100%;
-                    }
-                    th, td {
-                        border: 1px solid #ddd;
-                        padding: 8px;
-                    }
-                }
-            `}</style>
-        </div>
-    );
-}
-
-export default App;
+import React, { useState, useEffect, useMemo, useRef, createContext, useContext } from 'react';
+import { initializeApp, getApps } from 'firebase/app';
+import {
+    getAuth,
+    signInWithCustomToken,
+    signInWithEmailAndPassword,
+    createUserWithEmailAndPassword,
+    sendPasswordResetEmail,
+    signOut,
+    onAuthStateChanged
+} from 'firebase/auth';
+import { 
+    getFirestore, 
+    doc, 
+    onSnapshot, 
+    collection, 
+    collectionGroup,
+    getDoc,
+    writeBatch,
+    arrayUnion,
+    arrayRemove,
+    updateDoc, 
+    setDoc,
+    deleteDoc,
+    query,
+    where,
+    getDocs,
+    limit,
+    orderBy,
+    startAfter,
+    endBefore,
+    Timestamp,
+    serverTimestamp,
+    runTransaction,
+    setLogLevel
+} from 'firebase/firestore';
+import * as XLSX from 'xlsx';
+
+// Set logging level for debugging Firebase operations
+setLogLevel('error');
+
+// --- Global Variables (Mandatory for Canvas Environment) ---
+const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-ref-tally-app-id';
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// --- Languages ---
+// Interface text comes from the message catalogs below; anything missing in a language falls
+// back to English. The language follows the signed-in person's staff profile, or else this
+// terminal's choice. Exports never change with the language: CSV headers, sheet names and
+// category names in files are the stable English identifiers that downstream scripts expect.
+const LANGUAGES = [
+    { id: 'en', name: 'English' },
+    { id: 'es', name: 'Español' },
+    { id: 'fr', name: 'Français' },
+];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Where this terminal remembers its language
+const LANGUAGE_STORAGE_KEY = 'refTally.language';
+
+const isSupportedLanguage = (language) => LANGUAGES.some(option => option.id === language);
+
+const MESSAGES = {
+    en: {
+        'app.title': 'Reference Question Tally',
+        'app.liveCount': 'Live count for {date} ({timeZone}).',
+        'app.liveCountAt': 'Live count for {date} ({timeZone}) at {library}.',
+        'app.signedInAs': 'Signed in as',
+        'app.signOut': 'Sign out',
+        'app.library': 'Library',
+        'app.servicePoint': 'Service Point',
+        'app.language': 'Language',
+        'app.detailsStep': 'Ask for effort, mode and duration after each tap',
+        'app.sound': 'Beep on each tally',
+        'app.usualMode': 'Usual contact mode',
+        'app.shortcuts': 'Keyboard Shortcuts...',
+        'app.kiosk': 'Kiosk Mode',
+        'app.exitKiosk': 'Exit Kiosk',
+        'app.pendingSync': '{count} pending — will sync when the connection returns',
+        'app.pending': '{count} pending',
+        'app.connecting': 'Connecting to secure server...',
+        'app.highContrast': 'High contrast',
+        'a11y.categoryCount': '{category}: {count}',
+        'a11y.undone': 'Undone. {category}: {count}',
+        'a11y.noteSaved': 'Note saved.',
+        'a11y.exportReport': 'Export the report for {period}',
+        'a11y.printReport': 'Print the report for {period}',
+        'sampling.today': 'Sample day: {label} ({start} to {end}). Please tally every question.',
+        'sampling.badge': 'Sample day: {label}',
+        'sampling.notToday': 'Today is not in a sampling period.',
+        'sampling.next': 'Next: {label}, {start} to {end}.',
+        'sampling.none': 'No further sampling periods are scheduled.',
+        'tally.recorded': 'Recorded: {category}',
+        'tally.addNote': 'Add Note',
+        'tally.undo': 'Undo',
+        'category.about': 'About {category}',
+        'details.effort': 'Effort (READ Scale)',
+        'details.contactMode': 'Contact Mode',
+        'details.duration': 'Approximate duration (minutes)',
+        'details.typical': '{minutes} (typical for {level})',
+        'details.record': 'Record',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'note.label': 'Note (optional): what was asked, without names or contact details',
+        'note.placeholder': 'e.g. How do I print from my laptop?',
+        'note.redacted': 'Personal details removed. Will be saved as: {note}',
+        'note.title': 'Note for {category}',
+        'note.save': 'Save Note',
+        'effort.1': 'Least effort; no specialized knowledge or consultation needed.',
+        'effort.2': 'Nominal effort; some knowledge of resources or a quick look-up.',
+        'effort.3': 'Some effort and time; reference knowledge and skills needed.',
+        'effort.4': 'Considerable time; knowledge of multiple resources and search strategy.',
+        'effort.5': 'Substantial time and effort; subject expertise or consultation.',
+        'effort.6': 'Most effort; in-depth research and specialized knowledge.',
+        'mode.in_person': 'In Person',
+        'mode.phone': 'Phone',
+        'mode.email': 'Email',
+        'mode.chat': 'Chat',
+        'mode.roving': 'Roving',
+        'role.desk': 'Desk Staff',
+        'role.supervisor': 'Supervisor',
+        'role.admin': 'Administrator',
+        'signIn.email': 'Email',
+        'signIn.password': 'Password',
+        'signIn.submit': 'Sign In',
+        'signIn.busy': 'Signing in...',
+        'signIn.forgot': 'Forgot password?',
+        'signIn.failed': 'Sign-in failed. Check your email and password.',
+        'signIn.enterEmail': 'Enter your email address first.',
+        'signIn.resetSent': 'Check your email for a link to set a new password.',
+        'signIn.resetFailed': 'Could not send a reset email to that address.',
+        'noAccess.title': 'No Staff Access',
+        'noAccess.message': '{account} is not on the staff list of {library}, or has been deactivated. Ask an administrator to add you.',
+        'noAccess.thisAccount': 'This account',
+        'noAccess.bootstrap': 'Set Up as First Administrator',
+        'noAccess.otherLibrary': 'Open another library',
+        'noAccess.setupFailed': 'Setup failed. Another administrator may already have been set up.',
+        'chooser.library': 'Library',
+        'chooser.remembered': 'This terminal will open the same library next time.',
+        'chooser.continue': 'Continue',
+        'preset.this_week': 'This Week',
+        'preset.last_week': 'Last Week',
+        'preset.this_month': 'This Month',
+        'preset.academic_term': 'Academic Term',
+        'preset.fiscal_year': 'Fiscal Year',
+        'preset.custom': 'Custom Range',
+        'report.period': 'Report Period',
+        'report.servicePoints': 'Service Points',
+        'report.allServicePoints': 'All (system-wide)',
+        'report.allServicePointsLabel': 'All Service Points',
+        'report.branch': 'Branch: {branch}',
+        'report.start': 'Start',
+        'report.end': 'End',
+        'report.invalidRange': 'Choose a start date on or before the end date.',
+        'report.export': 'Export...',
+        'report.print': 'Print Report',
+        'report.notes': 'Question Notes',
+        'report.correct': 'Correct Counts',
+        'report.import': 'Import',
+        'report.settings': 'Settings',
+        'report.categories': 'Categories',
+        'report.staff': 'Staff',
+        'report.consortium': 'Consortium',
+        'report.showOriginals': 'Show original (pre-correction) values in report and export',
+        'report.title': 'Reference Question Summary Report',
+        'report.dailyTotals': 'Daily Totals: {date}, {servicePoint}',
+        'report.byEffort': 'By effort:',
+        'report.byMode': 'By contact mode:',
+        'report.effortHoursToday': 'Effort hours:',
+        'report.aggregation': 'Period Aggregation',
+        'report.grandTotal': 'Grand Total ({days} Days)',
+        'report.perOpenHour': 'Questions per Open Hour',
+        'report.openHours': '{hours} open hours in period',
+        'report.effortHours': 'Effort Hours',
+        'report.effortHoursNote': 'Recorded or READ-typical time spent on {count} questions',
+        'report.range': '{start} to {end}',
+        'report.noPeriod': 'No period selected',
+        'report.view.breakdown': 'Day-by-Day Breakdown',
+        'report.view.analytics': 'Traffic Analytics',
+        'report.view.comparison': 'Period Comparison',
+        'report.view.estimate': 'Annual Estimate',
+        'report.estimateHeading': 'Annual Estimate from Sampled Days: {scope}',
+        'report.date': 'Date',
+        'report.dailyTotal': 'Daily Total',
+        'report.perOpenHourShort': 'Per Open Hour',
+        'report.periodTotal': 'PERIOD TOTAL',
+        'report.notInUse': '{category} was not in use on this day',
+        'report.was': 'was {count}',
+        'report.closed': 'Closed',
+        'report.effortAndMode': 'Effort and Contact Mode',
+        'report.unrecorded': '{effort} tallies in this period have no effort level and {modes} have no contact mode (recorded before these details were captured, or added by a correction).',
+        'report.byServicePoint': 'By Service Point',
+        'followUp.button': 'Follow Up',
+        'followUp.title': 'Follow-up for {category}',
+        'followUp.summary': 'What needs following up (no names or contact details here)',
+        'followUp.summaryPlaceholder': 'e.g. Needs 1920s city council minutes; ask Local History',
+        'followUp.assignee': 'Assigned to (person or team)',
+        'followUp.dueDate': 'Due date',
+        'followUp.contactPreference': 'How the patron wants to hear back',
+        'followUp.contact.none': 'No contact: they will check back',
+        'followUp.contact.email': 'Email',
+        'followUp.contact.phone': 'Phone call',
+        'followUp.contact.text': 'Text message',
+        'followUp.consent': 'The patron agreed to be contacted and gave these details',
+        'followUp.contact': 'Contact (deleted when the follow-up is closed)',
+        'followUp.save': 'Flag for Follow-Up',
+        'followUp.saved': 'Flagged for follow-up.',
+        'followUp.saveFailed': 'Failed to save the follow-up. Please try again.',
+        'followUp.tallyPending': 'This tally has not reached the server yet. Try again in a moment.',
+        'followUp.tallyUndone': 'This tally was undone, so there is nothing to follow up.',
+        'followUp.alreadyFlagged': 'This tally is already flagged for follow-up.',
+        'followUp.updateFailed': 'Failed to update the follow-up. Please check connection.',
+        'followUp.queueLoadFailed': 'Could not load the follow-up queue.',
+        'followUp.reportLoadFailed': 'Failed to load follow-ups for the report.',
+        'followUp.needsAssignee': 'Say who will follow up.',
+        'followUp.needsDueDate': 'Choose a due date.',
+        'followUp.needsConsent': 'Only record contact details the patron agreed to give.',
+        'followUp.needsContact': 'Enter the contact details, or choose no contact.',
+        'followUp.queue': 'Follow-Up Queue',
+        'followUp.queueCount': 'Follow-Ups ({count})',
+        'followUp.status.open': 'Open',
+        'followUp.status.in_progress': 'In Progress',
+        'followUp.status.closed': 'Closed',
+        'followUp.empty': 'Nothing here.',
+        'followUp.flagged': 'Flagged {date} at {servicePoint}',
+        'followUp.due': 'Due {date}',
+        'followUp.overdue': 'Overdue',
+        'followUp.assignedTo': 'Assigned to {assignee}',
+        'followUp.assignToMe': 'Assign to Me',
+        'followUp.start': 'Start',
+        'followUp.close': 'Close',
+        'followUp.reopen': 'Reopen',
+        'followUp.resolution': 'Outcome',
+        'followUp.resolution.answered': 'Answered',
+        'followUp.resolution.referred_out': 'Referred outside the library',
+        'followUp.resolution.no_response': 'Could not reach the patron',
+        'followUp.resolution.withdrawn': 'No longer needed',
+        'followUp.closedOn': 'Closed {date}: {resolution}',
+        'followUp.report.flagged': 'Flagged for Follow-Up',
+        'followUp.report.share': '{percent} of questions in the period',
+        'followUp.report.stillOpen': 'Still Open',
+        'followUp.report.overdue': '{count} overdue',
+        'followUp.report.median': 'Median Time to Resolution',
+        'followUp.report.hours': '{hours} h',
+        'followUp.report.hoursDetail': 'Mean {mean} h · 90th percentile {p90} h',
+        'followUp.report.onTime': 'Closed by Due Date',
+        'followUp.report.onTimeDetail': '{onTime} of {closed} closed',
+        'followUp.report.byCategory': 'By Category',
+        'followUp.report.byAssignee': 'By Assignee',
+        'followUp.report.category': 'Category',
+        'followUp.report.assignee': 'Assignee',
+        'followUp.report.flaggedColumn': 'Flagged',
+        'followUp.report.medianColumn': 'Median Hours',
+        'followUp.report.outcomes': 'Outcomes',
+        'followUp.report.none': 'No follow-ups were flagged in this period.',
+        'followUp.report.note': 'Times are elapsed hours from flagging to closing, not open hours.',
+        'report.view.followups': 'Follow-Ups',
+        'common.pending': 'Pending',
+        'error.initFailed': 'Failed to initialize the app. Check console for details.',
+        'error.realtimeFailed': 'Could not load real-time data.',
+        'error.storageFull': "This browser's storage is full. New tallies are held in this terminal's queue but cannot be saved until space is freed; export the report to keep a copy.",
+        'error.notConnected': 'Database not connected.',
+        'error.recordFailed': 'Failed to record count. Please try again.',
+        'error.undoFailed': 'Failed to undo the last tally. Please try again.',
+        'error.noteFailed': 'Failed to save the note. Please try again.',
+        'error.reportFailed': 'Failed to load report data.',
+        'error.analyticsFailed': 'Failed to load interaction data for analytics.',
+        'error.comparisonFailed': 'Failed to load comparison periods.',
+        'error.estimateFailed': 'Failed to load data for the annual estimate.',
+        'error.exportFailed': 'Failed to export the report.',
+        'analytics.category': 'Category',
+        'analytics.allCategories': 'All categories',
+        'analytics.categoryFilter': 'Category: {categories}',
+        'analytics.heatMap': 'When Questions Come In',
+        'analytics.loading': 'Loading interactions...',
+        'analytics.none': 'No timestamped interactions in this period.',
+        'analytics.cell': '{day} {hour}: {count}',
+        'analytics.heatMapNote': '{count} timestamped questions. Days logged before individual interactions were recorded are not included.',
+        'analytics.dailyTrend': 'Daily Trend by Category',
+        'analytics.weeklyTrend': 'Weekly Trend by Category',
+        'analytics.trendLabel': 'Stacked trend of questions by category',
+        'analytics.bar': '{date} {category}: {count}',
+        'analytics.peakHours': 'Peak Hours',
+        'analytics.rank': 'Rank',
+        'analytics.day': 'Day',
+        'analytics.hour': 'Hour',
+        'analytics.questions': 'Questions',
+        'analytics.perWeek': 'Average per Week',
+        'analytics.hourRange': '{start} to {end}',
+        'comparison.loading': 'Loading comparison periods...',
+        'comparison.ranges': 'Selected: {current} · Previous: {previous} · Last year: {lastYear}',
+        'comparison.category': 'Category',
+        'comparison.selected': 'Selected',
+        'comparison.previous': 'Previous',
+        'comparison.change': 'Change',
+        'comparison.lastYear': 'Last Year',
+        'comparison.total': 'TOTAL',
+        'comparison.dailyHeading': 'Daily Totals with {days}-Day Moving Average',
+        'comparison.dailyLabel': 'Daily totals with {days}-day moving average',
+        'comparison.point': '{date}: {count}',
+        'comparison.dailyTotal': 'Daily total',
+        'comparison.average': '{days}-day average',
+        'comparison.lastYearAverage': 'Same dates last year ({days}-day average)',
+        'comparison.monthly': 'Monthly Trend',
+        'comparison.monthlyLabel': 'Monthly question totals',
+        'comparison.monthInProgress': '{date}: {count} (month in progress)',
+        'comparison.partialNote': 'The hollow point is a month still in progress.',
+        'estimate.year': 'Year',
+        'estimate.download': 'Download Survey Fields (CSV)',
+        'estimate.loading': "Loading the year's tallies...",
+        'estimate.noPeriods': 'No sampling periods fall in {year}. An admin can add them under Settings.',
+        'estimate.annual': 'Annual Estimate',
+        'estimate.sampledDays': 'Sampled Open Days',
+        'estimate.ofScheduled': 'of {count} scheduled',
+        'estimate.openDays': 'Open Days in Year',
+        'estimate.coverage': 'Coverage',
+        'estimate.method': 'Method:',
+        'estimate.methodText': 'Annual estimate extrapolated from {sampled} sampled open days ({coverage} of {open} open days in {year}): {total} questions recorded, {mean} per open day, multiplied by {open} open days.',
+        'estimate.noSample': 'No sampled open days yet; no estimate can be made.',
+        'estimate.periods': 'Sampling periods: {periods}',
+        'estimate.period': '{label} ({range})',
+        'estimate.quietDays': 'No questions were recorded on {count} sampled open day(s): {dates}. Check these were really quiet days and not missed tallies.',
+        'estimate.category': 'Category',
+        'estimate.sampled': 'Sampled',
+        'estimate.total': 'TOTAL',
+        'estimate.surveyFields': 'Survey Fields',
+        'estimate.survey': 'Survey',
+        'estimate.field': 'Field',
+        'estimate.value': 'Value',
+        'import.title': 'Import Historical Counts',
+        'import.file': 'CSV or Excel file',
+        'import.conflictMode': 'When a day already has counts',
+        'import.mode.merge': 'Merge (add to existing counts)',
+        'import.mode.replace': 'Replace existing counts',
+        'import.mode.skip': 'Skip days that already have counts',
+        'import.modeShort.merge': 'merge',
+        'import.modeShort.replace': 'replace',
+        'import.modeShort.skip': 'skip',
+        'import.mapColumns': 'Map Columns ({count} rows)',
+        'import.column': 'Column {number}',
+        'import.ignore': 'Ignore',
+        'import.date': 'Date',
+        'import.validate': 'Validate and Preview',
+        'import.preview': 'Preview: {days} days, {conflicts} already have counts',
+        'import.action': 'Action',
+        'import.existing': 'existing {count}',
+        'import.new': 'new',
+        'import.importing': 'Importing...',
+        'import.commit': 'Commit Import',
+        'import.history': 'Import History',
+        'import.historyDetail': '{days} days, {mode}, {date}',
+        'import.status.partial': 'partial',
+        'import.status.rolled_back': 'rolled back',
+        'import.rollBack': 'Roll back',
+        'import.readFailed': 'Could not read that file. Use a CSV or Excel workbook with a header row.',
+        'import.needsDate': 'Map one column to Date.',
+        'import.needsCategory': 'Map at least one column to a category.',
+        'import.badDate': 'Row {row}: "{value}" is not a valid date.',
+        'import.duplicateDate': 'Row {row}: {date} appears more than once in the file.',
+        'import.badCount': 'Row {row}, {column}: "{value}" is not a non-negative whole number.',
+        'import.moreErrors': '(and {count} more)',
+        'import.checkFailed': 'Could not check for existing days. Please check connection.',
+        'import.done': 'Imported {days} days from {file}.',
+        'import.stopped': 'Import stopped after {days} days. Those days can be rolled back below.',
+        'import.rolledBack': 'Rolled back the import of {file}.',
+        'import.rollbackFailed': 'Rollback failed. Please check connection and try again.',
+        'correction.title': 'Correct Daily Counts',
+        'correction.currently': '(currently {count})',
+        'correction.reason': 'Reason for correction',
+        'correction.reasonPlaceholder': 'e.g. Research button tapped twice by mistake at 3pm',
+        'correction.saving': 'Saving...',
+        'correction.save': 'Save Correction',
+        'correction.history': 'Correction History',
+        'correction.by': 'by',
+        'correction.loadFailed': "Could not load that day's counts.",
+        'correction.needsReason': 'A reason is required for every correction.',
+        'correction.saved': 'Counts for {servicePoint} on {date} updated.',
+        'correction.saveFailed': 'Failed to save correction. Please check connection.',
+        'error.changesRefused': 'The server refused {count} queued change(s) from this terminal. They are kept here for a supervisor to apply or discard.',
+        'refused.title': 'Changes Refused by the Server',
+        'refused.intro': 'These were recorded on this terminal but the server would not accept them, usually because they synced after their day had ended. Apply a tally or undo to the day as a correction, or discard it.',
+        'refused.tally': 'Tally: {category}',
+        'refused.void': 'Undo: {category}',
+        'refused.note': 'Note on {category}: {note}',
+        'refused.detail': '{date}, {servicePoint}, by {staff}',
+        'refused.apply': 'Apply as Correction',
+        'refused.discard': 'Discard',
+        'refused.tallyReason': 'Tally recorded {time} by {staff} was refused by the server; applied by a supervisor.',
+        'refused.voidReason': 'Undo recorded {time} by {staff} was refused by the server; applied by a supervisor.',
+        'refused.applied': 'Correction applied.',
+        'refused.applyFailed': 'Failed to apply the correction. Please check connection.',
+        'refused.discardFailed': 'Could not discard the change. Please try again.',
+        'common.save': 'Save',
+        'hotkeys.title': 'Keyboard Shortcuts',
+        'hotkeys.terminalOnly': 'Saved on this terminal only.',
+        'hotkeys.press': 'Press a key',
+        'hotkeys.none': 'None',
+        'hotkeys.undo': 'Undo last tally',
+        'hotkeys.reset': 'Reset to Defaults',
+        'export.title': 'Export Report',
+        'export.format': 'Export format',
+        'export.format.xlsx': 'Excel Workbook (.xlsx)',
+        'export.format.xlsx.description': 'The sheets you choose, plus a Metadata sheet.',
+        'export.format.json': 'JSON (.json)',
+        'export.format.json.description': 'Complete report data, including the period comparison, for archiving.',
+        'export.format.csv': 'Tidy CSV (.csv)',
+        'export.format.csv.description': 'Long format for pivot tables: one row per date and category, per interaction, or per comparison period and category.',
+        'export.rowsPer': 'One row per',
+        'export.rows.daily': 'date and category',
+        'export.rows.interaction': 'interaction (where recorded)',
+        'export.rows.comparison': 'comparison period and category',
+        'export.sheets': 'Sheets',
+        'export.sheet.daily': 'Daily',
+        'export.sheet.totals': 'Totals',
+        'export.sheet.comparison': 'Period comparison, daily averages and monthly trend',
+        'export.sheet.followUps': 'Follow-ups',
+        'export.download': 'Download',
+        'export.downloadLabel': 'Download {format}: {period}',
+        'export.preparing': 'Preparing...',
+        'export.period': '{preset}: {period}',
+        'common.remove': 'Remove',
+        'common.saving': 'Saving...',
+        'settings.title': 'Library Settings',
+        'settings.timezone': 'Timezone (the business day rolls over at local midnight)',
+        'settings.hours': 'Weekly Opening Hours',
+        'settings.closed': 'Closed',
+        'settings.to': 'to',
+        'settings.closures': 'Closures and Holidays',
+        'settings.from': 'From',
+        'settings.toOptional': 'To (optional)',
+        'settings.until': 'To',
+        'settings.label': 'Label',
+        'settings.closurePlaceholder': 'e.g. Thanksgiving',
+        'settings.addClosure': 'Add Closure',
+        'settings.sampling': 'Sampling Periods',
+        'settings.samplingIntro': 'For libraries that tally only in designated sample weeks. The annual estimate report extrapolates from the open days inside these periods.',
+        'settings.defaultSampleLabel': 'Sample Week',
+        'settings.samplingPlaceholder': 'e.g. Fall Sample Week',
+        'settings.addSampling': 'Add Sampling Period',
+        'settings.servicePoints': 'Service Points',
+        'settings.name': 'Name',
+        'settings.branch': 'Branch',
+        'settings.servicePointPlaceholder': "e.g. Children's Desk",
+        'settings.branchPlaceholder': 'e.g. Main Library',
+        'settings.addServicePoint': 'Add Service Point',
+        'settings.save': 'Save Settings',
+        'settings.saved': 'Library settings saved.',
+        'settings.saveFailed': 'Failed to save settings. Please check connection.',
+        'settings.samplingBackwards': 'A sampling period must end on or after the day it starts.',
+        'settings.samplingOverlap': 'That overlaps the sampling period "{label}".',
+        'settings.servicePointExists': 'A service point with the id "{id}" already exists.',
+        'settings.invalidTimezone': '"{timezone}" is not a valid IANA timezone.',
+        'settings.closesBeforeOpens': '{weekday} closes before it opens.',
+        'categories.title': 'Question Categories',
+        'categories.builtIn': 'Using the built-in categories. Saving will store them in the database.',
+        'categories.color.indigo': 'Indigo',
+        'categories.color.emerald': 'Emerald',
+        'categories.color.rose': 'Rose',
+        'categories.color.amber': 'Amber',
+        'categories.color.sky': 'Sky',
+        'categories.color.violet': 'Violet',
+        'categories.color.teal': 'Teal',
+        'categories.color.orange': 'Orange',
+        'categories.color.slate': 'Slate',
+        'categories.moveUp': 'Move up',
+        'categories.moveDown': 'Move down',
+        'categories.retire': 'Retire',
+        'categories.reactivate': 'Reactivate',
+        'categories.description': 'Description',
+        'categories.examplePlaceholder': 'Example: "..."',
+        'categories.example': 'Example',
+        'categories.translations': 'Translations',
+        'categories.translatedName': '{language} name',
+        'categories.translatedDescription': '{language} description',
+        'categories.translatedExample': '{language} example',
+        'categories.translationsHint': 'Blank fields show the English wording. Exports always use the English name.',
+        'categories.id': 'Id',
+        'categories.inUseFrom': 'in use from {date}',
+        'categories.retiredOn': 'retired {date}',
+        'categories.versions': '{count} versions',
+        'categories.newPlaceholder': "New category name, e.g. Readers' Advisory",
+        'categories.add': 'Add Category',
+        'categories.save': 'Save Categories',
+        'categories.saved': 'Categories saved.',
+        'categories.saveFailed': 'Failed to save categories. Please check connection.',
+        'categories.exists': 'A category with the id "{id}" already exists.',
+        'categories.nameRequired': 'Every category needs a name.',
+        'notes.title': 'Question Notes',
+        'notes.category': 'Category',
+        'notes.allCategories': 'All categories',
+        'notes.search': 'Search',
+        'notes.searchPlaceholder': 'Words in the note or FAQ topic',
+        'notes.faqOnly': 'FAQ-tagged only',
+        'notes.loading': 'Loading notes...',
+        'notes.none': 'No notes match.',
+        'notes.when': 'When',
+        'notes.note': 'Note',
+        'notes.faqTopic': 'FAQ Topic',
+        'notes.scrubbed': '(scrubbed)',
+        'notes.tagPlaceholder': 'Tag as FAQ...',
+        'notes.export': 'Export Draft FAQ (CSV)',
+        'notes.badRange': 'Choose a start date on or before the end date.',
+        'notes.loadFailed': 'Failed to load notes. Please check connection.',
+        'notes.tagFailed': 'Could not save the FAQ tag.',
+        'notes.tagFirst': 'Tag some notes with an FAQ topic first.',
+        'role.desk.description': 'Tally questions and undo their own recent taps',
+        'role.supervisor.description': 'Also view reports, export, import and correct counts',
+        'role.admin.description': 'Also manage categories, service points, settings and staff',
+        'staff.title': 'Staff Accounts',
+        'staff.reactivate': 'Reactivate',
+        'staff.deactivate': 'Deactivate',
+        'staff.add': 'Add Staff',
+        'staff.name': 'Name',
+        'staff.email': 'Email',
+        'staff.uid': 'Existing account UID (optional)',
+        'staff.adding': 'Adding...',
+        'staff.addMember': 'Add Staff Member',
+        'staff.loadFailed': 'Could not load staff accounts.',
+        'staff.nameRequired': 'Enter a name and an email address.',
+        'staff.added': 'Added {name}.',
+        'staff.addedWithEmail': 'Added {name}. A password setup email is on its way.',
+        'staff.emailInUse': 'That email already has an account. Enter its UID to add it to the staff list.',
+        'staff.addFailed': 'Could not add that person. Please check connection.',
+        'staff.updateFailed': 'Could not update that account.',
+        'consortium.title': 'Consortium',
+        'consortium.claimIntro': 'No consortium administrator has been set up yet. As an administrator of {library}, you can become the first one, then add member libraries.',
+        'consortium.claim': 'Become Consortium Administrator',
+        'consortium.askAdmin': 'Ask a consortium administrator to add you.',
+        'consortium.defaultAdminName': 'Consortium Administrator',
+        'consortium.claimed': 'You are now a consortium administrator.',
+        'consortium.claimFailed': 'Setup failed. Another consortium administrator may already exist.',
+        'consortium.invalidLibrary': 'Enter a name and an ID of lowercase letters, digits and hyphens.',
+        'consortium.libraryExists': 'A library with the ID "{id}" already exists.',
+        'consortium.invalidSubdomain': 'A subdomain may only contain lowercase letters, digits and hyphens.',
+        'consortium.libraryAdded': 'Added {name}. Open it to add its first administrator under Staff.',
+        'consortium.addLibraryFailed': 'Could not add the library.',
+        'consortium.librarySaved': 'Library saved.',
+        'consortium.saveLibraryFailed': 'Could not save the library.',
+        'consortium.addAdminFailed': 'Could not add that consortium administrator.',
+        'consortium.removeAdminFailed': 'Could not remove that consortium administrator.',
+        'consortium.totalsFailed': 'Could not load totals for every library.',
+        'consortium.allLibraries': 'All Libraries',
+        'consortium.allLibrariesPeriod': 'All Libraries: {period}',
+        'consortium.choosePeriod': 'Choose a report period below to see consortium totals.',
+        'consortium.loading': "Loading every library's counts...",
+        'consortium.category': 'Category',
+        'consortium.total': 'TOTAL',
+        'consortium.export': 'Export Consortium Totals (CSV)',
+        'consortium.libraries': 'Libraries',
+        'consortium.subdomain': 'Subdomain',
+        'consortium.thisLibrary': '(this library)',
+        'consortium.open': 'Open',
+        'consortium.name': 'Name',
+        'consortium.libraryPlaceholder': 'e.g. Eastside Public Library',
+        'consortium.id': 'ID',
+        'consortium.idPlaceholder': 'e.g. eastside',
+        'consortium.subdomainOptional': 'Subdomain (optional)',
+        'consortium.addLibrary': 'Add Library',
+        'consortium.admins': 'Consortium Administrators',
+        'consortium.accountUid': 'Account UID',
+        'consortium.addAdmin': 'Add Administrator',
+        'common.loading': 'Loading...',
+    },
+    es: {
+        'app.title': 'Registro de Consultas de Referencia',
+        'app.liveCount': 'Recuento en vivo del {date} ({timeZone}).',
+        'app.liveCountAt': 'Recuento en vivo del {date} ({timeZone}) en {library}.',
+        'app.signedInAs': 'Sesión iniciada como',
+        'app.signOut': 'Cerrar sesión',
+        'app.library': 'Biblioteca',
+        'app.servicePoint': 'Punto de servicio',
+        'app.language': 'Idioma',
+        'app.detailsStep': 'Preguntar esfuerzo, modo y duración después de cada toque',
+        'app.sound': 'Pitido en cada registro',
+        'app.usualMode': 'Modo de contacto habitual',
+        'app.shortcuts': 'Atajos de teclado...',
+        'app.kiosk': 'Modo quiosco',
+        'app.exitKiosk': 'Salir del quiosco',
+        'app.pendingSync': '{count} pendientes: se sincronizarán cuando vuelva la conexión',
+        'app.pending': '{count} pendientes',
+        'app.connecting': 'Conectando con el servidor seguro...',
+        'app.highContrast': 'Alto contraste',
+        'a11y.categoryCount': '{category}: {count}',
+        'a11y.undone': 'Deshecho. {category}: {count}',
+        'a11y.noteSaved': 'Nota guardada.',
+        'a11y.exportReport': 'Exportar el informe de {period}',
+        'a11y.printReport': 'Imprimir el informe de {period}',
+        'sampling.today': 'Día de muestra: {label} ({start} a {end}). Registre todas las consultas.',
+        'sampling.badge': 'Día de muestra: {label}',
+        'sampling.notToday': 'Hoy no está en un período de muestreo.',
+        'sampling.next': 'Próximo: {label}, {start} a {end}.',
+        'sampling.none': 'No hay más períodos de muestreo programados.',
+        'tally.recorded': 'Registrado: {category}',
+        'tally.addNote': 'Añadir nota',
+        'tally.undo': 'Deshacer',
+        'category.about': 'Acerca de {category}',
+        'details.effort': 'Esfuerzo (escala READ)',
+        'details.contactMode': 'Modo de contacto',
+        'details.duration': 'Duración aproximada (minutos)',
+        'details.typical': '{minutes} (habitual para {level})',
+        'details.record': 'Registrar',
+        'common.cancel': 'Cancelar',
+        'common.close': 'Cerrar',
+        'note.label': 'Nota (opcional): qué se preguntó, sin nombres ni datos de contacto',
+        'note.placeholder': 'p. ej. ¿Cómo imprimo desde mi portátil?',
+        'note.redacted': 'Se eliminaron datos personales. Se guardará como: {note}',
+        'note.title': 'Nota para {category}',
+        'note.save': 'Guardar nota',
+        'effort.1': 'Esfuerzo mínimo; no requiere conocimientos especializados ni consulta.',
+        'effort.2': 'Esfuerzo nominal; algo de conocimiento de los recursos o una búsqueda rápida.',
+        'effort.3': 'Algo de esfuerzo y tiempo; requiere conocimientos y habilidades de referencia.',
+        'effort.4': 'Tiempo considerable; conocimiento de varios recursos y estrategia de búsqueda.',
+        'effort.5': 'Tiempo y esfuerzo sustanciales; experiencia en la materia o consulta.',
+        'effort.6': 'Máximo esfuerzo; investigación a fondo y conocimientos especializados.',
+        'mode.in_person': 'En persona',
+        'mode.phone': 'Teléfono',
+        'mode.email': 'Correo electrónico',
+        'mode.chat': 'Chat',
+        'mode.roving': 'En sala',
+        'role.desk': 'Personal de mostrador',
+        'role.supervisor': 'Supervisor',
+        'role.admin': 'Administrador',
+        'signIn.email': 'Correo electrónico',
+        'signIn.password': 'Contraseña',
+        'signIn.submit': 'Iniciar sesión',
+        'signIn.busy': 'Iniciando sesión...',
+        'signIn.forgot': '¿Olvidó su contraseña?',
+        'signIn.failed': 'No se pudo iniciar sesión. Compruebe su correo y contraseña.',
+        'signIn.enterEmail': 'Primero escriba su correo electrónico.',
+        'signIn.resetSent': 'Revise su correo: le enviamos un enlace para crear una contraseña nueva.',
+        'signIn.resetFailed': 'No se pudo enviar el correo de restablecimiento a esa dirección.',
+        'noAccess.title': 'Sin acceso de personal',
+        'noAccess.message': '{account} no está en la lista de personal de {library}, o ha sido desactivada. Pida a un administrador que le añada.',
+        'noAccess.thisAccount': 'Esta cuenta',
+        'noAccess.bootstrap': 'Configurar como primer administrador',
+        'noAccess.otherLibrary': 'Abrir otra biblioteca',
+        'noAccess.setupFailed': 'La configuración falló. Puede que ya se haya configurado otro administrador.',
+        'chooser.library': 'Biblioteca',
+        'chooser.remembered': 'Este terminal abrirá la misma biblioteca la próxima vez.',
+        'chooser.continue': 'Continuar',
+        'preset.this_week': 'Esta semana',
+        'preset.last_week': 'La semana pasada',
+        'preset.this_month': 'Este mes',
+        'preset.academic_term': 'Período académico',
+        'preset.fiscal_year': 'Año fiscal',
+        'preset.custom': 'Rango personalizado',
+        'report.period': 'Período del informe',
+        'report.servicePoints': 'Puntos de servicio',
+        'report.allServicePoints': 'Todos (todo el sistema)',
+        'report.allServicePointsLabel': 'Todos los puntos de servicio',
+        'report.branch': 'Sucursal: {branch}',
+        'report.start': 'Inicio',
+        'report.end': 'Fin',
+        'report.invalidRange': 'Elija una fecha de inicio igual o anterior a la fecha de fin.',
+        'report.export': 'Exportar...',
+        'report.print': 'Imprimir informe',
+        'report.notes': 'Notas de consultas',
+        'report.correct': 'Corregir recuentos',
+        'report.import': 'Importar',
+        'report.settings': 'Configuración',
+        'report.categories': 'Categorías',
+        'report.staff': 'Personal',
+        'report.consortium': 'Consorcio',
+        'report.showOriginals': 'Mostrar valores originales (antes de corregir) en el informe y la exportación',
+        'report.title': 'Informe resumen de consultas de referencia',
+        'report.dailyTotals': 'Totales del día: {date}, {servicePoint}',
+        'report.byEffort': 'Por esfuerzo:',
+        'report.byMode': 'Por modo de contacto:',
+        'report.effortHoursToday': 'Horas de esfuerzo:',
+        'report.aggregation': 'Totales del período',
+        'report.grandTotal': 'Total general ({days} días)',
+        'report.perOpenHour': 'Consultas por hora de apertura',
+        'report.openHours': '{hours} horas de apertura en el período',
+        'report.effortHours': 'Horas de esfuerzo',
+        'report.effortHoursNote': 'Tiempo registrado o habitual según READ dedicado a {count} consultas',
+        'report.range': '{start} a {end}',
+        'report.noPeriod': 'Ningún período seleccionado',
+        'report.view.breakdown': 'Desglose diario',
+        'report.view.analytics': 'Análisis de afluencia',
+        'report.view.comparison': 'Comparación de períodos',
+        'report.view.estimate': 'Estimación anual',
+        'report.estimateHeading': 'Estimación anual a partir de días de muestra: {scope}',
+        'report.date': 'Fecha',
+        'report.dailyTotal': 'Total diario',
+        'report.perOpenHourShort': 'Por hora de apertura',
+        'report.periodTotal': 'TOTAL DEL PERÍODO',
+        'report.notInUse': '{category} no estaba en uso este día',
+        'report.was': 'antes {count}',
+        'report.closed': 'Cerrado',
+        'report.effortAndMode': 'Esfuerzo y modo de contacto',
+        'report.unrecorded': 'En este período, {effort} registros no tienen nivel de esfuerzo y {modes} no tienen modo de contacto (registrados antes de capturar estos detalles, o añadidos por una corrección).',
+        'report.byServicePoint': 'Por punto de servicio',
+        'followUp.button': 'Seguimiento',
+        'followUp.title': 'Seguimiento de {category}',
+        'followUp.summary': 'Qué requiere seguimiento (sin nombres ni datos de contacto aquí)',
+        'followUp.summaryPlaceholder': 'p. ej. Busca actas del ayuntamiento de los años veinte; consultar Historia Local',
+        'followUp.assignee': 'Asignado a (persona o equipo)',
+        'followUp.dueDate': 'Fecha límite',
+        'followUp.contactPreference': 'Cómo quiere el usuario recibir respuesta',
+        'followUp.contact.none': 'Sin contacto: volverá a consultar',
+        'followUp.contact.email': 'Correo electrónico',
+        'followUp.contact.phone': 'Llamada telefónica',
+        'followUp.contact.text': 'Mensaje de texto',
+        'followUp.consent': 'El usuario aceptó ser contactado y dio estos datos',
+        'followUp.contact': 'Contacto (se borra al cerrar el seguimiento)',
+        'followUp.save': 'Marcar para seguimiento',
+        'followUp.saved': 'Marcado para seguimiento.',
+        'followUp.saveFailed': 'No se pudo guardar el seguimiento. Inténtelo de nuevo.',
+        'followUp.tallyPending': 'Este registro aún no ha llegado al servidor. Inténtelo de nuevo en un momento.',
+        'followUp.tallyUndone': 'Este registro se deshizo, así que no hay nada que seguir.',
+        'followUp.alreadyFlagged': 'Este registro ya está marcado para seguimiento.',
+        'followUp.updateFailed': 'No se pudo actualizar el seguimiento. Compruebe la conexión.',
+        'followUp.queueLoadFailed': 'No se pudo cargar la cola de seguimiento.',
+        'followUp.reportLoadFailed': 'No se pudieron cargar los seguimientos del informe.',
+        'followUp.needsAssignee': 'Indique quién hará el seguimiento.',
+        'followUp.needsDueDate': 'Elija una fecha límite.',
+        'followUp.needsConsent': 'Registre solo los datos de contacto que el usuario aceptó dar.',
+        'followUp.needsContact': 'Escriba los datos de contacto o elija sin contacto.',
+        'followUp.queue': 'Cola de seguimiento',
+        'followUp.queueCount': 'Seguimientos ({count})',
+        'followUp.status.open': 'Abiertos',
+        'followUp.status.in_progress': 'En curso',
+        'followUp.status.closed': 'Cerrados',
+        'followUp.empty': 'No hay nada aquí.',
+        'followUp.flagged': 'Marcado el {date} en {servicePoint}',
+        'followUp.due': 'Vence el {date}',
+        'followUp.overdue': 'Vencido',
+        'followUp.assignedTo': 'Asignado a {assignee}',
+        'followUp.assignToMe': 'Asignarme',
+        'followUp.start': 'Empezar',
+        'followUp.close': 'Cerrar',
+        'followUp.reopen': 'Reabrir',
+        'followUp.resolution': 'Resultado',
+        'followUp.resolution.answered': 'Respondida',
+        'followUp.resolution.referred_out': 'Derivada fuera de la biblioteca',
+        'followUp.resolution.no_response': 'No se pudo contactar al usuario',
+        'followUp.resolution.withdrawn': 'Ya no es necesaria',
+        'followUp.closedOn': 'Cerrado el {date}: {resolution}',
+        'followUp.report.flagged': 'Marcados para seguimiento',
+        'followUp.report.share': '{percent} de las consultas del período',
+        'followUp.report.stillOpen': 'Aún abiertos',
+        'followUp.report.overdue': '{count} vencidos',
+        'followUp.report.median': 'Mediana del tiempo de resolución',
+        'followUp.report.hours': '{hours} h',
+        'followUp.report.hoursDetail': 'Media {mean} h · percentil 90: {p90} h',
+        'followUp.report.onTime': 'Cerrados a tiempo',
+        'followUp.report.onTimeDetail': '{onTime} de {closed} cerrados',
+        'followUp.report.byCategory': 'Por categoría',
+        'followUp.report.byAssignee': 'Por responsable',
+        'followUp.report.category': 'Categoría',
+        'followUp.report.assignee': 'Responsable',
+        'followUp.report.flaggedColumn': 'Marcados',
+        'followUp.report.medianColumn': 'Horas (mediana)',
+        'followUp.report.outcomes': 'Resultados',
+        'followUp.report.none': 'No se marcaron seguimientos en este período.',
+        'followUp.report.note': 'Los tiempos son horas transcurridas desde que se marcó hasta el cierre, no horas de apertura.',
+        'report.view.followups': 'Seguimientos',
+        'common.pending': 'Pendiente',
+        'error.initFailed': 'No se pudo iniciar la aplicación. Consulte la consola para más detalles.',
+        'error.realtimeFailed': 'No se pudieron cargar los datos en tiempo real.',
+        'error.storageFull': 'El almacenamiento de este navegador está lleno. Los nuevos registros quedan en la cola de este terminal, pero no se pueden guardar hasta liberar espacio; exporte el informe para conservar una copia.',
+        'error.notConnected': 'La base de datos no está conectada.',
+        'error.recordFailed': 'No se pudo registrar la consulta. Inténtelo de nuevo.',
+        'error.undoFailed': 'No se pudo deshacer el último registro. Inténtelo de nuevo.',
+        'error.noteFailed': 'No se pudo guardar la nota. Inténtelo de nuevo.',
+        'error.reportFailed': 'No se pudieron cargar los datos del informe.',
+        'error.analyticsFailed': 'No se pudieron cargar las consultas para el análisis.',
+        'error.comparisonFailed': 'No se pudieron cargar los periodos de comparación.',
+        'error.estimateFailed': 'No se pudieron cargar los datos de la estimación anual.',
+        'error.exportFailed': 'No se pudo exportar el informe.',
+        'analytics.category': 'Categoría',
+        'analytics.allCategories': 'Todas las categorías',
+        'analytics.categoryFilter': 'Categoría: {categories}',
+        'analytics.heatMap': 'Cuándo llegan las consultas',
+        'analytics.loading': 'Cargando consultas...',
+        'analytics.none': 'No hay consultas con hora en este periodo.',
+        'analytics.cell': '{day} {hour}: {count}',
+        'analytics.heatMapNote': '{count} consultas con hora. No se incluyen los días registrados antes de que se guardaran las consultas individuales.',
+        'analytics.dailyTrend': 'Tendencia diaria por categoría',
+        'analytics.weeklyTrend': 'Tendencia semanal por categoría',
+        'analytics.trendLabel': 'Tendencia apilada de consultas por categoría',
+        'analytics.bar': '{date} {category}: {count}',
+        'analytics.peakHours': 'Horas punta',
+        'analytics.rank': 'Puesto',
+        'analytics.day': 'Día',
+        'analytics.hour': 'Hora',
+        'analytics.questions': 'Consultas',
+        'analytics.perWeek': 'Media semanal',
+        'analytics.hourRange': '{start} a {end}',
+        'comparison.loading': 'Cargando periodos de comparación...',
+        'comparison.ranges': 'Seleccionado: {current} · Anterior: {previous} · Año pasado: {lastYear}',
+        'comparison.category': 'Categoría',
+        'comparison.selected': 'Seleccionado',
+        'comparison.previous': 'Anterior',
+        'comparison.change': 'Cambio',
+        'comparison.lastYear': 'Año pasado',
+        'comparison.total': 'TOTAL',
+        'comparison.dailyHeading': 'Totales diarios con media móvil de {days} días',
+        'comparison.dailyLabel': 'Totales diarios con media móvil de {days} días',
+        'comparison.point': '{date}: {count}',
+        'comparison.dailyTotal': 'Total diario',
+        'comparison.average': 'Media de {days} días',
+        'comparison.lastYearAverage': 'Mismas fechas del año pasado (media de {days} días)',
+        'comparison.monthly': 'Tendencia mensual',
+        'comparison.monthlyLabel': 'Totales mensuales de consultas',
+        'comparison.monthInProgress': '{date}: {count} (mes en curso)',
+        'comparison.partialNote': 'El punto hueco es un mes todavía en curso.',
+        'estimate.year': 'Año',
+        'estimate.download': 'Descargar campos de la encuesta (CSV)',
+        'estimate.loading': 'Cargando los registros del año...',
+        'estimate.noPeriods': 'No hay periodos de muestreo en {year}. Un administrador puede añadirlos en Configuración.',
+        'estimate.annual': 'Estimación anual',
+        'estimate.sampledDays': 'Días de apertura muestreados',
+        'estimate.ofScheduled': 'de {count} previstos',
+        'estimate.openDays': 'Días de apertura en el año',
+        'estimate.coverage': 'Cobertura',
+        'estimate.method': 'Método:',
+        'estimate.methodText': 'Estimación anual extrapolada a partir de {sampled} días de apertura muestreados ({coverage} de {open} días de apertura en {year}): {total} consultas registradas, {mean} por día de apertura, multiplicadas por {open} días de apertura.',
+        'estimate.noSample': 'Todavía no hay días de apertura muestreados; no se puede hacer una estimación.',
+        'estimate.periods': 'Periodos de muestreo: {periods}',
+        'estimate.period': '{label} ({range})',
+        'estimate.quietDays': 'No se registraron consultas en {count} día(s) de apertura muestreado(s): {dates}. Compruebe que fueron días realmente tranquilos y no registros olvidados.',
+        'estimate.category': 'Categoría',
+        'estimate.sampled': 'Muestreado',
+        'estimate.total': 'TOTAL',
+        'estimate.surveyFields': 'Campos de la encuesta',
+        'estimate.survey': 'Encuesta',
+        'estimate.field': 'Campo',
+        'estimate.value': 'Valor',
+        'import.title': 'Importar recuentos históricos',
+        'import.file': 'Archivo CSV o Excel',
+        'import.conflictMode': 'Si un día ya tiene recuentos',
+        'import.mode.merge': 'Combinar (sumar a los recuentos existentes)',
+        'import.mode.replace': 'Reemplazar los recuentos existentes',
+        'import.mode.skip': 'Omitir los días que ya tienen recuentos',
+        'import.modeShort.merge': 'combinar',
+        'import.modeShort.replace': 'reemplazar',
+        'import.modeShort.skip': 'omitir',
+        'import.mapColumns': 'Asignar columnas ({count} filas)',
+        'import.column': 'Columna {number}',
+        'import.ignore': 'Ignorar',
+        'import.date': 'Fecha',
+        'import.validate': 'Validar y previsualizar',
+        'import.preview': 'Vista previa: {days} días, {conflicts} ya tienen recuentos',
+        'import.action': 'Acción',
+        'import.existing': 'existente {count}',
+        'import.new': 'nuevo',
+        'import.importing': 'Importando...',
+        'import.commit': 'Confirmar importación',
+        'import.history': 'Historial de importaciones',
+        'import.historyDetail': '{days} días, {mode}, {date}',
+        'import.status.partial': 'parcial',
+        'import.status.rolled_back': 'revertida',
+        'import.rollBack': 'Revertir',
+        'import.readFailed': 'No se pudo leer el archivo. Use un CSV o un libro de Excel con una fila de encabezados.',
+        'import.needsDate': 'Asigne una columna a Fecha.',
+        'import.needsCategory': 'Asigne al menos una columna a una categoría.',
+        'import.badDate': 'Fila {row}: «{value}» no es una fecha válida.',
+        'import.duplicateDate': 'Fila {row}: {date} aparece más de una vez en el archivo.',
+        'import.badCount': 'Fila {row}, {column}: «{value}» no es un número entero no negativo.',
+        'import.moreErrors': '(y {count} más)',
+        'import.checkFailed': 'No se pudieron comprobar los días existentes. Compruebe la conexión.',
+        'import.done': 'Se importaron {days} días de {file}.',
+        'import.stopped': 'La importación se detuvo tras {days} días. Esos días se pueden revertir abajo.',
+        'import.rolledBack': 'Se revirtió la importación de {file}.',
+        'import.rollbackFailed': 'No se pudo revertir. Compruebe la conexión e inténtelo de nuevo.',
+        'correction.title': 'Corregir recuentos diarios',
+        'correction.currently': '(actualmente {count})',
+        'correction.reason': 'Motivo de la corrección',
+        'correction.reasonPlaceholder': 'p. ej. Se pulsó dos veces por error el botón de Investigación a las 15:00',
+        'correction.saving': 'Guardando...',
+        'correction.save': 'Guardar corrección',
+        'correction.history': 'Historial de correcciones',
+        'correction.by': 'por',
+        'correction.loadFailed': 'No se pudieron cargar los recuentos de ese día.',
+        'correction.needsReason': 'Cada corrección necesita un motivo.',
+        'correction.saved': 'Recuentos de {servicePoint} del {date} actualizados.',
+        'correction.saveFailed': 'No se pudo guardar la corrección. Compruebe la conexión.',
+        'error.changesRefused': 'El servidor rechazó {count} cambio(s) en cola de este terminal. Se conservan aquí para que un supervisor los aplique o descarte.',
+        'refused.title': 'Cambios rechazados por el servidor',
+        'refused.intro': 'Se registraron en este terminal, pero el servidor no los aceptó, normalmente porque se sincronizaron después de terminar su día. Aplique un registro o una anulación al día como corrección, o descártelo.',
+        'refused.tally': 'Registro: {category}',
+        'refused.void': 'Anulación: {category}',
+        'refused.note': 'Nota sobre {category}: {note}',
+        'refused.detail': '{date}, {servicePoint}, por {staff}',
+        'refused.apply': 'Aplicar como corrección',
+        'refused.discard': 'Descartar',
+        'refused.tallyReason': 'Registro hecho el {time} por {staff} rechazado por el servidor; aplicado por un supervisor.',
+        'refused.voidReason': 'Anulación hecha el {time} por {staff} rechazada por el servidor; aplicada por un supervisor.',
+        'refused.applied': 'Corrección aplicada.',
+        'refused.applyFailed': 'No se pudo aplicar la corrección. Compruebe la conexión.',
+        'refused.discardFailed': 'No se pudo descartar el cambio. Inténtelo de nuevo.',
+        'common.save': 'Guardar',
+        'hotkeys.title': 'Atajos de teclado',
+        'hotkeys.terminalOnly': 'Se guardan solo en este terminal.',
+        'hotkeys.press': 'Pulse una tecla',
+        'hotkeys.none': 'Ninguno',
+        'hotkeys.undo': 'Deshacer el último registro',
+        'hotkeys.reset': 'Restablecer valores predeterminados',
+        'export.title': 'Exportar informe',
+        'export.format': 'Formato de exportación',
+        'export.format.xlsx': 'Libro de Excel (.xlsx)',
+        'export.format.xlsx.description': 'Las hojas que elija, más una hoja de metadatos.',
+        'export.format.json': 'JSON (.json)',
+        'export.format.json.description': 'Todos los datos del informe, incluida la comparación de periodos, para archivar.',
+        'export.format.csv': 'CSV ordenado (.csv)',
+        'export.format.csv.description': 'Formato largo para tablas dinámicas: una fila por fecha y categoría, por consulta, o por periodo de comparación y categoría.',
+        'export.rowsPer': 'Una fila por',
+        'export.rows.daily': 'fecha y categoría',
+        'export.rows.interaction': 'consulta (cuando se registró)',
+        'export.rows.comparison': 'periodo de comparación y categoría',
+        'export.sheets': 'Hojas',
+        'export.sheet.daily': 'Diaria',
+        'export.sheet.totals': 'Totales',
+        'export.sheet.comparison': 'Comparación de periodos, medias diarias y tendencia mensual',
+        'export.sheet.followUps': 'Seguimientos',
+        'export.download': 'Descargar',
+        'export.downloadLabel': 'Descargar {format}: {period}',
+        'export.preparing': 'Preparando...',
+        'export.period': '{preset}: {period}',
+        'common.remove': 'Quitar',
+        'common.saving': 'Guardando...',
+        'settings.title': 'Configuración de la biblioteca',
+        'settings.timezone': 'Zona horaria (el día de servicio cambia a medianoche, hora local)',
+        'settings.hours': 'Horario semanal',
+        'settings.closed': 'Cerrado',
+        'settings.to': 'a',
+        'settings.closures': 'Cierres y festivos',
+        'settings.from': 'Desde',
+        'settings.toOptional': 'Hasta (opcional)',
+        'settings.until': 'Hasta',
+        'settings.label': 'Etiqueta',
+        'settings.closurePlaceholder': 'p. ej. Día de Acción de Gracias',
+        'settings.addClosure': 'Añadir cierre',
+        'settings.sampling': 'Períodos de muestreo',
+        'settings.samplingIntro': 'Para bibliotecas que registran solo en semanas de muestra designadas. El informe de estimación anual extrapola a partir de los días abiertos dentro de estos períodos.',
+        'settings.defaultSampleLabel': 'Semana de muestra',
+        'settings.samplingPlaceholder': 'p. ej. Semana de muestra de otoño',
+        'settings.addSampling': 'Añadir período de muestreo',
+        'settings.servicePoints': 'Puntos de servicio',
+        'settings.name': 'Nombre',
+        'settings.branch': 'Sucursal',
+        'settings.servicePointPlaceholder': 'p. ej. Mostrador infantil',
+        'settings.branchPlaceholder': 'p. ej. Biblioteca central',
+        'settings.addServicePoint': 'Añadir punto de servicio',
+        'settings.save': 'Guardar configuración',
+        'settings.saved': 'Configuración de la biblioteca guardada.',
+        'settings.saveFailed': 'No se pudo guardar la configuración. Compruebe la conexión.',
+        'settings.samplingBackwards': 'Un período de muestreo debe terminar el mismo día en que empieza o después.',
+        'settings.samplingOverlap': 'Se superpone con el período de muestreo «{label}».',
+        'settings.servicePointExists': 'Ya existe un punto de servicio con el id «{id}».',
+        'settings.invalidTimezone': '«{timezone}» no es una zona horaria IANA válida.',
+        'settings.closesBeforeOpens': 'El {weekday} cierra antes de abrir.',
+        'categories.title': 'Categorías de consultas',
+        'categories.builtIn': 'Se usan las categorías integradas. Al guardar se almacenarán en la base de datos.',
+        'categories.color.indigo': 'Índigo',
+        'categories.color.emerald': 'Esmeralda',
+        'categories.color.rose': 'Rosa',
+        'categories.color.amber': 'Ámbar',
+        'categories.color.sky': 'Celeste',
+        'categories.color.violet': 'Violeta',
+        'categories.color.teal': 'Verde azulado',
+        'categories.color.orange': 'Naranja',
+        'categories.color.slate': 'Pizarra',
+        'categories.moveUp': 'Subir',
+        'categories.moveDown': 'Bajar',
+        'categories.retire': 'Retirar',
+        'categories.reactivate': 'Reactivar',
+        'categories.description': 'Descripción',
+        'categories.examplePlaceholder': 'Ejemplo: «...»',
+        'categories.example': 'Ejemplo',
+        'categories.translations': 'Traducciones',
+        'categories.translatedName': 'Nombre en {language}',
+        'categories.translatedDescription': 'Descripción en {language}',
+        'categories.translatedExample': 'Ejemplo en {language}',
+        'categories.translationsHint': 'Los campos vacíos muestran el texto en inglés. Las exportaciones siempre usan el nombre en inglés.',
+        'categories.id': 'Id',
+        'categories.inUseFrom': 'en uso desde el {date}',
+        'categories.retiredOn': 'retirada el {date}',
+        'categories.versions': '{count} versiones',
+        'categories.newPlaceholder': 'Nombre de la nueva categoría, p. ej. Recomendaciones de lectura',
+        'categories.add': 'Añadir categoría',
+        'categories.save': 'Guardar categorías',
+        'categories.saved': 'Categorías guardadas.',
+        'categories.saveFailed': 'No se pudieron guardar las categorías. Compruebe la conexión.',
+        'categories.exists': 'Ya existe una categoría con el id «{id}».',
+        'categories.nameRequired': 'Cada categoría necesita un nombre.',
+        'notes.title': 'Notas de consultas',
+        'notes.category': 'Categoría',
+        'notes.allCategories': 'Todas las categorías',
+        'notes.search': 'Buscar',
+        'notes.searchPlaceholder': 'Palabras de la nota o del tema de FAQ',
+        'notes.faqOnly': 'Solo las etiquetadas como FAQ',
+        'notes.loading': 'Cargando notas...',
+        'notes.none': 'Ninguna nota coincide.',
+        'notes.when': 'Cuándo',
+        'notes.note': 'Nota',
+        'notes.faqTopic': 'Tema de FAQ',
+        'notes.scrubbed': '(depurada)',
+        'notes.tagPlaceholder': 'Etiquetar como FAQ...',
+        'notes.export': 'Exportar borrador de FAQ (CSV)',
+        'notes.badRange': 'Elija una fecha de inicio igual o anterior a la fecha de fin.',
+        'notes.loadFailed': 'No se pudieron cargar las notas. Compruebe la conexión.',
+        'notes.tagFailed': 'No se pudo guardar la etiqueta de FAQ.',
+        'notes.tagFirst': 'Primero etiquete algunas notas con un tema de FAQ.',
+        'role.desk.description': 'Registrar consultas y deshacer sus propios registros recientes',
+        'role.supervisor.description': 'Además, ver informes, exportar, importar y corregir recuentos',
+        'role.admin.description': 'Además, gestionar categorías, puntos de servicio, configuración y personal',
+        'staff.title': 'Cuentas del personal',
+        'staff.reactivate': 'Reactivar',
+        'staff.deactivate': 'Desactivar',
+        'staff.add': 'Añadir personal',
+        'staff.name': 'Nombre',
+        'staff.email': 'Correo electrónico',
+        'staff.uid': 'UID de una cuenta existente (opcional)',
+        'staff.adding': 'Añadiendo...',
+        'staff.addMember': 'Añadir miembro del personal',
+        'staff.loadFailed': 'No se pudieron cargar las cuentas del personal.',
+        'staff.nameRequired': 'Introduzca un nombre y una dirección de correo electrónico.',
+        'staff.added': 'Se añadió a {name}.',
+        'staff.addedWithEmail': 'Se añadió a {name}. Recibirá un correo para establecer su contraseña.',
+        'staff.emailInUse': 'Ese correo ya tiene una cuenta. Introduzca su UID para añadirla a la lista del personal.',
+        'staff.addFailed': 'No se pudo añadir a esa persona. Compruebe la conexión.',
+        'staff.updateFailed': 'No se pudo actualizar esa cuenta.',
+        'consortium.title': 'Consorcio',
+        'consortium.claimIntro': 'Todavía no se ha configurado ningún administrador del consorcio. Como administrador de {library}, puede ser el primero y después añadir las bibliotecas miembro.',
+        'consortium.claim': 'Ser administrador del consorcio',
+        'consortium.askAdmin': 'Pida a un administrador del consorcio que le añada.',
+        'consortium.defaultAdminName': 'Administrador del consorcio',
+        'consortium.claimed': 'Ahora es administrador del consorcio.',
+        'consortium.claimFailed': 'La configuración falló. Puede que ya exista otro administrador del consorcio.',
+        'consortium.invalidLibrary': 'Introduzca un nombre y un ID de letras minúsculas, dígitos y guiones.',
+        'consortium.libraryExists': 'Ya existe una biblioteca con el ID «{id}».',
+        'consortium.invalidSubdomain': 'Un subdominio solo puede contener letras minúsculas, dígitos y guiones.',
+        'consortium.libraryAdded': 'Se añadió {name}. Ábrala para añadir su primer administrador en Personal.',
+        'consortium.addLibraryFailed': 'No se pudo añadir la biblioteca.',
+        'consortium.librarySaved': 'Biblioteca guardada.',
+        'consortium.saveLibraryFailed': 'No se pudo guardar la biblioteca.',
+        'consortium.addAdminFailed': 'No se pudo añadir a ese administrador del consorcio.',
+        'consortium.removeAdminFailed': 'No se pudo quitar a ese administrador del consorcio.',
+        'consortium.totalsFailed': 'No se pudieron cargar los totales de todas las bibliotecas.',
+        'consortium.allLibraries': 'Todas las bibliotecas',
+        'consortium.allLibrariesPeriod': 'Todas las bibliotecas: {period}',
+        'consortium.choosePeriod': 'Elija un período de informe abajo para ver los totales del consorcio.',
+        'consortium.loading': 'Cargando los recuentos de todas las bibliotecas...',
+        'consortium.category': 'Categoría',
+        'consortium.total': 'TOTAL',
+        'consortium.export': 'Exportar totales del consorcio (CSV)',
+        'consortium.libraries': 'Bibliotecas',
+        'consortium.subdomain': 'Subdominio',
+        'consortium.thisLibrary': '(esta biblioteca)',
+        'consortium.open': 'Abrir',
+        'consortium.name': 'Nombre',
+        'consortium.libraryPlaceholder': 'p. ej. Biblioteca Pública del Este',
+        'consortium.id': 'ID',
+        'consortium.idPlaceholder': 'p. ej. eastside',
+        'consortium.subdomainOptional': 'Subdominio (opcional)',
+        'consortium.addLibrary': 'Añadir biblioteca',
+        'consortium.admins': 'Administradores del consorcio',
+        'consortium.accountUid': 'UID de la cuenta',
+        'consortium.addAdmin': 'Añadir administrador',
+        'common.loading': 'Cargando...',
+    },
+    fr: {
+        'app.title': 'Comptage des questions de référence',
+        'app.liveCount': 'Décompte en direct du {date} ({timeZone}).',
+        'app.liveCountAt': 'Décompte en direct du {date} ({timeZone}) à {library}.',
+        'app.signedInAs': 'Connecté en tant que',
+        'app.signOut': 'Se déconnecter',
+        'app.library': 'Bibliothèque',
+        'app.servicePoint': 'Point de service',
+        'app.language': 'Langue',
+        'app.detailsStep': "Demander l'effort, le mode et la durée après chaque saisie",
+        'app.sound': 'Bip à chaque saisie',
+        'app.usualMode': 'Mode de contact habituel',
+        'app.shortcuts': 'Raccourcis clavier...',
+        'app.kiosk': 'Mode kiosque',
+        'app.exitKiosk': 'Quitter le kiosque',
+        'app.pendingSync': '{count} en attente — synchronisation au retour de la connexion',
+        'app.pending': '{count} en attente',
+        'app.connecting': 'Connexion au serveur sécurisé...',
+        'app.highContrast': 'Contraste élevé',
+        'a11y.categoryCount': '{category} : {count}',
+        'a11y.undone': 'Annulé. {category} : {count}',
+        'a11y.noteSaved': 'Note enregistrée.',
+        'a11y.exportReport': 'Exporter le rapport pour {period}',
+        'a11y.printReport': 'Imprimer le rapport pour {period}',
+        'sampling.today': "Jour d'échantillonnage : {label} (du {start} au {end}). Veuillez compter chaque question.",
+        'sampling.badge': "Jour d'échantillonnage : {label}",
+        'sampling.notToday': "Aujourd'hui ne fait pas partie d'une période d'échantillonnage.",
+        'sampling.next': 'Prochaine : {label}, du {start} au {end}.',
+        'sampling.none': "Aucune autre période d'échantillonnage n'est prévue.",
+        'tally.recorded': 'Enregistré : {category}',
+        'tally.addNote': 'Ajouter une note',
+        'tally.undo': 'Annuler',
+        'category.about': 'À propos de {category}',
+        'details.effort': 'Effort (échelle READ)',
+        'details.contactMode': 'Mode de contact',
+        'details.duration': 'Durée approximative (minutes)',
+        'details.typical': '{minutes} (habituel pour {level})',
+        'details.record': 'Enregistrer',
+        'common.cancel': 'Annuler',
+        'common.close': 'Fermer',
+        'note.label': 'Note (facultative) : la question posée, sans noms ni coordonnées',
+        'note.placeholder': 'p. ex. Comment imprimer depuis mon portable ?',
+        'note.redacted': 'Données personnelles retirées. Sera enregistrée ainsi : {note}',
+        'note.title': 'Note pour {category}',
+        'note.save': 'Enregistrer la note',
+        'effort.1': 'Effort minimal ; aucune connaissance spécialisée ni consultation nécessaire.',
+        'effort.2': 'Effort faible ; une certaine connaissance des ressources ou une recherche rapide.',
+        'effort.3': 'Un peu de temps et d’effort ; connaissances et compétences de référence nécessaires.',
+        'effort.4': 'Temps considérable ; connaissance de plusieurs ressources et stratégie de recherche.',
+        'effort.5': 'Temps et effort importants ; expertise du sujet ou consultation.',
+        'effort.6': 'Effort maximal ; recherche approfondie et connaissances spécialisées.',
+        'mode.in_person': 'En personne',
+        'mode.phone': 'Téléphone',
+        'mode.email': 'Courriel',
+        'mode.chat': 'Clavardage',
+        'mode.roving': 'Itinérant',
+        'role.desk': 'Personnel du comptoir',
+        'role.supervisor': 'Superviseur',
+        'role.admin': 'Administrateur',
+        'signIn.email': 'Courriel',
+        'signIn.password': 'Mot de passe',
+        'signIn.submit': 'Se connecter',
+        'signIn.busy': 'Connexion...',
+        'signIn.forgot': 'Mot de passe oublié ?',
+        'signIn.failed': 'Échec de la connexion. Vérifiez votre courriel et votre mot de passe.',
+        'signIn.enterEmail': "Saisissez d'abord votre adresse courriel.",
+        'signIn.resetSent': 'Un lien pour choisir un nouveau mot de passe vous a été envoyé par courriel.',
+        'signIn.resetFailed': "Impossible d'envoyer un courriel de réinitialisation à cette adresse.",
+        'noAccess.title': 'Aucun accès personnel',
+        'noAccess.message': "{account} ne figure pas sur la liste du personnel de {library}, ou a été désactivé. Demandez à un administrateur de vous ajouter.",
+        'noAccess.thisAccount': 'Ce compte',
+        'noAccess.bootstrap': 'Devenir le premier administrateur',
+        'noAccess.otherLibrary': 'Ouvrir une autre bibliothèque',
+        'noAccess.setupFailed': 'La configuration a échoué. Un autre administrateur a peut-être déjà été désigné.',
+        'chooser.library': 'Bibliothèque',
+        'chooser.remembered': 'Ce poste ouvrira la même bibliothèque la prochaine fois.',
+        'chooser.continue': 'Continuer',
+        'preset.this_week': 'Cette semaine',
+        'preset.last_week': 'La semaine dernière',
+        'preset.this_month': 'Ce mois-ci',
+        'preset.academic_term': 'Session universitaire',
+        'preset.fiscal_year': 'Exercice financier',
+        'preset.custom': 'Période personnalisée',
+        'report.period': 'Période du rapport',
+        'report.servicePoints': 'Points de service',
+        'report.allServicePoints': "Tous (l'ensemble du réseau)",
+        'report.allServicePointsLabel': 'Tous les points de service',
+        'report.branch': 'Succursale : {branch}',
+        'report.start': 'Début',
+        'report.end': 'Fin',
+        'report.invalidRange': 'Choisissez une date de début antérieure ou égale à la date de fin.',
+        'report.export': 'Exporter...',
+        'report.print': 'Imprimer le rapport',
+        'report.notes': 'Notes sur les questions',
+        'report.correct': 'Corriger les décomptes',
+        'report.import': 'Importer',
+        'report.settings': 'Paramètres',
+        'report.categories': 'Catégories',
+        'report.staff': 'Personnel',
+        'report.consortium': 'Consortium',
+        'report.showOriginals': 'Afficher les valeurs originales (avant correction) dans le rapport et l’exportation',
+        'report.title': 'Rapport sommaire des questions de référence',
+        'report.dailyTotals': 'Totaux du jour : {date}, {servicePoint}',
+        'report.byEffort': 'Par effort :',
+        'report.byMode': 'Par mode de contact :',
+        'report.effortHoursToday': "Heures d'effort :",
+        'report.aggregation': 'Totaux de la période',
+        'report.grandTotal': 'Total général ({days} jours)',
+        'report.perOpenHour': "Questions par heure d'ouverture",
+        'report.openHours': "{hours} heures d'ouverture dans la période",
+        'report.effortHours': "Heures d'effort",
+        'report.effortHoursNote': 'Temps enregistré ou habituel selon READ consacré à {count} questions',
+        'report.range': 'du {start} au {end}',
+        'report.noPeriod': 'Aucune période choisie',
+        'report.view.breakdown': 'Détail par jour',
+        'report.view.analytics': 'Analyse de fréquentation',
+        'report.view.comparison': 'Comparaison de périodes',
+        'report.view.estimate': 'Estimation annuelle',
+        'report.estimateHeading': "Estimation annuelle à partir des jours d'échantillonnage : {scope}",
+        'report.date': 'Date',
+        'report.dailyTotal': 'Total du jour',
+        'report.perOpenHourShort': "Par heure d'ouverture",
+        'report.periodTotal': 'TOTAL DE LA PÉRIODE',
+        'report.notInUse': "{category} n'était pas en usage ce jour-là",
+        'report.was': 'avant {count}',
+        'report.closed': 'Fermé',
+        'report.effortAndMode': 'Effort et mode de contact',
+        'report.unrecorded': "Dans cette période, {effort} saisies n'ont pas de niveau d'effort et {modes} n'ont pas de mode de contact (enregistrées avant la saisie de ces détails, ou ajoutées par une correction).",
+        'report.byServicePoint': 'Par point de service',
+        'followUp.button': 'Suivi',
+        'followUp.title': 'Suivi pour {category}',
+        'followUp.summary': 'Ce qui nécessite un suivi (sans noms ni coordonnées ici)',
+        'followUp.summaryPlaceholder': 'p. ex. Cherche les procès-verbaux municipaux des années 1920 ; voir Histoire locale',
+        'followUp.assignee': 'Assigné à (personne ou équipe)',
+        'followUp.dueDate': 'Échéance',
+        'followUp.contactPreference': 'Comment l’usager souhaite être recontacté',
+        'followUp.contact.none': 'Aucun contact : l’usager reviendra',
+        'followUp.contact.email': 'Courriel',
+        'followUp.contact.phone': 'Appel téléphonique',
+        'followUp.contact.text': 'Message texte',
+        'followUp.consent': 'L’usager a accepté d’être contacté et a fourni ces coordonnées',
+        'followUp.contact': 'Coordonnées (supprimées à la fermeture du suivi)',
+        'followUp.save': 'Signaler pour suivi',
+        'followUp.saved': 'Signalé pour suivi.',
+        'followUp.saveFailed': 'Impossible d’enregistrer le suivi. Veuillez réessayer.',
+        'followUp.tallyPending': 'Ce comptage n’a pas encore atteint le serveur. Réessayez dans un instant.',
+        'followUp.tallyUndone': 'Ce comptage a été annulé ; il n’y a rien à suivre.',
+        'followUp.alreadyFlagged': 'Ce comptage est déjà signalé pour suivi.',
+        'followUp.updateFailed': 'Impossible de mettre à jour le suivi. Vérifiez la connexion.',
+        'followUp.queueLoadFailed': 'Impossible de charger la file de suivi.',
+        'followUp.reportLoadFailed': 'Impossible de charger les suivis du rapport.',
+        'followUp.needsAssignee': 'Indiquez qui fera le suivi.',
+        'followUp.needsDueDate': 'Choisissez une échéance.',
+        'followUp.needsConsent': 'N’enregistrez que les coordonnées que l’usager a accepté de donner.',
+        'followUp.needsContact': 'Saisissez les coordonnées ou choisissez aucun contact.',
+        'followUp.queue': 'File de suivi',
+        'followUp.queueCount': 'Suivis ({count})',
+        'followUp.status.open': 'Ouverts',
+        'followUp.status.in_progress': 'En cours',
+        'followUp.status.closed': 'Fermés',
+        'followUp.empty': 'Rien ici.',
+        'followUp.flagged': 'Signalé le {date} à {servicePoint}',
+        'followUp.due': 'Échéance le {date}',
+        'followUp.overdue': 'En retard',
+        'followUp.assignedTo': 'Assigné à {assignee}',
+        'followUp.assignToMe': 'Me l’assigner',
+        'followUp.start': 'Commencer',
+        'followUp.close': 'Fermer',
+        'followUp.reopen': 'Rouvrir',
+        'followUp.resolution': 'Résultat',
+        'followUp.resolution.answered': 'Répondue',
+        'followUp.resolution.referred_out': 'Orientée hors de la bibliothèque',
+        'followUp.resolution.no_response': 'Usager injoignable',
+        'followUp.resolution.withdrawn': 'Plus nécessaire',
+        'followUp.closedOn': 'Fermé le {date} : {resolution}',
+        'followUp.report.flagged': 'Signalés pour suivi',
+        'followUp.report.share': '{percent} des questions de la période',
+        'followUp.report.stillOpen': 'Encore ouverts',
+        'followUp.report.overdue': '{count} en retard',
+        'followUp.report.median': 'Délai médian de résolution',
+        'followUp.report.hours': '{hours} h',
+        'followUp.report.hoursDetail': 'Moyenne {mean} h · 90e centile {p90} h',
+        'followUp.report.onTime': 'Fermés dans les délais',
+        'followUp.report.onTimeDetail': '{onTime} sur {closed} fermés',
+        'followUp.report.byCategory': 'Par catégorie',
+        'followUp.report.byAssignee': 'Par responsable',
+        'followUp.report.category': 'Catégorie',
+        'followUp.report.assignee': 'Responsable',
+        'followUp.report.flaggedColumn': 'Signalés',
+        'followUp.report.medianColumn': 'Heures (médiane)',
+        'followUp.report.outcomes': 'Résultats',
+        'followUp.report.none': 'Aucun suivi signalé pendant cette période.',
+        'followUp.report.note': 'Les délais sont en heures écoulées entre le signalement et la fermeture, et non en heures d’ouverture.',
+        'report.view.followups': 'Suivis',
+        'common.pending': 'En attente',
+        'error.initFailed': 'Impossible de démarrer l’application. Consultez la console pour plus de détails.',
+        'error.realtimeFailed': 'Impossible de charger les données en temps réel.',
+        'error.storageFull': 'Le stockage de ce navigateur est plein. Les nouveaux comptages restent dans la file de ce poste mais ne peuvent pas être enregistrés tant que de l’espace n’est pas libéré ; exportez le rapport pour en garder une copie.',
+        'error.notConnected': 'La base de données n’est pas connectée.',
+        'error.recordFailed': 'Impossible d’enregistrer le comptage. Veuillez réessayer.',
+        'error.undoFailed': 'Impossible d’annuler le dernier comptage. Veuillez réessayer.',
+        'error.noteFailed': 'Impossible d’enregistrer la note. Veuillez réessayer.',
+        'error.reportFailed': 'Impossible de charger les données du rapport.',
+        'error.analyticsFailed': 'Impossible de charger les interactions pour l’analyse.',
+        'error.comparisonFailed': 'Impossible de charger les périodes de comparaison.',
+        'error.estimateFailed': 'Impossible de charger les données de l’estimation annuelle.',
+        'error.exportFailed': 'Impossible d’exporter le rapport.',
+        'analytics.category': 'Catégorie',
+        'analytics.allCategories': 'Toutes les catégories',
+        'analytics.categoryFilter': 'Catégorie : {categories}',
+        'analytics.heatMap': 'Quand arrivent les questions',
+        'analytics.loading': 'Chargement des interactions...',
+        'analytics.none': 'Aucune interaction horodatée pendant cette période.',
+        'analytics.cell': '{day} {hour} : {count}',
+        'analytics.heatMapNote': '{count} questions horodatées. Les jours saisis avant l’enregistrement des interactions individuelles ne sont pas inclus.',
+        'analytics.dailyTrend': 'Tendance quotidienne par catégorie',
+        'analytics.weeklyTrend': 'Tendance hebdomadaire par catégorie',
+        'analytics.trendLabel': 'Tendance empilée des questions par catégorie',
+        'analytics.bar': '{date} {category} : {count}',
+        'analytics.peakHours': 'Heures de pointe',
+        'analytics.rank': 'Rang',
+        'analytics.day': 'Jour',
+        'analytics.hour': 'Heure',
+        'analytics.questions': 'Questions',
+        'analytics.perWeek': 'Moyenne par semaine',
+        'analytics.hourRange': '{start} à {end}',
+        'comparison.loading': 'Chargement des périodes de comparaison...',
+        'comparison.ranges': 'Sélection : {current} · Précédente : {previous} · Année dernière : {lastYear}',
+        'comparison.category': 'Catégorie',
+        'comparison.selected': 'Sélection',
+        'comparison.previous': 'Précédente',
+        'comparison.change': 'Variation',
+        'comparison.lastYear': 'Année dernière',
+        'comparison.total': 'TOTAL',
+        'comparison.dailyHeading': 'Totaux quotidiens avec moyenne mobile sur {days} jours',
+        'comparison.dailyLabel': 'Totaux quotidiens avec moyenne mobile sur {days} jours',
+        'comparison.point': '{date} : {count}',
+        'comparison.dailyTotal': 'Total quotidien',
+        'comparison.average': 'Moyenne sur {days} jours',
+        'comparison.lastYearAverage': 'Mêmes dates l’année dernière (moyenne sur {days} jours)',
+        'comparison.monthly': 'Tendance mensuelle',
+        'comparison.monthlyLabel': 'Totaux mensuels des questions',
+        'comparison.monthInProgress': '{date} : {count} (mois en cours)',
+        'comparison.partialNote': 'Le point creux est un mois encore en cours.',
+        'estimate.year': 'Année',
+        'estimate.download': 'Télécharger les champs d’enquête (CSV)',
+        'estimate.loading': 'Chargement des comptages de l’année...',
+        'estimate.noPeriods': 'Aucune période d’échantillonnage en {year}. Un administrateur peut en ajouter dans les Paramètres.',
+        'estimate.annual': 'Estimation annuelle',
+        'estimate.sampledDays': 'Jours d’ouverture échantillonnés',
+        'estimate.ofScheduled': 'sur {count} prévus',
+        'estimate.openDays': 'Jours d’ouverture dans l’année',
+        'estimate.coverage': 'Couverture',
+        'estimate.method': 'Méthode :',
+        'estimate.methodText': 'Estimation annuelle extrapolée à partir de {sampled} jours d’ouverture échantillonnés ({coverage} des {open} jours d’ouverture de {year}) : {total} questions enregistrées, soit {mean} par jour d’ouverture, multipliées par {open} jours d’ouverture.',
+        'estimate.noSample': 'Aucun jour d’ouverture échantillonné pour l’instant ; aucune estimation n’est possible.',
+        'estimate.periods': 'Périodes d’échantillonnage : {periods}',
+        'estimate.period': '{label} ({range})',
+        'estimate.quietDays': 'Aucune question n’a été enregistrée sur {count} jour(s) d’ouverture échantillonné(s) : {dates}. Vérifiez qu’il s’agit bien de jours calmes et non de comptages oubliés.',
+        'estimate.category': 'Catégorie',
+        'estimate.sampled': 'Échantillon',
+        'estimate.total': 'TOTAL',
+        'estimate.surveyFields': 'Champs d’enquête',
+        'estimate.survey': 'Enquête',
+        'estimate.field': 'Champ',
+        'estimate.value': 'Valeur',
+        'import.title': 'Importer des comptages historiques',
+        'import.file': 'Fichier CSV ou Excel',
+        'import.conflictMode': 'Si un jour a déjà des comptages',
+        'import.mode.merge': 'Fusionner (ajouter aux comptages existants)',
+        'import.mode.replace': 'Remplacer les comptages existants',
+        'import.mode.skip': 'Ignorer les jours qui ont déjà des comptages',
+        'import.modeShort.merge': 'fusionner',
+        'import.modeShort.replace': 'remplacer',
+        'import.modeShort.skip': 'ignorer',
+        'import.mapColumns': 'Associer les colonnes ({count} lignes)',
+        'import.column': 'Colonne {number}',
+        'import.ignore': 'Ignorer',
+        'import.date': 'Date',
+        'import.validate': 'Valider et prévisualiser',
+        'import.preview': 'Aperçu : {days} jours, dont {conflicts} ont déjà des comptages',
+        'import.action': 'Action',
+        'import.existing': 'existant {count}',
+        'import.new': 'nouveau',
+        'import.importing': 'Importation...',
+        'import.commit': 'Valider l’importation',
+        'import.history': 'Historique des importations',
+        'import.historyDetail': '{days} jours, {mode}, {date}',
+        'import.status.partial': 'partielle',
+        'import.status.rolled_back': 'annulée',
+        'import.rollBack': 'Annuler',
+        'import.readFailed': 'Impossible de lire ce fichier. Utilisez un CSV ou un classeur Excel avec une ligne d’en-tête.',
+        'import.needsDate': 'Associez une colonne à Date.',
+        'import.needsCategory': 'Associez au moins une colonne à une catégorie.',
+        'import.badDate': 'Ligne {row} : « {value} » n’est pas une date valide.',
+        'import.duplicateDate': 'Ligne {row} : {date} apparaît plusieurs fois dans le fichier.',
+        'import.badCount': 'Ligne {row}, {column} : « {value} » n’est pas un nombre entier positif ou nul.',
+        'import.moreErrors': '(et {count} de plus)',
+        'import.checkFailed': 'Impossible de vérifier les jours existants. Vérifiez la connexion.',
+        'import.done': '{days} jours importés depuis {file}.',
+        'import.stopped': 'L’importation s’est arrêtée après {days} jours. Ces jours peuvent être annulés ci-dessous.',
+        'import.rolledBack': 'L’importation de {file} a été annulée.',
+        'import.rollbackFailed': 'L’annulation a échoué. Vérifiez la connexion et réessayez.',
+        'correction.title': 'Corriger les comptages quotidiens',
+        'correction.currently': '(actuellement {count})',
+        'correction.reason': 'Motif de la correction',
+        'correction.reasonPlaceholder': 'ex. : bouton Recherche touché deux fois par erreur à 15 h',
+        'correction.saving': 'Enregistrement...',
+        'correction.save': 'Enregistrer la correction',
+        'correction.history': 'Historique des corrections',
+        'correction.by': 'par',
+        'correction.loadFailed': 'Impossible de charger les comptages de ce jour.',
+        'correction.needsReason': 'Chaque correction doit avoir un motif.',
+        'correction.saved': 'Comptages de {servicePoint} du {date} mis à jour.',
+        'correction.saveFailed': 'Impossible d’enregistrer la correction. Vérifiez la connexion.',
+        'error.changesRefused': 'Le serveur a refusé {count} modification(s) en attente sur ce poste. Elles sont conservées ici pour qu’un superviseur les applique ou les écarte.',
+        'refused.title': 'Modifications refusées par le serveur',
+        'refused.intro': 'Elles ont été saisies sur ce poste mais le serveur les a refusées, en général parce qu’elles ont été synchronisées après la fin de leur journée. Appliquez un comptage ou une annulation à la journée comme correction, ou écartez-le.',
+        'refused.tally': 'Comptage : {category}',
+        'refused.void': 'Annulation : {category}',
+        'refused.note': 'Note sur {category} : {note}',
+        'refused.detail': '{date}, {servicePoint}, par {staff}',
+        'refused.apply': 'Appliquer comme correction',
+        'refused.discard': 'Écarter',
+        'refused.tallyReason': 'Comptage saisi le {time} par {staff} refusé par le serveur ; appliqué par un superviseur.',
+        'refused.voidReason': 'Annulation saisie le {time} par {staff} refusée par le serveur ; appliquée par un superviseur.',
+        'refused.applied': 'Correction appliquée.',
+        'refused.applyFailed': 'Impossible d’appliquer la correction. Vérifiez la connexion.',
+        'refused.discardFailed': 'Impossible d’écarter la modification. Veuillez réessayer.',
+        'common.save': 'Enregistrer',
+        'hotkeys.title': 'Raccourcis clavier',
+        'hotkeys.terminalOnly': 'Enregistrés sur ce poste uniquement.',
+        'hotkeys.press': 'Appuyez sur une touche',
+        'hotkeys.none': 'Aucun',
+        'hotkeys.undo': 'Annuler le dernier comptage',
+        'hotkeys.reset': 'Rétablir les valeurs par défaut',
+        'export.title': 'Exporter le rapport',
+        'export.format': 'Format d’exportation',
+        'export.format.xlsx': 'Classeur Excel (.xlsx)',
+        'export.format.xlsx.description': 'Les feuilles choisies, plus une feuille de métadonnées.',
+        'export.format.json': 'JSON (.json)',
+        'export.format.json.description': 'Toutes les données du rapport, y compris la comparaison des périodes, pour l’archivage.',
+        'export.format.csv': 'CSV structuré (.csv)',
+        'export.format.csv.description': 'Format long pour les tableaux croisés : une ligne par date et catégorie, par interaction, ou par période de comparaison et catégorie.',
+        'export.rowsPer': 'Une ligne par',
+        'export.rows.daily': 'date et catégorie',
+        'export.rows.interaction': 'interaction (si enregistrée)',
+        'export.rows.comparison': 'période de comparaison et catégorie',
+        'export.sheets': 'Feuilles',
+        'export.sheet.daily': 'Quotidienne',
+        'export.sheet.totals': 'Totaux',
+        'export.sheet.comparison': 'Comparaison des périodes, moyennes quotidiennes et tendance mensuelle',
+        'export.sheet.followUps': 'Suivis',
+        'export.download': 'Télécharger',
+        'export.downloadLabel': 'Télécharger {format} : {period}',
+        'export.preparing': 'Préparation...',
+        'export.period': '{preset} : {period}',
+        'common.remove': 'Retirer',
+        'common.saving': 'Enregistrement...',
+        'settings.title': 'Paramètres de la bibliothèque',
+        'settings.timezone': 'Fuseau horaire (la journée change à minuit, heure locale)',
+        'settings.hours': 'Horaires d’ouverture hebdomadaires',
+        'settings.closed': 'Fermé',
+        'settings.to': 'à',
+        'settings.closures': 'Fermetures et jours fériés',
+        'settings.from': 'Du',
+        'settings.toOptional': 'Au (facultatif)',
+        'settings.until': 'Au',
+        'settings.label': 'Libellé',
+        'settings.closurePlaceholder': 'p. ex. Action de grâce',
+        'settings.addClosure': 'Ajouter une fermeture',
+        'settings.sampling': 'Périodes d’échantillonnage',
+        'settings.samplingIntro': 'Pour les bibliothèques qui ne comptent que pendant des semaines d’échantillonnage désignées. Le rapport d’estimation annuelle extrapole à partir des jours d’ouverture compris dans ces périodes.',
+        'settings.defaultSampleLabel': 'Semaine d’échantillonnage',
+        'settings.samplingPlaceholder': 'p. ex. Semaine d’échantillonnage d’automne',
+        'settings.addSampling': 'Ajouter une période d’échantillonnage',
+        'settings.servicePoints': 'Points de service',
+        'settings.name': 'Nom',
+        'settings.branch': 'Succursale',
+        'settings.servicePointPlaceholder': 'p. ex. Comptoir jeunesse',
+        'settings.branchPlaceholder': 'p. ex. Bibliothèque centrale',
+        'settings.addServicePoint': 'Ajouter un point de service',
+        'settings.save': 'Enregistrer les paramètres',
+        'settings.saved': 'Paramètres de la bibliothèque enregistrés.',
+        'settings.saveFailed': 'Échec de l’enregistrement des paramètres. Vérifiez la connexion.',
+        'settings.samplingBackwards': 'Une période d’échantillonnage doit se terminer le jour où elle commence ou après.',
+        'settings.samplingOverlap': 'Cela chevauche la période d’échantillonnage « {label} ».',
+        'settings.servicePointExists': 'Un point de service avec l’identifiant « {id} » existe déjà.',
+        'settings.invalidTimezone': '« {timezone} » n’est pas un fuseau horaire IANA valide.',
+        'settings.closesBeforeOpens': 'Le {weekday}, la fermeture précède l’ouverture.',
+        'categories.title': 'Catégories de questions',
+        'categories.builtIn': 'Catégories intégrées utilisées. L’enregistrement les stockera dans la base de données.',
+        'categories.color.indigo': 'Indigo',
+        'categories.color.emerald': 'Émeraude',
+        'categories.color.rose': 'Rose',
+        'categories.color.amber': 'Ambre',
+        'categories.color.sky': 'Ciel',
+        'categories.color.violet': 'Violet',
+        'categories.color.teal': 'Bleu sarcelle',
+        'categories.color.orange': 'Orange',
+        'categories.color.slate': 'Ardoise',
+        'categories.moveUp': 'Monter',
+        'categories.moveDown': 'Descendre',
+        'categories.retire': 'Retirer',
+        'categories.reactivate': 'Réactiver',
+        'categories.description': 'Description',
+        'categories.examplePlaceholder': 'Exemple : « ... »',
+        'categories.example': 'Exemple',
+        'categories.translations': 'Traductions',
+        'categories.translatedName': 'Nom en {language}',
+        'categories.translatedDescription': 'Description en {language}',
+        'categories.translatedExample': 'Exemple en {language}',
+        'categories.translationsHint': 'Les champs vides affichent le texte anglais. Les exportations utilisent toujours le nom anglais.',
+        'categories.id': 'Identifiant',
+        'categories.inUseFrom': 'utilisée depuis le {date}',
+        'categories.retiredOn': 'retirée le {date}',
+        'categories.versions': '{count} versions',
+        'categories.newPlaceholder': 'Nom de la nouvelle catégorie, p. ex. Conseils de lecture',
+        'categories.add': 'Ajouter une catégorie',
+        'categories.save': 'Enregistrer les catégories',
+        'categories.saved': 'Catégories enregistrées.',
+        'categories.saveFailed': 'Échec de l’enregistrement des catégories. Vérifiez la connexion.',
+        'categories.exists': 'Une catégorie avec l’identifiant « {id} » existe déjà.',
+        'categories.nameRequired': 'Chaque catégorie doit avoir un nom.',
+        'notes.title': 'Notes des questions',
+        'notes.category': 'Catégorie',
+        'notes.allCategories': 'Toutes les catégories',
+        'notes.search': 'Rechercher',
+        'notes.searchPlaceholder': 'Mots de la note ou du thème FAQ',
+        'notes.faqOnly': 'Uniquement les notes étiquetées FAQ',
+        'notes.loading': 'Chargement des notes...',
+        'notes.none': 'Aucune note ne correspond.',
+        'notes.when': 'Quand',
+        'notes.note': 'Note',
+        'notes.faqTopic': 'Thème FAQ',
+        'notes.scrubbed': '(expurgée)',
+        'notes.tagPlaceholder': 'Étiqueter comme FAQ...',
+        'notes.export': 'Exporter le brouillon de FAQ (CSV)',
+        'notes.badRange': 'Choisissez une date de début antérieure ou égale à la date de fin.',
+        'notes.loadFailed': 'Échec du chargement des notes. Vérifiez la connexion.',
+        'notes.tagFailed': 'Impossible d’enregistrer l’étiquette FAQ.',
+        'notes.tagFirst': 'Étiquetez d’abord quelques notes avec un thème FAQ.',
+        'role.desk.description': 'Compter les questions et annuler leurs propres pressions récentes',
+        'role.supervisor.description': 'Également consulter les rapports, exporter, importer et corriger les comptes',
+        'role.admin.description': 'Également gérer les catégories, les points de service, les paramètres et le personnel',
+        'staff.title': 'Comptes du personnel',
+        'staff.reactivate': 'Réactiver',
+        'staff.deactivate': 'Désactiver',
+        'staff.add': 'Ajouter du personnel',
+        'staff.name': 'Nom',
+        'staff.email': 'Courriel',
+        'staff.uid': 'UID d’un compte existant (facultatif)',
+        'staff.adding': 'Ajout...',
+        'staff.addMember': 'Ajouter un membre du personnel',
+        'staff.loadFailed': 'Impossible de charger les comptes du personnel.',
+        'staff.nameRequired': 'Saisissez un nom et une adresse courriel.',
+        'staff.added': '{name} a été ajouté(e).',
+        'staff.addedWithEmail': '{name} a été ajouté(e). Un courriel de création de mot de passe est en route.',
+        'staff.emailInUse': 'Ce courriel a déjà un compte. Saisissez son UID pour l’ajouter à la liste du personnel.',
+        'staff.addFailed': 'Impossible d’ajouter cette personne. Vérifiez la connexion.',
+        'staff.updateFailed': 'Impossible de mettre à jour ce compte.',
+        'consortium.title': 'Consortium',
+        'consortium.claimIntro': 'Aucun administrateur du consortium n’a encore été désigné. En tant qu’administrateur de {library}, vous pouvez devenir le premier, puis ajouter les bibliothèques membres.',
+        'consortium.claim': 'Devenir administrateur du consortium',
+        'consortium.askAdmin': 'Demandez à un administrateur du consortium de vous ajouter.',
+        'consortium.defaultAdminName': 'Administrateur du consortium',
+        'consortium.claimed': 'Vous êtes maintenant administrateur du consortium.',
+        'consortium.claimFailed': 'La configuration a échoué. Un autre administrateur du consortium existe peut-être déjà.',
+        'consortium.invalidLibrary': 'Saisissez un nom et un identifiant composé de lettres minuscules, de chiffres et de tirets.',
+        'consortium.libraryExists': 'Une bibliothèque avec l’identifiant « {id} » existe déjà.',
+        'consortium.invalidSubdomain': 'Un sous-domaine ne peut contenir que des lettres minuscules, des chiffres et des tirets.',
+        'consortium.libraryAdded': '{name} a été ajoutée. Ouvrez-la pour ajouter son premier administrateur dans Personnel.',
+        'consortium.addLibraryFailed': 'Impossible d’ajouter la bibliothèque.',
+        'consortium.librarySaved': 'Bibliothèque enregistrée.',
+        'consortium.saveLibraryFailed': 'Impossible d’enregistrer la bibliothèque.',
+        'consortium.addAdminFailed': 'Impossible d’ajouter cet administrateur du consortium.',
+        'consortium.removeAdminFailed': 'Impossible de retirer cet administrateur du consortium.',
+        'consortium.totalsFailed': 'Impossible de charger les totaux de toutes les bibliothèques.',
+        'consortium.allLibraries': 'Toutes les bibliothèques',
+        'consortium.allLibrariesPeriod': 'Toutes les bibliothèques : {period}',
+        'consortium.choosePeriod': 'Choisissez une période de rapport ci-dessous pour voir les totaux du consortium.',
+        'consortium.loading': 'Chargement des comptes de toutes les bibliothèques...',
+        'consortium.category': 'Catégorie',
+        'consortium.total': 'TOTAL',
+        'consortium.export': 'Exporter les totaux du consortium (CSV)',
+        'consortium.libraries': 'Bibliothèques',
+        'consortium.subdomain': 'Sous-domaine',
+        'consortium.thisLibrary': '(cette bibliothèque)',
+        'consortium.open': 'Ouvrir',
+        'consortium.name': 'Nom',
+        'consortium.libraryPlaceholder': 'p. ex. Bibliothèque publique de l’Est',
+        'consortium.id': 'Identifiant',
+        'consortium.idPlaceholder': 'p. ex. eastside',
+        'consortium.subdomainOptional': 'Sous-domaine (facultatif)',
+        'consortium.addLibrary': 'Ajouter une bibliothèque',
+        'consortium.admins': 'Administrateurs du consortium',
+        'consortium.accountUid': 'UID du compte',
+        'consortium.addAdmin': 'Ajouter un administrateur',
+        'common.loading': 'Chargement...',
+    },
+};
+
+// Look up a message and fill in its {placeholders}
+const translate = (language, key, values = {}) => {
+    const template = (MESSAGES[language] && MESSAGES[language][key]) ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+};
+
+// A category's name, description and example in the given language, where an admin has
+// translated them; `translations` is { es: { name, description, example }, fr: { ... } }
+const localizeCategory = (category, language) => {
+    const translation = (category.translations || {})[language] || {};
+    return {
+        ...category,
+        name: translation.name || category.name,
+        description: translation.description || category.description,
+        example: translation.example || category.example
+    };
+};
+
+// A YYYY-MM-DD date for display, e.g. "Mon, Oct 5, 2026" or "lun. 5 oct. 2026". Date IDs
+// are calendar dates, so they are formatted in UTC to keep the browser's zone out of it.
+const formatDisplayDate = (dateId, language, options = { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' }) => {
+    return new Intl.DateTimeFormat(language, { ...options, timeZone: 'UTC' }).format(parseDateId(dateId));
+};
+
+const formatNumber = (value, language, fractionDigits = 0) => {
+    return new Intl.NumberFormat(language, { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }).format(value);
+};
+
+// A day of the week (0 = Sunday) by name; 2023-01-01 fell on a Sunday
+const formatWeekday = (weekday, language, width = 'long') => {
+    return formatDisplayDate(addDays('2023-01-01', weekday), language, { weekday: width });
+};
+
+// An hour of the day (0-23), e.g. "3 PM" or "15 h"
+const formatHour = (hour, language) => {
+    return new Intl.DateTimeFormat(language, { hour: 'numeric', timeZone: 'UTC' }).format(new Date(Date.UTC(2023, 0, 1, hour)));
+};
+
+// A YYYY-MM month key, e.g. "Oct 2026" or "oct. 2026"
+const formatMonth = (monthId, language, options = { year: 'numeric', month: 'short' }) => {
+    return formatDisplayDate(`${monthId}-01`, language, options);
+};
+
+// A signed change for display, e.g. "+12" or "−3"; percentages are fractions of 100
+const formatSignedNumber = (value, language, style = 'decimal') => {
+    return new Intl.NumberFormat(language, {
+        style,
+        signDisplay: 'exceptZero',
+        maximumFractionDigits: style === 'percent' ? 1 : 0
+    }).format(style === 'percent' ? value / 100 : value);
+};
+
+// The terminal's language: the one chosen here before, or the browser's if supported
+const getTerminalLanguage = () => {
+    try {
+        const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        if (isSupportedLanguage(stored)) return stored;
+    } catch (e) {
+        console.error("Could not read this terminal's language:", e);
+    }
+    const browser = typeof navigator !== 'undefined' ? (navigator.language || '').slice(0, 2) : '';
+    return isSupportedLanguage(browser) ? browser : DEFAULT_LANGUAGE;
+};
+
+// Components read the current language and translator from here
+const I18nContext = createContext({
+    language: DEFAULT_LANGUAGE,
+    setLanguage: () => {},
+    t: (key, values) => translate(DEFAULT_LANGUAGE, key, values)
+});
+
+const useI18n = () => useContext(I18nContext);
+
+// --- Staff Roles ---
+// Every person signs in with a named account. What they can do comes from their staff
+// profile in the library they are using (staff/{uid}); firestore.rules enforces the same
+// roles on the server, so hiding a control here is a convenience, not the protection.
+// Named and described by the `role.*` messages
+const STAFF_ROLES = ['desk', 'supervisor', 'admin'];
+
+const ROLE_PERMISSIONS = {
+    desk: ['tally'],
+    supervisor: ['tally', 'viewReports', 'export', 'correct'],
+    admin: ['tally', 'viewReports', 'export', 'correct', 'manageLibrary', 'manageStaff'],
+};
+
+const can = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Without Firebase there are no accounts; whoever uses the terminal manages it
+const LOCAL_STAFF_PROFILE = { displayName: 'This terminal', role: 'admin' };
+const LOCAL_USER_ID = 'local';
+
+// Name of the secondary Firebase app used to create staff accounts without signing the
+// administrator out of their own session
+const PROVISIONING_APP_NAME = 'staff-provisioning';
+
+// --- Service Points ---
+// Each terminal tallies for one service point (a desk, phone line or branch desk). Counts
+// are stored in one daily document per service point. The default service point keeps the
+// plain date as its document ID, so documents written before service points existed count
+// toward it without any migration.
+const DEFAULT_SERVICE_POINT = 'main_desk';
+
+// Where this device remembers which service point it tallies for
+const SERVICE_POINT_STORAGE_KEY = 'refTally.servicePoint';
+
+const getRollupDocId = (dateId, servicePointId) => {
+    return servicePointId === DEFAULT_SERVICE_POINT ? dateId : `${dateId}_${servicePointId}`;
+};
+
+const getDocServicePoint = (data) => data.servicePoint || DEFAULT_SERVICE_POINT;
+
+// Report filter values are 'all', 'sp:<servicePointId>' or 'branch:<branch name>'
+const matchesServicePointFilter = (data, filter, servicePoints) => {
+    if (filter === 'all') return true;
+    const servicePointId = getDocServicePoint(data);
+    if (filter.startsWith('sp:')) return servicePointId === filter.slice(3);
+    if (filter.startsWith('branch:')) {
+        const servicePoint = servicePoints.find(sp => sp.id === servicePointId);
+        return !!servicePoint && servicePoint.branch === filter.slice(7);
+    }
+    return false;
+};
+
+// --- Libraries ---
+// One deployment can serve a consortium. Each library keeps its own settings, categories,
+// staff and counts under its own path, and the security rules only let that library's staff
+// reach it. The default library keeps the original single-library path, so a deployment
+// that predates consortia needs no migration. The registry (artifacts/{appId}/libraries)
+// holds each library's name and optional subdomain. Without Firebase there is one library.
+const DEFAULT_LIBRARY_ID = 'main';
+const DEFAULT_LIBRARY_NAME = 'Main Library';
+const LIBRARIES_PATH = `artifacts/${appId}/libraries`;
+const CONSORTIUM_ADMINS_PATH = `artifacts/${appId}/consortium_admins`;
+const CONSORTIUM_BOOTSTRAP_PATH = `artifacts/${appId}/consortium/bootstrap`;
+
+// Where this terminal remembers which library it belongs to
+const LIBRARY_STORAGE_KEY = 'refTally.library';
+
+// Library IDs become path segments and subdomains
+const LIBRARY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const getLibraryBasePath = (libraryId) => {
+    return libraryId === DEFAULT_LIBRARY_ID ? `artifacts/${appId}/public/data` : `${LIBRARIES_PATH}/${libraryId}`;
+};
+
+// Terminal preferences that only make sense within one library (such as the service point)
+// are stored per library; the default library keeps the original key
+const getLibraryStorageKey = (key, libraryId) => {
+    return libraryId === DEFAULT_LIBRARY_ID ? key : `${key}.${libraryId}`;
+};
+
+// The registry always includes the default library, even before anyone has named it
+const withDefaultLibrary = (registry) => {
+    const libraries = [...registry].sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+    if (libraries.some(library => library.id === DEFAULT_LIBRARY_ID)) return libraries;
+    return [{ id: DEFAULT_LIBRARY_ID, name: DEFAULT_LIBRARY_NAME }, ...libraries];
+};
+
+// The library this page serves: ?library=<id>, then a subdomain registered to a library
+// (eastside.tally.example.org), then the library last chosen on this terminal. Null when
+// there is more than one library and nothing says which; the chooser asks.
+const resolveLibraryId = (libraries) => {
+    const known = (id) => !!id && libraries.some(library => library.id === id);
+
+    const requested = new URLSearchParams(window.location.search).get('library');
+    if (known(requested)) return requested;
+
+    const subdomain = window.location.hostname.split('.')[0].toLowerCase();
+    const routed = libraries.find(library => library.subdomain && library.subdomain === subdomain);
+    if (routed) return routed.id;
+
+    try {
+        const stored = localStorage.getItem(LIBRARY_STORAGE_KEY);
+        if (known(stored)) return stored;
+    } catch (e) {
+        console.error("Could not read this terminal's library:", e);
+    }
+
+    return libraries.length === 1 ? libraries[0].id : null;
+};
+
+// Switching library reloads the page, so nothing from one library's session (listeners,
+// cached counts, report data) carries over into the other's
+const switchLibrary = (libraryId) => {
+    try {
+        localStorage.setItem(LIBRARY_STORAGE_KEY, libraryId);
+    } catch (e) {
+        console.error("Could not remember the library on this terminal:", e);
+    }
+    const url = new URL(window.location.href);
+    url.searchParams.set('library', libraryId);
+    window.location.assign(url.toString());
+};
+
+// --- Library Settings ---
+// Stored in a single settings document; these defaults apply until an admin saves one.
+// openingHours is keyed by weekday (0 = Sunday); null means the library is closed that day.
+// closures are one-off or multi-day closures such as holidays: { start, end, label }.
+// samplingPeriods are the designated sample weeks for libraries that tally only part of
+// the year and extrapolate: { start, end, label }.
+const DEFAULT_LIBRARY_SETTINGS = {
+    timezone: 'America/New_York',
+    openingHours: {
+        0: null,
+        1: { open: '08:00', close: '22:00' },
+        2: { open: '08:00', close: '22:00' },
+        3: { open: '08:00', close: '22:00' },
+        4: { open: '08:00', close: '22:00' },
+        5: { open: '08:00', close: '18:00' },
+        6: { open: '10:00', close: '18:00' },
+    },
+    closures: [],
+    samplingPeriods: [],
+    servicePoints: [
+        { id: DEFAULT_SERVICE_POINT, name: 'Main Desk', branch: 'Main Library' },
+    ],
+};
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// The library-local date in YYYY-MM-DD format for use as a document ID. The business day
+// rolls over at midnight in the library's timezone, not at UTC midnight.
+const getTodayDateId = (timeZone = DEFAULT_LIBRARY_SETTINGS.timezone, now = new Date()) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_LIBRARY_SETTINGS.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).formatToParts(now);
+    const part = (type) => parts.find(p => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+// A moment as "YYYY-MM-DD HH:MM:SS" wall-clock time in the library's timezone
+const formatLocalDateTime = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_LIBRARY_SETTINGS.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const part = (type) => parts.find(p => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')} ${part('hour')}:${part('minute')}:${part('second')}`;
+};
+
+// Hours between two HH:MM times on the same day
+const getHoursBetween = (open, close) => {
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    return Math.max(0, toMinutes(close) - toMinutes(open)) / 60;
+};
+
+// --- Report Period Helpers ---
+// Date IDs are plain YYYY-MM-DD strings; the arithmetic below works on them in UTC so it is
+// unaffected by the browser's own timezone or daylight-saving changes.
+const parseDateId = (dateId) => {
+    const [year, month, day] = dateId.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDateId = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (dateId, days) => {
+    const date = parseDateId(dateId);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDateId(date);
+};
+
+// Every date ID from start to end, inclusive
+const enumerateDates = (startId, endId) => {
+    const dates = [];
+    for (let current = startId; current <= endId; current = addDays(current, 1)) {
+        dates.push(current);
+    }
+    return dates;
+};
+
+// Whether the library was open on a given day, and for how many hours
+const getDayStatus = (dateId, settings) => {
+    const closure = (settings.closures || []).find(c => dateId >= c.start && dateId <= (c.end || c.start));
+    if (closure) return { closed: true, label: closure.label || 'Closed', openHours: 0 };
+
+    const hours = settings.openingHours ? settings.openingHours[parseDateId(dateId).getUTCDay()] : null;
+    if (!hours) return { closed: true, label: 'Closed', openHours: 0 };
+
+    return { closed: false, label: null, openHours: getHoursBetween(hours.open, hours.close) };
+};
+
+// Questions per open hour, rounded for display; blank when the library had no open hours
+const formatPerOpenHour = (count, openHours) => {
+    return openHours > 0 ? (count / openHours).toFixed(2) : '';
+};
+
+// Reporting weeks run Monday to Sunday
+const WEEK_START_DAY = 1;
+
+// Fiscal year begins on the first of this month (1 = January, 7 = July)
+const FISCAL_YEAR_START_MONTH = 7;
+
+// The calendar year in which the fiscal year containing a date began
+const getFiscalYearStart = (dateId) => {
+    const year = Number(dateId.slice(0, 4));
+    return Number(dateId.slice(5, 7)) >= FISCAL_YEAR_START_MONTH ? year : year - 1;
+};
+
+// A whole fiscal year as inclusive { start, end, label } date IDs
+const getFiscalYear = (startYear) => {
+    const start = `${startYear}-${String(FISCAL_YEAR_START_MONTH).padStart(2, '0')}-01`;
+    const end = addDays(`${startYear + 1}${start.slice(4)}`, -1);
+    const label = FISCAL_YEAR_START_MONTH === 1 ? `Fiscal Year ${startYear}` : `Fiscal Year ${startYear}-${String(startYear + 1).slice(2)}`;
+    return { start, end, label };
+};
+
+// Academic terms as MM-DD bounds within a calendar year
+const ACADEMIC_TERMS = [
+    { id: 'spring', name: 'Spring', start: '01-01', end: '05-31' },
+    { id: 'summer', name: 'Summer', start: '06-01', end: '08-14' },
+    { id: 'fall', name: 'Fall', start: '08-15', end: '12-31' },
+];
+
+const REPORT_PRESETS = [
+    { id: 'this_week', name: 'This Week' },
+    { id: 'last_week', name: 'Last Week' },
+    { id: 'this_month', name: 'This Month' },
+    { id: 'academic_term', name: 'Academic Term' },
+    { id: 'fiscal_year', name: 'Fiscal Year' },
+    { id: 'custom', name: 'Custom Range' },
+];
+
+// Resolve a preset to inclusive { start, end, label } date IDs. Periods that are still in
+// progress end at today rather than showing future days as zero rows.
+const getPresetRange = (presetId, todayId) => {
+    const today = parseDateId(todayId);
+    const year = today.getUTCFullYear();
+    const month = today.getUTCMonth() + 1;
+    const pad = (n) => String(n).padStart(2, '0');
+
+    switch (presetId) {
+        case 'this_week': {
+            const offset = (today.getUTCDay() - WEEK_START_DAY + 7) % 7;
+            return { start: addDays(todayId, -offset), end: todayId, label: 'This Week' };
+        }
+        case 'last_week': {
+            const offset = (today.getUTCDay() - WEEK_START_DAY + 7) % 7;
+            const start = addDays(todayId, -offset - 7);
+            return { start, end: addDays(start, 6), label: 'Last Week' };
+        }
+        case 'this_month':
+            return { start: `${year}-${pad(month)}-01`, end: todayId, label: 'This Month' };
+        case 'academic_term': {
+            const monthDay = todayId.slice(5);
+            const term = ACADEMIC_TERMS.find(t => monthDay >= t.start && monthDay <= t.end) || ACADEMIC_TERMS[0];
+            return { start: `${year}-${term.start}`, end: todayId, label: `${term.name} ${year} Term` };
+        }
+        case 'fiscal_year':
+            return { ...getFiscalYear(getFiscalYearStart(todayId)), end: todayId };
+        default:
+            return null;
+    }
+};
+
+// Same month and day in another year; Feb 29 becomes Feb 28 in a non-leap year
+const shiftYears = (dateId, years) => {
+    const shifted = `${Number(dateId.slice(0, 4)) + years}${dateId.slice(4)}`;
+    return formatDateId(parseDateId(shifted)) === shifted ? shifted : addDays(`${shifted.slice(0, 8)}01`, 27);
+};
+
+// Days of history loaded before each period so its first days have a full moving average
+const MOVING_AVERAGE_DAYS = 7;
+
+// The periods a report is compared against: the same number of days immediately before
+// it, and the same dates a year earlier. `spanStart` is the earliest date any comparison
+// needs, including the moving-average lead-in and the start of the monthly trend.
+const getComparisonRanges = (range) => {
+    const length = enumerateDates(range.start, range.end).length;
+    const previous = { start: addDays(range.start, -length), end: addDays(range.start, -1), label: 'Previous Period' };
+    const lastYear = { start: shiftYears(range.start, -1), end: shiftYears(range.end, -1), label: 'Same Period Last Year' };
+    const spanStart = [
+        previous.start,
+        addDays(lastYear.start, -(MOVING_AVERAGE_DAYS - 1)),
+        `${lastYear.start.slice(0, 7)}-01`
+    ].sort()[0];
+    return { current: { ...range }, previous, lastYear, spanStart };
+};
+
+// --- Effort, Contact Mode and Duration ---
+// READ Scale (Reference Effort Assessment Data) levels. `minutes` is the typical time spent
+// at that level and is used as the duration when staff don't enter one.
+const READ_SCALE = [
+    { level: 1, name: 'READ 1', description: 'Least effort; no specialized knowledge or consultation needed.', minutes: 1 },
+    { level: 2, name: 'READ 2', description: 'Nominal effort; some knowledge of resources or a quick look-up.', minutes: 3 },
+    { level: 3, name: 'READ 3', description: 'Some effort and time; reference knowledge and skills needed.', minutes: 8 },
+    { level: 4, name: 'READ 4', description: 'Considerable time; knowledge of multiple resources and search strategy.', minutes: 20 },
+    { level: 5, name: 'READ 5', description: 'Substantial time and effort; subject expertise or consultation.', minutes: 45 },
+    { level: 6, name: 'READ 6', description: 'Most effort; in-depth research and specialized knowledge.', minutes: 90 },
+];
+
+const DEFAULT_EFFORT_LEVEL = 2;
+
+const CONTACT_MODES = [
+    { id: 'in_person', name: 'In Person' },
+    { id: 'phone', name: 'Phone' },
+    { id: 'email', name: 'Email' },
+    { id: 'chat', name: 'Chat' },
+    { id: 'roving', name: 'Roving' },
+];
+
+const DEFAULT_CONTACT_MODE = 'in_person';
+
+// Where this device remembers whether to ask for details after a tap, and its usual contact mode
+const DETAILS_STEP_STORAGE_KEY = 'refTally.detailsStep';
+const CONTACT_MODE_STORAGE_KEY = 'refTally.contactMode';
+
+// Fill in defaults for any tally detail staff skipped
+const resolveTallyDetails = (details, defaultContactMode) => {
+    const effortLevel = details.effortLevel || DEFAULT_EFFORT_LEVEL;
+    const duration = parseInt(details.durationMinutes, 10);
+    return {
+        effortLevel,
+        contactMode: details.contactMode || defaultContactMode || DEFAULT_CONTACT_MODE,
+        durationMinutes: Number.isFinite(duration) && duration > 0
+            ? duration
+            : READ_SCALE.find(r => r.level === effortLevel).minutes,
+    };
+};
+
+// Weighted "effort hours": the recorded (or READ-typical) minutes spent, in hours
+const formatEffortHours = (minutes) => ((minutes || 0) / 60).toFixed(1);
+
+// --- Question Notes ---
+// An optional short note on a tally records what was actually asked, for FAQ and signage
+// work. Notes are scrubbed of obvious personal data on the device, before they are queued
+// or saved anywhere.
+const NOTE_MAX_LENGTH = 280;
+
+// Order matters: card numbers are removed before the phone pattern can match part of one
+const NOTE_REDACTIONS = [
+    { label: '[email]', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+    // Library card barcodes: 13-16 digits, optionally spaced or hyphenated. ISBN-13s
+    // (978/979 prefixes) are left alone because patrons often ask about a specific book.
+    { label: '[card number]', pattern: /\b(?!97[89])\d(?:[ -]?\d){12,15}\b/g },
+    { label: '[phone]', pattern: /\+\d{1,3}(?:[\s.-]?\d){6,12}\b/g },
+    { label: '[phone]', pattern: /\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g },
+];
+
+// Returns the scrubbed note and how many items were removed
+const redactNote = (text) => {
+    let redactions = 0;
+    const note = NOTE_REDACTIONS.reduce((current, { label, pattern }) => {
+        return current.replace(pattern, () => {
+            redactions += 1;
+            return label;
+        });
+    }, String(text || '').trim().slice(0, NOTE_MAX_LENGTH));
+    return { note, redactions };
+};
+
+// --- Follow-Ups and Referrals ---
+// A tally that can't be answered at the desk can be flagged for follow-up: referred to a
+// subject librarian, or waiting on a callback. Follow-ups live in their own collection keyed
+// by the tally's interaction ID, and every staff member sees the same queue. The only patron
+// detail ever stored is a contact the patron agreed to give, and it is deleted on closing.
+const FOLLOW_UPS_COLLECTION = 'follow_ups';
+
+const FOLLOW_UP_STATUSES = ['open', 'in_progress', 'closed'];
+
+const FOLLOW_UP_CONTACT_PREFERENCES = ['none', 'email', 'phone', 'text'];
+
+const FOLLOW_UP_RESOLUTIONS = ['answered', 'referred_out', 'no_response', 'withdrawn'];
+
+const FOLLOW_UP_DEFAULT_DUE_DAYS = 2;
+const FOLLOW_UP_CONTACT_MAX_LENGTH = 100;
+const FOLLOW_UP_CLOSED_DAYS = 14; // Closed follow-ups stay in the queue's Closed tab this long
+
+// A new follow-up for a recorded tally. `draft` is what the desk entered in the dialog.
+const buildFollowUpRecord = (draft, tally, staffUid) => {
+    const wantsContact = draft.contactPreference !== 'none';
+    return {
+        interactionId: tally.interactionId,
+        docId: tally.docId,
+        date: tally.date,
+        servicePoint: tally.servicePoint,
+        category: tally.typeId,
+        summary: redactNote(draft.summary).note,
+        assignee: draft.assignee.trim(),
+        dueDate: draft.dueDate,
+        contactPreference: draft.contactPreference,
+        consent: wantsContact && !!draft.consent,
+        contact: wantsContact && draft.consent ? draft.contact.trim() : null,
+        status: 'open',
+        createdBy: staffUid,
+        startedAt: null,
+        closedAt: null,
+        closedDate: null,
+        closedBy: null,
+        resolution: null
+    };
+};
+
+// Returns an error message key, or null when the draft can be saved
+const validateFollowUp = (draft) => {
+    if (!draft.assignee.trim()) return 'followUp.needsAssignee';
+    if (!draft.dueDate) return 'followUp.needsDueDate';
+    if (draft.contactPreference !== 'none') {
+        if (!draft.consent) return 'followUp.needsConsent';
+        if (!draft.contact.trim()) return 'followUp.needsContact';
+    }
+    return null;
+};
+
+// Fields to write when a follow-up changes status. `now` is the backend's timestamp for
+// the moment of the change. Closing deletes the patron's contact details.
+const getFollowUpStatusChanges = (followUp, { status, resolution, staffUid, today }, now) => {
+    const changes = { status, updatedBy: staffUid, updatedAt: now };
+    if (status !== 'open' && !followUp.startedAt) changes.startedAt = now;
+    if (status === 'closed') {
+        return { ...changes, closedAt: now, closedDate: today, closedBy: staffUid, resolution, contact: null };
+    }
+    return { ...changes, closedAt: null, closedDate: null, closedBy: null, resolution: null };
+};
+
+const isFollowUpOverdue = (followUp, todayId) => followUp.status !== 'closed' && followUp.dueDate < todayId;
+
+// Hours from flagging to closing, in elapsed time rather than open hours
+const getResolutionHours = (followUp) => (followUp.closedAt.toMillis() - followUp.createdAt.toMillis()) / 3600000;
+
+// Value at the given fraction (0-1) of an ascending list, by nearest rank
+const getPercentile = (sorted, fraction) => {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+};
+
+// The follow-ups fetched for a period, brought up to date from the live queue: it holds every
+// open or recently closed follow-up as it is now, so new flags and status changes show
+// without reading the period again
+const withLiveFollowUps = (items, live, startId, endId) => {
+    const current = live.filter(followUp => followUp.date >= startId && followUp.date <= endId);
+    const currentIds = new Set(current.map(followUp => followUp.id));
+    return [...items.filter(item => !currentIds.has(item.id)), ...current];
+};
+
+// Referral volume and time-to-resolution for the follow-ups flagged in a period
+const buildFollowUpReport = (followUps, questionTypes, todayId) => {
+    const summarize = (items) => {
+        const hours = items.filter(item => item.status === 'closed' && item.createdAt && item.closedAt)
+            .map(getResolutionHours)
+            .sort((a, b) => a - b);
+        return {
+            count: items.length,
+            open: items.filter(item => item.status === 'open').length,
+            inProgress: items.filter(item => item.status === 'in_progress').length,
+            closed: items.filter(item => item.status === 'closed').length,
+            overdue: items.filter(item => isFollowUpOverdue(item, todayId)).length,
+            closedOnTime: items.filter(item => item.status === 'closed' && item.closedDate && item.closedDate <= item.dueDate).length,
+            meanHours: hours.length > 0 ? hours.reduce((sum, value) => sum + value, 0) / hours.length : null,
+            medianHours: getPercentile(hours, 0.5),
+            p90Hours: getPercentile(hours, 0.9)
+        };
+    };
+    const groupBy = (getKey) => {
+        const groups = {};
+        followUps.forEach(item => {
+            const key = getKey(item);
+            (groups[key] || (groups[key] = [])).push(item);
+        });
+        return groups;
+    };
+
+    const byCategory = Object.entries(groupBy(item => item.category)).map(([id, items]) => ({
+        id,
+        name: (questionTypes.find(type => type.id === id) || { name: id }).name,
+        ...summarize(items)
+    }));
+    const byAssignee = Object.entries(groupBy(item => item.assignee)).map(([assignee, items]) => ({
+        assignee,
+        ...summarize(items)
+    }));
+    const byResolution = FOLLOW_UP_RESOLUTIONS.reduce((acc, id) => ({
+        ...acc,
+        [id]: followUps.filter(item => item.status === 'closed' && item.resolution === id).length
+    }), {});
+
+    return {
+        totals: summarize(followUps),
+        byCategory: byCategory.sort((a, b) => b.count - a.count),
+        byAssignee: byAssignee.sort((a, b) => b.count - a.count),
+        byResolution
+    };
+};
+
+// --- Keyboard Shortcuts and Kiosk Mode ---
+// Hotkeys, kiosk mode, the confirmation tone and the high-contrast theme are per-terminal preferences
+const HOTKEYS_STORAGE_KEY = 'refTally.hotkeys';
+const KIOSK_STORAGE_KEY = 'refTally.kiosk';
+const SOUND_STORAGE_KEY = 'refTally.sound';
+const HIGH_CONTRAST_STORAGE_KEY = 'refTally.highContrast';
+
+const DEFAULT_UNDO_HOTKEY = 'ctrl+z';
+const LONG_PRESS_MS = 600; // Holding a category button this long shows its description
+const CONFIRMATION_FLASH_MS = 700;
+
+// Normalize a keydown event to a combo string such as '1', 'q' or 'ctrl+z'. Cmd counts as
+// Ctrl so the same shortcuts work on Macs. Shift is only recorded for named keys, since it
+// already changes the character of printable ones.
+const getKeyCombo = (event) => {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) return null;
+    const key = event.key === ' ' ? 'space' : event.key.toLowerCase();
+    return [
+        (event.ctrlKey || event.metaKey) && 'ctrl',
+        event.altKey && 'alt',
+        event.shiftKey && key.length > 1 && 'shift',
+        key
+    ].filter(Boolean).join('+');
+};
+
+const formatKeyCombo = (combo) => {
+    return combo.split('+').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('+');
+};
+
+// Saved hotkeys override the defaults (1-9 in display order). A category saved with an
+// empty combo has no hotkey; defaults never reuse a combo that is saved for something else.
+const resolveHotkeys = (types, saved = {}) => {
+    const savedCategories = saved.categories || {};
+    const undo = saved.undo !== undefined ? saved.undo : DEFAULT_UNDO_HOTKEY;
+    const taken = new Set([undo, ...Object.values(savedCategories)].filter(Boolean));
+    const byCategory = {};
+    types.forEach((type, index) => {
+        if (savedCategories[type.id] !== undefined) {
+            byCategory[type.id] = savedCategories[type.id];
+        } else if (index < 9 && !taken.has(String(index + 1))) {
+            byCategory[type.id] = String(index + 1);
+        } else {
+            byCategory[type.id] = '';
+        }
+    });
+    return { byCategory, undo };
+};
+
+// A short beep confirming a tally, for terminals that turn sound on
+let confirmationAudio = null;
+const playConfirmationTone = () => {
+    try {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        confirmationAudio = confirmationAudio || new AudioContextClass();
+        const now = confirmationAudio.currentTime;
+        const oscillator = confirmationAudio.createOscillator();
+        const gain = confirmationAudio.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.15, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.12);
+        oscillator.connect(gain).connect(confirmationAudio.destination);
+        oscillator.start(now);
+        oscillator.stop(now + 0.12);
+    } catch (e) {
+        console.error("Could not play confirmation tone:", e);
+    }
+};
+
+// --- Local Tally Queue ---
+// Every tally and undo is written to IndexedDB first and replayed to Firestore when the
+// connection allows, so a dropped desk Wi-Fi or a closed tab never loses a tap. Entries are
+// { id, op: 'tally' | 'void' | 'note', libraryId, queuedAt, ... } and are replayed in
+// queuedAt order. Entries from before libraries existed belong to the default library.
+// An entry the server refuses is kept with `refusedAt` set until a supervisor applies it
+// as a correction or discards it.
+const QUEUE_DB_NAME = 'refTallyQueue';
+const QUEUE_STORE_NAME = 'pending';
+
+// How often to retry syncing while anything is pending
+const QUEUE_RETRY_MS = 30 * 1000;
+
+const openQueueDb = () => {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(QUEUE_STORE_NAME, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// Run one request against the queue store and resolve with its result once committed, or
+// reject if it fails or the transaction is aborted (a full disk aborts it with no error event)
+const withQueueStore = async (mode, action) => {
+    const queueDb = await openQueueDb();
+    return new Promise((resolve, reject) => {
+        const transaction = queueDb.transaction(QUEUE_STORE_NAME, mode);
+        const request = action(transaction.objectStore(QUEUE_STORE_NAME));
+        transaction.oncomplete = () => {
+            queueDb.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            queueDb.close();
+            reject(transaction.error);
+        };
+        transaction.onabort = () => {
+            queueDb.close();
+            reject(transaction.error || new Error("The tally queue transaction was aborted."));
+        };
+    });
+};
+
+const tallyQueue = {
+    put: (entry) => withQueueStore('readwrite', store => store.put(entry)),
+    get: (id) => withQueueStore('readonly', store => store.get(id)),
+    remove: (id) => withQueueStore('readwrite', store => store.delete(id)),
+    getAll: async () => {
+        const entries = await withQueueStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+    },
+};
+
+// Replay queued entries to storage in order, removing each once applied. Stops at the first
+// failure so later entries never overtake earlier ones. A refusal (the rules only take desk
+// counts on today's rollup, from active staff) will never succeed on retry, so that entry is
+// set aside for a supervisor instead of blocking the queue. Returns the entries refused.
+const replayQueue = async (queue, storage, entries) => {
+    const refused = [];
+    for (const entry of entries) {
+        // An undo may have removed this tally from the queue since we read it
+        if (entry.op === 'tally' && !(await queue.get(entry.id))) continue;
+
+        try {
+            if (entry.op === 'void') await storage.applyVoid(entry);
+            else if (entry.op === 'note') await storage.applyNote(entry);
+            else await storage.applyTally(entry);
+        } catch (e) {
+            if (e.code !== 'permission-denied') throw e;
+            console.error("Queued change was refused:", e);
+            const refusedEntry = { ...entry, refusedAt: Date.now() };
+            await queue.put(refusedEntry);
+            refused.push(refusedEntry);
+            continue;
+        }
+        await queue.remove(entry.id);
+    }
+    return refused;
+};
+
+// Sub-collection under each daily document that holds the raw, per-tally interaction log
+const INTERACTIONS_SUBCOLLECTION = 'interactions';
+
+// Sub-collection under each daily document that holds the supervisor correction audit trail
+const CORRECTIONS_SUBCOLLECTION = 'corrections';
+
+// How long the "undo last tally" toast stays available after a tap
+const UNDO_WINDOW_MS = 8000;
+
+// Categories with no recorded start date are treated as having existed from the beginning
+const CATEGORY_EPOCH = '0000-01-01';
+
+// Button colors an admin can assign to a category; `hex` is the same color for charts.
+// `value` is what a category stores and is not rendered as is: several of the 500 shades
+// fall well short of WCAG AA for white text. `standard` is the hue dark enough to pass
+// (at least 4.5:1) and `contrast` the darker one used by the high-contrast theme.
+const CATEGORY_COLORS = [
+    { name: 'Indigo', value: 'bg-indigo-500 hover:bg-indigo-600', standard: 'bg-indigo-600 hover:bg-indigo-700', contrast: 'bg-indigo-900 hover:bg-indigo-950', hex: '#6366f1' },
+    { name: 'Emerald', value: 'bg-emerald-500 hover:bg-emerald-600', standard: 'bg-emerald-700 hover:bg-emerald-800', contrast: 'bg-emerald-900 hover:bg-emerald-950', hex: '#10b981' },
+    { name: 'Rose', value: 'bg-rose-500 hover:bg-rose-600', standard: 'bg-rose-600 hover:bg-rose-700', contrast: 'bg-rose-900 hover:bg-rose-950', hex: '#f43f5e' },
+    { name: 'Amber', value: 'bg-amber-500 hover:bg-amber-600', standard: 'bg-amber-700 hover:bg-amber-800', contrast: 'bg-amber-900 hover:bg-amber-950', hex: '#f59e0b' },
+    { name: 'Sky', value: 'bg-sky-500 hover:bg-sky-600', standard: 'bg-sky-700 hover:bg-sky-800', contrast: 'bg-sky-900 hover:bg-sky-950', hex: '#0ea5e9' },
+    { name: 'Violet', value: 'bg-violet-500 hover:bg-violet-600', standard: 'bg-violet-600 hover:bg-violet-700', contrast: 'bg-violet-900 hover:bg-violet-950', hex: '#8b5cf6' },
+    { name: 'Teal', value: 'bg-teal-500 hover:bg-teal-600', standard: 'bg-teal-700 hover:bg-teal-800', contrast: 'bg-teal-900 hover:bg-teal-950', hex: '#14b8a6' },
+    { name: 'Orange', value: 'bg-orange-500 hover:bg-orange-600', standard: 'bg-orange-700 hover:bg-orange-800', contrast: 'bg-orange-900 hover:bg-orange-950', hex: '#f97316' },
+    { name: 'Slate', value: 'bg-slate-500 hover:bg-slate-600', standard: 'bg-slate-600 hover:bg-slate-700', contrast: 'bg-slate-900 hover:bg-slate-950', hex: '#64748b' },
+];
+
+const getCategoryColor = (category) => {
+    return CATEGORY_COLORS.find(color => color.value === category.color) || CATEGORY_COLORS[CATEGORY_COLORS.length - 1];
+};
+
+const getCategoryHex = (category) => getCategoryColor(category).hex;
+
+// The button classes for a category under the current theme
+const getCategoryColorClass = (category, highContrast) => {
+    const color = getCategoryColor(category);
+    return highContrast ? color.contrast : color.standard;
+};
+
+// --- Question Categories and Descriptions ---
+// Built-in categories, used until an admin saves categories to Firestore. Each category's
+// id is the stable field name its count is stored under in the daily documents, and
+// `translations` holds its Spanish and French wording (see localizeCategory).
+const DEFAULT_QUESTION_TYPES = [
+    { 
+        id: 'directional', 
+        name: 'Directional', 
+        color: 'bg-indigo-500 hover:bg-indigo-600', 
+        description: 'Asking for physical locations within the building.',
+        example: 'Example: "Where is the printer?" or "Is the bathroom on this floor?"',
+        order: 0,
+        active: true,
+        activeFrom: CATEGORY_EPOCH,
+        translations: {
+            es: { name: 'Direccional', description: 'Preguntas sobre la ubicación de lugares dentro del edificio.', example: 'Ejemplo: "¿Dónde está la impresora?" o "¿Hay un baño en este piso?"' },
+            fr: { name: 'Orientation', description: 'Demandes sur l’emplacement de lieux dans le bâtiment.', example: 'Exemple : « Où est l’imprimante ? » ou « Y a-t-il des toilettes à cet étage ? »' }
+        }
+    },
+    { 
+        id: 'quick_fact', 
+        name: 'Quick Fact/Ready Ref.', 
+        color: 'bg-emerald-500 hover:bg-emerald-600', 
+        description: 'Simple questions answerable with a quick search or readily available fact.',
+        example: 'Example: "What year did X author win that award?" or "What is the phone number for the city council?"',
+        order: 1,
+        active: true,
+        activeFrom: CATEGORY_EPOCH,
+        translations: {
+            es: { name: 'Dato rápido/Ref. inmediata', description: 'Preguntas sencillas que se responden con una búsqueda rápida o un dato disponible.', example: 'Ejemplo: "¿En qué año ganó X autor ese premio?" o "¿Cuál es el teléfono del ayuntamiento?"' },
+            fr: { name: 'Fait rapide/Réf. immédiate', description: 'Questions simples auxquelles on répond par une recherche rapide ou un fait facilement accessible.', example: 'Exemple : « En quelle année tel auteur a-t-il reçu ce prix ? » ou « Quel est le numéro du conseil municipal ? »' }
+        }
+    },
+    { 
+        id: 'procedural', 
+        name: 'Policy/Procedural', 
+        color: 'bg-rose-500 hover:bg-rose-600', 
+        description: 'Questions about rules, services, or how to use a basic service.',
+        example: 'Example: "How long can I borrow this?" or "Can I reserve a study room?"',
+        order: 2,
+        active: true,
+        activeFrom: CATEGORY_EPOCH,
+        translations: {
+            es: { name: 'Normas/Procedimientos', description: 'Preguntas sobre normas, servicios o cómo usar un servicio básico.', example: 'Ejemplo: "¿Por cuánto tiempo puedo llevarme esto?" o "¿Puedo reservar una sala de estudio?"' },
+            fr: { name: 'Règlements/Procédures', description: 'Questions sur les règlements, les services ou l’utilisation d’un service de base.', example: 'Exemple : « Combien de temps puis-je emprunter ceci ? » ou « Puis-je réserver une salle d’étude ? »' }
+        }
+    },
+    { 
+        id: 'research', 
+        name: 'Research/Complex', 
+        color: 'bg-amber-500 hover:bg-amber-600', 
+        description: 'In-depth assistance requiring search strategy, source evaluation, or specialized tools.',
+        example: 'Example: "I need to find five scholarly articles on climate policy." or "Help me narrow down this topic."',
+        order: 3,
+        active: true,
+        activeFrom: CATEGORY_EPOCH,
+        translations: {
+            es: { name: 'Investigación/Compleja', description: 'Ayuda a fondo que requiere estrategia de búsqueda, evaluación de fuentes o herramientas especializadas.', example: 'Ejemplo: "Necesito cinco artículos académicos sobre política climática." o "Ayúdeme a acotar este tema."' },
+            fr: { name: 'Recherche/Complexe', description: 'Aide approfondie exigeant une stratégie de recherche, l’évaluation des sources ou des outils spécialisés.', example: 'Exemple : « Je dois trouver cinq articles savants sur la politique climatique. » ou « Aidez-moi à préciser ce sujet. »' }
+        }
+    },
+    { 
+        id: 'technology', 
+        name: 'Technology/Equip.', 
+        color: 'bg-sky-500 hover:bg-sky-600', 
+        description: 'Troubleshooting or instruction on public equipment and software.',
+        example: 'Example: "How do I scan this document?" or "My laptop won\'t connect to the Wi-Fi."',
+        order: 4,
+        active: true,
+        activeFrom: CATEGORY_EPOCH,
+        translations: {
+            es: { name: 'Tecnología/Equipos', description: 'Resolución de problemas o instrucciones sobre equipos y programas de uso público.', example: 'Ejemplo: "¿Cómo escaneo este documento?" o "Mi portátil no se conecta al wifi."' },
+            fr: { name: 'Technologie/Équipement', description: 'Dépannage ou formation sur l’équipement et les logiciels publics.', example: 'Exemple : « Comment numériser ce document ? » ou « Mon portable ne se connecte pas au Wi-Fi. »' }
+        }
+    },
+];
+
+// The fields of a category that are versioned when an admin edits them
+const CATEGORY_VERSIONED_FIELDS = ['name', 'description', 'example', 'color'];
+
+// A category as it read on a given day. `versions` is an ascending list of
+// { effectiveFrom, name, description, example, color } snapshots recorded on each edit.
+const getCategoryVersion = (category, dateId) => {
+    const version = [...(category.versions || [])].reverse().find(v => v.effectiveFrom <= dateId);
+    return version ? { ...category, ...version } : category;
+};
+
+// Whether a category was in use on a given day (retiredOn is the first day it was retired)
+const isCategoryActiveOn = (category, dateId) => {
+    return (category.activeFrom || CATEGORY_EPOCH) <= dateId && (!category.retiredOn || dateId < category.retiredOn);
+};
+
+// Numeric rollup fields that are not category tallies
+const ROLLUP_TOTAL_FIELDS = new Set(['durationMinutes']);
+
+// Rollup maps keyed by something other than category: correction net changes, tallies per
+// READ level and tallies per contact mode
+const ROLLUP_BREAKDOWN_FIELDS = ['adjustments', 'effort', 'modes'];
+
+// Count fields in a daily document: every other numeric top-level field is a category tally
+const getCountKeys = (day) => {
+    return Object.keys(day).filter(key => typeof day[key] === 'number' && !ROLLUP_TOTAL_FIELDS.has(key));
+};
+
+// Tallies on a day with no READ level or contact mode recorded (older documents)
+const getUnrecordedCount = (day, field) => {
+    const total = getCountKeys(day).reduce((sum, key) => sum + day[key], 0);
+    const recorded = Object.values(day[field] || {}).reduce((sum, count) => sum + count, 0);
+    return Math.max(0, total - recorded);
+};
+
+// Sum the per-service-point documents into one row per date, keeping each service point's
+// total in `byServicePoint`. Days with no documents become zero rows.
+const mergeRollups = (docs, dateIds) => {
+    const byDate = {};
+    docs.forEach(data => {
+        const row = byDate[data.date] || (byDate[data.date] = {
+            date: data.date,
+            durationMinutes: 0,
+            byServicePoint: {},
+            ...ROLLUP_BREAKDOWN_FIELDS.reduce((acc, field) => ({ ...acc, [field]: {} }), {})
+        });
+        let total = 0;
+        getCountKeys(data).forEach(key => {
+            row[key] = (row[key] || 0) + data[key];
+            total += data[key];
+        });
+        row.durationMinutes += data.durationMinutes || 0;
+        ROLLUP_BREAKDOWN_FIELDS.forEach(field => {
+            Object.entries(data[field] || {}).forEach(([key, value]) => {
+                row[field][key] = (row[field][key] || 0) + value;
+            });
+        });
+        const servicePointId = getDocServicePoint(data);
+        row.byServicePoint[servicePointId] = (row.byServicePoint[servicePointId] || 0) + total;
+    });
+    return dateIds.map(date => byDate[date] || { date });
+};
+
+// Rollups fetched for a period with this desk's live document for today swapped in, so a
+// tap shows up in reports without reading the whole period again. Other desks' documents
+// for today stay as fetched until the period is loaded again.
+const withLiveRollup = (docs, live, startId, endId) => {
+    if (!live || !live.date || live.date < startId || live.date > endId) return docs;
+    const docId = getRollupDocId(live.date, getDocServicePoint(live));
+    return [...docs.filter(data => data.docId !== docId), { ...live, docId }]
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// A period loaded once, with one day's records swapped for a fresh read of that day, so it
+// picks up today's taps from every desk without reading the whole period again
+const withFreshDay = (items, dateId, fresh) => [...items.filter(item => item.date !== dateId), ...fresh]
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// The categories to report for a period: every category in use at some point during it,
+// plus any category with counts in it, named as they read at the end of the period. Counts
+// stored under ids no longer in the category list are kept as "Unlisted" columns so that
+// nothing recorded silently drops out of historical totals.
+const getReportCategories = (categories, days, startId, endId) => {
+    const hasCounts = (id) => days.some(day => (day[id] || 0) !== 0);
+    const known = categories
+        .filter(category => hasCounts(category.id) || (
+            (category.activeFrom || CATEGORY_EPOCH) <= endId && (!category.retiredOn || category.retiredOn > startId)
+        ))
+        .map(category => getCategoryVersion(category, endId));
+
+    const knownIds = new Set(categories.map(category => category.id));
+    const unlistedIds = [...new Set(days.flatMap(getCountKeys))].filter(id => !knownIds.has(id)).sort();
+    const unlisted = unlistedIds.map(id => ({
+        id,
+        name: `Unlisted: ${id}`,
+        color: CATEGORY_COLORS[CATEGORY_COLORS.length - 1].value,
+        activeFrom: CATEGORY_EPOCH,
+        unlisted: true,
+    }));
+
+    return [...known, ...unlisted];
+};
+
+// Whether a report cell applies to a day. Days before a category existed or after it was
+// retired render as not applicable rather than zero.
+const isCategoryReportedOn = (category, day) => {
+    return category.unlisted || isCategoryActiveOn(category, day.date) || (day[category.id] || 0) !== 0;
+};
+
+// Utility function to convert data to CSV string
+const convertToCSV = (data) => {
+    if (data.length === 0) return '';
+    
+    const headers = Object.keys(data[0]);
+    const csvRows = [];
+    
+    // Add headers
+    csvRows.push(headers.join(','));
+    
+    // Add data rows
+    for (const row of data) {
+        const values = headers.map(header => {
+            const value = row[header];
+            // Handle quotes and commas in strings
+            const escaped = ('' + value).replace(/"/g, '""');
+            return `"${escaped}"`;
+        });
+        csvRows.push(values.join(','));
+    }
+    
+    return csvRows.join('\n');
+};
+
+// Trigger a browser download of in-memory content
+const downloadFile = (content, mimeType, filename) => {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement("a");
+    if (link.download !== undefined) {
+        const url = URL.createObjectURL(blob);
+        link.setAttribute("href", url);
+        link.setAttribute("download", filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    } else {
+        // Replaced alert with console message as per instructions
+        console.error("Your browser does not support downloading files directly.");
+    }
+};
+
+// Named and described by the `export.format.*` messages
+const EXPORT_FORMATS = ['xlsx', 'json', 'csv'];
+// The optional XLSX sheets, named by the `export.sheet.*` messages. Metadata is always included.
+const EXPORT_SHEETS = ['daily', 'totals', 'comparison', 'followUps'];
+
+// --- Storage Backends ---
+// Everything the tally, reports and corrections need from storage goes through a backend
+// object, so the app can run against Firestore or, for a small branch or a demo, entirely
+// in the browser with no Firebase project at all. Every backend provides:
+//   kind                                        'firestore', 'local' or 'memory'
+//   subscribeDay(docId, onData, onError)        live rollup for one day (null if none); returns an unsubscribe
+//   subscribeSettings(onData, onError)          library settings (null until saved)
+//   subscribeCategories(onData, onError)        category list (empty until an admin saves one)
+//   applyTally(entry)                           record a queued tally; idempotent on entry.interactionId
+//   applyVoid(entry) / applyNote(entry)         void a recorded tally, or attach a note to it
+//   getDay(docId) / getDays(startId, endId)     one rollup (or null), or every rollup in a date range
+//   getInteractions(startId, endId, { notesOnly })  every interaction record tallied in a date range
+//   tagFaq(docId, interactionId, topic, staffUid)
+//   applyCorrection(correction) / getCorrections(docId)
+//   saveSettings(settings) / saveCategories(categories)
+//   subscribeFollowUps(closedSinceId, onData, onError)  the shared queue: every follow-up not yet closed,
+//                                               plus those closed on or after closedSinceId
+//   getFollowUps(startId, endId)                follow-ups flagged on tallies in a date range
+//   saveFollowUp(followUp)                      a new follow-up, keyed by its interactionId
+//   updateFollowUp(id, changes) / setFollowUpStatus(followUp, { status, resolution, staffUid, today })
+// Timestamps come back as Firestore Timestamp objects from every backend. The arithmetic
+// below is shared by all of them, so the counting rules only live in one place.
+
+// A fresh rollup for a day that has no document yet. Categories not tallied yet are left
+// out rather than stored as zero; every reader treats a missing count as none.
+const newRollup = (entry) => ({
+    date: entry.date,
+    servicePoint: entry.servicePoint
+});
+
+// Rollup fields after recording one tally
+const getTallyChanges = (data, entry) => {
+    const effort = data.effort || {};
+    const modes = data.modes || {};
+    return {
+        [entry.typeId]: (data[entry.typeId] || 0) + 1,
+        effort: { ...effort, [entry.effortLevel]: (effort[entry.effortLevel] || 0) + 1 },
+        modes: { ...modes, [entry.contactMode]: (modes[entry.contactMode] || 0) + 1 },
+        durationMinutes: (data.durationMinutes || 0) + entry.durationMinutes,
+        lastUpdatedBy: entry.staffUid
+    };
+};
+
+// Rollup fields after voiding a recorded tally; nothing goes below zero
+const getVoidChanges = (data, interaction, staffUid) => {
+    const changes = {
+        [interaction.category]: Math.max(0, (data[interaction.category] || 0) - 1),
+        lastUpdatedBy: staffUid
+    };
+    if (interaction.effortLevel) {
+        const effort = data.effort || {};
+        changes.effort = { ...effort, [interaction.effortLevel]: Math.max(0, (effort[interaction.effortLevel] || 0) - 1) };
+    }
+    if (interaction.contactMode) {
+        const modes = data.modes || {};
+        changes.modes = { ...modes, [interaction.contactMode]: Math.max(0, (modes[interaction.contactMode] || 0) - 1) };
+    }
+    if (interaction.durationMinutes) {
+        changes.durationMinutes = Math.max(0, (data.durationMinutes || 0) - interaction.durationMinutes);
+    }
+    return changes;
+};
+
+// The raw log entry for a tally: what kind, who took it and where. Backends add the
+// tap time and the time it was received.
+const buildInteractionRecord = (entry) => ({
+    date: entry.date,
+    category: entry.typeId,
+    staffUid: entry.staffUid,
+    servicePoint: entry.servicePoint,
+    effortLevel: entry.effortLevel,
+    contactMode: entry.contactMode,
+    durationMinutes: entry.durationMinutes,
+    ...(entry.note ? { note: entry.note, noteRedacted: !!entry.noteRedacted } : {})
+});
+
+// A correction sets counts outright; the adjustments map keeps the running difference from
+// what was tallied, so reports can still show the original values
+const getCorrectionChanges = (data, counts) => {
+    const before = Object.keys(counts).reduce((acc, id) => ({ ...acc, [id]: data[id] || 0 }), {});
+    const adjustments = { ...(data.adjustments || {}) };
+    Object.keys(counts).forEach(id => {
+        adjustments[id] = (adjustments[id] || 0) + (counts[id] - before[id]);
+    });
+    return { before, adjustments };
+};
+
+const createFirestoreStorage = (db, basePath) => {
+    const dailyPath = `${basePath}/daily_ref_counts`;
+    const settingsPath = `${basePath}/settings/library`;
+    const categoriesPath = `${basePath}/categories`;
+    const followUpsPath = `${basePath}/${FOLLOW_UPS_COLLECTION}`;
+    const dayRef = (docId) => doc(db, dailyPath, docId);
+    const interactionRef = (docId, interactionId) => doc(db, dailyPath, docId, INTERACTIONS_SUBCOLLECTION, interactionId);
+
+    return {
+        kind: 'firestore',
+
+        subscribeDay: (docId, onData, onError) => onSnapshot(dayRef(docId), (snap) => {
+            onData(snap.exists() ? snap.data() : null);
+        }, onError),
+
+        subscribeSettings: (onData, onError) => onSnapshot(doc(db, settingsPath), (snap) => {
+            onData(snap.exists() ? snap.data() : null);
+        }, onError),
+
+        subscribeCategories: (onData, onError) => onSnapshot(collection(db, categoriesPath), (snapshot) => {
+            onData(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, onError),
+
+        // The rollup and the interaction are written in one transaction so the two never drift.
+        // The rollup names the interaction it applies, which firestore.rules checks desk
+        // staff's writes against.
+        applyTally: (entry) => runTransaction(db, async (transaction) => {
+            const docRef = dayRef(entry.docId);
+            const recordRef = interactionRef(entry.docId, entry.interactionId);
+            const docSnap = await transaction.get(docRef);
+            const recordSnap = await transaction.get(recordRef);
+
+            // Already applied by an earlier, interrupted replay
+            if (recordSnap.exists()) return;
+
+            if (docSnap.exists()) {
+                transaction.update(docRef, {
+                    ...getTallyChanges(docSnap.data(), entry),
+                    lastInteractionId: entry.interactionId,
+                    updatedAt: serverTimestamp()
+                });
+            } else {
+                const data = newRollup(entry);
+                transaction.set(docRef, {
+                    ...data,
+                    ...getTallyChanges(data, entry),
+                    lastInteractionId: entry.interactionId,
+                    createdAt: serverTimestamp()
+                });
+            }
+            transaction.set(recordRef, {
+                ...buildInteractionRecord(entry),
+                libraryPath: basePath,
+                timestamp: Timestamp.fromMillis(entry.tappedAt),
+                receivedAt: serverTimestamp()
+            });
+        }),
+
+        // The interaction is kept but marked voided so the raw log still shows it happened
+        applyVoid: (entry) => runTransaction(db, async (transaction) => {
+            const docRef = dayRef(entry.docId);
+            const recordRef = interactionRef(entry.docId, entry.interactionId);
+            const docSnap = await transaction.get(docRef);
+            const recordSnap = await transaction.get(recordRef);
+
+            // Nothing to undo if the tap never landed or has already been voided
+            if (!docSnap.exists() || !recordSnap.exists() || recordSnap.data().voided) return;
+
+            transaction.update(docRef, {
+                ...getVoidChanges(docSnap.data(), recordSnap.data(), entry.staffUid),
+                lastInteractionId: entry.interactionId,
+                updatedAt: serverTimestamp()
+            });
+            transaction.update(recordRef, {
+                voided: true,
+                voidedBy: entry.staffUid,
+                voidedAt: serverTimestamp()
+            });
+        }),
+
+        // A tally undone while still queued never landed, so its note has nothing to attach to
+        applyNote: async (entry) => {
+            try {
+                await updateDoc(interactionRef(entry.docId, entry.interactionId), {
+                    note: entry.note,
+                    noteRedacted: !!entry.noteRedacted
+                });
+            } catch (e) {
+                if (e.code !== 'not-found') throw e;
+            }
+        },
+
+        getDay: async (docId) => {
+            const snap = await getDoc(dayRef(docId));
+            return snap.exists() ? snap.data() : null;
+        },
+
+        // Date IDs sort lexically in chronological order, so a string range on the `date`
+        // field selects exactly the days inside the period
+        getDays: async (startId, endId) => {
+            const snapshot = await getDocs(query(
+                collection(db, dailyPath),
+                where('date', '>=', startId),
+                where('date', '<=', endId),
+                orderBy('date', 'asc')
+            ));
+            return snapshot.docs.map(d => ({ ...d.data(), docId: d.id }));
+        },
+
+        // One collection group query for the whole period rather than one read per rollup.
+        // Interactions from every library share the collection ID, so each record carries
+        // its library's path, which is also what firestore.rules checks for these reads.
+        getInteractions: async (startId, endId, { notesOnly = false } = {}) => {
+            const snapshot = await getDocs(query(
+                collectionGroup(db, INTERACTIONS_SUBCOLLECTION),
+                where('libraryPath', '==', basePath),
+                where('date', '>=', startId),
+                where('date', '<=', endId),
+                ...(notesOnly ? [where('note', '>', '')] : [])
+            ));
+            return snapshot.docs.map(d => ({ id: d.id, docId: d.ref.parent.parent.id, ...d.data() }));
+        },
+
+        tagFaq: (docId, interactionId, topic, staffUid) => updateDoc(interactionRef(docId, interactionId), {
+            faqTopic: topic || null,
+            faqTaggedBy: staffUid,
+            faqTaggedAt: serverTimestamp()
+        }),
+
+        applyCorrection: ({ docId, date, servicePoint, counts, reason, staffUid }) => {
+            const docRef = dayRef(docId);
+            const correctionRef = doc(collection(docRef, CORRECTIONS_SUBCOLLECTION));
+            return runTransaction(db, async (transaction) => {
+                const docSnap = await transaction.get(docRef);
+                const { before, adjustments } = getCorrectionChanges(docSnap.exists() ? docSnap.data() : {}, counts);
+
+                transaction.set(docRef, {
+                    ...counts,
+                    adjustments,
+                    date,
+                    servicePoint,
+                    correctedAt: serverTimestamp(),
+                    correctedBy: staffUid
+                }, { merge: true });
+
+                transaction.set(correctionRef, {
+                    date,
+                    servicePoint,
+                    before,
+                    after: counts,
+                    reason,
+                    correctedBy: staffUid,
+                    correctedAt: serverTimestamp()
+                });
+            });
+        },
+
+        getCorrections: async (docId) => {
+            const snapshot = await getDocs(query(
+                collection(dayRef(docId), CORRECTIONS_SUBCOLLECTION),
+                orderBy('correctedAt', 'desc')
+            ));
+            return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        },
+
+        saveSettings: (settings) => setDoc(doc(db, settingsPath), { ...settings, updatedAt: serverTimestamp() }),
+
+        saveCategories: async (categories) => {
+            const batch = writeBatch(db);
+            categories.forEach(({ id, ...data }) => {
+                batch.set(doc(db, categoriesPath, id), { ...data, updatedAt: serverTimestamp() });
+            });
+            await batch.commit();
+        },
+
+        // Two listeners, since one query can't ask for "not closed, or closed recently"
+        subscribeFollowUps: (closedSinceId, onData, onError) => {
+            let active = [];
+            let recentlyClosed = [];
+            const toList = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+            // A follow-up changing status can briefly be in both lists until the second listener fires
+            const emit = () => onData([
+                ...active,
+                ...recentlyClosed.filter(item => !active.some(other => other.id === item.id))
+            ]);
+            const unsubscribeActive = onSnapshot(
+                query(collection(db, followUpsPath), where('status', 'in', ['open', 'in_progress'])),
+                (snapshot) => {
+                    active = toList(snapshot);
+                    emit();
+                },
+                onError
+            );
+            const unsubscribeClosed = onSnapshot(
+                query(collection(db, followUpsPath), where('closedDate', '>=', closedSinceId)),
+                (snapshot) => {
+                    recentlyClosed = toList(snapshot);
+                    emit();
+                },
+                onError
+            );
+            return () => {
+                unsubscribeActive();
+                unsubscribeClosed();
+            };
+        },
+
+        getFollowUps: async (startId, endId) => {
+            const snapshot = await getDocs(query(
+                collection(db, followUpsPath),
+                where('date', '>=', startId),
+                where('date', '<=', endId)
+            ));
+            return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        },
+
+        saveFollowUp: (followUp) => setDoc(doc(db, followUpsPath, followUp.interactionId), {
+            ...followUp,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        }),
+
+        updateFollowUp: (id, changes) => updateDoc(doc(db, followUpsPath, id), { ...changes, updatedAt: serverTimestamp() }),
+
+        setFollowUpStatus: (followUp, update) => updateDoc(
+            doc(db, followUpsPath, followUp.id),
+            getFollowUpStatusChanges(followUp, update, serverTimestamp())
+        )
+    };
+};
+
+// The in-browser backends keep timestamps as milliseconds, so their state is plain JSON,
+// and hand them out as Timestamps like Firestore does
+const LOCAL_TIMESTAMP_FIELDS = ['timestamp', 'receivedAt', 'voidedAt', 'faqTaggedAt', 'createdAt', 'updatedAt', 'correctedAt', 'startedAt', 'closedAt'];
+
+const withTimestamps = (data) => {
+    if (!data) return null;
+    return LOCAL_TIMESTAMP_FIELDS.reduce((acc, field) => (
+        typeof data[field] === 'number' ? { ...acc, [field]: Timestamp.fromMillis(data[field]) } : acc
+    ), { ...data });
+};
+
+// Holds everything in one object for the life of the page. `onChange` receives the state
+// after every write, plus the rollup ID when interactions changed; the localStorage backend
+// uses it to persist, and a write fails if `onChange` throws.
+const createMemoryStorage = (initialState = {}, onChange = () => {}) => {
+    const state = { days: {}, interactions: {}, corrections: {}, settings: null, categories: [], followUps: {}, ...initialState };
+    const listeners = new Set();
+
+    const commit = (interactionDocId) => {
+        onChange(state, interactionDocId);
+        listeners.forEach(listener => listener());
+    };
+
+    // Subscriptions re-read after every write, like a snapshot listener
+    const watch = (read, onData) => {
+        const listener = () => onData(read());
+        listeners.add(listener);
+        listener();
+        return () => listeners.delete(listener);
+    };
+
+    const dayInteractions = (docId) => {
+        if (!state.interactions[docId]) state.interactions[docId] = {};
+        return state.interactions[docId];
+    };
+
+    return {
+        kind: 'memory',
+
+        subscribeDay: (docId, onData) => watch(() => withTimestamps(state.days[docId]), onData),
+
+        subscribeSettings: (onData) => watch(() => withTimestamps(state.settings), onData),
+
+        subscribeCategories: (onData) => watch(() => state.categories.map(withTimestamps), onData),
+
+        // A replay of a tally already applied saves again, in case the browser refused the
+        // first save and the tally is still waiting in the queue because of it
+        applyTally: async (entry) => {
+            const records = dayInteractions(entry.docId);
+            if (records[entry.interactionId]) {
+                commit(entry.docId);
+                return;
+            }
+
+            const now = Date.now();
+            const existing = state.days[entry.docId];
+            const data = existing || { ...newRollup(entry), createdAt: now };
+            state.days[entry.docId] = { ...data, ...getTallyChanges(data, entry), ...(existing ? { updatedAt: now } : {}) };
+            records[entry.interactionId] = { ...buildInteractionRecord(entry), timestamp: entry.tappedAt, receivedAt: now };
+            commit(entry.docId);
+        },
+
+        applyVoid: async (entry) => {
+            const data = state.days[entry.docId];
+            const records = dayInteractions(entry.docId);
+            const record = records[entry.interactionId];
+            if (!data || !record) return;
+            if (record.voided) {
+                commit(entry.docId);
+                return;
+            }
+
+            const now = Date.now();
+            state.days[entry.docId] = { ...data, ...getVoidChanges(data, record, entry.staffUid), updatedAt: now };
+            records[entry.interactionId] = { ...record, voided: true, voidedBy: entry.staffUid, voidedAt: now };
+            commit(entry.docId);
+        },
+
+        applyNote: async (entry) => {
+            const records = dayInteractions(entry.docId);
+            if (!records[entry.interactionId]) return;
+            records[entry.interactionId] = { ...records[entry.interactionId], note: entry.note, noteRedacted: !!entry.noteRedacted };
+            commit(entry.docId);
+        },
+
+        getDay: async (docId) => withTimestamps(state.days[docId]),
+
+        getDays: async (startId, endId) => Object.entries(state.days)
+            .filter(([, data]) => data.date >= startId && data.date <= endId)
+            .sort(([, a], [, b]) => a.date.localeCompare(b.date))
+            .map(([docId, data]) => ({ ...withTimestamps(data), docId })),
+
+        getInteractions: async (startId, endId, { notesOnly = false } = {}) => Object.entries(state.interactions)
+            .flatMap(([docId, records]) => Object.entries(records)
+                .filter(([, record]) => record.date >= startId && record.date <= endId && (!notesOnly || record.note))
+                .map(([id, record]) => ({ id, docId, ...withTimestamps(record) }))),
+
+        tagFaq: async (docId, interactionId, topic, staffUid) => {
+            const records = dayInteractions(docId);
+            records[interactionId] = { ...records[interactionId], faqTopic: topic || null, faqTaggedBy: staffUid, faqTaggedAt: Date.now() };
+            commit(docId);
+        },
+
+        applyCorrection: async ({ docId, date, servicePoint, counts, reason, staffUid }) => {
+            const data = state.days[docId] || {};
+            const { before, adjustments } = getCorrectionChanges(data, counts);
+            const now = Date.now();
+            state.days[docId] = { ...data, ...counts, adjustments, date, servicePoint, correctedAt: now, correctedBy: staffUid };
+            state.corrections[docId] = [
+                { id: crypto.randomUUID(), date, servicePoint, before, after: counts, reason, correctedBy: staffUid, correctedAt: now },
+                ...(state.corrections[docId] || [])
+            ];
+            commit();
+        },
+
+        getCorrections: async (docId) => (state.corrections[docId] || []).map(withTimestamps),
+
+        saveSettings: async (settings) => {
+            state.settings = { ...settings, updatedAt: Date.now() };
+            commit();
+        },
+
+        saveCategories: async (categories) => {
+            const now = Date.now();
+            const byId = state.categories.reduce((acc, category) => ({ ...acc, [category.id]: category }), {});
+            categories.forEach(category => {
+                byId[category.id] = { ...category, updatedAt: now };
+            });
+            state.categories = Object.values(byId);
+            commit();
+        },
+
+        subscribeFollowUps: (closedSinceId, onData) => watch(() => Object.entries(state.followUps)
+            .filter(([, followUp]) => followUp.status !== 'closed' || followUp.closedDate >= closedSinceId)
+            .map(([id, followUp]) => ({ id, ...withTimestamps(followUp) })), onData),
+
+        getFollowUps: async (startId, endId) => Object.entries(state.followUps)
+            .filter(([, followUp]) => followUp.date >= startId && followUp.date <= endId)
+            .map(([id, followUp]) => ({ id, ...withTimestamps(followUp) })),
+
+        saveFollowUp: async (followUp) => {
+            const now = Date.now();
+            state.followUps[followUp.interactionId] = { ...followUp, createdAt: now, updatedAt: now };
+            commit();
+        },
+
+        updateFollowUp: async (id, changes) => {
+            state.followUps[id] = { ...state.followUps[id], ...changes, updatedAt: Date.now() };
+            commit();
+        },
+
+        setFollowUpStatus: async (followUp, update) => {
+            state.followUps[followUp.id] = { ...state.followUps[followUp.id], ...getFollowUpStatusChanges(followUp, update, Date.now()) };
+            commit();
+        }
+    };
+};
+
+// Where the localStorage backend keeps everything. Meant for a single terminal: other tabs
+// and devices do not see each other's tallies.
+const LOCAL_DATA_STORAGE_KEY = 'refTally.data';
+
+// Raised when the browser refuses to save, usually because its storage quota is full
+const LOCAL_SAVE_FAILED = 'local-save-failed';
+
+// Interactions are kept under one key per month (refTally.data.interactions.2026-10), so a
+// tap rewrites only its own month rather than everything ever recorded on the terminal
+const createLocalStorageStorage = (key = LOCAL_DATA_STORAGE_KEY) => {
+    const monthPrefix = `${key}.interactions.`;
+    const monthOf = (docId) => docId.slice(0, 7);
+    const saveMonth = (interactions, month) => {
+        const inMonth = Object.keys(interactions)
+            .filter(docId => monthOf(docId) === month)
+            .reduce((acc, docId) => ({ ...acc, [docId]: interactions[docId] }), {});
+        localStorage.setItem(`${monthPrefix}${month}`, JSON.stringify(inMonth));
+    };
+
+    let saved = {};
+    let needsSplit = false;
+    try {
+        saved = JSON.parse(localStorage.getItem(key)) || {};
+        // Saves from before the split keep interactions in the main key
+        needsSplit = !!saved.interactions;
+        const interactions = { ...(saved.interactions || {}) };
+        for (let i = 0; i < localStorage.length; i++) {
+            const itemKey = localStorage.key(i);
+            if (itemKey.startsWith(monthPrefix)) Object.assign(interactions, JSON.parse(localStorage.getItem(itemKey)));
+        }
+        saved = { ...saved, interactions };
+    } catch (e) {
+        console.error("Could not read saved tallies from this browser:", e);
+    }
+
+    const save = (state, interactionDocId) => {
+        const { interactions, ...rest } = state;
+        try {
+            const months = needsSplit
+                ? [...new Set(Object.keys(interactions).map(monthOf))]
+                : interactionDocId ? [monthOf(interactionDocId)] : [];
+            months.forEach(month => saveMonth(interactions, month));
+            localStorage.setItem(key, JSON.stringify(rest));
+            needsSplit = false;
+        } catch (e) {
+            console.error("Could not save tallies in this browser:", e);
+            const error = new Error("This browser refused to save; its storage may be full.");
+            error.code = LOCAL_SAVE_FAILED;
+            throw error;
+        }
+    };
+
+    const storage = createMemoryStorage(saved, save);
+    return { ...storage, kind: 'local' };
+};
+
+// Firestore when the environment provides a Firebase project, otherwise this browser's
+// localStorage. Adding ?storage=memory to the URL starts a throwaway session for training.
+const getStorageKind = () => {
+    const requested = typeof window !== 'undefined' ? new URLSearchParams(window.location.search).get('storage') : null;
+    if (requested === 'memory') return 'memory';
+    return firebaseConfig.projectId ? 'firestore' : 'local';
+};
+
+// --- Historical Import Helpers ---
+// Rows per Firestore transaction when committing or rolling back an import
+const IMPORT_CHUNK_SIZE = 200;
+
+// Named by the `import.mode.*` messages, and `import.modeShort.*` in the preview and history
+const IMPORT_CONFLICT_MODES = ['merge', 'replace', 'skip'];
+
+// Accepts YYYY-MM-DD and US-style M/D/YYYY (or M/D/YY) dates; returns a date ID or null
+const parseImportDate = (value) => {
+    const text = String(value ?? '').trim();
+    let year, month, day;
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+        [, month, day, year] = match.map(Number);
+        if (year < 100) year += 2000;
+    } else {
+        return null;
+    }
+    const dateId = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    // Reject impossible dates such as 2023-02-30, which Date would silently roll over
+    return formatDateId(parseDateId(dateId)) === dateId ? dateId : null;
+};
+
+// Blank cells count as zero; anything else must be a non-negative whole number
+const parseImportCount = (value) => {
+    const text = String(value ?? '').trim().replace(/,/g, '');
+    if (text === '') return 0;
+    return /^\d+$/.test(text) ? Number(text) : null;
+};
+
+// Original (pre-correction) value of a category for a daily document.
+// Supervisor corrections accumulate their net change in the `adjustments` map.
+const getOriginalCount = (day, typeId) => {
+    return (day[typeId] || 0) - ((day.adjustments && day.adjustments[typeId]) || 0);
+};
+
+// --- Traffic Analytics ---
+// Trend buckets: one bar per day for short periods, one per reporting week for longer ones
+const TREND_DAILY_LIMIT = 62;
+
+// Day-of-week × hour heat map, stacked per-category trend and peak hours for the report
+// period. Hours come from each interaction's timestamp in the library's timezone; the
+// trend uses the daily rollups, so it also covers days logged before interactions existed.
+const TrafficAnalytics = ({ interactions, days, categories, timeZone, loading }) => {
+    const { language, t } = useI18n();
+    const [categoryFilter, setCategoryFilter] = useState('all');
+    const categoryName = (category) => localizeCategory(category, language).name;
+
+    const filteredCategories = categoryFilter === 'all'
+        ? categories
+        : categories.filter(category => category.id === categoryFilter);
+
+    // counts[weekday][hour], plus how many of each weekday the period contains
+    const heatMap = useMemo(() => {
+        const hourFormatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_LIBRARY_SETTINGS.timezone,
+            hour: 'numeric',
+            hourCycle: 'h23',
+        });
+        const counts = Array.from({ length: 7 }, () => Array(24).fill(0));
+        let total = 0;
+        interactions
+            .filter(interaction => !interaction.voided && interaction.timestamp)
+            .filter(interaction => categoryFilter === 'all' || interaction.category === categoryFilter)
+            .forEach(interaction => {
+                const weekday = parseDateId(interaction.date).getUTCDay();
+                const hour = Number(hourFormatter.format(interaction.timestamp.toDate())) % 24;
+                counts[weekday][hour] += 1;
+                total += 1;
+            });
+
+        const weekdayOccurrences = Array(7).fill(0);
+        days.forEach(day => {
+            weekdayOccurrences[parseDateId(day.date).getUTCDay()] += 1;
+        });
+
+        const activeHours = [];
+        for (let hour = 0; hour < 24; hour++) {
+            if (counts.some(row => row[hour] > 0)) activeHours.push(hour);
+        }
+        const hours = activeHours.length > 0
+            ? Array.from({ length: activeHours[activeHours.length - 1] - activeHours[0] + 1 }, (_, i) => activeHours[0] + i)
+            : [];
+        const max = Math.max(0, ...counts.flat());
+
+        return { counts, total, hours, max, weekdayOccurrences };
+    }, [interactions, days, categoryFilter, timeZone]);
+
+    const weekdayOrder = Array.from({ length: 7 }, (_, i) => (WEEK_START_DAY + i) % 7);
+
+    const peakHours = useMemo(() => {
+        const slots = [];
+        heatMap.counts.forEach((row, weekday) => {
+            row.forEach((count, hour) => {
+                if (count > 0) slots.push({ weekday, hour, count });
+            });
+        });
+        return slots.sort((a, b) => b.count - a.count).slice(0, 10);
+    }, [heatMap]);
+
+    // Stacked trend: per-bucket totals for each category
+    const trend = useMemo(() => {
+        const buckets = [];
+        const byKey = {};
+        days.forEach(day => {
+            let key = day.date;
+            if (days.length > TREND_DAILY_LIMIT) {
+                const offset = (parseDateId(day.date).getUTCDay() - WEEK_START_DAY + 7) % 7;
+                key = addDays(day.date, -offset);
+            }
+            if (!byKey[key]) {
+                byKey[key] = { key, counts: {} };
+                buckets.push(byKey[key]);
+            }
+            filteredCategories.forEach(category => {
+                byKey[key].counts[category.id] = (byKey[key].counts[category.id] || 0) + (day[category.id] || 0);
+            });
+        });
+        const max = Math.max(1, ...buckets.map(bucket => Object.values(bucket.counts).reduce((sum, c) => sum + c, 0)));
+        return { buckets, max, weekly: days.length > TREND_DAILY_LIMIT };
+    }, [days, filteredCategories]);
+
+    const chartHeight = 160;
+    const barWidth = trend.buckets.length > 0 ? Math.max(4, Math.floor(640 / trend.buckets.length)) : 0;
+
+    return (
+        <div className="traffic-analytics">
+            <label className="block text-sm font-medium text-gray-700 mb-4 print:hidden">
+                {t('analytics.category')}
+                <select
+                    value={categoryFilter}
+                    onChange={(e) => setCategoryFilter(e.target.value)}
+                    className="ml-2 p-2 border rounded-lg bg-white"
+                >
+                    <option value="all">{t('analytics.allCategories')}</option>
+                    {categories.map(category => (
+                        <option key={category.id} value={category.id}>{categoryName(category)}</option>
+                    ))}
+                </select>
+            </label>
+            {categoryFilter !== 'all' && (
+                <p className="hidden print:block text-sm text-gray-600 mb-2">
+                    {t('analytics.categoryFilter', { categories: filteredCategories.map(categoryName).join(', ') })}
+                </p>
+            )}
+
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">{t('analytics.heatMap')}</h4>
+            {loading ? (
+                <p className="text-sm text-gray-500 mb-6">{t('analytics.loading')}</p>
+            ) : heatMap.total === 0 ? (
+                <p className="text-sm text-gray-500 mb-6">{t('analytics.none')}</p>
+            ) : (
+                <div className="overflow-x-auto mb-6">
+                    <table className="heat-map text-xs border-collapse">
+                        <thead>
+                            <tr>
+                                <th className="px-2 py-1"></th>
+                                {heatMap.hours.map(hour => (
+                                    <th key={`hour-${hour}`} className="px-1 py-1 font-medium text-gray-500">{formatHour(hour, language)}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {weekdayOrder.map(weekday => (
+                                <tr key={`weekday-${weekday}`}>
+                                    <th className="px-2 py-1 text-left font-medium text-gray-600">{formatWeekday(weekday, language, 'short')}</th>
+                                    {heatMap.hours.map(hour => {
+                                        const count = heatMap.counts[weekday][hour];
+                                        const intensity = heatMap.max > 0 ? count / heatMap.max : 0;
+                                        return (
+                                            <td
+                                                key={`cell-${weekday}-${hour}`}
+                                                className="w-10 h-8 text-center border border-white"
+                                                style={{
+                                                    backgroundColor: count > 0 ? `rgba(79, 70, 229, ${0.1 + intensity * 0.9})` : '#f9fafb',
+                                                    color: intensity > 0.5 ? '#fff' : '#374151',
+                                                }}
+                                                title={t('analytics.cell', { day: formatWeekday(weekday, language), hour: formatHour(hour, language), count: formatNumber(count, language) })}
+                                            >
+                                                {count || ''}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="mt-1 text-xs text-gray-500">
+                        {t('analytics.heatMapNote', { count: formatNumber(heatMap.total, language) })}
+                    </p>
+                </div>
+            )}
+
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">{t(trend.weekly ? 'analytics.weeklyTrend' : 'analytics.dailyTrend')}</h4>
+            <div className="overflow-x-auto mb-2">
+                <svg width={Math.max(320, trend.buckets.length * barWidth)} height={chartHeight + 20} role="img" aria-label={t('analytics.trendLabel')}>
+                    {trend.buckets.map((bucket, index) => {
+                        let y = chartHeight;
+                        return (
+                            <g key={bucket.key}>
+                                {filteredCategories.map(category => {
+                                    const count = bucket.counts[category.id] || 0;
+                                    const height = (count / trend.max) * chartHeight;
+                                    y -= height;
+                                    return count > 0 ? (
+                                        <rect
+                                            key={`${bucket.key}-${category.id}`}
+                                            x={index * barWidth + 1}
+                                            y={y}
+                                            width={Math.max(1, barWidth - 2)}
+                                            height={height}
+                                            fill={getCategoryHex(category)}
+                                        >
+                                            <title>{t('analytics.bar', { date: formatDisplayDate(bucket.key, language), category: categoryName(category), count: formatNumber(count, language) })}</title>
+                                        </rect>
+                                    ) : null;
+                                })}
+                            </g>
+                        );
+                    })}
+                    {trend.buckets.length > 0 && (
+                        <>
+                            <text x={0} y={chartHeight + 14} fontSize="10" fill="#6b7280">{formatDisplayDate(trend.buckets[0].key, language)}</text>
+                            <text x={trend.buckets.length * barWidth} y={chartHeight + 14} fontSize="10" fill="#6b7280" textAnchor="end">
+                                {formatDisplayDate(trend.buckets[trend.buckets.length - 1].key, language)}
+                            </text>
+                        </>
+                    )}
+                </svg>
+            </div>
+            <div className="flex flex-wrap gap-3 mb-6 text-xs text-gray-600">
+                {filteredCategories.map(category => (
+                    <span key={`legend-${category.id}`} className="inline-flex items-center">
+                        <span className="inline-block w-3 h-3 mr-1 rounded-sm" style={{ backgroundColor: getCategoryHex(category) }}></span>
+                        {categoryName(category)}
+                    </span>
+                ))}
+            </div>
+
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">{t('analytics.peakHours')}</h4>
+            {peakHours.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('analytics.none')}</p>
+            ) : (
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('analytics.rank')}</th>
+                            <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('analytics.day')}</th>
+                            <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('analytics.hour')}</th>
+                            <th className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('analytics.questions')}</th>
+                            <th className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('analytics.perWeek')}</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {peakHours.map((slot, index) => (
+                            <tr key={`peak-${slot.weekday}-${slot.hour}`}>
+                                <td className="px-3 py-2 text-sm text-gray-500">{index + 1}</td>
+                                <td className="px-3 py-2 text-sm text-gray-900">{formatWeekday(slot.weekday, language)}</td>
+                                <td className="px-3 py-2 text-sm text-gray-900">
+                                    {t('analytics.hourRange', { start: formatHour(slot.hour, language), end: formatHour((slot.hour + 1) % 24, language) })}
+                                </td>
+                                <td className="px-3 py-2 text-right text-sm font-bold text-gray-800">{formatNumber(slot.count, language)}</td>
+                                <td className="px-3 py-2 text-right text-sm text-gray-500">
+                                    {formatNumber(slot.count / Math.max(1, heatMap.weekdayOccurrences[slot.weekday]), language, 1)}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+// --- Period Comparison ---
+const COMPARISON_PERIODS = [
+    { id: 'current', name: 'Selected' },
+    { id: 'previous', name: 'Previous Period' },
+    { id: 'lastYear', name: 'Same Period Last Year' },
+];
+
+// Percent change from a base value; null when there is nothing to compare against
+const getPercentChange = (value, base) => (base > 0 ? ((value - base) / base) * 100 : null);
+
+// Plain-text percent change for the exports; the view formats it for its language
+const formatPercentChange = (percent) => {
+    if (percent === null) return '—';
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+};
+
+// Trailing average over the last `size` values (fewer at the very start of the series)
+const getMovingAverage = (values, size) => {
+    return values.map((_, index) => {
+        const window = values.slice(Math.max(0, index - size + 1), index + 1);
+        return window.reduce((sum, value) => sum + value, 0) / window.length;
+    });
+};
+
+// Everything the comparison view and exports need, from the rollup documents for
+// ranges.spanStart through the end of the selected period (already filtered by service point)
+const buildPeriodComparison = (docs, questionTypes, ranges) => {
+    const { current, previous, lastYear, spanStart } = ranges;
+    const dates = enumerateDates(spanStart, current.end);
+    const days = mergeRollups(docs, dates);
+    const categories = getReportCategories(questionTypes, days, spanStart, current.end);
+    const byDate = days.reduce((acc, day) => ({ ...acc, [day.date]: day }), {});
+    const dayTotal = (dateId) => categories.reduce((sum, category) => sum + ((byDate[dateId] || {})[category.id] || 0), 0);
+
+    const sumPeriod = (period, id) => enumerateDates(period.start, period.end)
+        .reduce((sum, dateId) => sum + ((byDate[dateId] || {})[id] || 0), 0);
+
+    const rows = categories.map(category => ({
+        id: category.id,
+        name: category.name,
+        current: sumPeriod(current, category.id),
+        previous: sumPeriod(previous, category.id),
+        lastYear: sumPeriod(lastYear, category.id)
+    }));
+    const totals = COMPARISON_PERIODS.reduce((acc, period) => ({
+        ...acc,
+        [period.id]: rows.reduce((sum, row) => sum + row[period.id], 0)
+    }), {});
+
+    // Daily totals and moving averages over the selected period, with last year's average
+    // on the same calendar dates for reference
+    const totalsByDate = dates.map(dayTotal);
+    const averages = getMovingAverage(totalsByDate, MOVING_AVERAGE_DAYS);
+    const averageByDate = dates.reduce((acc, dateId, index) => ({ ...acc, [dateId]: averages[index] }), {});
+    const daily = enumerateDates(current.start, current.end).map(dateId => ({
+        date: dateId,
+        total: dayTotal(dateId),
+        average: averageByDate[dateId],
+        lastYearAverage: averageByDate[shiftYears(dateId, -1)] ?? null
+    }));
+
+    // Monthly totals from the start of last year's period through the selected one
+    const monthly = [];
+    enumerateDates(`${lastYear.start.slice(0, 7)}-01`, current.end).forEach(dateId => {
+        const month = dateId.slice(0, 7);
+        if (monthly.length === 0 || monthly[monthly.length - 1].month !== month) {
+            monthly.push({ month, total: 0, partial: false });
+        }
+        monthly[monthly.length - 1].total += dayTotal(dateId);
+    });
+    if (monthly.length > 0 && addDays(current.end, 1).slice(0, 7) === current.end.slice(0, 7)) {
+        monthly[monthly.length - 1].partial = true;
+    }
+
+    return { ranges, rows, totals, daily, monthly };
+};
+
+// Selected period against the previous period and the same period last year, with a
+// moving-average chart and a monthly trend line
+const PeriodComparison = ({ comparison, questionTypes, loading }) => {
+    const { language, t } = useI18n();
+    const formatDate = (dateId) => formatDisplayDate(dateId, language);
+    const formatRange = (range) => t('report.range', { start: formatDate(range.start), end: formatDate(range.end) });
+    const categoryName = (row) => {
+        const type = questionTypes.find(item => item.id === row.id);
+        return type ? localizeCategory(type, language).name : row.name;
+    };
+
+    if (loading || !comparison) {
+        return <p className="text-sm text-gray-500">{t('comparison.loading')}</p>;
+    }
+
+    const { ranges, rows, totals, daily, monthly } = comparison;
+    const chartWidth = 640;
+    const chartHeight = 160;
+
+    const dailyMax = Math.max(1, ...daily.map(day => Math.max(day.total, day.lastYearAverage || 0)));
+    const dailyX = (index) => (daily.length > 1 ? (index / (daily.length - 1)) * chartWidth : chartWidth / 2);
+    const dailyY = (value) => chartHeight - (value / dailyMax) * chartHeight;
+    const linePoints = (field) => daily
+        .map((day, index) => (day[field] === null ? null : `${dailyX(index)},${dailyY(day[field])}`))
+        .filter(Boolean)
+        .join(' ');
+
+    const monthlyMax = Math.max(1, ...monthly.map(month => month.total));
+    const monthlyX = (index) => (monthly.length > 1 ? (index / (monthly.length - 1)) * chartWidth : chartWidth / 2);
+    const monthlyY = (value) => chartHeight - (value / monthlyMax) * chartHeight;
+
+    const renderChangeCells = (value, base, key) => (
+        <>
+            <td key={`${key}-base`} className="px-3 py-2 text-right text-gray-700">{formatNumber(base, language)}</td>
+            <td key={`${key}-change`} className={`px-3 py-2 text-right ${value - base < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                {formatSignedNumber(value - base, language)}
+                <span className="block text-xs">
+                    {base > 0 ? formatSignedNumber(getPercentChange(value, base), language, 'percent') : '—'}
+                </span>
+            </td>
+        </>
+    );
+
+    return (
+        <div className="period-comparison">
+            <p className="text-sm text-gray-600 mb-3">
+                {t('comparison.ranges', {
+                    current: formatRange(ranges.current),
+                    previous: formatRange(ranges.previous),
+                    lastYear: formatRange(ranges.lastYear)
+                })}
+            </p>
+            <div className="overflow-x-auto mb-6">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('comparison.category')}</th>
+                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('comparison.selected')}</th>
+                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('comparison.previous')}</th>
+                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('comparison.change')}</th>
+                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('comparison.lastYear')}</th>
+                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('comparison.change')}</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {rows.map(row => (
+                            <tr key={`comparison-${row.id}`}>
+                                <td className="px-3 py-2 font-medium text-gray-900">{categoryName(row)}</td>
+                                <td className="px-3 py-2 text-right font-semibold text-gray-900">{formatNumber(row.current, language)}</td>
+                                {renderChangeCells(row.current, row.previous, `${row.id}-previous`)}
+                                {renderChangeCells(row.current, row.lastYear, `${row.id}-last-year`)}
+                            </tr>
+                        ))}
+                        <tr className="bg-indigo-50 font-bold">
+                            <td className="px-3 py-2 text-gray-900">{t('comparison.total')}</td>
+                            <td className="px-3 py-2 text-right text-indigo-800">{formatNumber(totals.current, language)}</td>
+                            {renderChangeCells(totals.current, totals.previous, 'total-previous')}
+                            {renderChangeCells(totals.current, totals.lastYear, 'total-last-year')}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">{t('comparison.dailyHeading', { days: MOVING_AVERAGE_DAYS })}</h4>
+            <div className="overflow-x-auto mb-2">
+                <svg width={chartWidth + 10} height={chartHeight + 20} role="img" aria-label={t('comparison.dailyLabel', { days: MOVING_AVERAGE_DAYS })}>
+                    {daily.map((day, index) => (
+                        <circle key={`daily-${day.date}`} cx={dailyX(index)} cy={dailyY(day.total)} r={2} fill="#c7d2fe">
+                            <title>{t('comparison.point', { date: formatDate(day.date), count: formatNumber(day.total, language) })}</title>
+                        </circle>
+                    ))}
+                    <polyline points={linePoints('lastYearAverage')} fill="none" stroke="#9ca3af" strokeWidth="2" strokeDasharray="4 3" />
+                    <polyline points={linePoints('average')} fill="none" stroke="#4f46e5" strokeWidth="2.5" />
+                    {daily.length > 0 && (
+                        <>
+                            <text x={0} y={chartHeight + 14} fontSize="10" fill="#6b7280">{formatDate(daily[0].date)}</text>
+                            <text x={chartWidth} y={chartHeight + 14} fontSize="10" fill="#6b7280" textAnchor="end">{formatDate(daily[daily.length - 1].date)}</text>
+                        </>
+                    )}
+                </svg>
+            </div>
+            <div className="flex flex-wrap gap-4 mb-6 text-xs text-gray-600">
+                <span className="inline-flex items-center"><span className="inline-block w-3 h-3 mr-1 rounded-full" style={{ backgroundColor: '#c7d2fe' }}></span>{t('comparison.dailyTotal')}</span>
+                <span className="inline-flex items-center"><span className="inline-block w-4 h-0.5 mr-1" style={{ backgroundColor: '#4f46e5' }}></span>{t('comparison.average', { days: MOVING_AVERAGE_DAYS })}</span>
+                <span className="inline-flex items-center"><span className="inline-block w-4 h-0.5 mr-1" style={{ backgroundColor: '#9ca3af' }}></span>{t('comparison.lastYearAverage', { days: MOVING_AVERAGE_DAYS })}</span>
+            </div>
+
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">{t('comparison.monthly')}</h4>
+            <div className="overflow-x-auto mb-2">
+                <svg width={chartWidth + 40} height={chartHeight + 36} role="img" aria-label={t('comparison.monthlyLabel')}>
+                    <g transform="translate(20, 10)">
+                        <polyline
+                            points={monthly.map((month, index) => `${monthlyX(index)},${monthlyY(month.total)}`).join(' ')}
+                            fill="none"
+                            stroke="#0d9488"
+                            strokeWidth="2.5"
+                        />
+                        {monthly.map((month, index) => (
+                            <g key={`month-${month.month}`}>
+                                <circle cx={monthlyX(index)} cy={monthlyY(month.total)} r={4} fill={month.partial ? '#fff' : '#0d9488'} stroke="#0d9488" strokeWidth="2">
+                                    <title>
+                                        {t(month.partial ? 'comparison.monthInProgress' : 'comparison.point', {
+                                            date: formatMonth(month.month, language, { year: 'numeric', month: 'long' }),
+                                            count: formatNumber(month.total, language)
+                                        })}
+                                    </title>
+                                </circle>
+                                <text x={monthlyX(index)} y={chartHeight + 18} fontSize="10" fill="#6b7280" textAnchor="middle">{formatMonth(month.month, language, { year: '2-digit', month: 'short' })}</text>
+                            </g>
+                        ))}
+                    </g>
+                </svg>
+            </div>
+            {monthly.some(month => month.partial) && (
+                <p className="text-xs text-gray-500">{t('comparison.partialNote')}</p>
+            )}
+        </div>
+    );
+};
+
+// --- Sampling Periods and Annual Estimates ---
+// Libraries that tally only during designated sample weeks extrapolate to a full year.
+// The estimate is a ratio estimator over open days: the mean questions per sampled open
+// day, times the number of days the library is open in the year according to its
+// opening hours and closures.
+
+// The sampling period containing a date, and the next one to start after it
+const getSamplingStatus = (dateId, settings) => {
+    const periods = [...(settings.samplingPeriods || [])].sort((a, b) => a.start.localeCompare(b.start));
+    return {
+        configured: periods.length > 0,
+        current: periods.find(period => dateId >= period.start && dateId <= period.end) || null,
+        next: periods.find(period => period.start > dateId) || null
+    };
+};
+
+// How many fiscal years the estimate view offers, counting back from the current one
+const ESTIMATE_YEAR_COUNT = 5;
+
+// Survey lines the estimate is reported on. Both surveys accept an annual figure
+// extrapolated from a sample, provided the method is stated.
+const SURVEY_FIELDS = [
+    { survey: 'Public Libraries Survey (IMLS)', code: 'REFERENC', name: 'Reference transactions' },
+    { survey: 'Academic Libraries (IPEDS / ACRL)', code: 'Information services to individuals', name: 'Reference transactions and consultations' },
+];
+
+const buildAnnualEstimate = (docs, questionTypes, settings, year, todayId) => {
+    const dates = enumerateDates(year.start, year.end);
+    const days = mergeRollups(docs, dates);
+    const categories = getReportCategories(questionTypes, days, year.start, year.end);
+    const dayTotal = (day) => categories.reduce((sum, category) => sum + (day[category.id] || 0), 0);
+
+    const openDays = days.filter(day => !getDayStatus(day.date, settings).closed);
+    const scheduled = openDays.filter(day => getSamplingStatus(day.date, settings).current);
+    // Sample days still to come in a year in progress are not part of the sample yet
+    const sampled = scheduled.filter(day => day.date <= todayId);
+    const n = sampled.length;
+    const N = openDays.length;
+
+    const sampleTotals = sampled.map(dayTotal);
+    const sampleTotal = sampleTotals.reduce((sum, value) => sum + value, 0);
+    const meanPerDay = n > 0 ? sampleTotal / n : null;
+
+    // 95% margin of error from the spread of daily totals, with the finite population
+    // correction (no margin once every open day has been sampled)
+    let margin = null;
+    if (n > 1) {
+        const variance = sampleTotals.reduce((sum, value) => sum + (value - meanPerDay) ** 2, 0) / (n - 1);
+        margin = Math.round(1.96 * N * Math.sqrt((variance / n) * (1 - n / N)));
+    }
+
+    const rows = categories.map(category => {
+        const sampleCount = sampled.reduce((sum, day) => sum + (day[category.id] || 0), 0);
+        return {
+            id: category.id,
+            name: category.name,
+            sampleCount,
+            estimate: n > 0 ? Math.round((sampleCount / n) * N) : null
+        };
+    });
+
+    return {
+        year,
+        periods: (settings.samplingPeriods || [])
+            .filter(period => period.end >= year.start && period.start <= year.end)
+            .sort((a, b) => a.start.localeCompare(b.start)),
+        openDays: N,
+        scheduledDays: scheduled.length,
+        sampledDays: n,
+        daysWithoutTallies: sampled.filter((day, index) => sampleTotals[index] === 0).map(day => day.date),
+        coverage: N > 0 ? n / N : 0,
+        sampleTotal,
+        meanPerDay,
+        estimate: n > 0 ? Math.round(meanPerDay * N) : null,
+        margin,
+        rows
+    };
+};
+
+// Plain-language description of how the estimate was made, for the survey notes in the
+// CSV; the view words it in the terminal's language
+const describeEstimateMethod = (estimate) => {
+    if (estimate.sampledDays === 0) return 'No sampled open days yet; no estimate can be made.';
+    return `Annual estimate extrapolated from ${estimate.sampledDays} sampled open days `
+        + `(${(estimate.coverage * 100).toFixed(1)}% of ${estimate.openDays} open days in ${estimate.year.label}): `
+        + `${estimate.sampleTotal} questions recorded, ${estimate.meanPerDay.toFixed(2)} per open day, `
+        + `multiplied by ${estimate.openDays} open days.`;
+};
+
+// One row per survey line, plus the method and coverage fields surveys ask for alongside it
+const buildSurveyRows = (estimate, servicePointsLabel) => {
+    const common = {
+        fiscal_year: estimate.year.label,
+        period_start: estimate.year.start,
+        period_end: estimate.year.end,
+        service_points: servicePointsLabel
+    };
+    return [
+        ...SURVEY_FIELDS.map(field => ({
+            ...common,
+            survey: field.survey,
+            field_code: field.code,
+            field_name: field.name,
+            value: estimate.estimate === null ? '' : estimate.estimate,
+            note: describeEstimateMethod(estimate)
+        })),
+        { ...common, survey: '', field_code: 'method', field_name: 'Reporting method', value: 'Sample (annualized)', note: 'Ratio estimate over open days' },
+        { ...common, survey: '', field_code: 'sampled_days', field_name: 'Sampled open days', value: estimate.sampledDays, note: estimate.periods.map(period => `${period.label}: ${period.start} to ${period.end}`).join('; ') },
+        { ...common, survey: '', field_code: 'open_days', field_name: 'Open days in year', value: estimate.openDays, note: 'From opening hours and closures' },
+        { ...common, survey: '', field_code: 'coverage_pct', field_name: 'Sample coverage (%)', value: (estimate.coverage * 100).toFixed(1), note: '' },
+        { ...common, survey: '', field_code: 'margin_95', field_name: '95% margin of error', value: estimate.margin === null ? '' : estimate.margin, note: 'Based on day-to-day variation in the sample' },
+    ];
+};
+
+// Annual estimate for a fiscal year from its sampled days
+const AnnualEstimate = ({ estimate, questionTypes, loading, years, yearStart, onYearChange, onDownload }) => {
+    const { language, t } = useI18n();
+    const formatCount = (value) => (value === null ? '—' : formatNumber(value, language));
+    const formatCoverage = (coverage) => new Intl.NumberFormat(language, {
+        style: 'percent',
+        minimumFractionDigits: 1,
+        maximumFractionDigits: 1
+    }).format(coverage);
+    const formatDate = (dateId) => formatDisplayDate(dateId, language);
+    const categoryName = (row) => {
+        const type = questionTypes.find(item => item.id === row.id);
+        return type ? localizeCategory(type, language).name : row.name;
+    };
+    const describeMethod = () => {
+        if (estimate.sampledDays === 0) return t('estimate.noSample');
+        return t('estimate.methodText', {
+            sampled: formatNumber(estimate.sampledDays, language),
+            coverage: formatCoverage(estimate.coverage),
+            open: formatNumber(estimate.openDays, language),
+            year: estimate.year.label,
+            total: formatNumber(estimate.sampleTotal, language),
+            mean: formatNumber(estimate.meanPerDay, language, 2)
+        });
+    };
+
+    return (
+        <div className="annual-estimate">
+            <div className="flex flex-wrap items-center gap-3 mb-4 print:hidden">
+                <label className="text-sm font-medium text-gray-700">
+                    {t('estimate.year')}
+                    <select
+                        value={yearStart}
+                        onChange={(e) => onYearChange(Number(e.target.value))}
+                        className="ml-2 p-2 border rounded-lg bg-white"
+                    >
+                        {years.map(year => (
+                            <option key={year.start} value={Number(year.start.slice(0, 4))}>{year.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <button
+                    onClick={onDownload}
+                    disabled={loading || !estimate}
+                    className="px-4 py-2 bg-teal-700 text-white font-semibold rounded-lg shadow-md hover:bg-teal-800 disabled:opacity-50"
+                >
+                    {t('estimate.download')}
+                </button>
+            </div>
+
+            {loading || !estimate ? (
+                <p className="text-sm text-gray-500">{t('estimate.loading')}</p>
+            ) : (
+                <>
+                    {estimate.periods.length === 0 && (
+                        <p className="mb-4 p-3 bg-amber-50 text-amber-800 rounded-lg text-sm">
+                            {t('estimate.noPeriods', { year: estimate.year.label })}
+                        </p>
+                    )}
+
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div className="p-4 bg-indigo-50 rounded-lg">
+                            <p className="text-xs uppercase text-gray-500">{t('estimate.annual')}</p>
+                            <p className="text-2xl font-bold text-indigo-800">
+                                {formatCount(estimate.estimate)}
+                                {estimate.margin !== null && <span className="text-sm font-normal text-gray-600"> ± {formatCount(estimate.margin)}</span>}
+                            </p>
+                        </div>
+                        <div className="p-4 bg-gray-50 rounded-lg">
+                            <p className="text-xs uppercase text-gray-500">{t('estimate.sampledDays')}</p>
+                            <p className="text-2xl font-bold text-gray-800">
+                                {formatCount(estimate.sampledDays)}
+                                {estimate.scheduledDays > estimate.sampledDays && (
+                                    <span className="text-sm font-normal text-gray-600"> {t('estimate.ofScheduled', { count: formatCount(estimate.scheduledDays) })}</span>
+                                )}
+                            </p>
+                        </div>
+                        <div className="p-4 bg-gray-50 rounded-lg">
+                            <p className="text-xs uppercase text-gray-500">{t('estimate.openDays')}</p>
+                            <p className="text-2xl font-bold text-gray-800">{formatCount(estimate.openDays)}</p>
+                        </div>
+                        <div className="p-4 bg-gray-50 rounded-lg">
+                            <p className="text-xs uppercase text-gray-500">{t('estimate.coverage')}</p>
+                            <p className="text-2xl font-bold text-gray-800">{formatCoverage(estimate.coverage)}</p>
+                        </div>
+                    </div>
+
+                    <p className="text-sm text-gray-700 mb-2"><span className="font-semibold">{t('estimate.method')}</span> {describeMethod()}</p>
+                    {estimate.periods.length > 0 && (
+                        <p className="text-sm text-gray-600 mb-2">
+                            {t('estimate.periods', {
+                                periods: estimate.periods
+                                    .map(period => t('estimate.period', {
+                                        label: period.label,
+                                        range: t('report.range', { start: formatDate(period.start), end: formatDate(period.end) })
+                                    }))
+                                    .join('; ')
+                            })}
+                        </p>
+                    )}
+                    {estimate.daysWithoutTallies.length > 0 && (
+                        <p className="text-sm text-amber-700 mb-2">
+                            {t('estimate.quietDays', {
+                                count: formatCount(estimate.daysWithoutTallies.length),
+                                dates: estimate.daysWithoutTallies.map(formatDate).join('; ')
+                            })}
+                        </p>
+                    )}
+
+                    <div className="overflow-x-auto mt-4 mb-6">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('estimate.category')}</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('estimate.sampled')}</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('estimate.annual')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {estimate.rows.map(row => (
+                                    <tr key={`estimate-${row.id}`}>
+                                        <td className="px-3 py-2 font-medium text-gray-900">{categoryName(row)}</td>
+                                        <td className="px-3 py-2 text-right text-gray-700">{formatCount(row.sampleCount)}</td>
+                                        <td className="px-3 py-2 text-right font-semibold text-gray-900">{formatCount(row.estimate)}</td>
+                                    </tr>
+                                ))}
+                                <tr className="bg-indigo-50 font-bold">
+                                    <td className="px-3 py-2 text-gray-900">{t('estimate.total')}</td>
+                                    <td className="px-3 py-2 text-right text-gray-900">{formatCount(estimate.sampleTotal)}</td>
+                                    <td className="px-3 py-2 text-right text-indigo-800">{formatCount(estimate.estimate)}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <h4 className="text-lg font-semibold text-gray-700 mb-2">{t('estimate.surveyFields')}</h4>
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('estimate.survey')}</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('estimate.field')}</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('estimate.value')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {SURVEY_FIELDS.map(field => (
+                                <tr key={field.code}>
+                                    <td className="px-3 py-2 text-gray-700">{field.survey}</td>
+                                    <td className="px-3 py-2 text-gray-900">{field.name} <span className="text-xs text-gray-500">({field.code})</span></td>
+                                    <td className="px-3 py-2 text-right font-semibold text-gray-900">{formatCount(estimate.estimate)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Follow-Up Report ---
+// Referral volume and time-to-resolution for the follow-ups flagged in the report period
+const FollowUpReport = ({ report, questionTotal, questionTypes, loading }) => {
+    const { language, t } = useI18n();
+    const formatHoursValue = (hours) => (hours === null ? '—' : formatNumber(hours, language, 1));
+    const categoryName = (row) => {
+        const type = questionTypes.find(item => item.id === row.id);
+        return type ? localizeCategory(type, language).name : row.name;
+    };
+
+    if (loading || !report) {
+        return <p className="text-sm text-gray-500">{t('common.loading')}</p>;
+    }
+    if (report.totals.count === 0) {
+        return <p className="text-sm text-gray-500">{t('followUp.report.none')}</p>;
+    }
+
+    const { totals } = report;
+    const summaryColumns = [
+        { key: 'count', label: t('followUp.report.flaggedColumn') },
+        { key: 'open', label: t('followUp.status.open') },
+        { key: 'inProgress', label: t('followUp.status.in_progress') },
+        { key: 'closed', label: t('followUp.status.closed') },
+        { key: 'overdue', label: t('followUp.overdue') }
+    ];
+    const renderTable = (title, firstHeader, rows, getKey, getName) => (
+        <div className="overflow-x-auto mb-6">
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">{title}</h4>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                    <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{firstHeader}</th>
+                        {summaryColumns.map(column => (
+                            <th key={column.key} className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{column.label}</th>
+                        ))}
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('followUp.report.medianColumn')}</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                    {rows.map(row => (
+                        <tr key={getKey(row)}>
+                            <td className="px-3 py-2 font-medium text-gray-900">{getName(row)}</td>
+                            {summaryColumns.map(column => (
+                                <td key={column.key} className="px-3 py-2 text-right text-gray-700">{formatNumber(row[column.key], language)}</td>
+                            ))}
+                            <td className="px-3 py-2 text-right font-semibold text-gray-900">{formatHoursValue(row.medianHours)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <div className="follow-up-report">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                <div className="p-4 bg-rose-50 rounded-lg">
+                    <p className="text-xs uppercase text-gray-500">{t('followUp.report.flagged')}</p>
+                    <p className="text-2xl font-bold text-rose-800">{formatNumber(totals.count, language)}</p>
+                    {questionTotal > 0 && (
+                        <p className="text-xs text-gray-600">
+                            {t('followUp.report.share', { percent: new Intl.NumberFormat(language, { style: 'percent', maximumFractionDigits: 1 }).format(totals.count / questionTotal) })}
+                        </p>
+                    )}
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg">
+                    <p className="text-xs uppercase text-gray-500">{t('followUp.report.stillOpen')}</p>
+                    <p className="text-2xl font-bold text-gray-800">{formatNumber(totals.open + totals.inProgress, language)}</p>
+                    {totals.overdue > 0 && <p className="text-xs font-semibold text-red-700">{t('followUp.report.overdue', { count: formatNumber(totals.overdue, language) })}</p>}
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg">
+                    <p className="text-xs uppercase text-gray-500">{t('followUp.report.median')}</p>
+                    <p className="text-2xl font-bold text-gray-800">
+                        {totals.medianHours === null ? '—' : t('followUp.report.hours', { hours: formatHoursValue(totals.medianHours) })}
+                    </p>
+                    {totals.meanHours !== null && (
+                        <p className="text-xs text-gray-600">{t('followUp.report.hoursDetail', { mean: formatHoursValue(totals.meanHours), p90: formatHoursValue(totals.p90Hours) })}</p>
+                    )}
+                </div>
+                <div className="p-4 bg-gray-50 rounded-lg">
+                    <p className="text-xs uppercase text-gray-500">{t('followUp.report.onTime')}</p>
+                    <p className="text-2xl font-bold text-gray-800">
+                        {totals.closed > 0 ? new Intl.NumberFormat(language, { style: 'percent' }).format(totals.closedOnTime / totals.closed) : '—'}
+                    </p>
+                    <p className="text-xs text-gray-600">{t('followUp.report.onTimeDetail', { onTime: formatNumber(totals.closedOnTime, language), closed: formatNumber(totals.closed, language) })}</p>
+                </div>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">{t('followUp.report.note')}</p>
+
+            {renderTable(t('followUp.report.byCategory'), t('followUp.report.category'), report.byCategory, row => row.id, categoryName)}
+            {renderTable(t('followUp.report.byAssignee'), t('followUp.report.assignee'), report.byAssignee, row => row.assignee, row => row.assignee)}
+
+            <h4 className="text-lg font-semibold text-gray-700 mb-2">{t('followUp.report.outcomes')}</h4>
+            <ul className="text-sm text-gray-700 space-y-1">
+                {FOLLOW_UP_RESOLUTIONS.map(id => (
+                    <li key={id} className="flex justify-between max-w-sm">
+                        <span>{t(`followUp.resolution.${id}`)}</span>
+                        <span className="font-semibold">{formatNumber(report.byResolution[id], language)}</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- Historical Import Panel ---
+// Imports paper tally sheets and legacy spreadsheets into the daily documents. Columns are
+// mapped to categories, every cell is validated, and conflicts with existing days are
+// previewed before anything is written. Each import is recorded with the change it made to
+// every day so the whole batch can be rolled back later.
+const ImportPanel = ({ db, collectionPath, importsPath, userId, questionTypes, servicePoints, defaultServicePoint, onClose, onImported }) => {
+    const { language, t } = useI18n();
+    const [fileName, setFileName] = useState('');
+    const [headers, setHeaders] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({}); // column index -> 'date' | category id | 'ignore'
+    const [servicePointId, setServicePointId] = useState(defaultServicePoint);
+    const [conflictMode, setConflictMode] = useState('merge');
+    const [rowModes, setRowModes] = useState({}); // per-date override of conflictMode
+    const [preview, setPreview] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [status, setStatus] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const loadHistory = async () => {
+        try {
+            const snapshot = await getDocs(query(collection(db, importsPath), orderBy('createdAt', 'desc')));
+            setHistory(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        } catch (e) {
+            console.error("Error loading import history:", e);
+        }
+    };
+
+    useEffect(() => {
+        loadHistory();
+    }, []);
+
+    const categoryName = (id) => {
+        const type = questionTypes.find(item => item.id === id);
+        return type ? localizeCategory(type, language).name : id;
+    };
+
+    const handleFile = async (file) => {
+        if (!file) return;
+        setStatus(null);
+        setPreview(null);
+        try {
+            const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: false });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '' });
+            const columnHeaders = headerRow.map(header => String(header).trim());
+
+            // Guess the mapping from the header names
+            const guessed = {};
+            columnHeaders.forEach((header, index) => {
+                const normalized = header.toLowerCase();
+                const type = questionTypes.find(item => item.id.toLowerCase() === normalized || item.name.toLowerCase() === normalized);
+                guessed[index] = normalized === 'date' || normalized === 'day' ? 'date' : type ? type.id : 'ignore';
+            });
+
+            setFileName(file.name);
+            setHeaders(columnHeaders);
+            setRows(dataRows.filter(row => row.some(cell => String(cell).trim() !== '')));
+            setMapping(guessed);
+        } catch (e) {
+            console.error("Could not read import file:", e);
+            setStatus({ type: 'error', message: t('import.readFailed') });
+        }
+    };
+
+    // Validate every row against the mapping; returns { records, errors }
+    const validate = () => {
+        const dateColumn = Object.keys(mapping).find(index => mapping[index] === 'date');
+        const countColumns = Object.keys(mapping).filter(index => mapping[index] !== 'date' && mapping[index] !== 'ignore');
+        const errors = [];
+        if (dateColumn === undefined) errors.push(t('import.needsDate'));
+        if (countColumns.length === 0) errors.push(t('import.needsCategory'));
+        if (errors.length > 0) return { records: [], errors };
+
+        const byDate = {};
+        rows.forEach((row, rowIndex) => {
+            const line = rowIndex + 2; // 1-based, after the header row
+            const date = parseImportDate(row[dateColumn]);
+            if (!date) {
+                errors.push(t('import.badDate', { row: line, value: row[dateColumn] }));
+                return;
+            }
+            if (byDate[date]) {
+                errors.push(t('import.duplicateDate', { row: line, date: formatDisplayDate(date, language) }));
+                return;
+            }
+            const counts = {};
+            countColumns.forEach(index => {
+                const count = parseImportCount(row[index]);
+                if (count === null) {
+                    errors.push(t('import.badCount', { row: line, column: headers[index], value: row[index] }));
+                } else {
+                    counts[mapping[index]] = (counts[mapping[index]] || 0) + count;
+                }
+            });
+            byDate[date] = { date, counts };
+        });
+
+        return { records: Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date)), errors };
+    };
+
+    const handlePreview = async () => {
+        const { records, errors } = validate();
+        if (errors.length > 0) {
+            setPreview(null);
+            const more = errors.length > 10 ? ` ${t('import.moreErrors', { count: errors.length - 10 })}` : '';
+            setStatus({ type: 'error', message: errors.slice(0, 10).join(' ') + more });
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const snapshots = await Promise.all(records.map(record => getDoc(doc(db, collectionPath, getRollupDocId(record.date, servicePointId)))));
+            setPreview(records.map((record, index) => {
+                const existing = snapshots[index].exists() ? snapshots[index].data() : {};
+                const existingCounts = Object.keys(record.counts).reduce((acc, id) => ({ ...acc, [id]: existing[id] || 0 }), {});
+                const conflict = getCountKeys(existing).some(key => existing[key] > 0);
+                return { ...record, existingCounts, conflict };
+            }));
+            setRowModes({});
+            setStatus(null);
+        } catch (e) {
+            console.error("Import preview failed:", e);
+            setStatus({ type: 'error', message: t('import.checkFailed') });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCommit = async () => {
+        if (!preview) return;
+
+        const batchRef = doc(collection(db, importsPath));
+        const committed = [];
+        let completed = false;
+        setBusy(true);
+        try {
+            for (let i = 0; i < preview.length; i += IMPORT_CHUNK_SIZE) {
+                const chunk = preview.slice(i, i + IMPORT_CHUNK_SIZE);
+                const chunkRows = await runTransaction(db, async (transaction) => {
+                    const refs = chunk.map(record => doc(db, collectionPath, getRollupDocId(record.date, servicePointId)));
+                    const snaps = await Promise.all(refs.map(ref => transaction.get(ref)));
+                    const written = [];
+
+                    chunk.forEach((record, index) => {
+                        const existing = snaps[index].exists() ? snaps[index].data() : {};
+                        const hasCounts = getCountKeys(existing).some(key => existing[key] > 0);
+                        const mode = hasCounts ? (rowModes[record.date] || conflictMode) : 'merge';
+                        if (mode === 'skip') return;
+
+                        // The change this import makes to each category, kept for rollback
+                        const delta = {};
+                        const after = {};
+                        Object.entries(record.counts).forEach(([id, count]) => {
+                            const before = existing[id] || 0;
+                            after[id] = mode === 'replace' ? count : before + count;
+                            delta[id] = after[id] - before;
+                        });
+
+                        transaction.set(refs[index], {
+                            ...after,
+                            date: record.date,
+                            servicePoint: servicePointId,
+                            importBatches: arrayUnion(batchRef.id),
+                            updatedAt: serverTimestamp()
+                        }, { merge: true });
+                        written.push({ docId: refs[index].id, date: record.date, mode, delta });
+                    });
+                    return written;
+                });
+                committed.push(...chunkRows);
+            }
+            completed = true;
+            setStatus({ type: 'success', message: t('import.done', { days: committed.length, file: fileName }) });
+            setPreview(null);
+            setRows([]);
+            setHeaders([]);
+            onImported();
+        } catch (e) {
+            console.error("Import failed:", e);
+            setStatus({ type: 'error', message: t('import.stopped', { days: committed.length }) });
+        } finally {
+            // Record whatever was written, even if the import stopped part way
+            if (committed.length > 0) {
+                try {
+                    await setDoc(batchRef, {
+                        fileName,
+                        servicePoint: servicePointId,
+                        conflictMode,
+                        rows: committed,
+                        status: completed ? 'committed' : 'partial',
+                        createdBy: userId,
+                        createdAt: serverTimestamp()
+                    });
+                } catch (e) {
+                    console.error("Recording import batch failed:", e);
+                }
+            }
+            setBusy(false);
+            loadHistory();
+        }
+    };
+
+    // Undo an import by subtracting exactly what it added, so tallies made since are kept
+    const handleRollback = async (batch) => {
+        setBusy(true);
+        try {
+            for (let i = 0; i < batch.rows.length; i += IMPORT_CHUNK_SIZE) {
+                const chunk = batch.rows.slice(i, i + IMPORT_CHUNK_SIZE);
+                await runTransaction(db, async (transaction) => {
+                    const refs = chunk.map(row => doc(db, collectionPath, row.docId));
+                    const snaps = await Promise.all(refs.map(ref => transaction.get(ref)));
+                    chunk.forEach((row, index) => {
+                        if (!snaps[index].exists()) return;
+                        const data = snaps[index].data();
+                        const restored = Object.entries(row.delta).reduce((acc, [id, change]) => ({
+                            ...acc,
+                            [id]: Math.max(0, (data[id] || 0) - change)
+                        }), {});
+                        transaction.update(refs[index], {
+                            ...restored,
+                            importBatches: arrayRemove(batch.id),
+                            updatedAt: serverTimestamp()
+                        });
+                    });
+                });
+            }
+            await updateDoc(doc(db, importsPath, batch.id), {
+                status: 'rolled_back',
+                rolledBackBy: userId,
+                rolledBackAt: serverTimestamp()
+            });
+            setStatus({ type: 'success', message: t('import.rolledBack', { file: batch.fileName }) });
+            onImported();
+        } catch (e) {
+            console.error("Rollback failed:", e);
+            setStatus({ type: 'error', message: t('import.rollbackFailed') });
+        } finally {
+            setBusy(false);
+            loadHistory();
+        }
+    };
+
+    const mappedCategories = [...new Set(Object.values(mapping).filter(value => value !== 'date' && value !== 'ignore'))];
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-sky-200 mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('import.title')}</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <label className="block text-sm font-medium text-gray-700">
+                    {t('import.file')}
+                    <input
+                        type="file"
+                        accept=".csv,.xlsx,.xls"
+                        onChange={(e) => handleFile(e.target.files[0])}
+                        className="block mt-1 text-sm"
+                    />
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                    {t('app.servicePoint')}
+                    <select
+                        value={servicePointId}
+                        onChange={(e) => {
+                            setServicePointId(e.target.value);
+                            setPreview(null);
+                        }}
+                        className="block mt-1 p-2 border rounded-lg bg-white"
+                    >
+                        {servicePoints.map(sp => (
+                            <option key={sp.id} value={sp.id}>{sp.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                    {t('import.conflictMode')}
+                    <select
+                        value={conflictMode}
+                        onChange={(e) => setConflictMode(e.target.value)}
+                        className="block mt-1 p-2 border rounded-lg bg-white"
+                    >
+                        {IMPORT_CONFLICT_MODES.map(mode => (
+                            <option key={mode} value={mode}>{t(`import.mode.${mode}`)}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {headers.length > 0 && (
+                <>
+                    <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('import.mapColumns', { count: rows.length })}</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4 text-sm">
+                        {headers.map((header, index) => (
+                            <label key={`map-${index}`} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
+                                <span className="font-medium text-gray-700 mr-2">{header || t('import.column', { number: index + 1 })}</span>
+                                <select
+                                    value={mapping[index] || 'ignore'}
+                                    onChange={(e) => {
+                                        setMapping({ ...mapping, [index]: e.target.value });
+                                        setPreview(null);
+                                    }}
+                                    className="p-1 border rounded-lg bg-white"
+                                >
+                                    <option value="ignore">{t('import.ignore')}</option>
+                                    <option value="date">{t('import.date')}</option>
+                                    {questionTypes.map(type => (
+                                        <option key={type.id} value={type.id}>{categoryName(type.id)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                    <button
+                        onClick={handlePreview}
+                        disabled={busy}
+                        className="px-6 py-3 mb-4 bg-gray-700 text-white font-semibold rounded-lg shadow-md hover:bg-gray-800 disabled:opacity-50"
+                    >
+                        {t('import.validate')}
+                    </button>
+                </>
+            )}
+
+            {status && (
+                <p className={`mb-4 p-2 rounded-lg font-medium ${status.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                    {status.message}
+                </p>
+            )}
+
+            {preview && (
+                <>
+                    <h3 className="text-lg font-semibold text-gray-700 mb-2">
+                        {t('import.preview', { days: preview.length, conflicts: preview.filter(record => record.conflict).length })}
+                    </h3>
+                    <div className="overflow-x-auto max-h-96 mb-4">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('import.date')}</th>
+                                    {mappedCategories.map(id => (
+                                        <th key={`preview-head-${id}`} className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{categoryName(id)}</th>
+                                    ))}
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('import.action')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {preview.map(record => (
+                                    <tr key={`preview-${record.date}`} className={record.conflict ? 'bg-amber-50' : ''}>
+                                        <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{formatDisplayDate(record.date, language)}</td>
+                                        {mappedCategories.map(id => (
+                                            <td key={`preview-${record.date}-${id}`} className="px-3 py-2 text-right text-gray-700">
+                                                {record.counts[id] || 0}
+                                                {record.conflict && (
+                                                    <span className="block text-xs text-amber-700">{t('import.existing', { count: record.existingCounts[id] || 0 })}</span>
+                                                )}
+                                            </td>
+                                        ))}
+                                        <td className="px-3 py-2">
+                                            {record.conflict ? (
+                                                <select
+                                                    value={rowModes[record.date] || conflictMode}
+                                                    onChange={(e) => setRowModes({ ...rowModes, [record.date]: e.target.value })}
+                                                    className="p-1 border rounded-lg bg-white text-xs"
+                                                >
+                                                    {IMPORT_CONFLICT_MODES.map(mode => (
+                                                        <option key={mode} value={mode}>{t(`import.modeShort.${mode}`)}</option>
+                                                    ))}
+                                                </select>
+                                            ) : (
+                                                <span className="text-xs text-gray-500">{t('import.new')}</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <button
+                        onClick={handleCommit}
+                        disabled={busy}
+                        className="px-6 py-3 mb-4 bg-sky-700 text-white font-semibold rounded-lg shadow-md hover:bg-sky-800 disabled:opacity-50"
+                    >
+                        {busy ? t('import.importing') : t('import.commit')}
+                    </button>
+                </>
+            )}
+
+            {history.length > 0 && (
+                <div className="mt-6 border-t pt-4">
+                    <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('import.history')}</h3>
+                    <ul className="space-y-2 text-sm text-gray-600">
+                        {history.map(batch => (
+                            <li key={batch.id} className="flex flex-wrap justify-between items-center p-2 bg-gray-50 rounded-lg">
+                                <span>
+                                    <span className="font-medium">{batch.fileName}</span>
+                                    {': '}
+                                    {t('import.historyDetail', {
+                                        days: batch.rows.length,
+                                        mode: t(`import.modeShort.${batch.conflictMode}`),
+                                        date: batch.createdAt ? batch.createdAt.toDate().toLocaleString(language) : t('common.pending')
+                                    })}
+                                    {batch.status !== 'committed' && <span className="ml-2 text-xs uppercase text-amber-700">{t(`import.status.${batch.status}`)}</span>}
+                                </span>
+                                {batch.status !== 'rolled_back' && (
+                                    <button
+                                        onClick={() => handleRollback(batch)}
+                                        disabled={busy}
+                                        className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                                    >
+                                        {t('import.rollBack')}
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Category Button ---
+// One tally button. The description and example show on hover, on a long press, or from the
+// info button, so touchscreens can reach them too. A long press never records a tally.
+// `info` is null, 'hover' (follows the mouse) or 'pinned' (stays until dismissed).
+const CategoryButton = ({ type, count, hotkey, large, highContrast, info, flashing, onPress, onShowInfo, onHideInfo }) => {
+    const { t } = useI18n();
+    const descriptionId = `category-description-${type.id}`;
+    const pressTimerRef = useRef(null);
+    const longPressedRef = useRef(false);
+
+    const startPress = () => {
+        longPressedRef.current = false;
+        pressTimerRef.current = setTimeout(() => {
+            longPressedRef.current = true;
+            onShowInfo('pinned');
+        }, LONG_PRESS_MS);
+    };
+
+    const cancelPress = () => clearTimeout(pressTimerRef.current);
+
+    const handleClick = () => {
+        if (longPressedRef.current) {
+            longPressedRef.current = false;
+            return;
+        }
+        // A tap on a pinned description dismisses it rather than counting
+        if (info === 'pinned') {
+            onHideInfo(true);
+            return;
+        }
+        onPress();
+    };
+
+    return (
+        <div className="relative">
+            <button
+                className={`
+                    w-full flex flex-col items-center justify-center rounded-xl shadow-lg 
+                    text-white transition-all transform active:scale-[0.98] select-none
+                    focus:outline-none focus:ring-4 focus:ring-opacity-50
+                    ${getCategoryColorClass(type, highContrast)} ${highContrast ? 'focus:ring-yellow-300 focus:ring-opacity-100' : 'focus:ring-indigo-300'}
+                    relative overflow-hidden
+                    ${large ? 'p-6 min-h-[11rem]' : 'p-4'}
+                    ${flashing ? 'ring-4 ring-white scale-[1.02]' : ''}
+                `}
+                onClick={handleClick}
+                aria-label={t('a11y.categoryCount', { category: type.name, count })}
+                aria-describedby={descriptionId}
+                aria-keyshortcuts={hotkey || undefined}
+                onPointerDown={startPress}
+                onPointerUp={cancelPress}
+                onPointerEnter={(e) => e.pointerType === 'mouse' && onShowInfo('hover')}
+                onPointerLeave={() => {
+                    cancelPress();
+                    onHideInfo(false);
+                }}
+                onContextMenu={(e) => e.preventDefault()}
+            >
+                <span className={`${large ? 'text-7xl' : 'text-5xl'} font-bold mb-1`}>
+                    {count}
+                </span>
+                <span className={`${large ? 'text-2xl' : 'text-xl'} font-semibold uppercase tracking-wider`}>
+                    {type.name}
+                </span>
+                {hotkey && (
+                    <kbd className="absolute top-2 left-2 px-2 py-0.5 text-xs font-mono bg-white bg-opacity-25 rounded">
+                        {formatKeyCombo(hotkey)}
+                    </kbd>
+                )}
+                {flashing && (
+                    <span className="absolute top-2 right-12 text-2xl font-extrabold animate-bounce">+1</span>
+                )}
+
+                {/* Description Overlay: screen readers get the same text through aria-describedby */}
+                <div 
+                    aria-hidden="true"
+                    className={`
+                        absolute inset-0 bg-gray-900 bg-opacity-90 flex flex-col justify-center items-center p-4 rounded-xl 
+                        transition-opacity duration-300 pointer-events-none 
+                        ${info ? 'opacity-100' : 'opacity-0'}
+                    `}
+                >
+                    <p className={`${large ? 'text-lg' : 'text-sm'} font-light text-gray-200 text-center mb-2`}>{type.description}</p>
+                    <p className="text-xs italic text-gray-400 text-center">{type.example}</p>
+                </div>
+            </button>
+            <button
+                onClick={() => (info === 'pinned' ? onHideInfo(true) : onShowInfo('pinned'))}
+                onKeyDown={(e) => e.key === 'Escape' && onHideInfo(true)}
+                className={`absolute top-2 right-2 flex items-center justify-center rounded-full bg-white bg-opacity-25 text-white font-bold hover:bg-opacity-40 ${large ? 'w-12 h-12 text-xl' : 'w-8 h-8 text-sm'}`}
+                title={t('category.about', { category: type.name })}
+                aria-label={t('category.about', { category: type.name })}
+                aria-expanded={info === 'pinned'}
+                aria-describedby={descriptionId}
+            >
+                i
+            </button>
+            <p id={descriptionId} className="sr-only">{type.description} {type.example}</p>
+        </div>
+    );
+};
+
+// --- Hotkeys Dialog ---
+// Click a shortcut, then press the new key. Backspace clears it; Escape cancels.
+const HotkeysDialog = ({ types, hotkeys, onSave, onClose }) => {
+    const { language, t } = useI18n();
+    const [draft, setDraft] = useState({ categories: { ...hotkeys.byCategory }, undo: hotkeys.undo });
+    const [capturing, setCapturing] = useState(null); // Category ID, 'undo' or null
+
+    const handleCapture = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const combo = getKeyCombo(e);
+        if (!combo) return;
+        if (combo === 'escape') {
+            setCapturing(null);
+            return;
+        }
+
+        const value = combo === 'backspace' || combo === 'delete' ? '' : combo;
+        // A combo can only do one thing, so take it away from whatever had it
+        const categories = Object.keys(draft.categories).reduce((acc, id) => ({
+            ...acc,
+            [id]: value && draft.categories[id] === value ? '' : draft.categories[id]
+        }), {});
+        const undo = value && draft.undo === value ? '' : draft.undo;
+        setDraft(capturing === 'undo' ? { categories, undo: value } : { categories: { ...categories, [capturing]: value }, undo });
+        setCapturing(null);
+    };
+
+    const renderKey = (id, combo) => (
+        <button
+            onClick={() => setCapturing(id)}
+            onKeyDown={capturing === id ? handleCapture : undefined}
+            className={`min-w-[6rem] px-3 py-1 border rounded-lg font-mono text-sm ${capturing === id ? 'bg-amber-100 border-amber-400' : 'bg-white'}`}
+        >
+            {capturing === id ? t('hotkeys.press') : combo ? formatKeyCombo(combo) : t('hotkeys.none')}
+        </button>
+    );
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-60 flex items-center justify-center p-4 z-50">
+            <div role="dialog" aria-modal="true" aria-labelledby="hotkeys-dialog-title" className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6">
+                <h3 id="hotkeys-dialog-title" className="text-2xl font-bold text-gray-800 mb-1">{t('hotkeys.title')}</h3>
+                <p className="text-sm text-gray-500 mb-4">{t('hotkeys.terminalOnly')}</p>
+
+                <div className="space-y-2 mb-6">
+                    {types.map(type => (
+                        <div key={`hotkey-${type.id}`} className="flex justify-between items-center">
+                            <span className="text-gray-700">{localizeCategory(type, language).name}</span>
+                            {renderKey(type.id, draft.categories[type.id])}
+                        </div>
+                    ))}
+                    <div className="flex justify-between items-center pt-2 border-t">
+                        <span className="text-gray-700">{t('hotkeys.undo')}</span>
+                        {renderKey('undo', draft.undo)}
+                    </div>
+                </div>
+
+                <div className="flex justify-between">
+                    <button
+                        onClick={() => onSave({})}
+                        className="text-sm text-gray-500 hover:text-gray-800"
+                    >
+                        {t('hotkeys.reset')}
+                    </button>
+                    <div className="flex space-x-2">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-gray-700 font-semibold rounded-lg hover:bg-gray-100"
+                        >
+                            {t('common.cancel')}
+                        </button>
+                        <button
+                            onClick={() => onSave(draft)}
+                            className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700"
+                        >
+                            {t('common.save')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Export Dialog ---
+const ExportDialog = ({ reportLabel, exporting, onExport, onClose }) => {
+    const { t } = useI18n();
+    const [format, setFormat] = useState('xlsx');
+    const [granularity, setGranularity] = useState('daily'); // Tidy CSV rows: 'daily', 'interaction' or 'comparison'
+    const [sheets, setSheets] = useState(EXPORT_SHEETS);
+
+    const toggleSheet = (sheet, checked) => {
+        setSheets(EXPORT_SHEETS.filter(id => (id === sheet ? checked : sheets.includes(id))));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-60 flex items-center justify-center p-4 z-50">
+            <div role="dialog" aria-modal="true" aria-labelledby="export-dialog-title" aria-describedby="export-dialog-period" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg">
+                <h2 id="export-dialog-title" className="text-2xl font-bold text-gray-800 mb-1">{t('export.title')}</h2>
+                <p id="export-dialog-period" className="text-sm text-gray-500 mb-4">{reportLabel}</p>
+
+                <div role="radiogroup" aria-label={t('export.format')} className="space-y-2 mb-4">
+                    {EXPORT_FORMATS.map(option => (
+                        <label key={option} className={`flex items-start p-3 rounded-lg border cursor-pointer ${format === option ? 'border-teal-500 bg-teal-50' : 'border-gray-200'}`}>
+                            <input
+                                type="radio"
+                                name="export-format"
+                                value={option}
+                                checked={format === option}
+                                onChange={() => setFormat(option)}
+                                className="mt-1 mr-3"
+                            />
+                            <span>
+                                <span className="block font-semibold text-gray-800">{t(`export.format.${option}`)}</span>
+                                <span className="block text-sm text-gray-500">{t(`export.format.${option}.description`)}</span>
+                            </span>
+                        </label>
+                    ))}
+                </div>
+
+                {format === 'xlsx' && (
+                    <fieldset className="mb-4">
+                        <legend className="text-sm font-medium text-gray-700 mb-1">{t('export.sheets')}</legend>
+                        {EXPORT_SHEETS.map(sheet => (
+                            <label key={sheet} className="flex items-center text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={sheets.includes(sheet)}
+                                    onChange={(e) => toggleSheet(sheet, e.target.checked)}
+                                    className="mr-2"
+                                />
+                                {t(`export.sheet.${sheet}`)}
+                            </label>
+                        ))}
+                    </fieldset>
+                )}
+
+                {format === 'csv' && (
+                    <label className="block text-sm font-medium text-gray-700 mb-4">
+                        {t('export.rowsPer')}
+                        <select
+                            value={granularity}
+                            onChange={(e) => setGranularity(e.target.value)}
+                            className="ml-2 p-2 border rounded-lg bg-white"
+                        >
+                            <option value="daily">{t('export.rows.daily')}</option>
+                            <option value="interaction">{t('export.rows.interaction')}</option>
+                            <option value="comparison">{t('export.rows.comparison')}</option>
+                        </select>
+                    </label>
+                )}
+
+                <div className="flex justify-end space-x-3">
+                    <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-900">{t('common.cancel')}</button>
+                    <button
+                        onClick={() => onExport(format, granularity, sheets)}
+                        disabled={exporting}
+                        aria-busy={exporting}
+                        aria-label={t('export.downloadLabel', { format: t(`export.format.${format}`), period: reportLabel })}
+                        className="px-6 py-3 bg-teal-700 text-white font-semibold rounded-lg shadow-md hover:bg-teal-800 disabled:opacity-50"
+                    >
+                        {exporting ? t('export.preparing') : t('export.download')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Note Field ---
+// Shared by the details step, the "Add note" dialog and the follow-up summary. Shows what
+// will actually be saved whenever the scrubber changes the text.
+const NoteField = ({ value, onChange, autoFocus, label, placeholder }) => {
+    const { t } = useI18n();
+    const { note, redactions } = redactNote(value);
+
+    return (
+        <label className="block text-sm font-medium text-gray-700 mb-6">
+            {label || t('note.label')}
+            <textarea
+                value={value}
+                maxLength={NOTE_MAX_LENGTH}
+                rows={2}
+                autoFocus={autoFocus}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder={placeholder || t('note.placeholder')}
+                className="block w-full mt-1 p-2 border rounded-lg font-normal"
+            />
+            <span className="block mt-1 text-xs text-gray-400 text-right">{value.length}/{NOTE_MAX_LENGTH}</span>
+            {redactions > 0 && (
+                <span className="block mt-1 p-2 text-xs font-normal bg-amber-50 text-amber-800 rounded-lg">
+                    {t('note.redacted', { note })}
+                </span>
+            )}
+        </label>
+    );
+};
+
+// --- Note Dialog ---
+// Adds a note to a tally that has already been recorded
+const NoteDialog = ({ type, onSave, onCancel }) => {
+    const { t } = useI18n();
+    const [value, setValue] = useState('');
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-60 flex items-center justify-center p-4 z-50">
+            <div role="dialog" aria-modal="true" aria-labelledby="note-dialog-title" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg">
+                <h2 id="note-dialog-title" className="text-2xl font-bold text-gray-800 mb-4">{type ? t('note.title', { category: type.name }) : t('tally.addNote')}</h2>
+                <NoteField value={value} onChange={setValue} autoFocus />
+                <div className="flex justify-end space-x-3">
+                    <button onClick={onCancel} className="px-4 py-2 text-gray-600 hover:text-gray-900">{t('common.cancel')}</button>
+                    <button
+                        onClick={() => onSave(value)}
+                        disabled={!value.trim()}
+                        className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        {t('note.save')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Follow-Up Dialog ---
+// Flags a recorded tally for follow-up. Contact details are only asked for once the patron
+// has chosen a way to hear back and agreed to give them.
+const FollowUpDialog = ({ type, defaultDueDate, error, onSave, onCancel }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState({
+        summary: '',
+        assignee: '',
+        dueDate: defaultDueDate,
+        contactPreference: 'none',
+        consent: false,
+        contact: ''
+    });
+    const [errorKey, setErrorKey] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const wantsContact = draft.contactPreference !== 'none';
+
+    const handleSave = async () => {
+        const problem = validateFollowUp(draft);
+        setErrorKey(problem);
+        if (problem) return;
+
+        setSaving(true);
+        try {
+            await onSave(draft);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-60 flex items-center justify-center p-4 z-50">
+            <div role="dialog" aria-modal="true" aria-labelledby="follow-up-dialog-title" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg max-h-full overflow-y-auto">
+                <h2 id="follow-up-dialog-title" className="text-2xl font-bold text-gray-800 mb-4">{t('followUp.title', { category: type ? type.name : '' })}</h2>
+
+                <NoteField
+                    value={draft.summary}
+                    onChange={(summary) => setDraft({ ...draft, summary })}
+                    label={t('followUp.summary')}
+                    placeholder={t('followUp.summaryPlaceholder')}
+                    autoFocus
+                />
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                    <label className="block text-sm font-medium text-gray-700">
+                        {t('followUp.assignee')}
+                        <input
+                            type="text"
+                            value={draft.assignee}
+                            onChange={(e) => setDraft({ ...draft, assignee: e.target.value })}
+                            className="block w-full mt-1 p-2 border rounded-lg"
+                        />
+                    </label>
+                    <label className="block text-sm font-medium text-gray-700">
+                        {t('followUp.dueDate')}
+                        <input
+                            type="date"
+                            value={draft.dueDate}
+                            onChange={(e) => setDraft({ ...draft, dueDate: e.target.value })}
+                            className="block w-full mt-1 p-2 border rounded-lg"
+                        />
+                    </label>
+                </div>
+
+                <label className="block text-sm font-medium text-gray-700 mb-4">
+                    {t('followUp.contactPreference')}
+                    <select
+                        value={draft.contactPreference}
+                        onChange={(e) => setDraft({ ...draft, contactPreference: e.target.value, consent: false, contact: '' })}
+                        className="block w-full mt-1 p-2 border rounded-lg bg-white"
+                    >
+                        {FOLLOW_UP_CONTACT_PREFERENCES.map(id => (
+                            <option key={id} value={id}>{t(`followUp.contact.${id}`)}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {wantsContact && (
+                    <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+                        <label className="inline-flex items-start text-sm text-gray-700 mb-3">
+                            <input
+                                type="checkbox"
+                                checked={draft.consent}
+                                onChange={(e) => setDraft({ ...draft, consent: e.target.checked, contact: e.target.checked ? draft.contact : '' })}
+                                className="mr-2 mt-1"
+                            />
+                            {t('followUp.consent')}
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            {t('followUp.contact')}
+                            <input
+                                type={draft.contactPreference === 'email' ? 'email' : 'tel'}
+                                value={draft.contact}
+                                maxLength={FOLLOW_UP_CONTACT_MAX_LENGTH}
+                                disabled={!draft.consent}
+                                onChange={(e) => setDraft({ ...draft, contact: e.target.value })}
+                                className="block w-full mt-1 p-2 border rounded-lg disabled:bg-gray-100"
+                            />
+                        </label>
+                    </div>
+                )}
+
+                {(errorKey || error) && (
+                    <p role="alert" className="mb-4 p-2 rounded-lg bg-red-100 text-red-700 text-sm font-medium">{errorKey ? t(errorKey) : error}</p>
+                )}
+
+                <div className="flex justify-end space-x-3">
+                    <button onClick={onCancel} className="px-4 py-2 text-gray-600 hover:text-gray-900">{t('common.cancel')}</button>
+                    <button
+                        onClick={handleSave}
+                        disabled={saving}
+                        className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        {t('followUp.save')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Tally Details Step ---
+// Optional quick step shown after a category press: READ Scale effort, contact mode and an
+// approximate duration. Everything is preselected, so "Record" alone is one extra tap.
+const TallyDetailsDialog = ({ type, details, onChange, onConfirm, onCancel }) => {
+    const { t } = useI18n();
+    const effort = READ_SCALE.find(r => r.level === details.effortLevel);
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-60 flex items-center justify-center p-4 z-50">
+            <div role="dialog" aria-modal="true" aria-labelledby="details-dialog-title" className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg">
+                <h2 id="details-dialog-title" className="text-2xl font-bold text-gray-800 mb-4">{type.name}</h2>
+
+                <p id="details-effort-label" className="text-sm font-medium text-gray-700 mb-2">{t('details.effort')}</p>
+                <div role="group" aria-labelledby="details-effort-label" className="grid grid-cols-6 gap-2 mb-1">
+                    {READ_SCALE.map(r => (
+                        <button
+                            key={r.level}
+                            aria-pressed={details.effortLevel === r.level}
+                            aria-label={r.name}
+                            onClick={() => onChange({ ...details, effortLevel: r.level })}
+                            className={`py-3 rounded-lg text-lg font-bold ${details.effortLevel === r.level ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                        >
+                            {r.level}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-500 mb-4" aria-live="polite">{effort ? t(`effort.${effort.level}`) : ''}</p>
+
+                <p id="details-mode-label" className="text-sm font-medium text-gray-700 mb-2">{t('details.contactMode')}</p>
+                <div role="group" aria-labelledby="details-mode-label" className="flex flex-wrap gap-2 mb-4">
+                    {CONTACT_MODES.map(mode => (
+                        <button
+                            key={mode.id}
+                            aria-pressed={details.contactMode === mode.id}
+                            onClick={() => onChange({ ...details, contactMode: mode.id })}
+                            className={`px-3 py-2 rounded-lg text-sm font-semibold ${details.contactMode === mode.id ? 'bg-teal-700 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                        >
+                            {t(`mode.${mode.id}`)}
+                        </button>
+                    ))}
+                </div>
+
+                <label className="block text-sm font-medium text-gray-700 mb-4">
+                    {t('details.duration')}
+                    <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={details.durationMinutes}
+                        placeholder={effort ? t('details.typical', { minutes: effort.minutes, level: effort.name }) : ''}
+                        onChange={(e) => onChange({ ...details, durationMinutes: e.target.value })}
+                        className="block w-full mt-1 p-2 border rounded-lg"
+                    />
+                </label>
+
+                <NoteField value={details.note || ''} onChange={(note) => onChange({ ...details, note })} />
+
+                <div className="flex justify-end space-x-3">
+                    <button onClick={onCancel} className="px-4 py-2 text-gray-600 hover:text-gray-900">{t('common.cancel')}</button>
+                    <button onClick={onConfirm} className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700">
+                        {t('details.record')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Library Settings Panel ---
+// Admin editor for the library's timezone, weekly opening hours, closures and sampling periods.
+const SettingsPanel = ({ storage, settings, onClose }) => {
+    const { language, t } = useI18n();
+    const formatDate = (dateId) => formatDisplayDate(dateId, language);
+    const [draft, setDraft] = useState(settings);
+    const [newClosure, setNewClosure] = useState({ start: '', end: '', label: '' });
+    const [newSamplingPeriod, setNewSamplingPeriod] = useState({ start: '', end: '', label: '' });
+    const [newServicePoint, setNewServicePoint] = useState({ name: '', branch: '' });
+    const [status, setStatus] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const timeZones = useMemo(() => {
+        return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    }, []);
+
+    const setWeekdayHours = (weekday, hours) => {
+        setDraft({ ...draft, openingHours: { ...draft.openingHours, [weekday]: hours } });
+    };
+
+    const handleAddClosure = () => {
+        if (!newClosure.start) return;
+        const closure = {
+            start: newClosure.start,
+            end: newClosure.end && newClosure.end > newClosure.start ? newClosure.end : newClosure.start,
+            label: newClosure.label.trim() || t('settings.closed'),
+        };
+        const closures = [...(draft.closures || []), closure].sort((a, b) => a.start.localeCompare(b.start));
+        setDraft({ ...draft, closures });
+        setNewClosure({ start: '', end: '', label: '' });
+    };
+
+    const handleRemoveClosure = (index) => {
+        setDraft({ ...draft, closures: draft.closures.filter((_, i) => i !== index) });
+    };
+
+    const handleAddSamplingPeriod = () => {
+        if (!newSamplingPeriod.start || !newSamplingPeriod.end) return;
+        if (newSamplingPeriod.end < newSamplingPeriod.start) {
+            setStatus({ type: 'error', message: t('settings.samplingBackwards') });
+            return;
+        }
+        const overlapping = (draft.samplingPeriods || [])
+            .find(period => newSamplingPeriod.start <= period.end && newSamplingPeriod.end >= period.start);
+        if (overlapping) {
+            setStatus({ type: 'error', message: t('settings.samplingOverlap', { label: overlapping.label }) });
+            return;
+        }
+        const period = {
+            start: newSamplingPeriod.start,
+            end: newSamplingPeriod.end,
+            label: newSamplingPeriod.label.trim() || t('settings.defaultSampleLabel'),
+        };
+        const samplingPeriods = [...(draft.samplingPeriods || []), period].sort((a, b) => a.start.localeCompare(b.start));
+        setDraft({ ...draft, samplingPeriods });
+        setNewSamplingPeriod({ start: '', end: '', label: '' });
+        setStatus(null);
+    };
+
+    const handleRemoveSamplingPeriod = (index) => {
+        setDraft({ ...draft, samplingPeriods: draft.samplingPeriods.filter((_, i) => i !== index) });
+    };
+
+    const updateServicePoint = (id, changes) => {
+        setDraft({ ...draft, servicePoints: draft.servicePoints.map(sp => sp.id === id ? { ...sp, ...changes } : sp) });
+    };
+
+    const handleAddServicePoint = () => {
+        const name = newServicePoint.name.trim();
+        if (!name) return;
+        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!id || draft.servicePoints.some(sp => sp.id === id)) {
+            setStatus({ type: 'error', message: t('settings.servicePointExists', { id }) });
+            return;
+        }
+        const branch = newServicePoint.branch.trim() || DEFAULT_LIBRARY_SETTINGS.servicePoints[0].branch;
+        setDraft({ ...draft, servicePoints: [...draft.servicePoints, { id, name, branch }] });
+        setNewServicePoint({ name: '', branch: '' });
+        setStatus(null);
+    };
+
+    const handleRemoveServicePoint = (id) => {
+        setDraft({ ...draft, servicePoints: draft.servicePoints.filter(sp => sp.id !== id) });
+    };
+
+    const handleSave = async () => {
+        if (!isValidTimeZone(draft.timezone)) {
+            setStatus({ type: 'error', message: t('settings.invalidTimezone', { timezone: draft.timezone }) });
+            return;
+        }
+        const invalidDay = Object.entries(draft.openingHours)
+            .find(([, hours]) => hours && getHoursBetween(hours.open, hours.close) <= 0);
+        if (invalidDay) {
+            setStatus({ type: 'error', message: t('settings.closesBeforeOpens', { weekday: formatWeekday(Number(invalidDay[0]), language) }) });
+            return;
+        }
+
+        setSaving(true);
+        try {
+            await storage.saveSettings({
+                timezone: draft.timezone,
+                openingHours: draft.openingHours,
+                closures: draft.closures || [],
+                samplingPeriods: draft.samplingPeriods || [],
+                servicePoints: draft.servicePoints,
+                // The rules accept desk counts only at these service points
+                servicePointIds: draft.servicePoints.map(sp => sp.id)
+            });
+            setStatus({ type: 'success', message: t('settings.saved') });
+        } catch (e) {
+            console.error("Saving settings failed:", e);
+            setStatus({ type: 'error', message: t('settings.saveFailed') });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-indigo-200 mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('settings.title')}</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mb-4">
+                {t('settings.timezone')}
+                <input
+                    type="text"
+                    list="library-timezones"
+                    value={draft.timezone}
+                    onChange={(e) => setDraft({ ...draft, timezone: e.target.value })}
+                    className="block w-full mt-1 p-2 border rounded-lg"
+                />
+                <datalist id="library-timezones">
+                    {timeZones.map(zone => <option key={zone} value={zone} />)}
+                </datalist>
+            </label>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.hours')}</h3>
+            <div className="space-y-2 mb-6">
+                {Array.from({ length: 7 }, (_, weekday) => {
+                    const hours = draft.openingHours[weekday];
+                    return (
+                        <div key={`weekday-${weekday}`} className="flex flex-wrap items-center gap-3 text-sm">
+                            <span className="w-28 font-medium text-gray-700">{formatWeekday(weekday, language)}</span>
+                            <label className="flex items-center text-gray-600">
+                                <input
+                                    type="checkbox"
+                                    checked={!hours}
+                                    onChange={(e) => setWeekdayHours(weekday, e.target.checked ? null : { open: '09:00', close: '17:00' })}
+                                    className="mr-1"
+                                />
+                                {t('settings.closed')}
+                            </label>
+                            {hours && (
+                                <>
+                                    <input
+                                        type="time"
+                                        value={hours.open}
+                                        onChange={(e) => setWeekdayHours(weekday, { ...hours, open: e.target.value })}
+                                        className="p-1 border rounded-lg"
+                                    />
+                                    <span className="text-gray-500">{t('settings.to')}</span>
+                                    <input
+                                        type="time"
+                                        value={hours.close}
+                                        onChange={(e) => setWeekdayHours(weekday, { ...hours, close: e.target.value })}
+                                        className="p-1 border rounded-lg"
+                                    />
+                                </>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.closures')}</h3>
+            <ul className="space-y-1 mb-3 text-sm text-gray-600">
+                {(draft.closures || []).map((closure, index) => (
+                    <li key={`${closure.start}-${index}`} className="flex justify-between p-2 bg-gray-50 rounded-lg">
+                        <span>
+                            {closure.end && closure.end !== closure.start
+                                ? t('report.range', { start: formatDate(closure.start), end: formatDate(closure.end) })
+                                : formatDate(closure.start)}: {closure.label}
+                        </span>
+                        <button onClick={() => handleRemoveClosure(index)} className="text-red-600 hover:text-red-800">{t('common.remove')}</button>
+                    </li>
+                ))}
+            </ul>
+            <div className="flex flex-wrap items-end gap-3 mb-6 text-sm">
+                <label className="text-gray-700">
+                    {t('settings.from')}
+                    <input type="date" value={newClosure.start} onChange={(e) => setNewClosure({ ...newClosure, start: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <label className="text-gray-700">
+                    {t('settings.toOptional')}
+                    <input type="date" value={newClosure.end} min={newClosure.start} onChange={(e) => setNewClosure({ ...newClosure, end: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <label className="text-gray-700">
+                    {t('settings.label')}
+                    <input type="text" value={newClosure.label} placeholder={t('settings.closurePlaceholder')} onChange={(e) => setNewClosure({ ...newClosure, label: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <button onClick={handleAddClosure} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">{t('settings.addClosure')}</button>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-1">{t('settings.sampling')}</h3>
+            <p className="text-sm text-gray-500 mb-2">{t('settings.samplingIntro')}</p>
+            <ul className="space-y-1 mb-3 text-sm text-gray-600">
+                {(draft.samplingPeriods || []).map((period, index) => (
+                    <li key={`${period.start}-${index}`} className="flex justify-between p-2 bg-gray-50 rounded-lg">
+                        <span>{t('report.range', { start: formatDate(period.start), end: formatDate(period.end) })}: {period.label}</span>
+                        <button onClick={() => handleRemoveSamplingPeriod(index)} className="text-red-600 hover:text-red-800">{t('common.remove')}</button>
+                    </li>
+                ))}
+            </ul>
+            <div className="flex flex-wrap items-end gap-3 mb-6 text-sm">
+                <label className="text-gray-700">
+                    {t('settings.from')}
+                    <input type="date" value={newSamplingPeriod.start} onChange={(e) => setNewSamplingPeriod({ ...newSamplingPeriod, start: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <label className="text-gray-700">
+                    {t('settings.until')}
+                    <input type="date" value={newSamplingPeriod.end} min={newSamplingPeriod.start} onChange={(e) => setNewSamplingPeriod({ ...newSamplingPeriod, end: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <label className="text-gray-700">
+                    {t('settings.label')}
+                    <input type="text" value={newSamplingPeriod.label} placeholder={t('settings.samplingPlaceholder')} onChange={(e) => setNewSamplingPeriod({ ...newSamplingPeriod, label: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <button onClick={handleAddSamplingPeriod} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">{t('settings.addSampling')}</button>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.servicePoints')}</h3>
+            <div className="space-y-2 mb-3 text-sm">
+                {draft.servicePoints.map(sp => (
+                    <div key={sp.id} className="flex flex-wrap items-center gap-3">
+                        <input
+                            type="text"
+                            value={sp.name}
+                            onChange={(e) => updateServicePoint(sp.id, { name: e.target.value })}
+                            className="p-1 border rounded-lg"
+                        />
+                        <input
+                            type="text"
+                            value={sp.branch}
+                            placeholder={t('settings.branch')}
+                            onChange={(e) => updateServicePoint(sp.id, { branch: e.target.value })}
+                            className="p-1 border rounded-lg"
+                        />
+                        <code className="text-xs text-gray-400">{sp.id}</code>
+                        {/* The default service point owns the legacy date-only documents */}
+                        {sp.id !== DEFAULT_SERVICE_POINT && (
+                            <button onClick={() => handleRemoveServicePoint(sp.id)} className="text-red-600 hover:text-red-800">{t('common.remove')}</button>
+                        )}
+                    </div>
+                ))}
+            </div>
+            <div className="flex flex-wrap items-end gap-3 mb-6 text-sm">
+                <label className="text-gray-700">
+                    {t('settings.name')}
+                    <input type="text" value={newServicePoint.name} placeholder={t('settings.servicePointPlaceholder')} onChange={(e) => setNewServicePoint({ ...newServicePoint, name: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <label className="text-gray-700">
+                    {t('settings.branch')}
+                    <input type="text" value={newServicePoint.branch} placeholder={t('settings.branchPlaceholder')} onChange={(e) => setNewServicePoint({ ...newServicePoint, branch: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <button onClick={handleAddServicePoint} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">{t('settings.addServicePoint')}</button>
+            </div>
+
+            {status && (
+                <p className={`mb-4 p-2 rounded-lg font-medium ${status.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                    {status.message}
+                </p>
+            )}
+
+            <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition-colors disabled:opacity-50"
+            >
+                {saving ? t('common.saving') : t('settings.save')}
+            </button>
+        </div>
+    );
+};
+
+// --- Category Editor Panel ---
+// Admin editor for question categories. Edits to the wording or color are recorded as a
+// new version effective today, so older days keep rendering with the names they had.
+// Retiring a category hides its button but keeps its history in reports.
+const CategoriesPanel = ({ storage, categories, isSeeded, today, onClose }) => {
+    const { language: displayLanguage, t } = useI18n();
+    const formatDate = (dateId) => formatDisplayDate(dateId, displayLanguage);
+    const [drafts, setDrafts] = useState(categories);
+    const [newName, setNewName] = useState('');
+    const [status, setStatus] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const updateDraft = (id, changes) => {
+        setDrafts(drafts.map(draft => draft.id === id ? { ...draft, ...changes } : draft));
+    };
+
+    // Translations are not versioned: they follow whatever the category currently says
+    const updateTranslation = (draft, language, field, value) => {
+        const translations = draft.translations || {};
+        updateDraft(draft.id, {
+            translations: { ...translations, [language]: { ...(translations[language] || {}), [field]: value } }
+        });
+    };
+
+    const moveDraft = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= drafts.length) return;
+        const reordered = [...drafts];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        setDrafts(reordered.map((draft, i) => ({ ...draft, order: i })));
+    };
+
+    const handleAdd = () => {
+        const name = newName.trim();
+        if (!name) return;
+        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!id || drafts.some(draft => draft.id === id)) {
+            setStatus({ type: 'error', message: t('categories.exists', { id }) });
+            return;
+        }
+        setDrafts([...drafts, {
+            id,
+            name,
+            description: '',
+            example: '',
+            color: CATEGORY_COLORS[drafts.length % CATEGORY_COLORS.length].value,
+            order: drafts.length,
+            active: true,
+            activeFrom: today,
+            versions: [],
+        }]);
+        setNewName('');
+        setStatus(null);
+    };
+
+    const toggleRetired = (draft) => {
+        updateDraft(draft.id, draft.active
+            ? { active: false, retiredOn: today }
+            : { active: true, retiredOn: null });
+    };
+
+    const handleSave = async () => {
+        if (drafts.some(draft => !draft.name.trim())) {
+            setStatus({ type: 'error', message: t('categories.nameRequired') });
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const changedCategories = [];
+            drafts.forEach(draft => {
+                const existing = categories.find(category => category.id === draft.id);
+                let versions = [...(draft.versions || [])];
+
+                const changed = !existing || CATEGORY_VERSIONED_FIELDS.some(field => existing[field] !== draft[field]);
+                if (existing && changed && versions.length === 0) {
+                    // First edit of a category: record how it read before today
+                    versions.push({
+                        effectiveFrom: existing.activeFrom || CATEGORY_EPOCH,
+                        ...CATEGORY_VERSIONED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: existing[field] || '' }), {})
+                    });
+                }
+                if (changed) {
+                    versions = versions.filter(version => version.effectiveFrom !== today);
+                    versions.push({
+                        effectiveFrom: today,
+                        ...CATEGORY_VERSIONED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: draft[field] || '' }), {})
+                    });
+                }
+
+                // Built-in categories are written once the first time anything is saved
+                if (changed || !isSeeded || existing.order !== draft.order || existing.active !== draft.active
+                    || existing.translations !== draft.translations) {
+                    changedCategories.push({
+                        ...draft,
+                        retiredOn: draft.retiredOn || null,
+                        versions
+                    });
+                }
+            });
+            await storage.saveCategories(changedCategories);
+            setStatus({ type: 'success', message: t('categories.saved') });
+        } catch (e) {
+            console.error("Saving categories failed:", e);
+            setStatus({ type: 'error', message: t('categories.saveFailed') });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-violet-200 mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('categories.title')}</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+            </div>
+            {!isSeeded && (
+                <p className="mb-4 text-sm text-gray-500">{t('categories.builtIn')}</p>
+            )}
+
+            <div className="space-y-4 mb-6">
+                {drafts.map((draft, index) => (
+                    <div key={draft.id} className={`p-4 rounded-lg border ${draft.active ? 'border-gray-200' : 'border-dashed border-gray-300 bg-gray-50'}`}>
+                        <div className="flex flex-wrap items-center gap-3 mb-2">
+                            <span className={`w-6 h-6 rounded-full ${draft.color}`}></span>
+                            <input
+                                type="text"
+                                value={draft.name}
+                                onChange={(e) => updateDraft(draft.id, { name: e.target.value })}
+                                className="flex-1 p-2 border rounded-lg font-semibold"
+                            />
+                            <select
+                                value={draft.color}
+                                onChange={(e) => updateDraft(draft.id, { color: e.target.value })}
+                                className="p-2 border rounded-lg bg-white text-sm"
+                            >
+                                {CATEGORY_COLORS.map(color => (
+                                    <option key={color.value} value={color.value}>{t(`categories.color.${color.name.toLowerCase()}`)}</option>
+                                ))}
+                            </select>
+                            <button onClick={() => moveDraft(index, -1)} className="px-2 text-gray-500 hover:text-gray-800" title={t('categories.moveUp')}>↑</button>
+                            <button onClick={() => moveDraft(index, 1)} className="px-2 text-gray-500 hover:text-gray-800" title={t('categories.moveDown')}>↓</button>
+                            <button
+                                onClick={() => toggleRetired(draft)}
+                                className={`px-3 py-1 text-sm rounded-lg ${draft.active ? 'bg-gray-200 hover:bg-gray-300' : 'bg-green-100 text-green-800 hover:bg-green-200'}`}
+                            >
+                                {draft.active ? t('categories.retire') : t('categories.reactivate')}
+                            </button>
+                        </div>
+                        <input
+                            type="text"
+                            value={draft.description}
+                            placeholder={t('categories.description')}
+                            onChange={(e) => updateDraft(draft.id, { description: e.target.value })}
+                            className="block w-full mb-2 p-2 border rounded-lg text-sm"
+                        />
+                        <input
+                            type="text"
+                            value={draft.example}
+                            placeholder={t('categories.examplePlaceholder')}
+                            onChange={(e) => updateDraft(draft.id, { example: e.target.value })}
+                            className="block w-full p-2 border rounded-lg text-sm"
+                        />
+                        <details className="mt-2">
+                            <summary className="text-sm text-gray-600 cursor-pointer">{t('categories.translations')}</summary>
+                            {LANGUAGES.filter(language => language.id !== DEFAULT_LANGUAGE).map(language => {
+                                const translation = (draft.translations || {})[language.id] || {};
+                                return (
+                                    <div key={language.id} className="mt-2 pl-3 border-l-2 border-gray-200">
+                                        <p className="text-xs font-semibold text-gray-500 mb-1">{language.name}</p>
+                                        <input
+                                            type="text"
+                                            value={translation.name || ''}
+                                            placeholder={draft.name}
+                                            aria-label={t('categories.translatedName', { language: language.name })}
+                                            onChange={(e) => updateTranslation(draft, language.id, 'name', e.target.value)}
+                                            className="block w-full mb-1 p-2 border rounded-lg text-sm"
+                                        />
+                                        <input
+                                            type="text"
+                                            value={translation.description || ''}
+                                            placeholder={draft.description || t('categories.description')}
+                                            aria-label={t('categories.translatedDescription', { language: language.name })}
+                                            onChange={(e) => updateTranslation(draft, language.id, 'description', e.target.value)}
+                                            className="block w-full mb-1 p-2 border rounded-lg text-sm"
+                                        />
+                                        <input
+                                            type="text"
+                                            value={translation.example || ''}
+                                            placeholder={draft.example || t('categories.example')}
+                                            aria-label={t('categories.translatedExample', { language: language.name })}
+                                            onChange={(e) => updateTranslation(draft, language.id, 'example', e.target.value)}
+                                            className="block w-full p-2 border rounded-lg text-sm"
+                                        />
+                                    </div>
+                                );
+                            })}
+                            <p className="mt-1 text-xs text-gray-400">{t('categories.translationsHint')}</p>
+                        </details>
+                        <p className="mt-2 text-xs text-gray-400">
+                            {t('categories.id')} <code>{draft.id}</code>
+                            {draft.activeFrom && draft.activeFrom !== CATEGORY_EPOCH ? `, ${t('categories.inUseFrom', { date: formatDate(draft.activeFrom) })}` : ''}
+                            {!draft.active && draft.retiredOn ? `, ${t('categories.retiredOn', { date: formatDate(draft.retiredOn) })}` : ''}
+                            {(draft.versions || []).length > 1 ? `, ${t('categories.versions', { count: draft.versions.length })}` : ''}
+                        </p>
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mb-6">
+                <input
+                    type="text"
+                    value={newName}
+                    placeholder={t('categories.newPlaceholder')}
+                    onChange={(e) => setNewName(e.target.value)}
+                    className="flex-1 p-2 border rounded-lg"
+                />
+                <button onClick={handleAdd} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">{t('categories.add')}</button>
+            </div>
+
+            {status && (
+                <p className={`mb-4 p-2 rounded-lg font-medium ${status.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                    {status.message}
+                </p>
+            )}
+
+            <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-6 py-3 bg-violet-600 text-white font-semibold rounded-lg shadow-md hover:bg-violet-700 transition-colors disabled:opacity-50"
+            >
+                {saving ? t('common.saving') : t('categories.save')}
+            </button>
+        </div>
+    );
+};
+
+// --- Supervisor Corrections Panel ---
+// Lets a supervisor set any day's counts to corrected values. Every save is written to the
+// day's corrections sub-collection with who, when, why and the before/after values.
+const CorrectionsPanel = ({ storage, userId, questionTypes, servicePoints, defaultServicePoint, defaultDate, onClose }) => {
+    const { language, t } = useI18n();
+    const [date, setDate] = useState(defaultDate);
+    const [servicePointId, setServicePointId] = useState(defaultServicePoint);
+    const [dayTypes, setDayTypes] = useState([]);
+    const [currentCounts, setCurrentCounts] = useState({});
+    const [draftCounts, setDraftCounts] = useState({});
+    const [reason, setReason] = useState('');
+    const [history, setHistory] = useState([]);
+    const [status, setStatus] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const loadDay = async (dateId) => {
+        setStatus(null);
+        try {
+            const docId = getRollupDocId(dateId, servicePointId);
+            const data = (await storage.getDay(docId)) || {};
+            // The categories that were in use that day, as they were named then
+            const types = getReportCategories(questionTypes, [data], dateId, dateId);
+            const counts = types.reduce((acc, type) => ({ ...acc, [type.id]: data[type.id] || 0 }), {});
+            setDayTypes(types);
+            setCurrentCounts(counts);
+            setDraftCounts(counts);
+
+            setHistory(await storage.getCorrections(docId));
+        } catch (e) {
+            console.error("Error loading day for correction:", e);
+            setStatus({ type: 'error', message: t('correction.loadFailed') });
+        }
+    };
+
+    useEffect(() => {
+        if (date) loadDay(date);
+    }, [date, servicePointId]);
+
+    const handleSave = async () => {
+        if (!reason.trim()) {
+            setStatus({ type: 'error', message: t('correction.needsReason') });
+            return;
+        }
+
+        const after = dayTypes.reduce((acc, type) => {
+            const value = parseInt(draftCounts[type.id], 10);
+            // Counts can never go below zero
+            return { ...acc, [type.id]: Number.isFinite(value) ? Math.max(0, value) : 0 };
+        }, {});
+
+        setSaving(true);
+        try {
+            await storage.applyCorrection({
+                docId: getRollupDocId(date, servicePointId),
+                date,
+                servicePoint: servicePointId,
+                counts: after,
+                reason: reason.trim(),
+                staffUid: userId
+            });
+
+            setReason('');
+            const servicePointName = (servicePoints.find(sp => sp.id === servicePointId) || { name: servicePointId }).name;
+            setStatus({ type: 'success', message: t('correction.saved', { servicePoint: servicePointName, date: formatDisplayDate(date, language) }) });
+            await loadDay(date);
+        } catch (e) {
+            console.error("Correction failed:", e);
+            setStatus({ type: 'error', message: t('correction.saveFailed') });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-amber-200 mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('correction.title')}</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+            </div>
+
+            <div className="flex flex-wrap gap-4 mb-4">
+                <label className="block text-sm font-medium text-gray-700">
+                    {t('report.date')}
+                    <input
+                        type="date"
+                        value={date}
+                        max={defaultDate}
+                        onChange={(e) => setDate(e.target.value)}
+                        className="block mt-1 p-2 border rounded-lg"
+                    />
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                    {t('app.servicePoint')}
+                    <select
+                        value={servicePointId}
+                        onChange={(e) => setServicePointId(e.target.value)}
+                        className="block mt-1 p-2 border rounded-lg bg-white"
+                    >
+                        {servicePoints.map(sp => (
+                            <option key={sp.id} value={sp.id}>{sp.name}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                {dayTypes.map(type => (
+                    <label key={`correct-${type.id}`} className="block text-sm font-medium text-gray-700">
+                        {localizeCategory(type, language).name}{' '}
+                        <span className="text-xs text-gray-400">{t('correction.currently', { count: currentCounts[type.id] || 0 })}</span>
+                        <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={draftCounts[type.id] ?? 0}
+                            onChange={(e) => setDraftCounts({ ...draftCounts, [type.id]: e.target.value })}
+                            className="block w-full mt-1 p-2 border rounded-lg"
+                        />
+                    </label>
+                ))}
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mb-4">
+                {t('correction.reason')}
+                <textarea
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    rows={2}
+                    className="block w-full mt-1 p-2 border rounded-lg"
+                    placeholder={t('correction.reasonPlaceholder')}
+                />
+            </label>
+
+            {status && (
+                <p className={`mb-4 p-2 rounded-lg font-medium ${status.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                    {status.message}
+                </p>
+            )}
+
+            <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-6 py-3 bg-amber-700 text-white font-semibold rounded-lg shadow-md hover:bg-amber-800 transition-colors disabled:opacity-50"
+            >
+                {saving ? t('correction.saving') : t('correction.save')}
+            </button>
+
+            {/* Audit trail for the selected day */}
+            {history.length > 0 && (
+                <div className="mt-6 border-t pt-4">
+                    <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('correction.history')}</h3>
+                    <ul className="space-y-2 text-sm text-gray-600">
+                        {history.map(entry => (
+                            <li key={entry.id} className="p-2 bg-gray-50 rounded-lg">
+                                <span className="font-medium">{entry.correctedAt ? entry.correctedAt.toDate().toLocaleString(language) : t('common.pending')}</span>
+                                {` ${t('correction.by')} `}<code className="text-xs bg-gray-200 p-1 rounded">{entry.correctedBy}</code>
+                                {': '}{entry.reason}
+                                <div className="text-xs text-gray-500 mt-1">
+                                    {Object.keys(entry.after)
+                                        .filter(id => (entry.before[id] || 0) !== (entry.after[id] || 0))
+                                        .map(id => {
+                                            const type = dayTypes.find(item => item.id === id);
+                                            return `${type ? localizeCategory(type, language).name : id}: ${entry.before[id] || 0} → ${entry.after[id] || 0}`;
+                                        })
+                                        .join('; ')}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Refused Queue Changes ---
+// Changes this terminal queued that the server would not accept, e.g. a tally that only
+// synced after its day had ended. A supervisor applies a tally or undo to the day's count as
+// a logged correction, or discards it; either way it then leaves the queue.
+const getEntryDate = (entry) => entry.date || entry.docId.slice(0, 10);
+const getEntryServicePoint = (entry) => entry.servicePoint || entry.docId.slice(11) || DEFAULT_SERVICE_POINT;
+
+const RefusedChangesPanel = ({ storage, userId, entries, questionTypes, servicePoints, onResolved }) => {
+    const { language, t } = useI18n();
+    const [busyId, setBusyId] = useState(null);
+    const [status, setStatus] = useState(null);
+
+    const categoryName = (id) => {
+        const type = questionTypes.find(item => item.id === id);
+        return type ? localizeCategory(type, language).name : id;
+    };
+    const servicePointName = (id) => (servicePoints.find(sp => sp.id === id) || { name: id }).name;
+    // An undo of a tally that never reached the server has nothing to take back
+    const canApply = (entry) => entry.op === 'tally' || (entry.op === 'void' && !entry.tallyWasQueued);
+
+    const handleApply = async (entry) => {
+        setBusyId(entry.id);
+        try {
+            const data = (await storage.getDay(entry.docId)) || {};
+            const current = data[entry.typeId] || 0;
+            await storage.applyCorrection({
+                docId: entry.docId,
+                date: getEntryDate(entry),
+                servicePoint: getEntryServicePoint(entry),
+                counts: { [entry.typeId]: entry.op === 'void' ? Math.max(0, current - 1) : current + 1 },
+                reason: t(entry.op === 'void' ? 'refused.voidReason' : 'refused.tallyReason', {
+                    time: new Date(entry.queuedAt).toLocaleString(language),
+                    staff: entry.staffUid
+                }),
+                staffUid: userId
+            });
+            setStatus({ type: 'success', message: t('refused.applied') });
+            await onResolved(entry);
+        } catch (e) {
+            console.error("Applying refused change failed:", e);
+            setStatus({ type: 'error', message: t('refused.applyFailed') });
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDiscard = async (entry) => {
+        setBusyId(entry.id);
+        try {
+            await onResolved(entry);
+            setStatus(null);
+        } catch (e) {
+            console.error("Discarding refused change failed:", e);
+            setStatus({ type: 'error', message: t('refused.discardFailed') });
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-red-200 mb-10">
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('refused.title')}</h2>
+            <p className="text-sm text-gray-600 mb-4">{t('refused.intro')}</p>
+            {status && (
+                <p className={`mb-4 p-2 rounded-lg font-medium ${status.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                    {status.message}
+                </p>
+            )}
+            <ul className="space-y-2 text-sm">
+                {entries.map(entry => (
+                    <li key={entry.id} className="flex flex-wrap justify-between items-center gap-2 p-2 bg-gray-50 rounded-lg">
+                        <span>
+                            <span className="font-medium text-gray-900">
+                                {t(`refused.${entry.op}`, { category: categoryName(entry.typeId), note: entry.note || '' })}
+                            </span>
+                            <span className="block text-xs text-gray-500">
+                                {t('refused.detail', {
+                                    date: formatDisplayDate(getEntryDate(entry), language),
+                                    servicePoint: servicePointName(getEntryServicePoint(entry)),
+                                    staff: entry.staffUid
+                                })}
+                            </span>
+                        </span>
+                        <span className="flex gap-3">
+                            {canApply(entry) && (
+                                <button
+                                    onClick={() => handleApply(entry)}
+                                    disabled={busyId !== null}
+                                    className="font-medium text-amber-700 hover:text-amber-900 disabled:opacity-50"
+                                >
+                                    {t('refused.apply')}
+                                </button>
+                            )}
+                            <button
+                                onClick={() => handleDiscard(entry)}
+                                disabled={busyId !== null}
+                                className="font-medium text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                            >
+                                {t('refused.discard')}
+                            </button>
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- Question Notes Log ---
+// Supervisors search the notes left on tallies and tag recurring questions with an FAQ
+// topic. Tagged notes export as a draft FAQ list, one row per topic.
+const NotesPanel = ({ storage, userId, questionTypes, servicePoints, timeZone, defaultRange, onClose }) => {
+    const { language, t } = useI18n();
+    const [range, setRange] = useState({ start: defaultRange.start, end: defaultRange.end });
+    const [categoryFilter, setCategoryFilter] = useState('all');
+    const [search, setSearch] = useState('');
+    const [faqOnly, setFaqOnly] = useState(false);
+    const [notes, setNotes] = useState([]);
+    const [topicDrafts, setTopicDrafts] = useState({}); // interaction key -> topic being typed
+    const [loading, setLoading] = useState(false);
+    const [status, setStatus] = useState(null);
+
+    // The FAQ export keeps the English names; the table shows them in the chosen language
+    const categoryName = (id) => (questionTypes.find(type => type.id === id) || { name: id }).name;
+    const categoryLabel = (id) => {
+        const type = questionTypes.find(candidate => candidate.id === id);
+        return type ? localizeCategory(type, language).name : id;
+    };
+    const servicePointName = (id) => (servicePoints.find(sp => sp.id === id) || { name: id }).name;
+    const formatWhen = (interaction) => interaction.timestamp
+        ? interaction.timestamp.toDate().toLocaleString(language, {
+            timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_LIBRARY_SETTINGS.timezone
+        })
+        : formatDisplayDate(interaction.date, language);
+
+    const loadNotes = async () => {
+        if (!range.start || !range.end || range.start > range.end) {
+            setStatus({ type: 'error', message: t('notes.badRange') });
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const interactions = await storage.getInteractions(range.start, range.end, { notesOnly: true });
+            setNotes(interactions
+                .map(interaction => ({ ...interaction, key: `${interaction.docId}/${interaction.id}` }))
+                .filter(interaction => !interaction.voided)
+                .sort((a, b) => (b.timestamp ? b.timestamp.toMillis() : 0) - (a.timestamp ? a.timestamp.toMillis() : 0)));
+            setStatus(null);
+        } catch (e) {
+            console.error("Error loading notes:", e);
+            setStatus({ type: 'error', message: t('notes.loadFailed') });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadNotes();
+    }, [range.start, range.end]);
+
+    const visibleNotes = useMemo(() => {
+        const term = search.trim().toLowerCase();
+        return notes.filter(interaction => {
+            if (categoryFilter !== 'all' && interaction.category !== categoryFilter) return false;
+            if (faqOnly && !interaction.faqTopic) return false;
+            if (!term) return true;
+            return interaction.note.toLowerCase().includes(term)
+                || (interaction.faqTopic || '').toLowerCase().includes(term);
+        });
+    }, [notes, categoryFilter, search, faqOnly]);
+
+    const topics = useMemo(() => {
+        return [...new Set(notes.map(interaction => interaction.faqTopic).filter(Boolean))].sort();
+    }, [notes]);
+
+    const handleTag = async (interaction) => {
+        const topic = (topicDrafts[interaction.key] ?? interaction.faqTopic ?? '').trim();
+        if (topic === (interaction.faqTopic || '')) return;
+
+        try {
+            await storage.tagFaq(interaction.docId, interaction.id, topic, userId);
+            setNotes(notes.map(n => n.key === interaction.key ? { ...n, faqTopic: topic || null } : n));
+        } catch (e) {
+            console.error("Tagging FAQ failed:", e);
+            setStatus({ type: 'error', message: t('notes.tagFailed') });
+        }
+    };
+
+    // One row per topic: how often it came up, where, and the notes to draft an answer from
+    const handleExportFaq = () => {
+        const byTopic = {};
+        notes.filter(interaction => interaction.faqTopic).forEach(interaction => {
+            const entry = byTopic[interaction.faqTopic] || { notes: [], categories: new Set() };
+            entry.notes.push(interaction.note);
+            entry.categories.add(categoryName(interaction.category));
+            byTopic[interaction.faqTopic] = entry;
+        });
+
+        const rows = Object.entries(byTopic)
+            .sort((a, b) => b[1].notes.length - a[1].notes.length)
+            .map(([topic, entry]) => ({
+                'Question': topic,
+                'Times Asked': entry.notes.length,
+                'Categories': [...entry.categories].join('; '),
+                'Example Notes': [...new Set(entry.notes)].slice(0, 5).join(' | '),
+                'Draft Answer': ''
+            }));
+
+        if (rows.length === 0) {
+            setStatus({ type: 'error', message: t('notes.tagFirst') });
+            return;
+        }
+        downloadFile(convertToCSV(rows), 'text/csv;charset=utf-8;', `faq_draft_${range.start}_to_${range.end}.csv`);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-emerald-200 mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('notes.title')}</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <label className="text-sm font-medium text-gray-700">
+                    {t('report.start')}
+                    <input
+                        type="date"
+                        value={range.start}
+                        onChange={(e) => setRange({ ...range, start: e.target.value })}
+                        className="block mt-1 p-2 border rounded-lg"
+                    />
+                </label>
+                <label className="text-sm font-medium text-gray-700">
+                    {t('report.end')}
+                    <input
+                        type="date"
+                        value={range.end}
+                        min={range.start}
+                        onChange={(e) => setRange({ ...range, end: e.target.value })}
+                        className="block mt-1 p-2 border rounded-lg"
+                    />
+                </label>
+                <label className="text-sm font-medium text-gray-700">
+                    {t('notes.category')}
+                    <select
+                        value={categoryFilter}
+                        onChange={(e) => setCategoryFilter(e.target.value)}
+                        className="block mt-1 p-2 border rounded-lg bg-white"
+                    >
+                        <option value="all">{t('notes.allCategories')}</option>
+                        {questionTypes.map(type => (
+                            <option key={type.id} value={type.id}>{localizeCategory(type, language).name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-sm font-medium text-gray-700 flex-1 min-w-[12rem]">
+                    {t('notes.search')}
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder={t('notes.searchPlaceholder')}
+                        className="block w-full mt-1 p-2 border rounded-lg"
+                    />
+                </label>
+                <label className="inline-flex items-center text-sm text-gray-700 pb-2">
+                    <input
+                        type="checkbox"
+                        checked={faqOnly}
+                        onChange={(e) => setFaqOnly(e.target.checked)}
+                        className="mr-2"
+                    />
+                    {t('notes.faqOnly')}
+                </label>
+            </div>
+
+            {status && (
+                <p className={`mb-4 p-2 rounded-lg font-medium ${status.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                    {status.message}
+                </p>
+            )}
+
+            <datalist id="faq-topics">
+                {topics.map(topic => <option key={topic} value={topic} />)}
+            </datalist>
+
+            {loading ? (
+                <p className="text-gray-500">{t('notes.loading')}</p>
+            ) : visibleNotes.length === 0 ? (
+                <p className="text-gray-500">{t('notes.none')}</p>
+            ) : (
+                <div className="overflow-x-auto max-h-[32rem] mb-4">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('notes.when')}</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('notes.category')}</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('notes.note')}</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('notes.faqTopic')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {visibleNotes.map(interaction => (
+                                <tr key={interaction.key}>
+                                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">
+                                        {formatWhen(interaction)}
+                                        <span className="block text-xs text-gray-400">{servicePointName(interaction.servicePoint || DEFAULT_SERVICE_POINT)}</span>
+                                    </td>
+                                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">{categoryLabel(interaction.category)}</td>
+                                    <td className="px-3 py-2 text-gray-900">
+                                        {interaction.note}
+                                        {interaction.noteRedacted && <span className="ml-2 text-xs text-amber-700">{t('notes.scrubbed')}</span>}
+                                    </td>
+                                    <td className="px-3 py-2">
+                                        <input
+                                            type="text"
+                                            list="faq-topics"
+                                            value={topicDrafts[interaction.key] ?? interaction.faqTopic ?? ''}
+                                            onChange={(e) => setTopicDrafts({ ...topicDrafts, [interaction.key]: e.target.value })}
+                                            onBlur={() => handleTag(interaction)}
+                                            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                                            placeholder={t('notes.tagPlaceholder')}
+                                            className="w-48 p-1 border rounded-lg"
+                                        />
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <button
+                onClick={handleExportFaq}
+                className="px-6 py-3 bg-emerald-700 text-white font-semibold rounded-lg shadow-md hover:bg-emerald-800"
+            >
+                {t('notes.export')}
+            </button>
+        </div>
+    );
+};
+
+// --- Follow-Up Queue ---
+// The shared list of questions waiting on a referral or callback. It updates live, so a
+// follow-up picked up at one desk moves out of "Open" everywhere at once.
+const FollowUpQueue = ({ storage, followUps, questionTypes, servicePoints, userId, staffName, today, onClose }) => {
+    const { language, t } = useI18n();
+    const [tab, setTab] = useState('open');
+    const [assigneeDrafts, setAssigneeDrafts] = useState({}); // follow-up ID -> assignee being typed
+    const [resolutions, setResolutions] = useState({}); // follow-up ID -> outcome chosen for closing
+    const [busyId, setBusyId] = useState(null);
+    const [status, setStatus] = useState(null);
+
+    const categoryName = (id) => {
+        const type = questionTypes.find(item => item.id === id);
+        return type ? localizeCategory(type, language).name : id;
+    };
+    const servicePointName = (id) => (servicePoints.find(sp => sp.id === id) || { name: id }).name;
+
+    // Soonest due first while waiting; most recently closed first once done
+    const visible = useMemo(() => followUps
+        .filter(item => item.status === tab)
+        .sort((a, b) => (tab === 'closed'
+            ? (b.closedDate || '').localeCompare(a.closedDate || '')
+            : a.dueDate.localeCompare(b.dueDate))), [followUps, tab]);
+
+    const run = async (followUp, action) => {
+        setBusyId(followUp.id);
+        try {
+            await action();
+            setStatus(null);
+        } catch (e) {
+            console.error("Updating follow-up failed:", e);
+            setStatus(t('followUp.updateFailed'));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleStatus = (followUp, nextStatus) => run(followUp, () => storage.setFollowUpStatus(followUp, {
+        status: nextStatus,
+        resolution: nextStatus === 'closed' ? (resolutions[followUp.id] || FOLLOW_UP_RESOLUTIONS[0]) : null,
+        staffUid: userId,
+        today
+    }));
+
+    const handleUpdate = (followUp, changes) => run(followUp, () => storage.updateFollowUp(followUp.id, { ...changes, updatedBy: userId }));
+
+    const handleAssigneeBlur = (followUp) => {
+        const assignee = (assigneeDrafts[followUp.id] ?? followUp.assignee).trim();
+        setAssigneeDrafts({ ...assigneeDrafts, [followUp.id]: undefined });
+        if (!assignee || assignee === followUp.assignee) return;
+        handleUpdate(followUp, { assignee });
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-rose-200 mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('followUp.queue')}</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+            </div>
+
+            <div className="flex space-x-2 mb-4">
+                {FOLLOW_UP_STATUSES.map(id => (
+                    <button
+                        key={id}
+                        aria-pressed={tab === id}
+                        onClick={() => setTab(id)}
+                        className={`px-4 py-2 rounded-lg text-sm font-semibold ${tab === id ? 'bg-rose-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                        {t(`followUp.status.${id}`)} ({followUps.filter(item => item.status === id).length})
+                    </button>
+                ))}
+            </div>
+
+            {status && (
+                <p role="alert" className="mb-4 p-2 rounded-lg font-medium bg-red-100 text-red-700">{status}</p>
+            )}
+
+            {visible.length === 0 ? (
+                <p className="text-gray-500">{t('followUp.empty')}</p>
+            ) : (
+                <ul className="space-y-3 max-h-[32rem] overflow-y-auto">
+                    {visible.map(followUp => {
+                        const overdue = isFollowUpOverdue(followUp, today);
+                        const busy = busyId === followUp.id;
+                        return (
+                            <li key={followUp.id} className={`p-4 border rounded-lg ${overdue ? 'border-red-300 bg-red-50' : 'border-gray-200'}`}>
+                                <div className="flex flex-wrap justify-between gap-2 mb-1">
+                                    <span className="font-semibold text-gray-800">{categoryName(followUp.category)}</span>
+                                    <span className="text-xs text-gray-500">
+                                        {t('followUp.flagged', { date: formatDisplayDate(followUp.date, language), servicePoint: servicePointName(followUp.servicePoint) })}
+                                    </span>
+                                </div>
+                                {followUp.summary && <p className="text-gray-900 mb-2">{followUp.summary}</p>}
+                                <p className="text-sm text-gray-600 mb-2">
+                                    {t(`followUp.contact.${followUp.contactPreference}`)}
+                                    {followUp.contact && <span className="ml-2 font-medium text-gray-800">{followUp.contact}</span>}
+                                </p>
+
+                                {followUp.status === 'closed' ? (
+                                    <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                                        <span className="text-gray-600">
+                                            {t('followUp.assignedTo', { assignee: followUp.assignee })} · {t('followUp.closedOn', {
+                                                date: formatDisplayDate(followUp.closedDate, language),
+                                                resolution: t(`followUp.resolution.${followUp.resolution}`)
+                                            })}
+                                        </span>
+                                        <button
+                                            onClick={() => handleStatus(followUp, 'open')}
+                                            disabled={busy}
+                                            className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                                        >
+                                            {t('followUp.reopen')}
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <div className="flex flex-wrap items-end gap-3 text-sm">
+                                        <label className="text-gray-700">
+                                            {t('followUp.assignee')}
+                                            <input
+                                                type="text"
+                                                value={assigneeDrafts[followUp.id] ?? followUp.assignee}
+                                                onChange={(e) => setAssigneeDrafts({ ...assigneeDrafts, [followUp.id]: e.target.value })}
+                                                onBlur={() => handleAssigneeBlur(followUp)}
+                                                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                                                className="block mt-1 p-1 border rounded-lg w-44"
+                                            />
+                                        </label>
+                                        <label className={overdue ? 'text-red-700 font-semibold' : 'text-gray-700'}>
+                                            {overdue ? t('followUp.overdue') : t('followUp.dueDate')}
+                                            <input
+                                                type="date"
+                                                value={followUp.dueDate}
+                                                onChange={(e) => e.target.value && handleUpdate(followUp, { dueDate: e.target.value })}
+                                                className="block mt-1 p-1 border rounded-lg"
+                                            />
+                                        </label>
+                                        {staffName && followUp.assignee !== staffName && (
+                                            <button
+                                                onClick={() => handleUpdate(followUp, { assignee: staffName })}
+                                                disabled={busy}
+                                                className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                                            >
+                                                {t('followUp.assignToMe')}
+                                            </button>
+                                        )}
+                                        {followUp.status === 'open' && (
+                                            <button
+                                                onClick={() => handleStatus(followUp, 'in_progress')}
+                                                disabled={busy}
+                                                className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                                            >
+                                                {t('followUp.start')}
+                                            </button>
+                                        )}
+                                        <span className="flex items-end gap-2 ml-auto">
+                                            <label className="text-gray-700">
+                                                {t('followUp.resolution')}
+                                                <select
+                                                    value={resolutions[followUp.id] || FOLLOW_UP_RESOLUTIONS[0]}
+                                                    onChange={(e) => setResolutions({ ...resolutions, [followUp.id]: e.target.value })}
+                                                    className="block mt-1 p-1 border rounded-lg bg-white"
+                                                >
+                                                    {FOLLOW_UP_RESOLUTIONS.map(id => (
+                                                        <option key={id} value={id}>{t(`followUp.resolution.${id}`)}</option>
+                                                    ))}
+                                                </select>
+                                            </label>
+                                            <button
+                                                onClick={() => handleStatus(followUp, 'closed')}
+                                                disabled={busy}
+                                                className="px-3 py-1 bg-rose-600 text-white rounded-lg hover:bg-rose-700 disabled:opacity-50"
+                                            >
+                                                {t('followUp.close')}
+                                            </button>
+                                        </span>
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// --- Staff Panel ---
+// Administrators add staff and change roles here. New accounts are created through a
+// secondary Firebase app instance, then sent a password reset email so each person sets
+// their own password.
+const StaffPanel = ({ db, auth, staffPath, currentUid, onClose }) => {
+    const { t } = useI18n();
+    const [staff, setStaff] = useState([]);
+    const [draft, setDraft] = useState({ displayName: '', email: '', role: 'desk', uid: '' });
+    const [status, setStatus] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, staffPath), (snapshot) => {
+            const members = snapshot.docs.map(d => ({ uid: d.id, ...d.data() }));
+            setStaff(members.sort((a, b) => (a.displayName || '').localeCompare(b.displayName || '')));
+        }, (e) => {
+            console.error("Error listening to staff:", e);
+            setStatus({ type: 'error', message: t('staff.loadFailed') });
+        });
+        return () => unsubscribe();
+    }, [db, staffPath]);
+
+    const handleAdd = async () => {
+        const displayName = draft.displayName.trim();
+        const email = draft.email.trim().toLowerCase();
+        if (!displayName || !email) {
+            setStatus({ type: 'error', message: t('staff.nameRequired') });
+            return;
+        }
+
+        setSaving(true);
+        try {
+            let uid = draft.uid.trim();
+            if (!uid) {
+                const provisioningApp = getApps().find(app => app.name === PROVISIONING_APP_NAME)
+                    || initializeApp(firebaseConfig, PROVISIONING_APP_NAME);
+                const provisioningAuth = getAuth(provisioningApp);
+                // The account starts with a random password; the reset email lets them choose one
+                const credential = await createUserWithEmailAndPassword(provisioningAuth, email, `${crypto.randomUUID()}Aa1!`);
+                uid = credential.user.uid;
+                await signOut(provisioningAuth);
+                await sendPasswordResetEmail(auth, email);
+            }
+
+            await setDoc(doc(db, staffPath, uid), {
+                displayName,
+                email,
+                role: draft.role,
+                active: true,
+                createdAt: serverTimestamp(),
+                createdBy: currentUid
+            });
+            setDraft({ displayName: '', email: '', role: 'desk', uid: '' });
+            setStatus({ type: 'success', message: t(draft.uid ? 'staff.added' : 'staff.addedWithEmail', { name: displayName }) });
+        } catch (e) {
+            console.error("Adding staff failed:", e);
+            setStatus({
+                type: 'error',
+                message: e.code === 'auth/email-already-in-use'
+                    ? t('staff.emailInUse')
+                    : t('staff.addFailed')
+            });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleUpdate = async (uid, changes) => {
+        try {
+            await updateDoc(doc(db, staffPath, uid), { ...changes, updatedAt: serverTimestamp(), updatedBy: currentUid });
+        } catch (e) {
+            console.error("Updating staff failed:", e);
+            setStatus({ type: 'error', message: t('staff.updateFailed') });
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-rose-200 mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('staff.title')}</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+            </div>
+
+            <ul className="space-y-1 mb-4 text-sm text-gray-600">
+                {STAFF_ROLES.map(role => (
+                    <li key={`role-${role}`}><span className="font-medium text-gray-800">{t(`role.${role}`)}:</span> {t(`role.${role}.description`)}</li>
+                ))}
+            </ul>
+
+            <div className="space-y-2 mb-6">
+                {staff.map(member => (
+                    <div key={member.uid} className={`flex flex-wrap items-center gap-2 p-2 rounded-lg ${member.active === false ? 'bg-gray-100 text-gray-400' : 'bg-gray-50'}`}>
+                        <span className="flex-1 min-w-[12rem]">
+                            <span className="font-medium">{member.displayName}</span>
+                            <span className="block text-xs">{member.email}</span>
+                        </span>
+                        <select
+                            value={member.role}
+                            disabled={member.uid === currentUid}
+                            onChange={(e) => handleUpdate(member.uid, { role: e.target.value })}
+                            className="p-1 border rounded-lg bg-white text-sm"
+                        >
+                            {STAFF_ROLES.map(role => (
+                                <option key={role} value={role}>{t(`role.${role}`)}</option>
+                            ))}
+                        </select>
+                        {member.uid !== currentUid && (
+                            <button
+                                onClick={() => handleUpdate(member.uid, { active: member.active === false })}
+                                className="text-sm text-rose-600 hover:text-rose-800"
+                            >
+                                {member.active === false ? t('staff.reactivate') : t('staff.deactivate')}
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('staff.add')}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+                <input
+                    type="text"
+                    value={draft.displayName}
+                    onChange={(e) => setDraft({ ...draft, displayName: e.target.value })}
+                    placeholder={t('staff.name')}
+                    className="p-2 border rounded-lg"
+                />
+                <input
+                    type="email"
+                    value={draft.email}
+                    onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+                    placeholder={t('staff.email')}
+                    className="p-2 border rounded-lg"
+                />
+                <select
+                    value={draft.role}
+                    onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+                    className="p-2 border rounded-lg bg-white"
+                >
+                    {STAFF_ROLES.map(role => (
+                        <option key={role} value={role}>{t(`role.${role}`)}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    value={draft.uid}
+                    onChange={(e) => setDraft({ ...draft, uid: e.target.value })}
+                    placeholder={t('staff.uid')}
+                    className="p-2 border rounded-lg"
+                />
+            </div>
+
+            {status && (
+                <p className={`mb-3 p-2 rounded-lg font-medium ${status.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                    {status.message}
+                </p>
+            )}
+
+            <button
+                onClick={handleAdd}
+                disabled={saving}
+                className="px-6 py-3 bg-rose-600 text-white font-semibold rounded-lg shadow-md hover:bg-rose-700 disabled:opacity-50"
+            >
+                {saving ? t('staff.adding') : t('staff.addMember')}
+            </button>
+        </div>
+    );
+};
+
+// --- Consortium Panel ---
+// For consortium administrators: the library registry, the consortium administrators, and
+// totals for the selected report period across every library. Categories are matched across
+// libraries by name, since each library defines its own. An administrator of the default
+// library can claim the first consortium administrator role.
+const ConsortiumPanel = ({ db, user, libraries, currentLibraryId, isConsortiumAdmin, range, onClose }) => {
+    const { language, t } = useI18n();
+    const [admins, setAdmins] = useState([]);
+    const [canClaim, setCanClaim] = useState(false);
+    const [newLibrary, setNewLibrary] = useState({ id: '', name: '', subdomain: '' });
+    const [newAdmin, setNewAdmin] = useState({ uid: '', displayName: '' });
+    const [drafts, setDrafts] = useState({}); // Unsaved registry edits by library ID
+    const [aggregate, setAggregate] = useState(null);
+    const [loadingAggregate, setLoadingAggregate] = useState(false);
+    const [status, setStatus] = useState(null);
+
+    useEffect(() => {
+        if (isConsortiumAdmin) return;
+        getDoc(doc(db, CONSORTIUM_BOOTSTRAP_PATH))
+            .then(snap => setCanClaim(!snap.exists()))
+            .catch(e => console.error("Could not check consortium setup:", e));
+    }, [db, isConsortiumAdmin]);
+
+    useEffect(() => {
+        if (!isConsortiumAdmin) return;
+        const unsubscribe = onSnapshot(collection(db, CONSORTIUM_ADMINS_PATH), (snapshot) => {
+            setAdmins(snapshot.docs.map(d => ({ uid: d.id, ...d.data() })));
+        }, (e) => {
+            console.error("Error listening to consortium administrators:", e);
+        });
+        return () => unsubscribe();
+    }, [db, isConsortiumAdmin]);
+
+    // Totals for the report period in every library, grouped by category name
+    useEffect(() => {
+        if (!isConsortiumAdmin || !range) return;
+
+        let cancelled = false;
+        setLoadingAggregate(true);
+        Promise.all(libraries.map(async (library) => {
+            const basePath = getLibraryBasePath(library.id);
+            const [docs, categorySnap] = await Promise.all([
+                createFirestoreStorage(db, basePath).getDays(range.start, range.end),
+                getDocs(collection(db, `${basePath}/categories`))
+            ]);
+            const categories = categorySnap.docs.map(d => ({ id: d.id, ...d.data() }));
+            const days = mergeRollups(docs, enumerateDates(range.start, range.end));
+            const counts = getReportCategories(categories.length > 0 ? categories : DEFAULT_QUESTION_TYPES, days, range.start, range.end)
+                .reduce((acc, category) => ({
+                    ...acc,
+                    [category.name]: (acc[category.name] || 0) + days.reduce((sum, day) => sum + (day[category.id] || 0), 0)
+                }), {});
+            return { library, counts };
+        }))
+            .then(results => {
+                if (!cancelled) setAggregate(results);
+            })
+            .catch(e => {
+                console.error("Error loading consortium totals:", e);
+                if (!cancelled) setStatus({ type: 'error', message: t('consortium.totalsFailed') });
+            })
+            .finally(() => {
+                if (!cancelled) setLoadingAggregate(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [db, isConsortiumAdmin, libraries, range]);
+
+    const categoryNames = useMemo(() => {
+        const names = new Set();
+        (aggregate || []).forEach(result => Object.keys(result.counts).forEach(name => names.add(name)));
+        return [...names].sort();
+    }, [aggregate]);
+
+    const libraryTotal = (result) => Object.values(result.counts).reduce((sum, value) => sum + value, 0);
+
+    const handleClaim = async () => {
+        try {
+            const batch = writeBatch(db);
+            batch.set(doc(db, CONSORTIUM_ADMINS_PATH, user.uid), {
+                displayName: user.displayName || user.email || t('consortium.defaultAdminName'),
+                email: user.email || '',
+                createdAt: serverTimestamp(),
+                createdBy: user.uid
+            });
+            batch.set(doc(db, CONSORTIUM_BOOTSTRAP_PATH), { claimedBy: user.uid, claimedAt: serverTimestamp() });
+            await batch.commit();
+            setStatus({ type: 'success', message: t('consortium.claimed') });
+        } catch (e) {
+            console.error("Claiming consortium administration failed:", e);
+            setStatus({ type: 'error', message: t('consortium.claimFailed') });
+        }
+    };
+
+    const handleAddLibrary = async () => {
+        const id = newLibrary.id.trim().toLowerCase();
+        const name = newLibrary.name.trim();
+        const subdomain = newLibrary.subdomain.trim().toLowerCase();
+        if (!name || !LIBRARY_ID_PATTERN.test(id)) {
+            setStatus({ type: 'error', message: t('consortium.invalidLibrary') });
+            return;
+        }
+        if (libraries.some(library => library.id === id)) {
+            setStatus({ type: 'error', message: t('consortium.libraryExists', { id }) });
+            return;
+        }
+        if (subdomain && !LIBRARY_ID_PATTERN.test(subdomain)) {
+            setStatus({ type: 'error', message: t('consortium.invalidSubdomain') });
+            return;
+        }
+        try {
+            await setDoc(doc(db, LIBRARIES_PATH, id), { name, subdomain, createdAt: serverTimestamp(), createdBy: user.uid });
+            setNewLibrary({ id: '', name: '', subdomain: '' });
+            setStatus({ type: 'success', message: t('consortium.libraryAdded', { name }) });
+        } catch (e) {
+            console.error("Adding library failed:", e);
+            setStatus({ type: 'error', message: t('consortium.addLibraryFailed') });
+        }
+    };
+
+    const handleSaveLibrary = async (library) => {
+        const changes = drafts[library.id];
+        if (!changes) return;
+        const subdomain = (changes.subdomain ?? library.subdomain ?? '').trim().toLowerCase();
+        if (subdomain && !LIBRARY_ID_PATTERN.test(subdomain)) {
+            setStatus({ type: 'error', message: t('consortium.invalidSubdomain') });
+            return;
+        }
+        try {
+            await setDoc(doc(db, LIBRARIES_PATH, library.id), {
+                name: (changes.name ?? library.name).trim() || library.id,
+                subdomain,
+                updatedAt: serverTimestamp(),
+                updatedBy: user.uid
+            }, { merge: true });
+            setDrafts({ ...drafts, [library.id]: undefined });
+            setStatus({ type: 'success', message: t('consortium.librarySaved') });
+        } catch (e) {
+            console.error("Saving library failed:", e);
+            setStatus({ type: 'error', message: t('consortium.saveLibraryFailed') });
+        }
+    };
+
+    const handleAddAdmin = async () => {
+        const uid = newAdmin.uid.trim();
+        if (!uid) return;
+        try {
+            await setDoc(doc(db, CONSORTIUM_ADMINS_PATH, uid), {
+                displayName: newAdmin.displayName.trim() || uid,
+                createdAt: serverTimestamp(),
+                createdBy: user.uid
+            });
+            setNewAdmin({ uid: '', displayName: '' });
+        } catch (e) {
+            console.error("Adding consortium administrator failed:", e);
+            setStatus({ type: 'error', message: t('consortium.addAdminFailed') });
+        }
+    };
+
+    const handleRemoveAdmin = async (uid) => {
+        try {
+            await deleteDoc(doc(db, CONSORTIUM_ADMINS_PATH, uid));
+        } catch (e) {
+            console.error("Removing consortium administrator failed:", e);
+            setStatus({ type: 'error', message: t('consortium.removeAdminFailed') });
+        }
+    };
+
+    // Tidy rows, one per library and category
+    const handleExportAggregate = () => {
+        const rows = aggregate.flatMap(result => categoryNames.map(name => ({
+            report_start: range.start,
+            report_end: range.end,
+            library_id: result.library.id,
+            library_name: result.library.name,
+            category_name: name,
+            count: result.counts[name] || 0
+        })));
+        downloadFile(convertToCSV(rows), 'text/csv;charset=utf-8;', `ref_consortium_${range.start}_to_${range.end}.csv`);
+    };
+
+    const statusMessage = status && (
+        <p className={`mb-4 p-2 rounded-lg font-medium ${status.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+            {status.message}
+        </p>
+    );
+
+    if (!isConsortiumAdmin) {
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-cyan-200 mb-10">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold text-gray-800">{t('consortium.title')}</h2>
+                    <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+                </div>
+                {statusMessage}
+                {canClaim ? (
+                    <>
+                        <p className="text-gray-600 mb-4">
+                            {t('consortium.claimIntro', { library: libraries.find(library => library.id === DEFAULT_LIBRARY_ID).name })}
+                        </p>
+                        <button
+                            onClick={handleClaim}
+                            className="px-6 py-3 bg-cyan-700 text-white font-semibold rounded-lg shadow-md hover:bg-cyan-800"
+                        >
+                            {t('consortium.claim')}
+                        </button>
+                    </>
+                ) : (
+                    <p className="text-gray-600">{t('consortium.askAdmin')}</p>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-cyan-200 mb-10">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-gray-800">{t('consortium.title')}</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">{t('common.close')}</button>
+            </div>
+
+            {statusMessage}
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">
+                {range
+                    ? t('consortium.allLibrariesPeriod', {
+                        period: t('report.range', { start: formatDisplayDate(range.start, language), end: formatDisplayDate(range.end, language) })
+                    })
+                    : t('consortium.allLibraries')}
+            </h3>
+            {!range ? (
+                <p className="text-sm text-gray-500 mb-6">{t('consortium.choosePeriod')}</p>
+            ) : loadingAggregate || !aggregate ? (
+                <p className="text-sm text-gray-500 mb-6">{t('consortium.loading')}</p>
+            ) : (
+                <>
+                    <div className="overflow-x-auto mb-3">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{t('consortium.category')}</th>
+                                    {aggregate.map(result => (
+                                        <th key={`head-${result.library.id}`} className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{result.library.name}</th>
+                                    ))}
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{t('consortium.title')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {categoryNames.map(name => (
+                                    <tr key={`aggregate-${name}`}>
+                                        <td className="px-3 py-2 font-medium text-gray-900">{name}</td>
+                                        {aggregate.map(result => (
+                                            <td key={`${result.library.id}-${name}`} className="px-3 py-2 text-right text-gray-700">{formatNumber(result.counts[name] || 0, language)}</td>
+                                        ))}
+                                        <td className="px-3 py-2 text-right font-semibold text-gray-900">
+                                            {formatNumber(aggregate.reduce((sum, result) => sum + (result.counts[name] || 0), 0), language)}
+                                        </td>
+                                    </tr>
+                                ))}
+                                <tr className="bg-cyan-50 font-bold">
+                                    <td className="px-3 py-2 text-gray-900">{t('consortium.total')}</td>
+                                    {aggregate.map(result => (
+                                        <td key={`total-${result.library.id}`} className="px-3 py-2 text-right text-gray-900">{formatNumber(libraryTotal(result), language)}</td>
+                                    ))}
+                                    <td className="px-3 py-2 text-right text-cyan-800">{formatNumber(aggregate.reduce((sum, result) => sum + libraryTotal(result), 0), language)}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                    <button onClick={handleExportAggregate} className="mb-6 px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 text-sm">
+                        {t('consortium.export')}
+                    </button>
+                </>
+            )}
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('consortium.libraries')}</h3>
+            <div className="space-y-2 mb-3 text-sm">
+                {libraries.map(library => {
+                    const draft = drafts[library.id] || {};
+                    return (
+                        <div key={library.id} className="flex flex-wrap items-center gap-3">
+                            <input
+                                type="text"
+                                value={draft.name ?? library.name}
+                                onChange={(e) => setDrafts({ ...drafts, [library.id]: { ...draft, name: e.target.value } })}
+                                className="p-1 border rounded-lg"
+                            />
+                            <input
+                                type="text"
+                                value={draft.subdomain ?? library.subdomain ?? ''}
+                                placeholder={t('consortium.subdomain')}
+                                onChange={(e) => setDrafts({ ...drafts, [library.id]: { ...draft, subdomain: e.target.value } })}
+                                className="p-1 border rounded-lg"
+                            />
+                            <code className="text-xs text-gray-400">{library.id}</code>
+                            {drafts[library.id] && (
+                                <button onClick={() => handleSaveLibrary(library)} className="text-cyan-700 hover:text-cyan-900">{t('common.save')}</button>
+                            )}
+                            {library.id === currentLibraryId ? (
+                                <span className="text-xs text-gray-500">{t('consortium.thisLibrary')}</span>
+                            ) : (
+                                <button onClick={() => switchLibrary(library.id)} className="text-indigo-600 hover:text-indigo-800">{t('consortium.open')}</button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="flex flex-wrap items-end gap-3 mb-6 text-sm">
+                <label className="text-gray-700">
+                    {t('consortium.name')}
+                    <input type="text" value={newLibrary.name} placeholder={t('consortium.libraryPlaceholder')} onChange={(e) => setNewLibrary({ ...newLibrary, name: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <label className="text-gray-700">
+                    {t('consortium.id')}
+                    <input type="text" value={newLibrary.id} placeholder={t('consortium.idPlaceholder')} onChange={(e) => setNewLibrary({ ...newLibrary, id: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <label className="text-gray-700">
+                    {t('consortium.subdomainOptional')}
+                    <input type="text" value={newLibrary.subdomain} placeholder={t('consortium.idPlaceholder')} onChange={(e) => setNewLibrary({ ...newLibrary, subdomain: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <button onClick={handleAddLibrary} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">{t('consortium.addLibrary')}</button>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('consortium.admins')}</h3>
+            <ul className="space-y-1 mb-3 text-sm text-gray-600">
+                {admins.map(admin => (
+                    <li key={admin.uid} className="flex justify-between p-2 bg-gray-50 rounded-lg">
+                        <span>{admin.displayName} <code className="text-xs text-gray-400">{admin.uid}</code></span>
+                        {admin.uid !== user.uid && (
+                            <button onClick={() => handleRemoveAdmin(admin.uid)} className="text-red-600 hover:text-red-800">{t('common.remove')}</button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <div className="flex flex-wrap items-end gap-3 text-sm">
+                <label className="text-gray-700">
+                    {t('consortium.name')}
+                    <input type="text" value={newAdmin.displayName} onChange={(e) => setNewAdmin({ ...newAdmin, displayName: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <label className="text-gray-700">
+                    {t('consortium.accountUid')}
+                    <input type="text" value={newAdmin.uid} onChange={(e) => setNewAdmin({ ...newAdmin, uid: e.target.value })} className="block mt-1 p-1 border rounded-lg" />
+                </label>
+                <button onClick={handleAddAdmin} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">{t('consortium.addAdmin')}</button>
+            </div>
+        </div>
+    );
+};
+
+// --- Library Chooser ---
+// Shown when this deployment serves several libraries and neither the address nor this
+// terminal says which one to open
+// --- Language Select ---
+// Changes the interface language; see the I18nContext value built in App for where it is kept
+const LanguageSelect = ({ className = 'block text-sm font-medium text-gray-700' }) => {
+    const { language, setLanguage, t } = useI18n();
+
+    return (
+        <label className={className}>
+            {t('app.language')}
+            <select
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                className="ml-2 p-1 border rounded-lg bg-white text-sm"
+            >
+                {LANGUAGES.map(option => (
+                    <option key={option.id} value={option.id} lang={option.id}>{option.name}</option>
+                ))}
+            </select>
+        </label>
+    );
+};
+
+const LibraryChooser = ({ libraries }) => {
+    const { t } = useI18n();
+    const [selected, setSelected] = useState(libraries[0].id);
+
+    return (
+        <div className="flex justify-center items-center min-h-screen bg-gray-50 p-4" style={{ fontFamily: 'Inter, sans-serif' }}>
+            <div className="w-full max-w-sm bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <h1 className="text-2xl font-extrabold text-indigo-700 text-center">{t('app.title')}</h1>
+                <LanguageSelect />
+                <label className="block text-sm font-medium text-gray-700">
+                    {t('chooser.library')}
+                    <select
+                        value={selected}
+                        onChange={(e) => setSelected(e.target.value)}
+                        className="block w-full mt-1 p-2 border rounded-lg bg-white"
+                    >
+                        {libraries.map(library => (
+                            <option key={library.id} value={library.id}>{library.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <p className="text-sm text-gray-500">{t('chooser.remembered')}</p>
+                <button
+                    onClick={() => switchLibrary(selected)}
+                    className="w-full px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700"
+                >
+                    {t('chooser.continue')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- Sign-In Screen ---
+const SignInScreen = ({ auth, libraryName }) => {
+    const { t } = useI18n();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [message, setMessage] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        try {
+            await signInWithEmailAndPassword(auth, email.trim(), password);
+        } catch (err) {
+            console.error("Sign-in failed:", err);
+            setMessage({ type: 'error', key: 'signIn.failed' });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleReset = async () => {
+        if (!email.trim()) {
+            setMessage({ type: 'error', key: 'signIn.enterEmail' });
+            return;
+        }
+        try {
+            await sendPasswordResetEmail(auth, email.trim());
+            setMessage({ type: 'success', key: 'signIn.resetSent' });
+        } catch (err) {
+            console.error("Password reset failed:", err);
+            setMessage({ type: 'error', key: 'signIn.resetFailed' });
+        }
+    };
+
+    return (
+        <div className="flex justify-center items-center min-h-screen bg-gray-50 p-4" style={{ fontFamily: 'Inter, sans-serif' }}>
+            <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white p-6 rounded-xl shadow-lg space-y-4">
+                <h1 className="text-2xl font-extrabold text-indigo-700 text-center">{t('app.title')}</h1>
+                {libraryName && <p className="text-center text-gray-600">{libraryName}</p>}
+                <LanguageSelect />
+                <label className="block text-sm font-medium text-gray-700">
+                    {t('signIn.email')}
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        autoComplete="username"
+                        className="block w-full mt-1 p-2 border rounded-lg"
+                    />
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                    {t('signIn.password')}
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        autoComplete="current-password"
+                        className="block w-full mt-1 p-2 border rounded-lg"
+                    />
+                </label>
+                {message && (
+                    <p className={`p-2 rounded-lg text-sm font-medium ${message.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                        {t(message.key)}
+                    </p>
+                )}
+                <button
+                    type="submit"
+                    disabled={busy}
+                    className="w-full px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                    {busy ? t('signIn.busy') : t('signIn.submit')}
+                </button>
+                <button type="button" onClick={handleReset} className="w-full text-sm text-indigo-600 hover:text-indigo-800">
+                    {t('signIn.forgot')}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+// --- No Access Screen ---
+// Shown to a signed-in account with no active staff profile in this library. The very first
+// person to sign in to a new deployment may claim the administrator role of the default
+// library; the bootstrap marker document makes that a one-time offer, and the security rules
+// enforce it. Other libraries get their first administrator from a consortium administrator.
+const NoAccessScreen = ({ db, user, staffPath, bootstrapPath, library, libraries, onSignOut }) => {
+    const { t } = useI18n();
+    const [canBootstrap, setCanBootstrap] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (library.id !== DEFAULT_LIBRARY_ID) return;
+        getDoc(doc(db, bootstrapPath))
+            .then(snap => setCanBootstrap(!snap.exists()))
+            .catch(e => console.error("Could not check first-run setup:", e));
+    }, [db, bootstrapPath, library.id]);
+
+    const handleBootstrap = async () => {
+        try {
+            const batch = writeBatch(db);
+            batch.set(doc(db, staffPath, user.uid), {
+                displayName: user.displayName || user.email || 'Administrator',
+                email: user.email || '',
+                role: 'admin',
+                active: true,
+                createdAt: serverTimestamp(),
+                createdBy: user.uid
+            });
+            batch.set(doc(db, bootstrapPath), { claimedBy: user.uid, claimedAt: serverTimestamp() });
+            await batch.commit();
+        } catch (e) {
+            console.error("First-run setup failed:", e);
+            setError(t('noAccess.setupFailed'));
+        }
+    };
+
+    return (
+        <div className="flex justify-center items-center min-h-screen bg-gray-50 p-4" style={{ fontFamily: 'Inter, sans-serif' }}>
+            <div className="w-full max-w-md bg-white p-6 rounded-xl shadow-lg space-y-4 text-center">
+                <h1 className="text-2xl font-extrabold text-indigo-700">{t('noAccess.title')}</h1>
+                <p className="text-gray-600">
+                    {t('noAccess.message', { account: user.email || t('noAccess.thisAccount'), library: library.name })}
+                </p>
+                {canBootstrap && (
+                    <button
+                        onClick={handleBootstrap}
+                        className="w-full px-6 py-3 bg-rose-600 text-white font-semibold rounded-lg shadow-md hover:bg-rose-700"
+                    >
+                        {t('noAccess.bootstrap')}
+                    </button>
+                )}
+                {error && <p className="p-2 bg-red-100 text-red-700 rounded-lg font-medium">{error}</p>}
+                {libraries.length > 1 && (
+                    <label className="block text-sm font-medium text-gray-700">
+                        {t('noAccess.otherLibrary')}
+                        <select
+                            value={library.id}
+                            onChange={(e) => switchLibrary(e.target.value)}
+                            className="ml-2 p-2 border rounded-lg bg-white"
+                        >
+                            {libraries.map(option => (
+                                <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                <button onClick={onSignOut} className="text-sm text-indigo-600 hover:text-indigo-800">{t('app.signOut')}</button>
+            </div>
+        </div>
+    );
+};
+
+const App = () => {
+    const [db, setDb] = useState(null); // Firestore only: staff accounts and imports
+    const [storage, setStorage] = useState(null); // Tallies, reports, corrections and settings
+    const [auth, setAuth] = useState(null);
+    const [authUser, setAuthUser] = useState(null);
+    const [userId, setUserId] = useState(null);
+    const [staffProfile, setStaffProfile] = useState(null); // Signed-in person's name and role
+    const [libraries, setLibraries] = useState(null); // The consortium's libraries, once the registry has loaded
+    const [libraryId, setLibraryId] = useState(undefined); // Library this page serves; null while the chooser is showing
+    const [libraryStaff, setLibraryStaff] = useState(undefined); // This library's staff profile for the user; undefined while loading
+    const [consortiumAdmin, setConsortiumAdmin] = useState(undefined); // Consortium administrator record, or null
+    const [isAuthReady, setIsAuthReady] = useState(false); // True once signed in with an active staff profile
+    const [dailyCounts, setDailyCounts] = useState({});
+    const [periodDocs, setPeriodDocs] = useState([]); // Raw per-service-point documents in the report period, as fetched
+    const [reportFilter, setReportFilter] = useState('all'); // 'all', 'sp:<id>' or 'branch:<name>'
+    const [reportView, setReportView] = useState('breakdown'); // 'breakdown', 'analytics', 'comparison', 'estimate' or 'followups'
+    const [showExport, setShowExport] = useState(false);
+    const [showImport, setShowImport] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const [reportInteractions, setReportInteractions] = useState(null); // { range, items }: every interaction tallied in the report period
+    const [interactionsLoading, setInteractionsLoading] = useState(false);
+    const [comparisonDocs, setComparisonDocs] = useState(null); // { ranges, docs }: rollups from the earliest comparison date to the report end
+    const [comparisonLoading, setComparisonLoading] = useState(false);
+    const [estimateYearStart, setEstimateYearStart] = useState(null); // Fiscal year for the annual estimate; null for the current one
+    const [estimateDocs, setEstimateDocs] = useState(null); // { year, docs }: rollups for that fiscal year
+    const [estimateLoading, setEstimateLoading] = useState(false);
+    const [followUpReportDocs, setFollowUpReportDocs] = useState(null); // { range, items }: follow-ups flagged during the report period
+    const [followUpReportLoading, setFollowUpReportLoading] = useState(false);
+    const [reportPreset, setReportPreset] = useState('this_week');
+    const [customRange, setCustomRange] = useState({ start: '', end: '' });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [infoType, setInfoType] = useState(null); // { id, mode } of the category showing its description
+    const [flashType, setFlashType] = useState(null); // Category just recorded, highlighted briefly
+    const [noteTarget, setNoteTarget] = useState(null); // Recorded tally a note is being added to
+    const [showNotes, setShowNotes] = useState(false);
+    const [followUpTarget, setFollowUpTarget] = useState(null); // Recorded tally being flagged for follow-up
+    const flaggedRef = useRef(new Set()); // Interaction IDs flagged from this terminal
+    const [followUpError, setFollowUpError] = useState(null);
+    const [followUps, setFollowUps] = useState([]); // Shared queue: everything not closed, plus the recently closed
+    const [showFollowUps, setShowFollowUps] = useState(false);
+    const [isPrinting, setIsPrinting] = useState(false); // To hide non-report elements during print
+    const [lastTally, setLastTally] = useState(null); // Most recent tap, offered for undo
+    const [showCorrections, setShowCorrections] = useState(false);
+    const [showOriginals, setShowOriginals] = useState(false); // Show pre-correction values in the report
+    const [librarySettings, setLibrarySettings] = useState(DEFAULT_LIBRARY_SETTINGS);
+    const [settingsMissingIds, setSettingsMissingIds] = useState(false);
+    const [questionTypes, setQuestionTypes] = useState(DEFAULT_QUESTION_TYPES);
+    const [categoriesSeeded, setCategoriesSeeded] = useState(false); // False while using the built-in list
+    const [showCategories, setShowCategories] = useState(false);
+    const [pendingEntries, setPendingEntries] = useState([]); // Tallies and undos not yet synced
+    const [refusedEntries, setRefusedEntries] = useState([]); // Queued changes the server refused
+    const flushingRef = useRef(false);
+    const flushRef = useRef(null); // Latest flushQueue, for the timer and the online listener
+    const queueErrorRef = useRef(null); // The error the last sync showed, so a clean sync clears only that
+    const [pendingTally, setPendingTally] = useState(null); // Category awaiting the optional details step
+    const [detailsStep, setDetailsStep] = useState(() => {
+        try {
+            return localStorage.getItem(DETAILS_STEP_STORAGE_KEY) === 'true';
+        } catch (e) {
+            return false;
+        }
+    });
+    const [defaultContactMode, setDefaultContactMode] = useState(() => {
+        try {
+            return localStorage.getItem(CONTACT_MODE_STORAGE_KEY) || DEFAULT_CONTACT_MODE;
+        } catch (e) {
+            return DEFAULT_CONTACT_MODE;
+        }
+    });
+    const [servicePoint, setServicePoint] = useState(() => {
+        try {
+            return localStorage.getItem(SERVICE_POINT_STORAGE_KEY) || DEFAULT_SERVICE_POINT;
+        } catch (e) {
+            return DEFAULT_SERVICE_POINT;
+        }
+    });
+    const [showSettings, setShowSettings] = useState(false);
+    const [showStaff, setShowStaff] = useState(false);
+    const [showConsortium, setShowConsortium] = useState(false);
+    const [showHotkeys, setShowHotkeys] = useState(false);
+    const [hotkeyConfig, setHotkeyConfig] = useState(() => {
+        try {
+            return JSON.parse(localStorage.getItem(HOTKEYS_STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    });
+    const [kioskMode, setKioskMode] = useState(() => {
+        try {
+            return localStorage.getItem(KIOSK_STORAGE_KEY) === 'true';
+        } catch (e) {
+            return false;
+        }
+    });
+    const [soundOn, setSoundOn] = useState(() => {
+        try {
+            return localStorage.getItem(SOUND_STORAGE_KEY) === 'true';
+        } catch (e) {
+            return false;
+        }
+    });
+    const [highContrast, setHighContrast] = useState(() => {
+        try {
+            return localStorage.getItem(HIGH_CONTRAST_STORAGE_KEY) === 'true';
+        } catch (e) {
+            return false;
+        }
+    });
+    const [announcement, setAnnouncement] = useState(''); // Read out by screen readers after each tally or undo
+    const [terminalLanguage, setTerminalLanguage] = useState(getTerminalLanguage);
+    const keyHandlerRef = useRef(null);
+    const [clock, setClock] = useState(Date.now()); // Re-renders each minute so the business day rolls over
+
+    const TODAY_DATE = getTodayDateId(librarySettings.timezone, new Date(clock));
+    const LIBRARY_BASE_PATH = getLibraryBasePath(libraryId || DEFAULT_LIBRARY_ID);
+    const DATA_COLLECTION_PATH = `${LIBRARY_BASE_PATH}/daily_ref_counts`;
+    const IMPORTS_COLLECTION_PATH = `${LIBRARY_BASE_PATH}/imports`;
+    const STAFF_COLLECTION_PATH = `${LIBRARY_BASE_PATH}/staff`;
+    const BOOTSTRAP_DOC_PATH = `${LIBRARY_BASE_PATH}/meta/bootstrap`;
+
+    const currentLibrary = (libraries || []).find(library => library.id === libraryId) || { id: libraryId, name: DEFAULT_LIBRARY_NAME };
+    const isConsortiumAdmin = !!consortiumAdmin;
+
+    const staffRole = staffProfile ? staffProfile.role : null;
+    const canViewReports = can(staffRole, 'viewReports');
+
+    // A language saved on the signed-in person's profile follows them to any terminal
+    const language = staffProfile && isSupportedLanguage(staffProfile.language) ? staffProfile.language : terminalLanguage;
+    const t = (key, values) => translate(language, key, values);
+    const getLocalizedType = (typeId) => {
+        const type = questionTypes.find(candidate => candidate.id === typeId);
+        return type ? localizeCategory(type, language) : null;
+    };
+
+    const servicePoints = librarySettings.servicePoints || DEFAULT_LIBRARY_SETTINGS.servicePoints;
+    const servicePointName = (id) => (servicePoints.find(sp => sp.id === id) || { name: id }).name;
+    const TODAY_DOC_ID = getRollupDocId(TODAY_DATE, servicePoint);
+
+    // Categories staff can tally today, in display order
+    const activeTypes = useMemo(() => {
+        return questionTypes.filter(type => type.active !== false);
+    }, [questionTypes]);
+
+    const hotkeys = useMemo(() => resolveHotkeys(activeTypes, hotkeyConfig), [activeTypes, hotkeyConfig]);
+
+    // The report period currently selected in the picker
+    const reportRange = useMemo(() => {
+        if (reportPreset !== 'custom') return getPresetRange(reportPreset, TODAY_DATE);
+        if (!customRange.start || !customRange.end || customRange.start > customRange.end) return null;
+        return { ...customRange, label: 'Custom Range' };
+    }, [reportPreset, customRange, TODAY_DATE]);
+
+    // 1. Initialize Storage and Authentication
+    useEffect(() => {
+        // Without a Firebase project the app runs entirely in this browser
+        const storageKind = getStorageKind();
+        if (storageKind !== 'firestore') {
+            setStorage(storageKind === 'memory' ? createMemoryStorage() : createLocalStorageStorage());
+            setLibraries(withDefaultLibrary([]));
+            setLibraryId(DEFAULT_LIBRARY_ID);
+            setUserId(LOCAL_USER_ID);
+            setStaffProfile(LOCAL_STAFF_PROFILE);
+            setIsAuthReady(true);
+            setLoading(false);
+            return;
+        }
+
+        try {
+            const app = initializeApp(firebaseConfig);
+            const firestore = getFirestore(app);
+            const authService = getAuth(app);
+            setDb(firestore);
+            setAuth(authService);
+
+            // The registry is readable before sign-in, for the chooser and subdomain routing.
+            // A deployment without one is a single library.
+            const unsubscribeLibraries = onSnapshot(collection(firestore, LIBRARIES_PATH), (snapshot) => {
+                setLibraries(withDefaultLibrary(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+            }, (e) => {
+                console.error("Error listening to the library registry:", e);
+                setLibraries(withDefaultLibrary([]));
+            });
+
+            // A custom token from the hosting environment identifies a staff account directly;
+            // otherwise staff sign in with their own email and password
+            let triedToken = false;
+            const unsubscribe = onAuthStateChanged(authService, async (user) => {
+                if (!user && initialAuthToken && !triedToken) {
+                    triedToken = true;
+                    try {
+                        await signInWithCustomToken(authService, initialAuthToken);
+                        return; // onAuthStateChanged fires again with the signed-in user
+                    } catch (e) {
+                        console.error("Custom token sign-in failed:", e);
+                    }
+                }
+                setAuthUser(user);
+                setUserId(user ? user.uid : null);
+                if (user) {
+                    setLoading(true); // Until the staff profile listener reports the role
+                } else {
+                    setStaffProfile(null);
+                    setLibraryStaff(undefined);
+                    setConsortiumAdmin(undefined);
+                    setIsAuthReady(false);
+                    setLoading(false);
+                }
+            });
+
+            return () => {
+                unsubscribe();
+                unsubscribeLibraries();
+            };
+        } catch (e) {
+            console.error("Firebase initialization failed:", e);
+            setError(t('error.initFailed'));
+            setLoading(false);
+        }
+    }, []);
+
+    // Pick the library once the registry is known; the chooser shows if nothing decides it
+    useEffect(() => {
+        if (libraries && libraryId === undefined) setLibraryId(resolveLibraryId(libraries));
+    }, [libraries, libraryId]);
+
+    // Everything the app reads and writes goes to the chosen library's path
+    useEffect(() => {
+        if (!db || !libraryId) return;
+        setStorage(createFirestoreStorage(db, getLibraryBasePath(libraryId)));
+    }, [db, libraryId]);
+
+    // The service point this terminal tallies for, as remembered for this library
+    useEffect(() => {
+        if (!libraryId) return;
+        try {
+            setServicePoint(localStorage.getItem(getLibraryStorageKey(SERVICE_POINT_STORAGE_KEY, libraryId)) || DEFAULT_SERVICE_POINT);
+        } catch (e) {
+            setServicePoint(DEFAULT_SERVICE_POINT);
+        }
+    }, [libraryId]);
+
+    // Staff profile listener: role changes and deactivation take effect immediately
+    useEffect(() => {
+        if (!db || !userId || !libraryId) return;
+
+        setLoading(true);
+        setLibraryStaff(undefined);
+        const unsubscribe = onSnapshot(doc(db, STAFF_COLLECTION_PATH, userId), (docSnap) => {
+            setLibraryStaff(docSnap.exists() ? docSnap.data() : null);
+        }, (e) => {
+            console.error("Error listening to staff profile:", e);
+            setLibraryStaff(null);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, libraryId]);
+
+    // Consortium administrators act as administrators in every library
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        setConsortiumAdmin(undefined);
+        const unsubscribe = onSnapshot(doc(db, CONSORTIUM_ADMINS_PATH, userId), (docSnap) => {
+            setConsortiumAdmin(docSnap.exists() ? docSnap.data() : null);
+        }, (e) => {
+            console.error("Error listening to consortium administrators:", e);
+            setConsortiumAdmin(null);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    // The signed-in person's role here: their own profile in this library if active,
+    // otherwise administrator if they run the consortium
+    useEffect(() => {
+        if (!db || !userId || libraryStaff === undefined || consortiumAdmin === undefined) return;
+
+        const active = !!libraryStaff && libraryStaff.active !== false;
+        let profile = null;
+        if (active) {
+            profile = libraryStaff;
+        } else if (consortiumAdmin) {
+            profile = { displayName: consortiumAdmin.displayName || (authUser && authUser.email) || 'Consortium Administrator', role: 'admin' };
+        }
+        setStaffProfile(profile);
+        setIsAuthReady(!!profile);
+        setLoading(false);
+    }, [db, userId, authUser, libraryStaff, consortiumAdmin]);
+
+    const handleSignOut = async () => {
+        setLastTally(null);
+        setShowStaff(false);
+        setShowConsortium(false);
+        try {
+            await signOut(auth);
+        } catch (e) {
+            console.error("Sign-out failed:", e);
+        }
+    };
+
+    // Tick once a minute so TODAY_DATE follows the library-local midnight
+    useEffect(() => {
+        const timer = setInterval(() => setClock(Date.now()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Library settings listener (timezone, opening hours, closures)
+    useEffect(() => {
+        if (!storage || !isAuthReady) return;
+
+        const unsubscribe = storage.subscribeSettings((settings) => {
+            setLibrarySettings(settings ? { ...DEFAULT_LIBRARY_SETTINGS, ...settings } : DEFAULT_LIBRARY_SETTINGS);
+            setSettingsMissingIds(!!settings && !Array.isArray(settings.servicePointIds));
+        }, (err) => {
+            console.error("Error listening to library settings:", err);
+        });
+
+        return () => unsubscribe();
+    }, [storage, isAuthReady]);
+
+    // Settings saved before the rules checked service points lack the list of their IDs, so
+    // desk counts away from the main desk would be refused; an admin's terminal fills it in
+    useEffect(() => {
+        if (!storage || !settingsMissingIds || !can(staffRole, 'manageLibrary')) return;
+
+        storage.saveSettings({
+            ...librarySettings,
+            servicePointIds: librarySettings.servicePoints.map(sp => sp.id)
+        }).catch((e) => {
+            console.error("Could not record service point IDs in settings:", e);
+        });
+    }, [storage, settingsMissingIds, staffRole]);
+
+    // Question categories listener. Falls back to the built-in list until an admin saves one.
+    useEffect(() => {
+        if (!storage || !isAuthReady) return;
+
+        const unsubscribe = storage.subscribeCategories((categories) => {
+            if (categories.length === 0) {
+                setQuestionTypes(DEFAULT_QUESTION_TYPES);
+                setCategoriesSeeded(false);
+                return;
+            }
+            const types = [...categories].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+            setQuestionTypes(types);
+            setCategoriesSeeded(true);
+        }, (err) => {
+            console.error("Error listening to categories:", err);
+        });
+
+        return () => unsubscribe();
+    }, [storage, isAuthReady]);
+
+    // Fall back to the first service point if this device's remembered one has been removed
+    useEffect(() => {
+        if (servicePoints.length > 0 && !servicePoints.some(sp => sp.id === servicePoint)) {
+            setServicePoint(servicePoints[0].id);
+        }
+    }, [servicePoints, servicePoint]);
+
+    const handleServicePointChange = (id) => {
+        setServicePoint(id);
+        try {
+            localStorage.setItem(getLibraryStorageKey(SERVICE_POINT_STORAGE_KEY, libraryId), id);
+        } catch (e) {
+            console.error("Could not remember service point on this device:", e);
+        }
+    };
+
+    // 2. Real-time Daily Data Listener
+    useEffect(() => {
+        if (!storage || !isAuthReady) return;
+
+        const unsubscribe = storage.subscribeDay(TODAY_DOC_ID, (data) => {
+            // No document yet means nothing has been tallied today
+            setDailyCounts(data || {});
+        }, (err) => {
+            console.error("Error listening to daily counts:", err);
+            setError(t('error.realtimeFailed'));
+        });
+
+        // Clean up listener on component unmount
+        return () => unsubscribe();
+    }, [storage, isAuthReady, TODAY_DOC_ID]);
+
+    // Real-time Follow-Up Queue Listener, shared by every desk in the library
+    useEffect(() => {
+        if (!storage || !isAuthReady) return;
+
+        const unsubscribe = storage.subscribeFollowUps(addDays(TODAY_DATE, -FOLLOW_UP_CLOSED_DAYS), setFollowUps, (err) => {
+            console.error("Error listening to follow-ups:", err);
+            setError(t('followUp.queueLoadFailed'));
+        });
+        return () => unsubscribe();
+    }, [storage, isAuthReady, TODAY_DATE]);
+
+    const activeFollowUpCount = followUps.filter(item => item.status !== 'closed').length;
+
+    // 3. Data Tally Handler
+    // Every tap is written as an individual interaction record; the daily document is a
+    // rollup of those records, maintained together so the two never drift (see the storage
+    // backends). Taps go through the local queue first, so nothing is lost while the desk is
+    // offline. Applying a queued tally is idempotent: the interaction ID is generated on the
+    // device, and a tally whose interaction already exists is skipped on replay.
+    const refreshPending = async () => {
+        try {
+            const entries = await tallyQueue.getAll();
+            setPendingEntries(entries.filter(entry => !entry.refusedAt));
+            // Refused changes are corrected in the library they were counted for
+            setRefusedEntries(entries.filter(entry => entry.refusedAt && (entry.libraryId || DEFAULT_LIBRARY_ID) === libraryId));
+        } catch (e) {
+            console.error("Could not read the local tally queue:", e);
+        }
+    };
+
+    // Replay queued operations to Firestore in the order they were made (see replayQueue);
+    // after a failure the rest wait for the next try
+    // Shows or clears the sync's own error, leaving any other error on screen alone
+    const setQueueError = (message) => {
+        const previous = queueErrorRef.current;
+        queueErrorRef.current = message;
+        if (message) {
+            setError(message);
+        } else if (previous) {
+            setError(current => (current === previous ? null : current));
+        }
+    };
+
+    const flushQueue = async () => {
+        if (!storage || !isAuthReady || flushingRef.current) return;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+        flushingRef.current = true;
+        try {
+            // On a shared terminal, each person's taps wait until they are signed in again,
+            // because the rules only accept interactions recorded under the writer's own account
+            // Taps made for another library on this terminal wait until it is opened again
+            const entries = (await tallyQueue.getAll())
+                .filter(entry => !entry.refusedAt)
+                .filter(entry => entry.staffUid === userId && (entry.libraryId || DEFAULT_LIBRARY_ID) === libraryId);
+            const refused = await replayQueue(tallyQueue, storage, entries);
+            setQueueError(refused.length > 0 ? t('error.changesRefused', { count: formatNumber(refused.length, language) }) : null);
+        } catch (e) {
+            // Left in the queue; replay is safe because applying is idempotent
+            console.error("Syncing queued tallies failed:", e);
+            if (e.code === LOCAL_SAVE_FAILED) {
+                setQueueError(t('error.storageFull'));
+            }
+        } finally {
+            flushingRef.current = false;
+            await refreshPending();
+        }
+    };
+    flushRef.current = flushQueue;
+
+    // Screen readers hear the new count, e.g. "Directional: 14". The trailing zero-width space
+    // alternates so that the same text twice in a row is still announced.
+    const announceCount = (typeId, count, key = 'a11y.categoryCount') => {
+        const type = getLocalizedType(typeId);
+        const text = t(key, { category: type ? type.name : typeId, count: formatNumber(count, language) });
+        setAnnouncement(current => (current === text ? `${text}\u200b` : text));
+    };
+
+    const handleCount = async (typeId, details = {}) => {
+        if (!storage) {
+            setError(t('error.notConnected'));
+            return;
+        }
+
+        const interactionId = crypto.randomUUID();
+        const { note, redactions } = redactNote(details.note);
+        const entry = {
+            id: interactionId,
+            op: 'tally',
+            interactionId,
+            typeId,
+            docId: TODAY_DOC_ID,
+            date: TODAY_DATE,
+            servicePoint,
+            libraryId,
+            staffUid: userId,
+            tappedAt: Date.now(),
+            queuedAt: Date.now(),
+            ...resolveTallyDetails(details, defaultContactMode),
+            ...(note ? { note, noteRedacted: redactions > 0 } : {})
+        };
+
+        try {
+            await tallyQueue.put(entry);
+            setLastTally({ typeId, docId: TODAY_DOC_ID, interactionId, date: TODAY_DATE, servicePoint });
+            setFlashType(typeId);
+            announceCount(typeId, (displayCounts[typeId] || 0) + 1);
+            if (soundOn) playConfirmationTone();
+            // Clear any previous error
+            setError(null);
+        } catch (e) {
+            console.error("Queueing tally failed:", e);
+            setError(t('error.recordFailed'));
+            return;
+        }
+
+        await refreshPending();
+        flushQueue();
+    };
+
+    // A category press either records straight away with default details, or, when this
+    // terminal asks for details, opens the quick effort/mode/duration step first
+    const handleCategoryPress = (typeId) => {
+        if (detailsStep) {
+            setPendingTally({ typeId, effortLevel: DEFAULT_EFFORT_LEVEL, contactMode: defaultContactMode, durationMinutes: '', note: '' });
+        } else {
+            handleCount(typeId);
+        }
+    };
+
+    const handleConfirmDetails = () => {
+        const { typeId, ...details } = pendingTally;
+        setPendingTally(null);
+        handleCount(typeId, details);
+    };
+
+    const handleTerminalPreference = (key, value, setter) => {
+        setter(value);
+        try {
+            localStorage.setItem(key, String(value));
+        } catch (e) {
+            console.error("Could not remember terminal preference on this device:", e);
+        }
+    };
+
+    // The terminal remembers the choice for sign-in and shared logins; a signed-in staff member
+    // also gets it saved on their profile so it follows them
+    const handleLanguageChange = async (nextLanguage) => {
+        handleTerminalPreference(LANGUAGE_STORAGE_KEY, nextLanguage, setTerminalLanguage);
+        if (!db || !userId || !libraryStaff || libraryStaff.active === false) return;
+        try {
+            await updateDoc(doc(db, STAFF_COLLECTION_PATH, userId), { language: nextLanguage });
+        } catch (e) {
+            console.error("Could not save language to staff profile:", e);
+        }
+    };
+
+    // Screen readers and the browser's hyphenation follow the page language
+    useEffect(() => {
+        document.documentElement.lang = language;
+    }, [language]);
+
+    // Brief highlight on the button that was just recorded
+    useEffect(() => {
+        if (!flashType) return;
+        const timer = setTimeout(() => setFlashType(null), CONFIRMATION_FLASH_MS);
+        return () => clearTimeout(timer);
+    }, [flashType, lastTally]);
+
+    const handleSaveHotkeys = (config) => {
+        setHotkeyConfig(config);
+        setShowHotkeys(false);
+        try {
+            localStorage.setItem(HOTKEYS_STORAGE_KEY, JSON.stringify(config));
+        } catch (e) {
+            console.error("Could not remember hotkeys on this device:", e);
+        }
+    };
+
+    // Kiosk mode also asks the browser for full screen where it can. Kiosk mode is remembered
+    // on the terminal; full screen cannot be, since browsers only grant it after a click.
+    const handleKioskMode = async (enabled) => {
+        handleTerminalPreference(KIOSK_STORAGE_KEY, enabled, setKioskMode);
+        try {
+            if (enabled && document.documentElement.requestFullscreen && !document.fullscreenElement) {
+                await document.documentElement.requestFullscreen();
+            } else if (!enabled && document.fullscreenElement) {
+                await document.exitFullscreen();
+            }
+        } catch (e) {
+            console.error("Full screen is not available:", e);
+        }
+    };
+
+    const handleShowInfo = (id, mode) => {
+        // Hovering never replaces a description someone has pinned open
+        setInfoType(current => (mode === 'pinned' || !current || current.mode !== 'pinned') ? { id, mode } : current);
+    };
+
+    const handleHideInfo = (id, force) => {
+        setInfoType(current => (current && current.id === id && (force || current.mode !== 'pinned')) ? null : current);
+    };
+
+    // Hotkeys are ignored while typing in a field or while a dialog is open, and a held key
+    // counts once rather than once per auto-repeat
+    keyHandlerRef.current = (event) => {
+        if (event.repeat) return;
+        const target = event.target;
+        if (target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable)) return;
+        if (pendingTally || noteTarget || followUpTarget || showHotkeys || showExport || isPrinting) return;
+
+        const combo = getKeyCombo(event);
+        if (!combo) return;
+        if (combo === hotkeys.undo) {
+            event.preventDefault();
+            handleUndo();
+            return;
+        }
+        const typeId = Object.keys(hotkeys.byCategory).find(id => hotkeys.byCategory[id] === combo);
+        if (typeId) {
+            event.preventDefault();
+            handleCategoryPress(typeId);
+        }
+    };
+
+    useEffect(() => {
+        const listener = (event) => keyHandlerRef.current(event);
+        window.addEventListener('keydown', listener);
+        return () => window.removeEventListener('keydown', listener);
+    }, []);
+
+    // Hide the undo toast once its window has passed
+    useEffect(() => {
+        if (!lastTally) return;
+        const timer = setTimeout(() => setLastTally(null), UNDO_WINDOW_MS);
+        return () => clearTimeout(timer);
+    }, [lastTally]);
+
+    // Reverse the most recent tap. A tally still waiting in the queue is simply dropped; a
+    // void is queued either way, so a tally that was mid-sync when undo was pressed is still
+    // reversed once it lands.
+    const handleUndo = async () => {
+        if (!lastTally) return;
+
+        const { typeId, docId, interactionId, date, servicePoint: tallyServicePoint } = lastTally;
+        setLastTally(null);
+
+        try {
+            const stillQueued = await tallyQueue.get(interactionId);
+            if (stillQueued) await tallyQueue.remove(interactionId);
+            await tallyQueue.put({
+                id: `void_${interactionId}`,
+                op: 'void',
+                interactionId,
+                typeId,
+                docId,
+                date,
+                servicePoint: tallyServicePoint,
+                libraryId,
+                staffUid: userId,
+                tallyWasQueued: !!stillQueued,
+                queuedAt: Date.now()
+            });
+            announceCount(typeId, Math.max(0, (displayCounts[typeId] || 0) - 1), 'a11y.undone');
+            setError(null);
+        } catch (e) {
+            console.error("Undo failed:", e);
+            setError(t('error.undoFailed'));
+            return;
+        }
+
+        await refreshPending();
+        flushQueue();
+    };
+
+    // Add a note to a tally already recorded from the undo toast. A tally still waiting in
+    // the queue simply carries the note with it; otherwise the note is queued on its own.
+    const handleSaveNote = async (text) => {
+        const { typeId, docId, interactionId, date, servicePoint: tallyServicePoint } = noteTarget;
+        const { note, redactions } = redactNote(text);
+        setNoteTarget(null);
+        if (!note) return;
+
+        try {
+            const stillQueued = await tallyQueue.get(interactionId);
+            if (stillQueued) {
+                await tallyQueue.put({ ...stillQueued, note, noteRedacted: redactions > 0 });
+            } else {
+                await tallyQueue.put({
+                    id: `note_${interactionId}`,
+                    op: 'note',
+                    interactionId,
+                    typeId,
+                    docId,
+                    date,
+                    servicePoint: tallyServicePoint,
+                    libraryId,
+                    staffUid: userId,
+                    note,
+                    noteRedacted: redactions > 0,
+                    queuedAt: Date.now()
+                });
+            }
+            setAnnouncement(t('a11y.noteSaved'));
+            setError(null);
+        } catch (e) {
+            console.error("Saving note failed:", e);
+            setError(t('error.noteFailed'));
+            return;
+        }
+
+        await refreshPending();
+        flushQueue();
+    };
+
+    // Flag a tally from the undo toast for follow-up. Follow-ups go straight to storage, not
+    // through the tally queue, so they only link to a tally that has already reached it. The
+    // dialog closes without waiting: Firestore holds the write while offline. Each tally can
+    // be flagged once, since the rules refuse a second write to the same follow-up.
+    const handleSaveFollowUp = async (draft) => {
+        const target = followUpTarget;
+        if (flaggedRef.current.has(target.interactionId)) {
+            setFollowUpError(t('followUp.alreadyFlagged'));
+            return;
+        }
+
+        try {
+            const [queuedTally, queuedVoid] = await Promise.all([
+                tallyQueue.get(target.interactionId),
+                tallyQueue.get(`void_${target.interactionId}`)
+            ]);
+            if (queuedVoid) {
+                setFollowUpError(t('followUp.tallyUndone'));
+                return;
+            }
+            if (queuedTally) {
+                setFollowUpError(t('followUp.tallyPending'));
+                return;
+            }
+        } catch (e) {
+            console.error("Checking the tally queue failed:", e);
+            setFollowUpError(t('followUp.saveFailed'));
+            return;
+        }
+
+        flaggedRef.current.add(target.interactionId);
+        setFollowUpTarget(null);
+        setFollowUpError(null);
+        setAnnouncement(t('followUp.saved'));
+        storage.saveFollowUp(buildFollowUpRecord(draft, target, userId)).catch(e => {
+            console.error("Saving follow-up failed:", e);
+            flaggedRef.current.delete(target.interactionId);
+            setError(t('followUp.saveFailed'));
+        });
+    };
+
+    // A refused change leaves the queue once a supervisor has applied or discarded it
+    const handleResolveRefused = async (entry) => {
+        await tallyQueue.remove(entry.id);
+        await refreshPending();
+        fetchReportSummary();
+    };
+
+    // Show anything left in the queue from a previous session straight away
+    useEffect(() => {
+        refreshPending();
+    }, []);
+
+    // Replay the queue on load, whenever the connection returns or someone else signs in, and
+    // periodically while anything is still pending. The listener and timer call through
+    // flushRef so they always use the signed-in person and the current categories.
+    useEffect(() => {
+        if (!storage || !isAuthReady) return;
+
+        flushRef.current();
+        const handleOnline = () => flushRef.current();
+        window.addEventListener('online', handleOnline);
+        const timer = setInterval(() => flushRef.current(), QUEUE_RETRY_MS);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            clearInterval(timer);
+        };
+    }, [storage, isAuthReady, userId]);
+
+    // Today's counts as shown on this terminal: the live document plus anything still queued
+    const displayCounts = useMemo(() => {
+        const counts = { ...dailyCounts };
+        pendingEntries
+            .filter(entry => entry.docId === TODAY_DOC_ID)
+            .forEach(entry => {
+                if (entry.op === 'tally') {
+                    counts[entry.typeId] = (counts[entry.typeId] || 0) + 1;
+                } else if (entry.op === 'void' && !entry.tallyWasQueued) {
+                    counts[entry.typeId] = Math.max(0, (counts[entry.typeId] || 0) - 1);
+                }
+            });
+        return counts;
+    }, [dailyCounts, pendingEntries, TODAY_DOC_ID]);
+
+    // 4. Report Period Aggregation (Fetch on load and when the period changes; today's own
+    // document comes from the live listener instead of a fresh read after every tap)
+    const fetchReportSummary = async () => {
+        if (!storage || !isAuthReady || !canViewReports || !reportRange) return;
+
+        setLoading(true);
+        try {
+            setPeriodDocs(await storage.getDays(reportRange.start, reportRange.end));
+            setLoading(false);
+
+        } catch (e) {
+            console.error("Error fetching report summary:", e);
+            setError(t('error.reportFailed'));
+            setLoading(false);
+        }
+    };
+
+    // Fetch the report data once auth is ready and whenever the period changes
+    useEffect(() => {
+        if (isAuthReady && storage) {
+            fetchReportSummary();
+        }
+    }, [isAuthReady, storage, reportRange, canViewReports]);
+
+    const reportDocs = useMemo(() => {
+        if (!reportRange) return periodDocs;
+        return withLiveRollup(periodDocs, dailyCounts, reportRange.start, reportRange.end);
+    }, [periodDocs, dailyCounts, reportRange]);
+
+    // One row per calendar day, summed over the service points the report filter selects
+    const reportSummary = useMemo(() => {
+        if (!reportRange) return [];
+        const docs = reportDocs.filter(data => matchesServicePointFilter(data, reportFilter, servicePoints));
+        return mergeRollups(docs, enumerateDates(reportRange.start, reportRange.end));
+    }, [reportDocs, reportFilter, servicePoints, reportRange]);
+
+    // Service points with a column in the per-desk breakdown: the configured ones the
+    // filter selects, plus any that appear in the data but have since been removed
+    const reportServicePoints = useMemo(() => {
+        const ids = servicePoints
+            .filter(sp => matchesServicePointFilter({ servicePoint: sp.id }, reportFilter, servicePoints))
+            .map(sp => sp.id);
+        reportSummary.forEach(day => {
+            Object.keys(day.byServicePoint || {}).forEach(id => {
+                if (!ids.includes(id)) ids.push(id);
+            });
+        });
+        return ids;
+    }, [servicePoints, reportFilter, reportSummary]);
+
+    // Label for the service points the report covers
+    const reportFilterLabel = reportFilter === 'all'
+        ? 'All Service Points'
+        : reportFilter.startsWith('branch:') ? reportFilter.slice(7) : servicePointName(reportFilter.slice(3));
+    const reportFilterDisplayLabel = reportFilter === 'all' ? t('report.allServicePointsLabel') : reportFilterLabel;
+
+    // Dates and figures on screen and in print follow the reader's language; exports keep
+    // ISO dates and plain numbers
+    const formatDate = (dateId) => formatDisplayDate(dateId, language);
+    const formatCount = (value) => formatNumber(value || 0, language);
+    const formatRate = (count, openHours) => (openHours > 0 ? formatNumber(count / openHours, language, 2) : '');
+    const formatHours = (minutes) => formatNumber((minutes || 0) / 60, language, 1);
+
+    // Spoken with the export and print buttons so their names say what they act on
+    const reportPeriodDescription = reportRange
+        ? `${t('report.range', { start: formatDate(reportRange.start), end: formatDate(reportRange.end) })}, ${reportFilterDisplayLabel}`
+        : t('report.noPeriod');
+
+    const filterInteractions = (items) => items.filter(item => matchesServicePointFilter(item, reportFilter, servicePoints));
+
+    // Raw interactions for the report period and service points, as loaded for the analytics
+    // view or read on demand when exporting from another view
+    const fetchReportInteractions = async () => {
+        if (reportInteractions && reportInteractions.range === reportRange) return filterInteractions(reportInteractions.items);
+        return filterInteractions(await storage.getInteractions(reportRange.start, reportRange.end));
+    };
+
+    // Loaded only while the analytics view is open, once per period: taps at the desk do
+    // not read the period's interactions again
+    useEffect(() => {
+        if (!storage || !canViewReports || reportView !== 'analytics' || !reportRange) return;
+        if (reportInteractions && reportInteractions.range === reportRange) return;
+
+        let cancelled = false;
+        setInteractionsLoading(true);
+        storage.getInteractions(reportRange.start, reportRange.end)
+            .then(items => {
+                if (!cancelled) setReportInteractions({ range: reportRange, items });
+            })
+            .catch(e => {
+                console.error("Error fetching interactions:", e);
+                if (!cancelled) setError(t('error.analyticsFailed'));
+            })
+            .finally(() => {
+                if (!cancelled) setInteractionsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, canViewReports, reportView, reportRange]);
+
+    // Today's interactions are read again whenever today's rollup changes, so new taps show
+    // in the open analytics view
+    useEffect(() => {
+        if (!storage || !canViewReports || reportView !== 'analytics' || !reportRange) return;
+        if (!reportInteractions || reportInteractions.range !== reportRange) return;
+        if (TODAY_DATE < reportRange.start || TODAY_DATE > reportRange.end) return;
+
+        let cancelled = false;
+        storage.getInteractions(TODAY_DATE, TODAY_DATE)
+            .then(items => {
+                if (cancelled) return;
+                setReportInteractions(current => (current && current.range === reportRange
+                    ? { range: reportRange, items: withFreshDay(current.items, TODAY_DATE, items) }
+                    : current));
+            })
+            .catch(e => console.error("Error refreshing today's interactions:", e));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, canViewReports, reportView, dailyCounts]);
+
+    const analyticsInteractions = useMemo(() => {
+        if (!reportInteractions || reportInteractions.range !== reportRange) return [];
+        return filterInteractions(reportInteractions.items);
+    }, [reportInteractions, reportRange, reportFilter, servicePoints]);
+
+    // Previous period and same period last year for the comparison view
+    const comparisonRanges = useMemo(() => (reportRange ? getComparisonRanges(reportRange) : null), [reportRange]);
+
+    const fetchComparisonDocs = () => storage.getDays(comparisonRanges.spanStart, comparisonRanges.current.end);
+
+    // Loaded only while the comparison view is open, once per set of periods; today's own
+    // document is kept current from the live listener below
+    useEffect(() => {
+        if (!storage || !canViewReports || reportView !== 'comparison' || !comparisonRanges) return;
+        if (comparisonDocs && comparisonDocs.ranges === comparisonRanges) return;
+
+        let cancelled = false;
+        setComparisonLoading(true);
+        fetchComparisonDocs()
+            .then(docs => {
+                if (!cancelled) setComparisonDocs({ ranges: comparisonRanges, docs });
+            })
+            .catch(e => {
+                console.error("Error fetching comparison periods:", e);
+                if (!cancelled) setError(t('error.comparisonFailed'));
+            })
+            .finally(() => {
+                if (!cancelled) setComparisonLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, canViewReports, reportView, comparisonRanges]);
+
+    // Today's rollups are read again whenever this desk's rollup changes, so taps at other
+    // service points show in the open comparison view too
+    useEffect(() => {
+        if (!storage || !canViewReports || reportView !== 'comparison' || !comparisonRanges) return;
+        if (!comparisonDocs || comparisonDocs.ranges !== comparisonRanges) return;
+        if (TODAY_DATE < comparisonRanges.spanStart || TODAY_DATE > comparisonRanges.current.end) return;
+
+        let cancelled = false;
+        storage.getDays(TODAY_DATE, TODAY_DATE)
+            .then(docs => {
+                if (cancelled) return;
+                setComparisonDocs(current => (current && current.ranges === comparisonRanges
+                    ? { ranges: comparisonRanges, docs: withFreshDay(current.docs, TODAY_DATE, docs) }
+                    : current));
+            })
+            .catch(e => console.error("Error refreshing today's comparison counts:", e));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, canViewReports, reportView, dailyCounts]);
+
+    const buildComparison = (docs) => buildPeriodComparison(
+        withLiveRollup(docs, dailyCounts, comparisonRanges.spanStart, comparisonRanges.current.end)
+            .filter(data => matchesServicePointFilter(data, reportFilter, servicePoints)),
+        questionTypes,
+        comparisonRanges
+    );
+
+    const comparison = useMemo(() => {
+        // Documents fetched for a different period are not shown while the new ones load
+        if (!comparisonDocs || comparisonDocs.ranges !== comparisonRanges) return null;
+        return buildComparison(comparisonDocs.docs);
+    }, [comparisonDocs, comparisonRanges, dailyCounts, reportFilter, servicePoints, questionTypes]);
+
+    // Fiscal years offered for the annual estimate, newest first
+    const estimateYears = useMemo(() => {
+        const currentStart = getFiscalYearStart(TODAY_DATE);
+        return Array.from({ length: ESTIMATE_YEAR_COUNT }, (_, index) => getFiscalYear(currentStart - index));
+    }, [TODAY_DATE]);
+
+    const estimateYear = estimateYears.find(year => Number(year.start.slice(0, 4)) === estimateYearStart) || estimateYears[0];
+
+    // Loaded only while the annual estimate view is open, once per fiscal year; today's own
+    // document is kept current from the live listener
+    useEffect(() => {
+        if (!storage || !canViewReports || reportView !== 'estimate') return;
+        if (estimateDocs && estimateDocs.year === estimateYear.start) return;
+
+        let cancelled = false;
+        setEstimateLoading(true);
+        storage.getDays(estimateYear.start, estimateYear.end)
+            .then(docs => {
+                if (!cancelled) setEstimateDocs({ year: estimateYear.start, docs });
+            })
+            .catch(e => {
+                console.error("Error fetching the estimate year:", e);
+                if (!cancelled) setError(t('error.estimateFailed'));
+            })
+            .finally(() => {
+                if (!cancelled) setEstimateLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, canViewReports, reportView, estimateYear.start]);
+
+    // Today's rollups are read again whenever this desk's rollup changes, so taps at other
+    // service points count towards the open estimate too
+    useEffect(() => {
+        if (!storage || !canViewReports || reportView !== 'estimate') return;
+        if (!estimateDocs || estimateDocs.year !== estimateYear.start) return;
+        if (TODAY_DATE < estimateYear.start || TODAY_DATE > estimateYear.end) return;
+
+        let cancelled = false;
+        storage.getDays(TODAY_DATE, TODAY_DATE)
+            .then(docs => {
+                if (cancelled) return;
+                setEstimateDocs(current => (current && current.year === estimateYear.start
+                    ? { year: estimateYear.start, docs: withFreshDay(current.docs, TODAY_DATE, docs) }
+                    : current));
+            })
+            .catch(e => console.error("Error refreshing today's estimate counts:", e));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, canViewReports, reportView, dailyCounts]);
+
+    const annualEstimate = useMemo(() => {
+        if (!estimateDocs || estimateDocs.year !== estimateYear.start) return null;
+        const docs = withLiveRollup(estimateDocs.docs, dailyCounts, estimateYear.start, estimateYear.end)
+            .filter(data => matchesServicePointFilter(data, reportFilter, servicePoints));
+        return buildAnnualEstimate(docs, questionTypes, librarySettings, estimateYear, TODAY_DATE);
+    }, [estimateDocs, estimateYear.start, dailyCounts, reportFilter, servicePoints, questionTypes, librarySettings, TODAY_DATE]);
+
+    const fetchFollowUpReportDocs = () => storage.getFollowUps(reportRange.start, reportRange.end);
+
+    // Loaded only while the follow-up view is open, once per period; the shared queue keeps
+    // what was loaded current
+    useEffect(() => {
+        if (!storage || !canViewReports || reportView !== 'followups' || !reportRange) return;
+        if (followUpReportDocs && followUpReportDocs.range === reportRange) return;
+
+        let cancelled = false;
+        setFollowUpReportLoading(true);
+        fetchFollowUpReportDocs()
+            .then(items => {
+                if (!cancelled) setFollowUpReportDocs({ range: reportRange, items });
+            })
+            .catch(e => {
+                console.error("Error fetching follow-ups:", e);
+                if (!cancelled) setError(t('followUp.reportLoadFailed'));
+            })
+            .finally(() => {
+                if (!cancelled) setFollowUpReportLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [storage, reportView, reportRange, canViewReports]);
+
+    const buildFollowUps = (items) => buildFollowUpReport(
+        items.filter(item => matchesServicePointFilter(item, reportFilter, servicePoints)),
+        questionTypes,
+        TODAY_DATE
+    );
+
+    const followUpReport = useMemo(() => {
+        if (!followUpReportDocs || followUpReportDocs.range !== reportRange) return null;
+        return buildFollowUps(withLiveFollowUps(followUpReportDocs.items, followUps, reportRange.start, reportRange.end));
+    }, [followUpReportDocs, followUps, reportRange, reportFilter, servicePoints, questionTypes, TODAY_DATE]);
+
+    // Today's place in the sampling calendar, for the banner on the tally screen
+    const samplingStatus = getSamplingStatus(TODAY_DATE, librarySettings);
+
+    // Categories shown in the report: those in use during the period, as named at its end
+    const reportTypes = useMemo(() => {
+        if (!reportRange) return [];
+        return getReportCategories(questionTypes, reportSummary, reportRange.start, reportRange.end);
+    }, [questionTypes, reportSummary, reportRange]);
+
+    // Categories shown in today's totals
+    const todayTypes = useMemo(() => {
+        return getReportCategories(questionTypes, [dailyCounts], TODAY_DATE, TODAY_DATE);
+    }, [questionTypes, dailyCounts, TODAY_DATE]);
+
+    // Calculate total summary for the report period
+    const reportTotals = useMemo(() => {
+        return reportSummary.reduce((totals, day) => {
+            reportTypes.forEach(type => {
+                const count = day[type.id] || 0;
+                totals[type.id] = (totals[type.id] || 0) + count;
+                totals.grandTotal = (totals.grandTotal || 0) + count;
+            });
+            totals.openHours += getDayStatus(day.date, librarySettings).openHours;
+            totals.durationMinutes += day.durationMinutes || 0;
+            ['effort', 'modes'].forEach(field => {
+                Object.entries(day[field] || {}).forEach(([key, count]) => {
+                    totals[field][key] = (totals[field][key] || 0) + count;
+                });
+                totals.unrecorded[field] += getUnrecordedCount(day, field);
+            });
+            return totals;
+        }, { grandTotal: 0, openHours: 0, durationMinutes: 0, effort: {}, modes: {}, unrecorded: { effort: 0, modes: 0 } });
+    }, [reportSummary, reportTypes, librarySettings]);
+
+
+    // 5. Reporting and Export Functions
+    const handlePrint = () => {
+        setIsPrinting(true);
+        // Delay print slightly to ensure React re-renders with the printing state
+        setTimeout(() => {
+            window.print();
+            setIsPrinting(false);
+        }, 100);
+    };
+
+    // One wide row per day, as shown in the report tables
+    const buildDailyRows = () => {
+        return reportSummary.map(day => {
+            const status = getDayStatus(day.date, librarySettings);
+            const row = { 'Date': day.date, 'Status': status.closed ? status.label : 'Open' };
+            let dailyTotal = 0;
+            reportTypes.forEach(type => {
+                const applies = isCategoryReportedOn(type, day);
+                row[type.name] = applies ? day[type.id] || 0 : '';
+                dailyTotal += day[type.id] || 0;
+                if (showOriginals) {
+                    row[`${type.name} (original)`] = applies ? getOriginalCount(day, type.id) : '';
+                }
+            });
+            row['Daily Total'] = dailyTotal;
+            row['Open Hours'] = status.openHours;
+            row['Per Open Hour'] = formatPerOpenHour(dailyTotal, status.openHours);
+            READ_SCALE.forEach(r => {
+                row[r.name] = (day.effort && day.effort[r.level]) || 0;
+            });
+            CONTACT_MODES.forEach(mode => {
+                row[mode.name] = (day.modes && day.modes[mode.id]) || 0;
+            });
+            row['Effort Hours'] = formatEffortHours(day.durationMinutes);
+            if (reportServicePoints.length > 1) {
+                reportServicePoints.forEach(id => {
+                    row[`Desk: ${servicePointName(id)}`] = (day.byServicePoint && day.byServicePoint[id]) || 0;
+                });
+            }
+            return row;
+        });
+    };
+
+    // Period totals as { Group, Measure, Value } rows, kept apart from the daily data
+    const buildTotalsRows = () => {
+        const rows = [];
+        reportTypes.forEach(type => {
+            rows.push({ 'Group': 'Category', 'Measure': type.name, 'Value': reportTotals[type.id] || 0 });
+            if (showOriginals) {
+                rows.push({
+                    'Group': 'Category (original)',
+                    'Measure': type.name,
+                    'Value': reportSummary.reduce((sum, day) => sum + getOriginalCount(day, type.id), 0)
+                });
+            }
+        });
+        READ_SCALE.forEach(r => rows.push({ 'Group': 'READ Scale', 'Measure': r.name, 'Value': reportTotals.effort[r.level] || 0 }));
+        CONTACT_MODES.forEach(mode => rows.push({ 'Group': 'Contact Mode', 'Measure': mode.name, 'Value': reportTotals.modes[mode.id] || 0 }));
+        if (reportServicePoints.length > 1) {
+            reportServicePoints.forEach(id => rows.push({
+                'Group': 'Service Point',
+                'Measure': servicePointName(id),
+                'Value': reportSummary.reduce((sum, day) => sum + ((day.byServicePoint && day.byServicePoint[id]) || 0), 0)
+            }));
+        }
+        rows.push({ 'Group': 'Summary', 'Measure': 'Grand Total', 'Value': reportTotals.grandTotal });
+        rows.push({ 'Group': 'Summary', 'Measure': 'Open Hours', 'Value': reportTotals.openHours });
+        rows.push({ 'Group': 'Summary', 'Measure': 'Per Open Hour', 'Value': formatPerOpenHour(reportTotals.grandTotal, reportTotals.openHours) });
+        rows.push({ 'Group': 'Summary', 'Measure': 'Effort Hours', 'Value': formatEffortHours(reportTotals.durationMinutes) });
+        return rows;
+    };
+
+    const buildExportMetadata = () => ({
+        report: reportRange.label,
+        periodStart: reportRange.start,
+        periodEnd: reportRange.end,
+        servicePoints: reportFilterLabel,
+        library: currentLibrary.name,
+        libraryId: currentLibrary.id,
+        timezone: librarySettings.timezone,
+        generatedAt: new Date().toISOString(),
+        includesOriginalValues: showOriginals,
+        appId
+    });
+
+    // Tidy CSV, one row per date and category. Column names are fixed identifiers so that
+    // pivot tables and scripts built on one export keep working on the next.
+    const buildLongDailyRows = (metadata) => {
+        return reportSummary.flatMap(day => reportTypes
+            .filter(type => isCategoryReportedOn(type, day))
+            .map(type => ({
+                report_start: metadata.periodStart,
+                report_end: metadata.periodEnd,
+                generated_at: metadata.generatedAt,
+                service_points: metadata.servicePoints,
+                date: day.date,
+                category_id: type.id,
+                category_name: type.name,
+                count: day[type.id] || 0,
+                original_count: getOriginalCount(day, type.id)
+            })));
+    };
+
+    // Tidy CSV, one row per recorded interaction (voided taps are kept and flagged)
+    const buildInteractionRows = (metadata, interactions) => {
+        return interactions
+            .filter(interaction => interaction.timestamp)
+            .sort((a, b) => a.timestamp.toMillis() - b.timestamp.toMillis())
+            .map(interaction => ({
+                report_start: metadata.periodStart,
+                report_end: metadata.periodEnd,
+                generated_at: metadata.generatedAt,
+                interaction_id: interaction.id,
+                date: interaction.date,
+                local_time: formatLocalDateTime(interaction.timestamp.toDate(), librarySettings.timezone),
+                category_id: interaction.category,
+                category_name: (reportTypes.find(type => type.id === interaction.category) || { name: interaction.category }).name,
+                service_point: interaction.servicePoint || DEFAULT_SERVICE_POINT,
+                staff_uid: interaction.staffUid || '',
+                effort_level: interaction.effortLevel || '',
+                contact_mode: interaction.contactMode || '',
+                duration_minutes: interaction.durationMinutes || '',
+                note: interaction.note || '',
+                faq_topic: interaction.faqTopic || '',
+                voided: interaction.voided ? 'true' : 'false'
+            }));
+    };
+
+    // The comparison as currently shown, or loaded on demand when exporting from another view
+    const loadComparison = async () => {
+        if (comparison) return comparison;
+        return buildComparison(await fetchComparisonDocs());
+    };
+
+    // One row per category with each period's count and the change from it
+    const buildComparisonRows = (data) => {
+        const { ranges } = data;
+        const toRow = (name, values) => ({
+            'Category': name,
+            [`Selected (${ranges.current.start} to ${ranges.current.end})`]: values.current,
+            [`Previous Period (${ranges.previous.start} to ${ranges.previous.end})`]: values.previous,
+            'Change vs Previous': values.current - values.previous,
+            '% Change vs Previous': formatPercentChange(getPercentChange(values.current, values.previous)),
+            [`Same Period Last Year (${ranges.lastYear.start} to ${ranges.lastYear.end})`]: values.lastYear,
+            'Change vs Last Year': values.current - values.lastYear,
+            '% Change vs Last Year': formatPercentChange(getPercentChange(values.current, values.lastYear))
+        });
+        return [...data.rows.map(row => toRow(row.name, row)), toRow('TOTAL', data.totals)];
+    };
+
+    // Tidy CSV, one row per comparison period and category
+    const buildLongComparisonRows = (metadata, data) => {
+        return COMPARISON_PERIODS.flatMap(period => data.rows.map(row => ({
+            report_start: metadata.periodStart,
+            report_end: metadata.periodEnd,
+            generated_at: metadata.generatedAt,
+            service_points: metadata.servicePoints,
+            period: period.id,
+            period_start: data.ranges[period.id].start,
+            period_end: data.ranges[period.id].end,
+            category_id: row.id,
+            category_name: row.name,
+            count: row[period.id]
+        })));
+    };
+
+    // Follow-ups flagged in the report period for the selected service points, as currently
+    // shown or loaded on demand when exporting from another view
+    const loadFollowUps = async () => {
+        const items = followUpReportDocs && followUpReportDocs.range === reportRange
+            ? followUpReportDocs.items
+            : await fetchFollowUpReportDocs();
+        return withLiveFollowUps(items, followUps, reportRange.start, reportRange.end).filter(item => matchesServicePointFilter(item, reportFilter, servicePoints));
+    };
+
+    // One row per follow-up. Patron contact details are never exported.
+    const buildFollowUpRows = (items) => {
+        return [...items]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(item => ({
+                'Date Flagged': item.date,
+                'Service Point': servicePointName(item.servicePoint),
+                'Category': (questionTypes.find(type => type.id === item.category) || { name: item.category }).name,
+                'Summary': item.summary,
+                'Assigned To': item.assignee,
+                'Due Date': item.dueDate,
+                'Contact Preference': item.contactPreference,
+                'Status': item.status,
+                'Overdue': isFollowUpOverdue(item, TODAY_DATE) ? 'Yes' : 'No',
+                'Closed': item.closedDate || '',
+                'Resolution': item.resolution || '',
+                'Hours to Resolution': item.status === 'closed' && item.createdAt && item.closedAt ? Number(getResolutionHours(item).toFixed(1)) : ''
+            }));
+    };
+
+    const handleExport = async (format, granularity, sheets = EXPORT_SHEETS) => {
+        if (!reportRange) return;
+
+        const metadata = buildExportMetadata();
+        const scope = reportFilter === 'all' ? 'all' : reportFilter.replace(/[^a-z0-9]+/gi, '_');
+        const baseName = `ref_question_log_${scope}_${reportRange.start}_to_${reportRange.end}`;
+
+        setExporting(true);
+        try {
+            if (format === 'xlsx') {
+                const workbook = XLSX.utils.book_new();
+                if (sheets.includes('daily')) {
+                    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildDailyRows()), 'Daily');
+                }
+                if (sheets.includes('totals')) {
+                    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildTotalsRows()), 'Totals');
+                }
+                XLSX.utils.book_append_sheet(
+                    workbook,
+                    XLSX.utils.json_to_sheet(Object.entries(metadata).map(([key, value]) => ({ 'Field': key, 'Value': String(value) }))),
+                    'Metadata'
+                );
+                // The comparison span and the follow-ups are only fetched when their sheets are wanted
+                if (sheets.includes('comparison')) {
+                    const comparisonData = await loadComparison();
+                    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildComparisonRows(comparisonData)), 'Comparison');
+                    XLSX.utils.book_append_sheet(
+                        workbook,
+                        XLSX.utils.json_to_sheet(comparisonData.daily.map(day => ({
+                            'Date': day.date,
+                            'Total': day.total,
+                            [`${MOVING_AVERAGE_DAYS}-Day Average`]: Number(day.average.toFixed(2)),
+                            [`Last Year ${MOVING_AVERAGE_DAYS}-Day Average`]: day.lastYearAverage === null ? '' : Number(day.lastYearAverage.toFixed(2))
+                        }))),
+                        'Comparison Daily'
+                    );
+                    XLSX.utils.book_append_sheet(
+                        workbook,
+                        XLSX.utils.json_to_sheet(comparisonData.monthly.map(month => ({
+                            'Month': month.month,
+                            'Total': month.total,
+                            'Complete': month.partial ? 'No' : 'Yes'
+                        }))),
+                        'Monthly Trend'
+                    );
+                }
+                if (sheets.includes('followUps')) {
+                    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildFollowUpRows(await loadFollowUps())), 'Follow-Ups');
+                }
+                XLSX.writeFile(workbook, `${baseName}.xlsx`);
+            } else if (format === 'json') {
+                const interactions = await fetchReportInteractions();
+                const comparisonData = await loadComparison();
+                const followUpItems = await loadFollowUps();
+                const archive = {
+                    metadata,
+                    categories: reportTypes.map(({ id, name, description, example, activeFrom, retiredOn, unlisted }) => (
+                        { id, name, description, example, activeFrom, retiredOn: retiredOn || null, unlisted: !!unlisted }
+                    )),
+                    days: reportSummary.map(day => ({
+                        date: day.date,
+                        status: getDayStatus(day.date, librarySettings),
+                        counts: getCountKeys(day).reduce((acc, key) => ({ ...acc, [key]: day[key] }), {}),
+                        adjustments: day.adjustments || {},
+                        effort: day.effort || {},
+                        modes: day.modes || {},
+                        durationMinutes: day.durationMinutes || 0,
+                        byServicePoint: day.byServicePoint || {}
+                    })),
+                    totals: buildTotalsRows(),
+                    comparison: {
+                        periods: COMPARISON_PERIODS.map(period => ({ id: period.id, ...comparisonData.ranges[period.id] })),
+                        categories: comparisonData.rows,
+                        totals: comparisonData.totals,
+                        movingAverageDays: MOVING_AVERAGE_DAYS,
+                        daily: comparisonData.daily,
+                        monthly: comparisonData.monthly
+                    },
+                    interactions: buildInteractionRows(metadata, interactions),
+                    followUps: {
+                        ...buildFollowUpReport(followUpItems, questionTypes, TODAY_DATE),
+                        items: buildFollowUpRows(followUpItems)
+                    }
+                };
+                downloadFile(JSON.stringify(archive, null, 2), 'application/json;charset=utf-8;', `${baseName}.json`);
+            } else {
+                let rows;
+                if (granularity === 'interaction') {
+                    rows = buildInteractionRows(metadata, await fetchReportInteractions());
+                } else if (granularity === 'comparison') {
+                    rows = buildLongComparisonRows(metadata, await loadComparison());
+                } else {
+                    rows = buildLongDailyRows(metadata);
+                }
+                downloadFile(convertToCSV(rows), 'text/csv;charset=utf-8;', `${baseName}_${granularity}.csv`);
+            }
+            setShowExport(false);
+        } catch (e) {
+            console.error("Export failed:", e);
+            setError(t('error.exportFailed'));
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleDownloadSurveyFields = () => {
+        if (!annualEstimate) return;
+        const scope = reportFilter === 'all' ? 'all' : reportFilter.replace(/[^a-z0-9]+/gi, '_');
+        downloadFile(
+            convertToCSV(buildSurveyRows(annualEstimate, reportFilterLabel)),
+            'text/csv;charset=utf-8;',
+            `ref_survey_fields_${scope}_${annualEstimate.year.start}_to_${annualEstimate.year.end}.csv`
+        );
+    };
+
+    const renderCategoryButton = (type, large) => (
+        <CategoryButton
+            key={type.id}
+            type={localizeCategory(type, language)}
+            count={displayCounts[type.id] || 0}
+            hotkey={hotkeys.byCategory[type.id]}
+            large={large}
+            highContrast={highContrast}
+            info={infoType && infoType.id === type.id ? infoType.mode : null}
+            flashing={flashType === type.id}
+            onPress={() => handleCategoryPress(type.id)}
+            onShowInfo={(mode) => handleShowInfo(type.id, mode)}
+            onHideInfo={(force) => handleHideInfo(type.id, force)}
+        />
+    );
+
+    const i18n = { language, setLanguage: handleLanguageChange, t };
+
+    if (libraryId === null) {
+        return (
+            <I18nContext.Provider value={i18n}>
+                <LibraryChooser libraries={libraries} />
+            </I18nContext.Provider>
+        );
+    }
+
+    if ((loading && !isAuthReady) || libraryId === undefined) {
+        return (
+            <div className="flex justify-center items-center h-screen bg-gray-50">
+                <div className="text-xl text-gray-700">{t('app.connecting')}</div>
+            </div>
+        );
+    }
+
+    if (auth && !authUser) {
+        return (
+            <I18nContext.Provider value={i18n}>
+                <SignInScreen auth={auth} libraryName={libraries.length > 1 ? currentLibrary.name : null} />
+            </I18nContext.Provider>
+        );
+    }
+
+    if (authUser && !isAuthReady) {
+        return (
+            <I18nContext.Provider value={i18n}>
+                <NoAccessScreen
+                    db={db}
+                    user={authUser}
+                    staffPath={STAFF_COLLECTION_PATH}
+                    bootstrapPath={BOOTSTRAP_DOC_PATH}
+                    library={currentLibrary}
+                    libraries={libraries}
+                    onSignOut={handleSignOut}
+                />
+            </I18nContext.Provider>
+        );
+    }
+    
+    // UI Rendering
+    return (
+        <I18nContext.Provider value={i18n}>
+            <div className={`min-h-screen font-sans p-4 md:p-8 ${highContrast ? 'high-contrast bg-white' : 'bg-gray-50'}`} style={{ fontFamily: 'Inter, sans-serif' }}>
+                {/* The main tally controls, hidden during printing */}
+                {!isPrinting && (
+                    <div className="max-w-4xl mx-auto">
+                        {/* Screen-reader announcements of each new count */}
+                        <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</div>
+                        <header className="text-center mb-8">
+                            <h1 className="text-4xl font-extrabold text-indigo-700 mb-2">{t('app.title')}</h1>
+                            <p className="text-gray-600">
+                                {t(libraries.length > 1 ? 'app.liveCountAt' : 'app.liveCount', {
+                                    date: formatDisplayDate(TODAY_DATE, language, { dateStyle: 'full' }),
+                                    timeZone: librarySettings.timezone,
+                                    library: currentLibrary.name
+                                })}
+                            </p>
+                            <p className="text-sm text-gray-600 mt-1">
+                                {t('app.signedInAs')} <span className="font-semibold text-gray-800">{staffProfile.displayName}</span> ({t(`role.${staffRole}`)})
+                                {auth && <button onClick={handleSignOut} className="ml-3 text-indigo-600 hover:text-indigo-800 font-medium">{t('app.signOut')}</button>}
+                            </p>
+                            {libraries.length > 1 && (
+                                <label className="inline-flex items-center mt-3 mr-4 text-sm font-medium text-gray-700">
+                                    {t('app.library')}
+                                    <select
+                                        value={libraryId}
+                                        onChange={(e) => switchLibrary(e.target.value)}
+                                        className="ml-2 p-2 border rounded-lg bg-white"
+                                    >
+                                        {libraries.map(library => (
+                                            <option key={library.id} value={library.id}>{library.name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            )}
+                            <label className="inline-flex items-center mt-3 mr-4 text-sm font-medium text-gray-700">
+                                {t('app.servicePoint')}
+                                <select
+                                    value={servicePoint}
+                                    onChange={(e) => handleServicePointChange(e.target.value)}
+                                    className="ml-2 p-2 border rounded-lg bg-white"
+                                >
+                                    {servicePoints.map(sp => (
+                                        <option key={sp.id} value={sp.id}>{sp.name} ({sp.branch})</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <LanguageSelect className="inline-flex items-center mt-3 text-sm font-medium text-gray-700" />
+                            <div className="flex flex-wrap justify-center items-center gap-4 mt-2 text-sm text-gray-600">
+                                <label className="inline-flex items-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={detailsStep}
+                                        onChange={(e) => handleTerminalPreference(DETAILS_STEP_STORAGE_KEY, e.target.checked, setDetailsStep)}
+                                        className="mr-2"
+                                    />
+                                    {t('app.detailsStep')}
+                                </label>
+                                <label className="inline-flex items-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={soundOn}
+                                        onChange={(e) => handleTerminalPreference(SOUND_STORAGE_KEY, e.target.checked, setSoundOn)}
+                                        className="mr-2"
+                                    />
+                                    {t('app.sound')}
+                                </label>
+                                <label className="inline-flex items-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={highContrast}
+                                        onChange={(e) => handleTerminalPreference(HIGH_CONTRAST_STORAGE_KEY, e.target.checked, setHighContrast)}
+                                        className="mr-2"
+                                    />
+                                    {t('app.highContrast')}
+                                </label>
+                                <label className="inline-flex items-center">
+                                    {t('app.usualMode')}
+                                    <select
+                                        value={defaultContactMode}
+                                        onChange={(e) => handleTerminalPreference(CONTACT_MODE_STORAGE_KEY, e.target.value, setDefaultContactMode)}
+                                        className="ml-2 p-1 border rounded-lg bg-white"
+                                    >
+                                        {CONTACT_MODES.map(mode => (
+                                            <option key={mode.id} value={mode.id}>{t(`mode.${mode.id}`)}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <button onClick={() => setShowHotkeys(true)} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                                    {t('app.shortcuts')}
+                                </button>
+                                <button onClick={() => handleKioskMode(true)} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                                    {t('app.kiosk')}
+                                </button>
+                                <button
+                                    onClick={() => setShowFollowUps(!showFollowUps)}
+                                    aria-expanded={showFollowUps}
+                                    className="text-rose-600 hover:text-rose-800 font-medium"
+                                >
+                                    {t('followUp.queueCount', { count: formatNumber(activeFollowUpCount, language) })}
+                                </button>
+                            </div>
+                            {pendingEntries.length > 0 && (
+                                <p className="mt-4 inline-block px-3 py-1 bg-amber-100 text-amber-800 rounded-full text-sm font-medium">
+                                    {t('app.pendingSync', { count: formatNumber(pendingEntries.length, language) })}
+                                </p>
+                            )}
+                            {error && <p role="alert" className="mt-4 p-2 bg-red-100 text-red-700 rounded-lg font-medium">{error}</p>}
+                        </header>
+
+                        {/* Sampling Banner: shown only once sampling periods are configured */}
+                        {samplingStatus.configured && (
+                            samplingStatus.current ? (
+                                <p className="mb-6 p-3 bg-green-100 text-green-800 rounded-lg text-center font-medium">
+                                    {t('sampling.today', {
+                                        label: samplingStatus.current.label,
+                                        start: formatDisplayDate(samplingStatus.current.start, language),
+                                        end: formatDisplayDate(samplingStatus.current.end, language)
+                                    })}
+                                </p>
+                            ) : (
+                                <p className="mb-6 p-3 bg-gray-100 text-gray-700 rounded-lg text-center text-sm">
+                                    {t('sampling.notToday')}{' '}
+                                    {samplingStatus.next
+                                        ? t('sampling.next', {
+                                            label: samplingStatus.next.label,
+                                            start: formatDisplayDate(samplingStatus.next.start, language),
+                                            end: formatDisplayDate(samplingStatus.next.end, language)
+                                        })
+                                        : t('sampling.none')}
+                                </p>
+                            )
+                        )}
+
+                        {/* Question Counting Buttons */}
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                            {activeTypes.map(type => renderCategoryButton(type, false))}
+                        </div>
+
+                        {/* Hotkey Legend */}
+                        <p className="flex flex-wrap justify-center gap-x-4 gap-y-1 mb-10 text-sm text-gray-500">
+                            {activeTypes.filter(type => hotkeys.byCategory[type.id]).map(type => (
+                                <span key={`legend-${type.id}`}>
+                                    <kbd className="px-1.5 py-0.5 mr-1 font-mono text-xs bg-gray-200 rounded">{formatKeyCombo(hotkeys.byCategory[type.id])}</kbd>
+                                    {localizeCategory(type, language).name}
+                                </span>
+                            ))}
+                            {hotkeys.undo && (
+                                <span>
+                                    <kbd className="px-1.5 py-0.5 mr-1 font-mono text-xs bg-gray-200 rounded">{formatKeyCombo(hotkeys.undo)}</kbd>
+                                    {t('tally.undo')}
+                                </span>
+                            )}
+                        </p>
+
+                        {showFollowUps && (
+                            <FollowUpQueue
+                                storage={storage}
+                                followUps={followUps}
+                                questionTypes={questionTypes}
+                                servicePoints={servicePoints}
+                                userId={userId}
+                                staffName={userId === LOCAL_USER_ID ? null : staffProfile.displayName}
+                                today={TODAY_DATE}
+                                onClose={() => setShowFollowUps(false)}
+                            />
+                        )}
+
+                        {/* Kiosk Layout: full screen, large touch targets, nothing but the tally */}
+                        {kioskMode && (
+                            <div className="fixed inset-0 z-40 flex flex-col bg-gray-900 p-4 overflow-auto">
+                                <div className="flex flex-wrap justify-between items-center gap-2 mb-4 text-gray-300">
+                                    <span className="text-lg font-semibold">
+                                        {servicePointName(servicePoint)} · {formatDisplayDate(TODAY_DATE, language)} · {staffProfile.displayName}
+                                    </span>
+                                    {samplingStatus.current && (
+                                        <span className="px-3 py-1 bg-green-100 text-green-800 rounded-full text-sm font-medium">
+                                            {t('sampling.badge', { label: samplingStatus.current.label })}
+                                        </span>
+                                    )}
+                                    {pendingEntries.length > 0 && (
+                                        <span className="px-3 py-1 bg-amber-100 text-amber-800 rounded-full text-sm font-medium">
+                                            {t('app.pending', { count: formatNumber(pendingEntries.length, language) })}
+                                        </span>
+                                    )}
+                                    <button
+                                        onClick={() => handleKioskMode(false)}
+                                        className="px-4 py-2 border border-gray-600 rounded-lg text-sm hover:bg-gray-800"
+                                    >
+                                        {t('app.exitKiosk')}
+                                    </button>
+                                </div>
+                                {error && <p role="alert" className="mb-4 p-2 bg-red-100 text-red-700 rounded-lg font-medium">{error}</p>}
+                                <div className="flex-1 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 auto-rows-fr gap-4">
+                                    {activeTypes.map(type => renderCategoryButton(type, true))}
+                                </div>
+                            </div>
+                        )}
+
+                        {pendingTally && (
+                            <TallyDetailsDialog
+                                type={getLocalizedType(pendingTally.typeId)}
+                                details={pendingTally}
+                                onChange={setPendingTally}
+                                onConfirm={handleConfirmDetails}
+                                onCancel={() => setPendingTally(null)}
+                            />
+                        )}
+
+                        {noteTarget && (
+                            <NoteDialog
+                                type={getLocalizedType(noteTarget.typeId)}
+                                onSave={handleSaveNote}
+                                onCancel={() => setNoteTarget(null)}
+                            />
+                        )}
+
+                        {followUpTarget && (
+                            <FollowUpDialog
+                                type={getLocalizedType(followUpTarget.typeId)}
+                                defaultDueDate={addDays(TODAY_DATE, FOLLOW_UP_DEFAULT_DUE_DAYS)}
+                                error={followUpError}
+                                onSave={handleSaveFollowUp}
+                                onCancel={() => {
+                                    setFollowUpTarget(null);
+                                    setFollowUpError(null);
+                                }}
+                            />
+                        )}
+
+                        {showHotkeys && (
+                            <HotkeysDialog
+                                types={activeTypes}
+                                hotkeys={hotkeys}
+                                onSave={handleSaveHotkeys}
+                                onClose={() => setShowHotkeys(false)}
+                            />
+                        )}
+
+                        {showExport && reportRange && can(staffRole, 'export') && (
+                            <ExportDialog
+                                reportLabel={t('export.period', { preset: t(`preset.${reportPreset}`), period: reportPeriodDescription })}
+                                exporting={exporting}
+                                onExport={handleExport}
+                                onClose={() => setShowExport(false)}
+                            />
+                        )}
+
+                        {/* Undo Toast */}
+                        {lastTally && (
+                            <div className="fixed bottom-6 left-1/2 transform -translate-x-1/2 flex items-center space-x-4 px-5 py-3 bg-gray-900 text-white rounded-xl shadow-2xl z-50">
+                                <span>
+                                    {t('tally.recorded', { category: (getLocalizedType(lastTally.typeId) || { name: '' }).name })}
+                                </span>
+                                <button
+                                    onClick={() => {
+                                        setNoteTarget(lastTally);
+                                        setLastTally(null);
+                                    }}
+                                    className="font-bold text-indigo-300 hover:text-indigo-200 uppercase tracking-wider"
+                                >
+                                    {t('tally.addNote')}
+                                </button>
+                                <button
+                                    onClick={() => {
+                                        setFollowUpTarget(lastTally);
+                                        setLastTally(null);
+                                    }}
+                                    className="font-bold text-rose-300 hover:text-rose-200 uppercase tracking-wider"
+                                >
+                                    {t('followUp.button')}
+                                </button>
+                                <button
+                                    onClick={handleUndo}
+                                    className="font-bold text-amber-300 hover:text-amber-200 uppercase tracking-wider"
+                                >
+                                    {t('tally.undo')}
+                                </button>
+                            </div>
+                        )}
+
+                        {refusedEntries.length > 0 && can(staffRole, 'correct') && (
+                            <RefusedChangesPanel
+                                storage={storage}
+                                userId={userId}
+                                entries={refusedEntries}
+                                questionTypes={questionTypes}
+                                servicePoints={servicePoints}
+                                onResolved={handleResolveRefused}
+                            />
+                        )}
+
+                        {showCorrections && can(staffRole, 'correct') && (
+                            <CorrectionsPanel
+                                storage={storage}
+                                userId={userId}
+                                questionTypes={questionTypes}
+                                servicePoints={servicePoints}
+                                defaultServicePoint={servicePoint}
+                                defaultDate={TODAY_DATE}
+                                onClose={() => {
+                                    setShowCorrections(false);
+                                    fetchReportSummary();
+                                }}
+                            />
+                        )}
+
+                        {showSettings && can(staffRole, 'manageLibrary') && (
+                            <SettingsPanel
+                                storage={storage}
+                                settings={librarySettings}
+                                onClose={() => setShowSettings(false)}
+                            />
+                        )}
+
+                        {showCategories && can(staffRole, 'manageLibrary') && (
+                            <CategoriesPanel
+                                storage={storage}
+                                categories={questionTypes}
+                                isSeeded={categoriesSeeded}
+                                today={TODAY_DATE}
+                                onClose={() => setShowCategories(false)}
+                            />
+                        )}
+
+                        {showNotes && canViewReports && reportRange && (
+                            <NotesPanel
+                                storage={storage}
+                                userId={userId}
+                                questionTypes={questionTypes}
+                                servicePoints={servicePoints}
+                                timeZone={librarySettings.timezone}
+                                defaultRange={reportRange}
+                                onClose={() => setShowNotes(false)}
+                            />
+                        )}
+
+                        {showConsortium && db && (
+                            <ConsortiumPanel
+                                db={db}
+                                user={authUser}
+                                libraries={libraries}
+                                currentLibraryId={libraryId}
+                                isConsortiumAdmin={isConsortiumAdmin}
+                                range={reportRange}
+                                onClose={() => setShowConsortium(false)}
+                            />
+                        )}
+
+                        {showStaff && db && can(staffRole, 'manageStaff') && (
+                            <StaffPanel
+                                db={db}
+                                auth={auth}
+                                staffPath={STAFF_COLLECTION_PATH}
+                                currentUid={userId}
+                                onClose={() => setShowStaff(false)}
+                            />
+                        )}
+
+                        {showImport && db && can(staffRole, 'correct') && (
+                            <ImportPanel
+                                db={db}
+                                collectionPath={DATA_COLLECTION_PATH}
+                                importsPath={IMPORTS_COLLECTION_PATH}
+                                userId={userId}
+                                questionTypes={questionTypes}
+                                servicePoints={servicePoints}
+                                defaultServicePoint={servicePoint}
+                                onClose={() => setShowImport(false)}
+                                onImported={fetchReportSummary}
+                            />
+                        )}
+
+                        {canViewReports && (
+                            <>
+                                {/* Report Period Picker */}
+                                <div className="flex flex-wrap justify-center items-end gap-4 mb-6">
+                                    <label className="text-sm font-medium text-gray-700">
+                                        {t('report.period')}
+                                        <select
+                                            value={reportPreset}
+                                            onChange={(e) => setReportPreset(e.target.value)}
+                                            className="block mt-1 p-2 border rounded-lg bg-white"
+                                        >
+                                            {REPORT_PRESETS.map(preset => (
+                                                <option key={preset.id} value={preset.id}>{t(`preset.${preset.id}`)}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="text-sm font-medium text-gray-700">
+                                        {t('report.servicePoints')}
+                                        <select
+                                            value={reportFilter}
+                                            onChange={(e) => setReportFilter(e.target.value)}
+                                            className="block mt-1 p-2 border rounded-lg bg-white"
+                                        >
+                                            <option value="all">{t('report.allServicePoints')}</option>
+                                            {[...new Set(servicePoints.map(sp => sp.branch))].map(branch => (
+                                                <option key={`branch-${branch}`} value={`branch:${branch}`}>{t('report.branch', { branch })}</option>
+                                            ))}
+                                            {servicePoints.map(sp => (
+                                                <option key={`sp-${sp.id}`} value={`sp:${sp.id}`}>{sp.name}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    {reportPreset === 'custom' && (
+                                        <>
+                                            <label className="text-sm font-medium text-gray-700">
+                                                {t('report.start')}
+                                                <input
+                                                    type="date"
+                                                    value={customRange.start}
+                                                    onChange={(e) => setCustomRange({ ...customRange, start: e.target.value })}
+                                                    className="block mt-1 p-2 border rounded-lg"
+                                                />
+                                            </label>
+                                            <label className="text-sm font-medium text-gray-700">
+                                                {t('report.end')}
+                                                <input
+                                                    type="date"
+                                                    value={customRange.end}
+                                                    min={customRange.start}
+                                                    onChange={(e) => setCustomRange({ ...customRange, end: e.target.value })}
+                                                    className="block mt-1 p-2 border rounded-lg"
+                                                />
+                                            </label>
+                                        </>
+                                    )}
+                                </div>
+                                {reportPreset === 'custom' && !reportRange && (
+                                    <p className="text-center text-sm text-gray-500 mb-6">{t('report.invalidRange')}</p>
+                                )}
+
+                                {/* Report Controls */}
+                                <div className="flex flex-wrap justify-center gap-4 mb-8">
+                                    {can(staffRole, 'export') && (
+                                        <button
+                                            onClick={() => setShowExport(true)}
+                                            disabled={!reportRange}
+                                            aria-haspopup="dialog"
+                                            aria-label={t('a11y.exportReport', { period: reportPeriodDescription })}
+                                            className="flex items-center px-6 py-3 bg-teal-700 text-white font-semibold rounded-lg shadow-md hover:bg-teal-800 transition-colors"
+                                        >
+                                            <svg aria-hidden="true" focusable="false" className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>
+                                            {t('report.export')}
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={handlePrint}
+                                        aria-label={t('a11y.printReport', { period: reportPeriodDescription })}
+                                        className="flex items-center px-6 py-3 bg-gray-700 text-white font-semibold rounded-lg shadow-md hover:bg-gray-800 transition-colors"
+                                    >
+                                        <svg aria-hidden="true" focusable="false" className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 17h2a2 2 0 002-2v-5a2 2 0 00-2-2H5a2 2 0 00-2 2v5a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-2a2 2 0 00-2-2H9a2 2 0 00-2 2v2a2 2 0 002 2zm2-13V7a2 2 0 012-2h2a2 2 0 012 2v3"></path></svg>
+                                        {t('report.print')}
+                                    </button>
+                                    <button
+                                        onClick={() => setShowNotes(!showNotes)}
+                                        className="flex items-center px-6 py-3 bg-emerald-700 text-white font-semibold rounded-lg shadow-md hover:bg-emerald-800 transition-colors"
+                                    >
+                                        {t('report.notes')}
+                                    </button>
+                                    {can(staffRole, 'correct') && (
+                                        <>
+                                            <button
+                                                onClick={() => setShowCorrections(!showCorrections)}
+                                                className="flex items-center px-6 py-3 bg-amber-700 text-white font-semibold rounded-lg shadow-md hover:bg-amber-800 transition-colors"
+                                            >
+                                                {t('report.correct')}
+                                            </button>
+                                            {db && (
+                                                <button
+                                                    onClick={() => setShowImport(!showImport)}
+                                                    className="flex items-center px-6 py-3 bg-sky-700 text-white font-semibold rounded-lg shadow-md hover:bg-sky-800 transition-colors"
+                                                >
+                                                    {t('report.import')}
+                                                </button>
+                                            )}
+                                        </>
+                                    )}
+                                    {can(staffRole, 'manageLibrary') && (
+                                        <>
+                                            <button
+                                                onClick={() => setShowSettings(!showSettings)}
+                                                className="flex items-center px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition-colors"
+                                            >
+                                                {t('report.settings')}
+                                            </button>
+                                            <button
+                                                onClick={() => setShowCategories(!showCategories)}
+                                                className="flex items-center px-6 py-3 bg-violet-600 text-white font-semibold rounded-lg shadow-md hover:bg-violet-700 transition-colors"
+                                            >
+                                                {t('report.categories')}
+                                            </button>
+                                        </>
+                                    )}
+                                    {db && can(staffRole, 'manageStaff') && (
+                                        <button
+                                            onClick={() => setShowStaff(!showStaff)}
+                                            className="flex items-center px-6 py-3 bg-rose-600 text-white font-semibold rounded-lg shadow-md hover:bg-rose-700 transition-colors"
+                                        >
+                                            {t('report.staff')}
+                                        </button>
+                                    )}
+                                    {db && (isConsortiumAdmin || (libraryId === DEFAULT_LIBRARY_ID && can(staffRole, 'manageStaff'))) && (
+                                        <button
+                                            onClick={() => setShowConsortium(!showConsortium)}
+                                            className="flex items-center px-6 py-3 bg-cyan-700 text-white font-semibold rounded-lg shadow-md hover:bg-cyan-800 transition-colors"
+                                        >
+                                            {t('report.consortium')}
+                                        </button>
+                                    )}
+                                </div>
+                                <label className="flex justify-center items-center text-sm text-gray-600 mb-8">
+                                    <input
+                                        type="checkbox"
+                                        checked={showOriginals}
+                                        onChange={(e) => setShowOriginals(e.target.checked)}
+                                        className="mr-2"
+                                    />
+                                    {t('report.showOriginals')}
+                                </label>
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {/* Daily and Period Summary Report (Visible always, print-optimized) */}
+                {canViewReports && (
+                    <div className="max-w-4xl mx-auto bg-white p-6 rounded-xl shadow-2xl border border-gray-100 print:shadow-none print:border-0">
+                        <h2 className="text-3xl font-bold text-gray-800 border-b pb-3 mb-4 print:text-center print:text-black">
+                            {t('report.title')}
+                        </h2>
+
+                        <div className="mb-6">
+                            <h3 className="text-xl font-semibold text-indigo-600 mb-3">{t('report.dailyTotals', { date: formatDisplayDate(TODAY_DATE, language), servicePoint: servicePointName(servicePoint) })}</h3>
+                            <div className="grid grid-cols-2 gap-4 text-center">
+                                {todayTypes.map(type => (
+                                    <div key={`daily-${type.id}`} className="p-3 bg-indigo-50 rounded-lg shadow-sm">
+                                        <p className="text-lg font-medium text-gray-700">{localizeCategory(type, language).name}</p>
+                                        <p className="text-3xl font-extrabold text-indigo-700">{formatCount(displayCounts[type.id])}</p>
+                                    </div>
+                                ))}
+                            </div>
+                            <div className="mt-4 space-y-1 text-sm text-gray-600">
+                                <p>
+                                    <span className="font-semibold">{t('report.byEffort')} </span>
+                                    {READ_SCALE.map(r => `${r.name}: ${formatCount(dailyCounts.effort && dailyCounts.effort[r.level])}`).join(' · ')}
+                                </p>
+                                <p>
+                                    <span className="font-semibold">{t('report.byMode')} </span>
+                                    {CONTACT_MODES.map(mode => `${t(`mode.${mode.id}`)}: ${formatCount(dailyCounts.modes && dailyCounts.modes[mode.id])}`).join(' · ')}
+                                </p>
+                                <p>
+                                    <span className="font-semibold">{t('report.effortHoursToday')} </span>
+                                    {formatHours(dailyCounts.durationMinutes)}
+                                </p>
+                            </div>
+                        </div>
+
+                        <div className="mb-6">
+                            <h3 className="text-xl font-semibold text-teal-600 mb-3 border-t pt-4">{t('report.aggregation')}{reportRange ? `: ${t(`preset.${reportPreset}`)}` : ''}</h3>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div className="col-span-2 md:col-span-1 bg-teal-50 p-4 rounded-lg shadow-sm">
+                                     <p className="text-xl font-medium text-gray-700">{t('report.grandTotal', { days: formatCount(reportSummary.length) })}</p>
+                                     <p className="text-4xl font-extrabold text-teal-700">{formatCount(reportTotals.grandTotal)}</p>
+                                </div>
+                                <div className="col-span-2 md:col-span-1 bg-teal-50 p-4 rounded-lg shadow-sm">
+                                     <p className="text-xl font-medium text-gray-700">{t('report.perOpenHour')}</p>
+                                     <p className="text-4xl font-extrabold text-teal-700">
+                                         {formatRate(reportTotals.grandTotal, reportTotals.openHours) || '—'}
+                                     </p>
+                                     <p className="text-sm text-gray-500">{t('report.openHours', { hours: formatNumber(reportTotals.openHours, language, Number.isInteger(reportTotals.openHours) ? 0 : 1) })}</p>
+                                </div>
+                                <div className="col-span-2 md:col-span-1 bg-teal-50 p-4 rounded-lg shadow-sm">
+                                     <p className="text-xl font-medium text-gray-700">{t('report.effortHours')}</p>
+                                     <p className="text-4xl font-extrabold text-teal-700">{formatHours(reportTotals.durationMinutes)}</p>
+                                     <p className="text-sm text-gray-500">{t('report.effortHoursNote', { count: formatCount(reportTotals.grandTotal) })}</p>
+                                </div>
+                                <div className="col-span-2 md:col-span-1 bg-teal-50 p-4 rounded-lg shadow-sm">
+                                    <p className="text-xl font-medium text-gray-700">{t('report.period')}</p>
+                                    <p className="text-base font-semibold text-teal-700 mt-2">
+                                        {reportRange
+                                            ? t('report.range', { start: formatDate(reportRange.start), end: formatDate(reportRange.end) })
+                                            : t('report.noPeriod')}
+                                    </p>
+                                    <p className="text-sm text-gray-500">{reportFilterDisplayLabel}</p>
+                                </div>
+                            </div>
+                        </div>
+
+                        {/* Report View Tabs: Day-by-Day Breakdown, Traffic Analytics, Period Comparison or Annual Estimate */}
+                        {!isPrinting && (
+                            <div className="flex space-x-2 border-t pt-4 mb-3">
+                                {['breakdown', 'analytics', 'comparison', 'estimate', 'followups'].map(view => (
+                                    <button
+                                        key={view}
+                                        aria-pressed={reportView === view}
+                                        onClick={() => setReportView(view)}
+                                        className={`px-4 py-2 rounded-lg text-sm font-semibold ${reportView === view ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                    >
+                                        {t(`report.view.${view}`)}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
+                        {reportView === 'analytics' ? (
+                            <>
+                                <h3 className="text-xl font-semibold text-gray-700 mb-3">{t('report.view.analytics')}</h3>
+                                <TrafficAnalytics
+                                    interactions={analyticsInteractions}
+                                    days={reportSummary}
+                                    categories={reportTypes}
+                                    timeZone={librarySettings.timezone}
+                                    loading={interactionsLoading}
+                                />
+                            </>
+                        ) : reportView === 'comparison' ? (
+                            <>
+                                <h3 className="text-xl font-semibold text-gray-700 mb-3">{t('report.view.comparison')}</h3>
+                                <PeriodComparison comparison={comparison} questionTypes={questionTypes} loading={comparisonLoading} />
+                            </>
+                        ) : reportView === 'estimate' ? (
+                            <>
+                                <h3 className="text-xl font-semibold text-gray-700 mb-3">{t('report.estimateHeading', { scope: reportFilterDisplayLabel })}</h3>
+                                <AnnualEstimate
+                                    estimate={annualEstimate}
+                                    questionTypes={questionTypes}
+                                    loading={estimateLoading}
+                                    years={estimateYears}
+                                    yearStart={Number(estimateYear.start.slice(0, 4))}
+                                    onYearChange={setEstimateYearStart}
+                                    onDownload={handleDownloadSurveyFields}
+                                />
+                            </>
+                        ) : reportView === 'followups' ? (
+                            <>
+                                <h3 className="text-xl font-semibold text-gray-700 mb-3">{t('report.view.followups')}</h3>
+                                <FollowUpReport
+                                    report={followUpReport}
+                                    questionTotal={reportTotals.grandTotal}
+                                    questionTypes={questionTypes}
+                                    loading={followUpReportLoading}
+                                />
+                            </>
+                        ) : (
+                            <>
+                                {/* Detailed Day-by-Day Breakdown Table */}
+                                <h3 className="text-xl font-semibold text-gray-700 mb-3">{t('report.view.breakdown')}</h3>
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('report.date')}</th>
+                                                {reportTypes.map(type => (
+                                                    <th key={type.id} className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{localizeCategory(type, language).name}</th>
+                                                ))}
+                                                <th className="px-3 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider bg-gray-100">{t('report.dailyTotal')}</th>
+                                                <th className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('report.perOpenHourShort')}</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {reportSummary.map((day) => {
+                                                const dailyTotal = reportTypes.reduce((sum, type) => sum + (day[type.id] || 0), 0);
+                                                const status = getDayStatus(day.date, librarySettings);
+
+                                                // Closed days with nothing recorded read as "Closed" rather than a row of zeros
+                                                if (status.closed && dailyTotal === 0) {
+                                                    return (
+                                                        <tr key={day.date} className="bg-gray-50">
+                                                            <td className="px-3 py-4 whitespace-nowrap text-sm font-medium text-gray-400">{formatDate(day.date)}</td>
+                                                            <td colSpan={reportTypes.length + 2} className="px-3 py-4 whitespace-nowrap text-center text-sm italic text-gray-400">
+                                                                {status.label === 'Closed' ? t('report.closed') : status.label}
+                                                            </td>
+                                                        </tr>
+                                                    );
+                                                }
+
+                                                return (
+                                                    <tr key={day.date}>
+                                                        <td className="px-3 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{formatDate(day.date)}</td>
+                                                        {reportTypes.map(type => {
+                                                            const corrected = day[type.id] || 0;
+                                                            const original = getOriginalCount(day, type.id);
+                                                            if (!isCategoryReportedOn(type, day)) {
+                                                                return (
+                                                                    <td key={`${day.date}-${type.id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-gray-300" title={t('report.notInUse', { category: localizeCategory(type, language).name })}>
+                                                                        —
+                                                                    </td>
+                                                                );
+                                                            }
+                                                            return (
+                                                                <td key={`${day.date}-${type.id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-gray-500">
+                                                                    {formatCount(corrected)}
+                                                                    {showOriginals && original !== corrected && (
+                                                                        <span className="block text-xs text-amber-600">{t('report.was', { count: formatCount(original) })}</span>
+                                                                    )}
+                                                                </td>
+                                                            );
+                                                        })}
+                                                        <td className="px-3 py-4 whitespace-nowrap text-right text-sm font-bold text-gray-800 bg-gray-50">{formatCount(dailyTotal)}</td>
+                                                        <td className="px-3 py-4 whitespace-nowrap text-right text-sm text-gray-500">{formatRate(dailyTotal, status.openHours)}</td>
+                                                    </tr>
+                                                );
+                                            })}
+                                            {/* Totals Row */}
+                                            <tr className="bg-indigo-50 font-bold border-t-2 border-indigo-200">
+                                                <td className="px-3 py-4 whitespace-nowrap text-sm text-gray-900">{t('report.periodTotal')}</td>
+                                                {reportTypes.map(type => (
+                                                    <td key={`total-${type.id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800">
+                                                        {formatCount(reportTotals[type.id])}
+                                                    </td>
+                                                ))}
+                                                <td className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800 bg-indigo-100">{formatCount(reportTotals.grandTotal)}</td>
+                                                <td className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800">{formatRate(reportTotals.grandTotal, reportTotals.openHours)}</td>
+                                            </tr>
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
+
+                        {/* Effort and Contact Mode Breakdown */}
+                        <h3 className="text-xl font-semibold text-gray-700 border-t pt-4 mt-6 mb-3">{t('report.effortAndMode')}</h3>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('report.date')}</th>
+                                        {READ_SCALE.map(r => (
+                                            <th key={`effort-head-${r.level}`} className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider" title={t(`effort.${r.level}`)}>{r.name}</th>
+                                        ))}
+                                        {CONTACT_MODES.map(mode => (
+                                            <th key={`mode-head-${mode.id}`} className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t(`mode.${mode.id}`)}</th>
+                                        ))}
+                                        <th className="px-3 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider bg-gray-100">{t('report.effortHours')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {reportSummary.map(day => (
+                                        <tr key={`effort-${day.date}`}>
+                                            <td className="px-3 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{formatDate(day.date)}</td>
+                                            {READ_SCALE.map(r => (
+                                                <td key={`effort-${day.date}-${r.level}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-gray-500">
+                                                    {formatCount(day.effort && day.effort[r.level])}
+                                                </td>
+                                            ))}
+                                            {CONTACT_MODES.map(mode => (
+                                                <td key={`mode-${day.date}-${mode.id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-gray-500">
+                                                    {formatCount(day.modes && day.modes[mode.id])}
+                                                </td>
+                                            ))}
+                                            <td className="px-3 py-4 whitespace-nowrap text-right text-sm font-bold text-gray-800 bg-gray-50">{formatHours(day.durationMinutes)}</td>
+                                        </tr>
+                                    ))}
+                                    <tr className="bg-indigo-50 font-bold border-t-2 border-indigo-200">
+                                        <td className="px-3 py-4 whitespace-nowrap text-sm text-gray-900">{t('report.periodTotal')}</td>
+                                        {READ_SCALE.map(r => (
+                                            <td key={`effort-total-${r.level}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800">{formatCount(reportTotals.effort[r.level])}</td>
+                                        ))}
+                                        {CONTACT_MODES.map(mode => (
+                                            <td key={`mode-total-${mode.id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800">{formatCount(reportTotals.modes[mode.id])}</td>
+                                        ))}
+                                        <td className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800 bg-indigo-100">{formatHours(reportTotals.durationMinutes)}</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                        {(reportTotals.unrecorded.effort > 0 || reportTotals.unrecorded.modes > 0) && (
+                            <p className="mt-2 text-xs text-gray-500">
+                                {t('report.unrecorded', { effort: formatCount(reportTotals.unrecorded.effort), modes: formatCount(reportTotals.unrecorded.modes) })}
+                            </p>
+                        )}
+
+                        {/* Per-Service-Point Rollup (one column per desk) */}
+                        {reportServicePoints.length > 1 && (
+                            <>
+                                <h3 className="text-xl font-semibold text-gray-700 border-t pt-4 mt-6 mb-3">{t('report.byServicePoint')}</h3>
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('report.date')}</th>
+                                                {reportServicePoints.map(id => (
+                                                    <th key={`sp-head-${id}`} className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{servicePointName(id)}</th>
+                                                ))}
+                                                <th className="px-3 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider bg-gray-100">{t('report.dailyTotal')}</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {reportSummary.map(day => {
+                                                const byServicePoint = day.byServicePoint || {};
+                                                return (
+                                                    <tr key={`sp-${day.date}`}>
+                                                        <td className="px-3 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{formatDate(day.date)}</td>
+                                                        {reportServicePoints.map(id => (
+                                                            <td key={`sp-${day.date}-${id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-gray-500">
+                                                                {formatCount(byServicePoint[id])}
+                                                            </td>
+                                                        ))}
+                                                        <td className="px-3 py-4 whitespace-nowrap text-right text-sm font-bold text-gray-800 bg-gray-50">
+                                                            {formatCount(Object.values(byServicePoint).reduce((sum, count) => sum + count, 0))}
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                            <tr className="bg-indigo-50 font-bold border-t-2 border-indigo-200">
+                                                <td className="px-3 py-4 whitespace-nowrap text-sm text-gray-900">{t('report.periodTotal')}</td>
+                                                {reportServicePoints.map(id => (
+                                                    <td key={`sp-total-${id}`} className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800">
+                                                        {formatCount(reportSummary.reduce((sum, day) => sum + ((day.byServicePoint && day.byServicePoint[id]) || 0), 0))}
+                                                    </td>
+                                                ))}
+                                                <td className="px-3 py-4 whitespace-nowrap text-right text-sm text-indigo-800 bg-indigo-100">{formatCount(reportTotals.grandTotal)}</td>
+                                            </tr>
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {/* Custom Print Styles */}
+                <style>{`
+                    /* Hide elements that shouldn't appear in the printed report */
+                    @media print {
+                        body {
+                            background-color: #fff !important;
+                        }
+                        /* Hide everything except the main report area */
+                        .min-h-screen > :not(.max-w-4xl) {
+                            display: none;
+                        }
+                        .max-w-4xl {
+                            max-width: none !important; /* Use full width for print */
+                            margin: 0 !important;
+                            padding: 0 !important;
+                            box-shadow: none !important;
+                        }
+                        h2, h3 {
+                            color: #000 !important;
+                        }
+                        .print\\:shadow-none {
+                            box-shadow: none !important;
+                        }
+                        .print\\:border-0 {
+                            border: none !important;
+                        }
+                        .print\\:text-center {
+                            text-align: center !important;
+                        }
+                        .print\\:hidden {
+                            display: none !important;
+                        }
+                        .print\\:block {
+                            display: block !important;
+                        }
+                        /* Keep heat map shading and chart colors on paper */
+                        .traffic-analytics, .traffic-analytics *, .period-comparison, .period-comparison * {
+                            -webkit-print-color-adjust: exact;
+                            print-color-adjust: exact;
+                        }
+                        .traffic-analytics .heat-map td {
+                            border: 1px solid #fff;
+                            padding: 4px;
+                        }
+                        table {
+                            border-collapse: collapse;
+                            width: 100%;
+                        }
+                        th, td {
+                            border: 1px solid #ddd;
+                            padding: 8px;
+                        }
+                    }
+
+                    /* High-contrast theme: darker text, solid borders on controls and a thick focus outline */
+                    .high-contrast {
+                        color: #000;
+                    }
+                    .high-contrast .text-gray-400, .high-contrast .text-gray-500, .high-contrast .text-gray-600 {
+                        color: #1f2937 !important;
+                    }
+                    .high-contrast .bg-teal-700, .high-contrast .bg-amber-700, .high-contrast .bg-emerald-700,
+                    .high-contrast .bg-sky-700, .high-contrast .bg-cyan-700 {
+                        color: #fff !important;
+                    }
+                    .high-contrast .bg-teal-700 {
+                        background-color: #134e4a !important;
+                    }
+                    .high-contrast .bg-amber-700 {
+                        background-color: #78350f !important;
+                    }
+                    .high-contrast .bg-emerald-700 {
+                        background-color: #064e3b !important;
+                    }
+                    .high-contrast .bg-sky-700 {
+                        background-color: #0c4a6e !important;
+                    }
+                    .high-contrast .bg-cyan-700 {
+                        background-color: #164e63 !important;
+                    }
+                    .high-contrast input, .high-contrast select, .high-contrast textarea {
+                        border: 2px solid #000 !important;
+                    }
+                    .high-contrast button:focus-visible, .high-contrast input:focus-visible,
+                    .high-contrast select:focus-visible, .high-contrast textarea:focus-visible {
+                        outline: 3px solid #000 !important;
+                        outline-offset: 2px;
+                        box-shadow: 0 0 0 6px #fde047 !important;
+                    }
+                `}</style>
+            </div>
+        </I18nContext.Provider>
+    );
+}
+
+// Counting, aggregation and export helpers, and the in-browser backends, for the unit tests
+export {
+    getTallyChanges,
+    getVoidChanges,
+    getCorrectionChanges,
+    mergeRollups,
+    withLiveRollup,
+    withFreshDay,
+    withLiveFollowUps,
+    convertToCSV,
+    createMemoryStorage,
+    createLocalStorageStorage,
+    LOCAL_SAVE_FAILED,
+    replayQueue,
+    withQueueStore,
+    tallyQueue,
+};
+
+export default App;
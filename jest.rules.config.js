@@ -0,0 +1,5 @@
+// Security rules tests run against the Firestore emulator; `npm run test:rules` starts it
+module.exports = {
+    testMatch: ['<rootDir>/tests/rules/**/*.test.js'],
+    testEnvironment: 'node',
+};
@@ -0,0 +1,133 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "http://localhost/?storage=memory"}
+ */
+import 'fake-indexeddb/auto';
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import App from '../ReferenceTally.jsx';
+
+expect.extend(toHaveNoViolations);
+
+// The WCAG A/AA rules. Tailwind is not loaded under jsdom, so colour contrast is only
+// measurable where the app's own stylesheet sets the colours: the high-contrast theme.
+const checkPage = (container, { contrast = false } = {}) => axe(container, {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+    rules: { 'color-contrast': { enabled: contrast } },
+    checks: { 'color-contrast': { options: { ignorePseudo: true } } }
+});
+
+const REPORT_VIEWS = ['Day-by-Day Breakdown', 'Traffic Analytics', 'Period Comparison', 'Annual Estimate', 'Follow-Ups'];
+
+// axe's contrast rule draws glyphs on a canvas to spot icon fonts, and jsdom has no canvas.
+// This one reports every glyph as ordinary text.
+const fakeCanvasContext = (canvas) => ({
+    canvas,
+    measureText: () => ({ width: 30 }),
+    fillText: () => {},
+    clearRect: () => {},
+    getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(Math.ceil(width) * Math.ceil(height) * 4).fill(255) }),
+});
+
+// Large views and axe's full rule set are slow under jsdom
+jest.setTimeout(60000);
+
+// jsdom does no layout. Stack each element's children down its parent's box so that axe can
+// find what sits behind a piece of text.
+const layoutOf = (element) => {
+    const parent = element.parentElement;
+    if (!parent) return { left: 0, top: 0, width: 1024, height: 768 };
+    const box = layoutOf(parent);
+    const siblings = [...parent.children];
+    const height = box.height / siblings.length;
+    return { left: box.left, top: box.top + siblings.indexOf(element) * height, width: box.width, height };
+};
+
+// jsdom leaves inherited text styles and unset backgrounds blank, and gives form controls
+// system colours that Tailwind's preflight resets to inherit
+const INHERITED_STYLES = ['color', 'font-size', 'font-weight'];
+const INITIAL_STYLES = {
+    'color': 'rgb(0, 0, 0)',
+    'font-size': '16px',
+    'font-weight': '400',
+    'background-color': 'rgba(0, 0, 0, 0)',
+    'background-image': 'none',
+    'opacity': '1',
+};
+const computedValue = (element, style, name) => {
+    const value = style.getPropertyValue(name);
+    const unset = !value || /^(Button|Field|Canvas)/.test(value);
+    if (!unset || !(name in INITIAL_STYLES)) return value;
+    if (INHERITED_STYLES.includes(name) && element.parentElement) {
+        return window.getComputedStyle(element.parentElement).getPropertyValue(name);
+    }
+    return INITIAL_STYLES[name];
+};
+
+class Rect {
+    constructor(x = 0, y = 0, width = 0, height = 0) {
+        Object.assign(this, { x, y, width, height, left: x, top: y, right: x + width, bottom: y + height });
+    }
+}
+const rectOf = (element) => {
+    const { left, top, width, height } = layoutOf(element);
+    return new Rect(left, top, width, height);
+};
+
+// Just enough of a rendered page for the contrast rule: boxes, resolved styles and a canvas
+beforeAll(() => {
+    window.DOMRect = Rect;
+    window.DOMPoint = class {
+        constructor(x = 0, y = 0) {
+            Object.assign(this, { x, y });
+        }
+    };
+    document.documentElement.style.backgroundColor = '#fff';
+    document.body.style.backgroundColor = '#fff';
+    const getComputedStyle = window.getComputedStyle.bind(window);
+    jest.spyOn(window, 'getComputedStyle').mockImplementation((element, pseudo) => {
+        const style = getComputedStyle(element, pseudo);
+        return new Proxy(style, {
+            get: (target, key) => (key === 'getPropertyValue' ? (name) => computedValue(element, target, name) : Reflect.get(target, key))
+        });
+    });
+    jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () { return rectOf(this); });
+    jest.spyOn(Element.prototype, 'getClientRects').mockImplementation(function () { return [rectOf(this)]; });
+    const rangeElement = (range) => {
+        const node = range.commonAncestorContainer;
+        return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    };
+    Range.prototype.getClientRects = function () { return [rectOf(rangeElement(this))]; };
+    Range.prototype.getBoundingClientRect = function () { return rectOf(rangeElement(this)); };
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function () {
+        return fakeCanvasContext(this);
+    });
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+test('the tally view has no accessibility violations', async () => {
+    const { container } = render(<App />);
+    await screen.findByRole('button', { name: /^Directional:/ });
+    expect(await checkPage(container)).toHaveNoViolations();
+});
+
+test('the tally view in high contrast has no accessibility violations', async () => {
+    localStorage.setItem('refTally.highContrast', 'true');
+    const { container } = render(<App />);
+    await screen.findByRole('button', { name: /^Directional:/ });
+    const results = await checkPage(container, { contrast: true });
+    expect(results.passes.map(rule => rule.id)).toContain('color-contrast');
+    expect(results).toHaveNoViolations();
+});
+
+test.each(REPORT_VIEWS)('the %s report view has no accessibility violations', async (view) => {
+    const { container } = render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: view }));
+    await waitFor(() => expect(screen.getByRole('button', { name: view }).getAttribute('aria-pressed')).toBe('true'));
+    await waitFor(() => expect(screen.queryByText(/Loading/)).toBeNull());
+    expect(await checkPage(container)).toHaveNoViolations();
+});
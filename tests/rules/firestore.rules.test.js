@@ -0,0 +1,348 @@
+// Security rules tests. They need the Firestore emulator, which needs Java 11 or later, so the
+// default `npm test` skips them; run them with `npm run test:rules`, which starts the emulator
+// (firebase-tools, a dev dependency), runs this suite against it and shuts it down again.
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails,
+} from '@firebase/rules-unit-testing';
+import {
+    doc,
+    collection,
+    collectionGroup,
+    getDoc,
+    getDocs,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    where,
+    writeBatch,
+    serverTimestamp,
+    Timestamp,
+} from 'firebase/firestore';
+
+const APP_ID = 'test-app';
+const MAIN = `artifacts/${APP_ID}/public/data`; // The default library
+const BRANCH = `artifacts/${APP_ID}/libraries/branch`;
+
+const dateId = (daysAgo = 0) => new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+const TODAY = dateId();
+const LAST_WEEK = dateId(7);
+
+let testEnv;
+let nextId = 0;
+
+const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [path, data] of Object.entries(writes)) {
+        await setDoc(doc(db, path), data);
+    }
+});
+
+const interactionRecord = (uid, overrides = {}) => ({
+    date: TODAY,
+    category: 'reference',
+    staffUid: uid,
+    servicePoint: 'main_desk',
+    effortLevel: 2,
+    contactMode: 'in_person',
+    durationMinutes: 5,
+    libraryPath: MAIN,
+    timestamp: Timestamp.now(),
+    receivedAt: serverTimestamp(),
+    ...overrides
+});
+
+// A tally the way the app writes one: the rollup change and the interaction in one batch.
+// `rollup` replaces the fields the app would write, merged into any existing rollup.
+const tally = (uid, { library = MAIN, date = TODAY, servicePoint = 'main_desk', rollup, interaction = {} } = {}) => {
+    const db = as(uid);
+    const id = `tap-${++nextId}`;
+    const docId = servicePoint === 'main_desk' ? date : `${date}_${servicePoint}`;
+    const batch = writeBatch(db);
+    batch.set(doc(db, `${library}/daily_ref_counts/${docId}`), rollup ? { lastInteractionId: id, ...rollup } : {
+        date,
+        servicePoint,
+        reference: 1,
+        effort: { 2: 1 },
+        modes: { in_person: 1 },
+        durationMinutes: 5,
+        lastUpdatedBy: uid,
+        lastInteractionId: id,
+        createdAt: serverTimestamp()
+    }, rollup ? { merge: true } : {});
+    batch.set(doc(db, `${library}/daily_ref_counts/${docId}/interactions/${id}`), interactionRecord(uid, { date, servicePoint, libraryPath: library, ...interaction }));
+    return batch.commit();
+};
+
+// An undo the way the app writes one
+const undo = (uid, id, rollup, interaction = { voided: true, voidedBy: uid, voidedAt: serverTimestamp() }) => {
+    const db = as(uid);
+    const batch = writeBatch(db);
+    batch.update(doc(db, `${MAIN}/daily_ref_counts/${TODAY}`), { lastInteractionId: id, ...rollup });
+    batch.update(doc(db, `${MAIN}/daily_ref_counts/${TODAY}/interactions/${id}`), interaction);
+    return batch.commit();
+};
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ref-tally',
+        firestore: { rules: readFileSync(resolve(__dirname, '../../firestore.rules'), 'utf8') }
+    });
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+        [`${MAIN}/staff/desk`]: { role: 'desk', active: true },
+        [`${MAIN}/staff/supervisor`]: { role: 'supervisor', active: true },
+        [`${MAIN}/staff/admin`]: { role: 'admin', active: true },
+        [`${MAIN}/staff/former`]: { role: 'supervisor', active: false },
+        [`${BRANCH}/staff/branch-desk`]: { role: 'desk', active: true },
+        [`${BRANCH}/staff/branch-supervisor`]: { role: 'supervisor', active: true },
+        [`artifacts/${APP_ID}/consortium_admins/consortium`]: { displayName: 'Consortium office' },
+        [`artifacts/${APP_ID}/libraries/branch`]: { name: 'Branch Library' },
+    });
+});
+
+describe('desk staff', () => {
+    test('may tally on today\'s rollup', async () => {
+        await assertSucceeds(tally('desk'));
+    });
+
+    test('may add one to an existing rollup', async () => {
+        await seed({
+            [`${MAIN}/daily_ref_counts/${TODAY}`]: { date: TODAY, servicePoint: 'main_desk', reference: 3, technical: 1, effort: { 2: 3 }, modes: { in_person: 3 }, durationMinutes: 15 },
+        });
+        await assertSucceeds(tally('desk', {
+            rollup: { reference: 4, effort: { 2: 4 }, modes: { in_person: 4 }, durationMinutes: 20, lastUpdatedBy: 'desk', updatedAt: serverTimestamp() }
+        }));
+    });
+
+    test('may not add more than one, or to a second category', async () => {
+        await seed({
+            [`${MAIN}/daily_ref_counts/${TODAY}`]: { date: TODAY, servicePoint: 'main_desk', reference: 3, technical: 1, effort: { 2: 3 }, modes: { in_person: 3 }, durationMinutes: 15 },
+        });
+        const step = { effort: { 2: 4 }, modes: { in_person: 4 }, durationMinutes: 20, lastUpdatedBy: 'desk' };
+        await assertFails(tally('desk', { rollup: { ...step, reference: 5 } }));
+        await assertFails(tally('desk', { rollup: { ...step, reference: 4, technical: 2 } }));
+        await assertFails(tally('desk', { rollup: { ...step, technical: 2 } }));
+        await assertFails(tally('desk', { rollup: { ...step, reference: 4, durationMinutes: 500 } }));
+    });
+
+    test('may add one to a rollup from before service points existed', async () => {
+        await seed({ [`${MAIN}/daily_ref_counts/${TODAY}`]: { date: TODAY, reference: 3 } });
+        await assertSucceeds(tally('desk', {
+            rollup: { reference: 4, effort: { 2: 1 }, modes: { in_person: 1 }, durationMinutes: 5, lastUpdatedBy: 'desk', updatedAt: serverTimestamp() }
+        }));
+    });
+
+    test('may tally only at the library\'s service points', async () => {
+        await assertFails(tally('desk', { servicePoint: 'chat' }));
+        await seed({
+            [`${MAIN}/settings/library`]: {
+                servicePoints: [{ id: 'main_desk', name: 'Main Desk' }, { id: 'chat', name: 'Chat' }],
+                servicePointIds: ['main_desk', 'chat']
+            },
+        });
+        await assertSucceeds(tally('desk', { servicePoint: 'chat' }));
+        await assertFails(tally('desk', { servicePoint: 'made_up' }));
+    });
+
+    test('may not create a rollup with other categories already counted', async () => {
+        await assertFails(tally('desk', {
+            rollup: { date: TODAY, servicePoint: 'main_desk', reference: 1, technical: 40, effort: { 2: 1 }, modes: { in_person: 1 }, durationMinutes: 5, lastUpdatedBy: 'desk' }
+        }));
+    });
+
+    test('may not count on an earlier day\'s rollup', async () => {
+        await assertFails(tally('desk', { date: LAST_WEEK }));
+    });
+
+    test('may not change a rollup without the interaction it counts', async () => {
+        const db = as('desk');
+        await assertFails(setDoc(doc(db, `${MAIN}/daily_ref_counts/${TODAY}`), {
+            date: TODAY, servicePoint: 'main_desk', reference: 1, effort: { 2: 1 }, modes: { in_person: 1 }, durationMinutes: 5, lastUpdatedBy: 'desk', lastInteractionId: 'made-up'
+        }));
+    });
+
+    test('may not log an interaction without counting it', async () => {
+        const db = as('desk');
+        await assertFails(setDoc(doc(db, `${MAIN}/daily_ref_counts/${TODAY}/interactions/orphan`), interactionRecord('desk')));
+    });
+
+    test('may not tally under someone else\'s account or for another library', async () => {
+        await assertFails(tally('desk', { interaction: { staffUid: 'supervisor' } }));
+        await assertFails(tally('desk', { interaction: { libraryPath: BRANCH } }));
+    });
+
+    test('may undo their own tap, taking one back off', async () => {
+        await tally('desk');
+        await assertSucceeds(undo('desk', `tap-${nextId}`, {
+            reference: 0, effort: { 2: 0 }, modes: { in_person: 0 }, durationMinutes: 0, lastUpdatedBy: 'desk', updatedAt: serverTimestamp()
+        }));
+    });
+
+    test('may not take one off without voiding the tap, or void someone else\'s tap', async () => {
+        await tally('desk');
+        const id = `tap-${nextId}`;
+        const rollup = { reference: 0, effort: { 2: 0 }, modes: { in_person: 0 }, durationMinutes: 0, lastUpdatedBy: 'desk' };
+        await assertFails(undo('desk', id, rollup, { note: 'changed my mind' }));
+
+        await tally('supervisor');
+        await assertFails(undo('desk', `tap-${nextId}`, rollup));
+    });
+
+    test('may not correct counts or read reports', async () => {
+        await seed({ [`${MAIN}/daily_ref_counts/${TODAY}`]: { date: TODAY, servicePoint: 'main_desk', reference: 3 } });
+        const db = as('desk');
+        await assertFails(updateDoc(doc(db, `${MAIN}/daily_ref_counts/${TODAY}`), { reference: 5, adjustments: { reference: 2 }, correctedBy: 'desk' }));
+        await assertSucceeds(getDoc(doc(db, `${MAIN}/daily_ref_counts/${TODAY}`)));
+        await assertFails(getDocs(collection(db, `${MAIN}/daily_ref_counts`)));
+        await assertFails(getDocs(query(collectionGroup(db, 'interactions'), where('libraryPath', '==', MAIN))));
+        await assertFails(setDoc(doc(db, `${MAIN}/settings/library`), { timezone: 'UTC' }));
+    });
+
+    test('may not delete a rollup', async () => {
+        await seed({ [`${MAIN}/daily_ref_counts/${TODAY}`]: { date: TODAY, servicePoint: 'main_desk', reference: 3 } });
+        await assertFails(deleteDoc(doc(as('desk'), `${MAIN}/daily_ref_counts/${TODAY}`)));
+    });
+});
+
+describe('supervisors', () => {
+    test('may correct any day and read reports', async () => {
+        await seed({ [`${MAIN}/daily_ref_counts/${LAST_WEEK}`]: { date: LAST_WEEK, servicePoint: 'main_desk', reference: 3 } });
+        const db = as('supervisor');
+        await assertSucceeds(updateDoc(doc(db, `${MAIN}/daily_ref_counts/${LAST_WEEK}`), {
+            reference: 5, adjustments: { reference: 2 }, correctedAt: serverTimestamp(), correctedBy: 'supervisor'
+        }));
+        await assertSucceeds(setDoc(doc(db, `${MAIN}/daily_ref_counts/${LAST_WEEK}/corrections/c1`), { reason: 'Missed tallies' }));
+        await assertSucceeds(getDocs(collection(db, `${MAIN}/daily_ref_counts`)));
+    });
+
+    test('may read their library\'s interactions across days in one query', async () => {
+        await tally('desk');
+        const db = as('supervisor');
+        await assertSucceeds(getDocs(query(collectionGroup(db, 'interactions'), where('libraryPath', '==', MAIN))));
+    });
+
+    test('may not manage settings or staff', async () => {
+        const db = as('supervisor');
+        await assertFails(setDoc(doc(db, `${MAIN}/settings/library`), { timezone: 'UTC' }));
+        await assertFails(setDoc(doc(db, `${MAIN}/staff/newcomer`), { role: 'desk' }));
+    });
+
+    test('lose access once deactivated', async () => {
+        await assertFails(getDocs(collection(as('former'), `${MAIN}/daily_ref_counts`)));
+    });
+});
+
+describe('admins', () => {
+    test('may manage settings, categories and staff', async () => {
+        const db = as('admin');
+        await assertSucceeds(setDoc(doc(db, `${MAIN}/settings/library`), { timezone: 'UTC' }));
+        await assertSucceeds(setDoc(doc(db, `${MAIN}/categories/reference`), { name: 'Reference' }));
+        await assertSucceeds(setDoc(doc(db, `${MAIN}/staff/newcomer`), { role: 'desk', active: true }));
+    });
+
+    test('may not manage the library registry', async () => {
+        await assertFails(setDoc(doc(as('admin'), `artifacts/${APP_ID}/libraries/annex`), { name: 'Annex' }));
+    });
+});
+
+describe('consortium administrators', () => {
+    test('act as admins in every library', async () => {
+        const db = as('consortium');
+        await assertSucceeds(setDoc(doc(db, `${MAIN}/settings/library`), { timezone: 'UTC' }));
+        await assertSucceeds(setDoc(doc(db, `${BRANCH}/staff/branch-admin`), { role: 'admin', active: true }));
+        await assertSucceeds(getDocs(query(collectionGroup(db, 'interactions'), where('libraryPath', '==', BRANCH))));
+    });
+
+    test('manage the library registry', async () => {
+        await assertSucceeds(setDoc(doc(as('consortium'), `artifacts/${APP_ID}/libraries/annex`), { name: 'Annex' }));
+    });
+});
+
+describe('other libraries', () => {
+    test('staff cannot read or tally in a library they do not belong to', async () => {
+        await seed({ [`${MAIN}/daily_ref_counts/${TODAY}`]: { date: TODAY, servicePoint: 'main_desk', reference: 3 } });
+        const db = as('branch-desk');
+        await assertFails(getDoc(doc(db, `${MAIN}/daily_ref_counts/${TODAY}`)));
+        await assertFails(tally('branch-desk'));
+        await assertSucceeds(tally('branch-desk', { library: BRANCH }));
+    });
+
+    test('supervisors cannot query another library\'s interactions', async () => {
+        await tally('desk');
+        const db = as('branch-supervisor');
+        await assertFails(getDocs(query(collectionGroup(db, 'interactions'), where('libraryPath', '==', MAIN))));
+        await assertFails(getDocs(collectionGroup(db, 'interactions')));
+        await assertSucceeds(getDocs(query(collectionGroup(db, 'interactions'), where('libraryPath', '==', BRANCH))));
+    });
+
+    test('the registry is public but other libraries\' staff lists are not', async () => {
+        await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `artifacts/${APP_ID}/libraries/branch`)));
+        await assertFails(getDocs(collection(as('admin'), `${BRANCH}/staff`)));
+    });
+});
+
+describe('interface language', () => {
+    test('staff may change their own language to a supported one', async () => {
+        const db = as('desk');
+        await assertSucceeds(updateDoc(doc(db, `${MAIN}/staff/desk`), { language: 'es' }));
+        await assertFails(updateDoc(doc(db, `${MAIN}/staff/desk`), { language: 'de' }));
+    });
+
+    test('staff may not change their role, or anyone else\'s language', async () => {
+        const db = as('desk');
+        await assertFails(updateDoc(doc(db, `${MAIN}/staff/desk`), { language: 'fr', role: 'admin' }));
+        await assertFails(updateDoc(doc(db, `${MAIN}/staff/supervisor`), { language: 'fr' }));
+    });
+});
+
+describe('follow-ups', () => {
+    const followUp = (uid, overrides = {}) => ({
+        interactionId: 'tap-1',
+        date: TODAY,
+        summary: 'Wants the 1890 census microfilm',
+        status: 'open',
+        contact: null,
+        consent: false,
+        createdBy: uid,
+        ...overrides
+    });
+
+    test('staff may flag one, with patron contact only given consent', async () => {
+        const db = as('desk');
+        await assertSucceeds(setDoc(doc(db, `${MAIN}/follow_ups/a`), followUp('desk')));
+        await assertSucceeds(setDoc(doc(db, `${MAIN}/follow_ups/b`), followUp('desk', { contact: 'patron@example.org', consent: true })));
+        await assertFails(setDoc(doc(db, `${MAIN}/follow_ups/c`), followUp('desk', { contact: 'patron@example.org' })));
+        await assertFails(setDoc(doc(db, `${MAIN}/follow_ups/d`), followUp('supervisor')));
+    });
+
+    test('staff may work the queue, and closing clears the contact', async () => {
+        await seed({ [`${MAIN}/follow_ups/a`]: followUp('supervisor', { contact: 'patron@example.org', consent: true }) });
+        const db = as('desk');
+        await assertSucceeds(updateDoc(doc(db, `${MAIN}/follow_ups/a`), { status: 'in_progress', assignee: 'desk' }));
+        await assertFails(updateDoc(doc(db, `${MAIN}/follow_ups/a`), { status: 'closed', resolution: 'answered' }));
+        await assertSucceeds(updateDoc(doc(db, `${MAIN}/follow_ups/a`), { status: 'closed', resolution: 'answered', contact: null }));
+    });
+
+    test('no one may rewrite the question or delete a follow-up', async () => {
+        await seed({ [`${MAIN}/follow_ups/a`]: followUp('desk') });
+        await assertFails(updateDoc(doc(as('admin'), `${MAIN}/follow_ups/a`), { summary: 'Something else' }));
+        await assertFails(deleteDoc(doc(as('admin'), `${MAIN}/follow_ups/a`)));
+    });
+
+    test('another library\'s staff cannot see the queue', async () => {
+        await seed({ [`${MAIN}/follow_ups/a`]: followUp('desk') });
+        await assertFails(getDoc(doc(as('branch-desk'), `${MAIN}/follow_ups/a`)));
+    });
+});
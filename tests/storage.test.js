@@ -0,0 +1,412 @@
+import 'fake-indexeddb/auto';
+import {
+    getTallyChanges,
+    getVoidChanges,
+    getCorrectionChanges,
+    mergeRollups,
+    withLiveRollup,
+    withFreshDay,
+    withLiveFollowUps,
+    convertToCSV,
+    createMemoryStorage,
+    createLocalStorageStorage,
+    LOCAL_SAVE_FAILED,
+    replayQueue,
+    withQueueStore,
+    tallyQueue,
+} from '../ReferenceTally.jsx';
+
+let nextId = 0;
+const tally = (overrides = {}) => {
+    const interactionId = `tally-${++nextId}`;
+    return {
+        id: interactionId,
+        op: 'tally',
+        interactionId,
+        typeId: 'reference',
+        docId: '2026-10-19',
+        date: '2026-10-19',
+        servicePoint: 'main_desk',
+        staffUid: 'staff-1',
+        tappedAt: 1000,
+        effortLevel: 2,
+        contactMode: 'in_person',
+        durationMinutes: 5,
+        ...overrides
+    };
+};
+
+describe('getTallyChanges', () => {
+    test('adds one to the category, READ level and contact mode', () => {
+        const changes = getTallyChanges({}, tally());
+        expect(changes).toEqual({
+            reference: 1,
+            effort: { 2: 1 },
+            modes: { in_person: 1 },
+            durationMinutes: 5,
+            lastUpdatedBy: 'staff-1'
+        });
+    });
+
+    test('builds on the counts already in the rollup', () => {
+        const data = { reference: 4, effort: { 2: 3, 3: 1 }, modes: { in_person: 3, phone: 1 }, durationMinutes: 20 };
+        const changes = getTallyChanges(data, tally({ effortLevel: 3, contactMode: 'phone', durationMinutes: 10 }));
+        expect(changes.reference).toBe(5);
+        expect(changes.effort).toEqual({ 2: 3, 3: 2 });
+        expect(changes.modes).toEqual({ in_person: 3, phone: 2 });
+        expect(changes.durationMinutes).toBe(30);
+    });
+});
+
+describe('getVoidChanges', () => {
+    test('takes one off everything the tally added', () => {
+        const data = { reference: 2, effort: { 2: 2 }, modes: { in_person: 2 }, durationMinutes: 10 };
+        const interaction = { category: 'reference', effortLevel: 2, contactMode: 'in_person', durationMinutes: 5 };
+        expect(getVoidChanges(data, interaction, 'staff-2')).toEqual({
+            reference: 1,
+            effort: { 2: 1 },
+            modes: { in_person: 1 },
+            durationMinutes: 5,
+            lastUpdatedBy: 'staff-2'
+        });
+    });
+
+    test('never goes below zero', () => {
+        const interaction = { category: 'reference', effortLevel: 2, contactMode: 'in_person', durationMinutes: 5 };
+        const changes = getVoidChanges({}, interaction, 'staff-2');
+        expect(changes.reference).toBe(0);
+        expect(changes.effort).toEqual({ 2: 0 });
+        expect(changes.modes).toEqual({ in_person: 0 });
+        expect(changes.durationMinutes).toBe(0);
+    });
+
+    test('leaves out breakdowns an older record did not carry', () => {
+        const changes = getVoidChanges({ reference: 1 }, { category: 'reference' }, 'staff-2');
+        expect(changes).toEqual({ reference: 0, lastUpdatedBy: 'staff-2' });
+    });
+});
+
+describe('getCorrectionChanges', () => {
+    test('records the previous counts and the difference from what was tallied', () => {
+        const { before, adjustments } = getCorrectionChanges({ reference: 3, technical: 1 }, { reference: 5, technical: 0 });
+        expect(before).toEqual({ reference: 3, technical: 1 });
+        expect(adjustments).toEqual({ reference: 2, technical: -1 });
+    });
+
+    test('keeps a running total across corrections', () => {
+        const data = { reference: 5, adjustments: { reference: 2, directional: 1 } };
+        const { adjustments } = getCorrectionChanges(data, { reference: 4 });
+        expect(adjustments).toEqual({ reference: 1, directional: 1 });
+    });
+});
+
+describe('mergeRollups', () => {
+    test('sums service points into one row per date and fills missing days', () => {
+        const docs = [
+            { docId: '2026-10-19', date: '2026-10-19', reference: 2, durationMinutes: 10, effort: { 2: 2 }, modes: { in_person: 2 } },
+            { docId: '2026-10-19_chat', date: '2026-10-19', servicePoint: 'chat', reference: 1, technical: 3, effort: { 1: 4 } },
+        ];
+        const rows = mergeRollups(docs, ['2026-10-18', '2026-10-19']);
+        expect(rows[0]).toEqual({ date: '2026-10-18' });
+        expect(rows[1]).toMatchObject({
+            date: '2026-10-19',
+            reference: 3,
+            technical: 3,
+            durationMinutes: 10,
+            effort: { 1: 4, 2: 2 },
+            modes: { in_person: 2 },
+            byServicePoint: { main_desk: 2, chat: 4 }
+        });
+    });
+
+    test('does not count duration as a category', () => {
+        const rows = mergeRollups([{ date: '2026-10-19', reference: 1, durationMinutes: 30 }], ['2026-10-19']);
+        expect(rows[0].byServicePoint).toEqual({ main_desk: 1 });
+    });
+});
+
+describe('withLiveRollup', () => {
+    const docs = [
+        { docId: '2026-10-18', date: '2026-10-18', reference: 1 },
+        { docId: '2026-10-19', date: '2026-10-19', reference: 1 },
+    ];
+
+    test('swaps in the live document for today', () => {
+        const merged = withLiveRollup(docs, { date: '2026-10-19', reference: 4 }, '2026-10-01', '2026-10-31');
+        expect(merged).toHaveLength(2);
+        expect(merged[1]).toEqual({ docId: '2026-10-19', date: '2026-10-19', reference: 4 });
+    });
+
+    test('leaves the period alone when today is outside it', () => {
+        expect(withLiveRollup(docs, { date: '2026-11-02', reference: 4 }, '2026-10-01', '2026-10-31')).toBe(docs);
+        expect(withLiveRollup(docs, null, '2026-10-01', '2026-10-31')).toBe(docs);
+    });
+});
+
+describe('withFreshDay', () => {
+    test("replaces only the given day's records", () => {
+        const items = [
+            { id: 'a', date: '2026-10-18' },
+            { id: 'b', date: '2026-10-19' },
+            { id: 'c', date: '2026-10-17' },
+        ];
+        const fresh = [{ id: 'b', date: '2026-10-19' }, { id: 'd', date: '2026-10-19' }];
+        expect(withFreshDay(items, '2026-10-19', fresh).map(item => item.id)).toEqual(['c', 'a', 'b', 'd']);
+    });
+});
+
+describe('withLiveFollowUps', () => {
+    const items = [
+        { id: 'a', date: '2026-10-02', status: 'open' },
+        { id: 'b', date: '2026-10-05', status: 'closed' },
+    ];
+
+    test('takes the live state of follow-ups in the period, and adds new ones', () => {
+        const live = [
+            { id: 'a', date: '2026-10-02', status: 'in_progress' },
+            { id: 'c', date: '2026-10-19', status: 'open' },
+            { id: 'd', date: '2026-11-02', status: 'open' },
+        ];
+        const merged = withLiveFollowUps(items, live, '2026-10-01', '2026-10-31');
+        expect(merged.map(item => `${item.id}:${item.status}`).sort()).toEqual(['a:in_progress', 'b:closed', 'c:open']);
+    });
+
+    test('keeps what was loaded when the queue has nothing in the period', () => {
+        expect(withLiveFollowUps(items, [], '2026-10-01', '2026-10-31')).toEqual(items);
+    });
+});
+
+describe('convertToCSV', () => {
+    test('quotes every value and escapes embedded quotes', () => {
+        const csv = convertToCSV([
+            { date: '2026-10-19', category: 'Reference', note: 'Asked for "Moby Dick", 2 copies' },
+            { date: '2026-10-20', category: 'Technical', note: '' },
+        ]);
+        expect(csv.split('\n')).toEqual([
+            'date,category,note',
+            '"2026-10-19","Reference","Asked for ""Moby Dick"", 2 copies"',
+            '"2026-10-20","Technical",""',
+        ]);
+    });
+
+    test('returns an empty string for no rows', () => {
+        expect(convertToCSV([])).toBe('');
+    });
+});
+
+describe('createMemoryStorage', () => {
+    test('a tally updates the rollup and logs the interaction', async () => {
+        const storage = createMemoryStorage();
+        await storage.applyTally(tally());
+        await storage.applyTally(tally({ typeId: 'technical', contactMode: 'phone' }));
+
+        const day = await storage.getDay('2026-10-19');
+        expect(day).toMatchObject({ reference: 1, technical: 1, modes: { in_person: 1, phone: 1 }, durationMinutes: 10 });
+        expect(day.directional).toBeUndefined();
+        const interactions = await storage.getInteractions('2026-10-19', '2026-10-19');
+        expect(interactions).toHaveLength(2);
+        expect(interactions[0].timestamp.toMillis()).toBe(1000);
+    });
+
+    test('replaying a tally does not count it twice', async () => {
+        const storage = createMemoryStorage();
+        const entry = tally();
+        await storage.applyTally(entry);
+        await storage.applyTally(entry);
+        expect((await storage.getDay('2026-10-19')).reference).toBe(1);
+    });
+
+    test('a void takes the tally back out once', async () => {
+        const storage = createMemoryStorage();
+        const entry = tally();
+        await storage.applyTally(entry);
+        const voidEntry = { op: 'void', docId: entry.docId, interactionId: entry.interactionId, staffUid: 'staff-2' };
+        await storage.applyVoid(voidEntry);
+        await storage.applyVoid(voidEntry);
+
+        const day = await storage.getDay('2026-10-19');
+        expect(day.reference).toBe(0);
+        expect(day.durationMinutes).toBe(0);
+        const [record] = await storage.getInteractions('2026-10-19', '2026-10-19');
+        expect(record).toMatchObject({ voided: true, voidedBy: 'staff-2' });
+    });
+
+    test('a correction sets the counts and logs what it replaced', async () => {
+        const storage = createMemoryStorage();
+        await storage.applyTally(tally());
+        await storage.applyCorrection({
+            docId: '2026-10-19',
+            date: '2026-10-19',
+            servicePoint: 'main_desk',
+            counts: { reference: 3 },
+            reason: 'Missed tallies during the power cut',
+            staffUid: 'supervisor-1'
+        });
+
+        const day = await storage.getDay('2026-10-19');
+        expect(day.reference).toBe(3);
+        expect(day.adjustments).toEqual({ reference: 2 });
+        const [correction] = await storage.getCorrections('2026-10-19');
+        expect(correction).toMatchObject({ before: { reference: 1 }, after: { reference: 3 }, correctedBy: 'supervisor-1' });
+    });
+
+    test('rollups from storage merge into report rows', async () => {
+        const storage = createMemoryStorage();
+        await storage.applyTally(tally());
+        await storage.applyTally(tally({ docId: '2026-10-19_chat', servicePoint: 'chat', contactMode: 'chat' }));
+        await storage.applyTally(tally({ docId: '2026-10-20', date: '2026-10-20' }));
+
+        const docs = await storage.getDays('2026-10-19', '2026-10-20');
+        const rows = mergeRollups(docs, ['2026-10-19', '2026-10-20']);
+        expect(rows.map(row => row.reference)).toEqual([2, 1]);
+        expect(rows[0].byServicePoint).toEqual({ main_desk: 1, chat: 1 });
+    });
+
+    test('a write fails when saving its state fails', async () => {
+        const storage = createMemoryStorage({}, () => {
+            throw new Error('full');
+        });
+        await expect(storage.applyTally(tally())).rejects.toThrow('full');
+    });
+});
+
+describe('createLocalStorageStorage', () => {
+    const createFakeLocalStorage = ({ quota = Infinity } = {}) => {
+        const items = new Map();
+        return {
+            items,
+            get length() {
+                return items.size;
+            },
+            key: (i) => [...items.keys()][i] ?? null,
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => {
+                if (value.length > quota) throw new Error('QuotaExceededError');
+                items.set(key, String(value));
+            },
+            removeItem: (key) => items.delete(key),
+        };
+    };
+
+    afterEach(() => {
+        delete global.localStorage;
+        jest.restoreAllMocks();
+    });
+
+    test('keeps interactions under one key per month and reads them back', async () => {
+        global.localStorage = createFakeLocalStorage();
+        const storage = createLocalStorageStorage('test.data');
+        await storage.applyTally(tally());
+        await storage.applyTally(tally({ docId: '2026-11-02', date: '2026-11-02' }));
+
+        expect([...localStorage.items.keys()].sort()).toEqual([
+            'test.data',
+            'test.data.interactions.2026-10',
+            'test.data.interactions.2026-11',
+        ]);
+        const reopened = createLocalStorageStorage('test.data');
+        expect(await reopened.getInteractions('2026-10-01', '2026-11-30')).toHaveLength(2);
+        expect((await reopened.getDay('2026-11-02')).reference).toBe(1);
+    });
+
+    test('moves interactions out of an older single-key save', async () => {
+        global.localStorage = createFakeLocalStorage();
+        localStorage.setItem('test.data', JSON.stringify({
+            days: { '2026-09-30': { date: '2026-09-30', reference: 1 } },
+            interactions: { '2026-09-30': { old: { date: '2026-09-30', category: 'reference' } } }
+        }));
+        const storage = createLocalStorageStorage('test.data');
+        await storage.applyTally(tally());
+
+        expect(JSON.parse(localStorage.getItem('test.data')).interactions).toBeUndefined();
+        expect(Object.keys(JSON.parse(localStorage.getItem('test.data.interactions.2026-09')))).toEqual(['2026-09-30']);
+    });
+
+    test('reports a full browser storage', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.localStorage = createFakeLocalStorage({ quota: 10 });
+        const storage = createLocalStorageStorage('test.data');
+        await expect(storage.applyTally(tally())).rejects.toMatchObject({ code: LOCAL_SAVE_FAILED });
+    });
+});
+
+describe('replayQueue', () => {
+    const createFakeQueue = (entries) => {
+        const items = new Map(entries.map(entry => [entry.id, entry]));
+        return {
+            items,
+            get: async (id) => items.get(id),
+            put: async (entry) => {
+                items.set(entry.id, entry);
+            },
+            remove: async (id) => {
+                items.delete(id);
+            },
+        };
+    };
+
+    const refusal = () => Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('removes each entry once it is applied', async () => {
+        const storage = createMemoryStorage();
+        const entries = [tally(), tally()];
+        const queue = createFakeQueue(entries);
+        expect(await replayQueue(queue, storage, entries)).toEqual([]);
+        expect(queue.items.size).toBe(0);
+        expect((await storage.getDay('2026-10-19')).reference).toBe(2);
+    });
+
+    test('keeps a refused tally for a supervisor and carries on with the rest', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const memory = createMemoryStorage();
+        const stale = tally({ docId: '2026-10-18', date: '2026-10-18' });
+        const storage = {
+            ...memory,
+            applyTally: (entry) => (entry.id === stale.id ? Promise.reject(refusal()) : memory.applyTally(entry)),
+        };
+        const entries = [stale, tally()];
+        const queue = createFakeQueue(entries);
+
+        const refused = await replayQueue(queue, storage, entries);
+        expect(refused.map(entry => entry.id)).toEqual([stale.id]);
+        expect(queue.items.get(stale.id)).toMatchObject({ ...stale, refusedAt: expect.any(Number) });
+        expect(queue.items.size).toBe(1);
+        expect((await memory.getDay('2026-10-19')).reference).toBe(1);
+    });
+
+    test('stops at any other failure and leaves the entries queued', async () => {
+        const storage = { applyTally: () => Promise.reject(new Error('unavailable')) };
+        const entries = [tally(), tally()];
+        const queue = createFakeQueue(entries);
+        await expect(replayQueue(queue, storage, entries)).rejects.toThrow('unavailable');
+        expect(queue.items.size).toBe(2);
+        expect([...queue.items.values()].some(entry => entry.refusedAt)).toBe(false);
+    });
+});
+
+describe('tallyQueue', () => {
+    test('keeps entries until removed and lists them in queue order', async () => {
+        await tallyQueue.put({ id: 'second', queuedAt: 2 });
+        await tallyQueue.put({ id: 'first', queuedAt: 1 });
+        expect((await tallyQueue.getAll()).map(entry => entry.id)).toEqual(['first', 'second']);
+
+        await tallyQueue.remove('first');
+        await tallyQueue.remove('second');
+        expect(await tallyQueue.get('first')).toBeUndefined();
+        expect(await tallyQueue.getAll()).toEqual([]);
+    });
+
+    test('rejects when the transaction is aborted after its request succeeded', async () => {
+        const write = withQueueStore('readwrite', store => {
+            const request = store.put({ id: 'lost', queuedAt: 1 });
+            request.onsuccess = () => request.transaction.abort();
+            return request;
+        });
+        await expect(write).rejects.toThrow();
+        expect(await tallyQueue.get('lost')).toBeUndefined();
+    });
+});